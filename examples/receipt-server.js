@@ -0,0 +1,111 @@
+/**
+ * Reference consent receipt receiver
+ * Accepts receipts POSTed by the `receiptEndpoint` option and appends them to a JSON-lines file.
+ *
+ * Usage: node examples/receipt-server.js [port] [file]
+ * Then configure: new CookieConsent({ receiptEndpoint: 'http://localhost:3030/receipts' })
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2]) || 3030;
+const FILE = path.resolve(process.argv[3] || 'consent-receipts.jsonl');
+const MAX_BODY_SIZE = 16 * 1024;
+const ACTIONS = ['accept_all', 'reject_all', 'save_preferences'];
+
+/**
+ * Validate the shape of a receipt
+ * @param {*} receipt - Parsed request body
+ * @returns {boolean}
+ */
+function isValidReceipt(receipt) {
+  return (
+    receipt !== null &&
+    typeof receipt === 'object' &&
+    typeof receipt.consentId === 'string' &&
+    ACTIONS.includes(receipt.action) &&
+    receipt.categories !== null &&
+    typeof receipt.categories === 'object' &&
+    typeof receipt.timestamp === 'string'
+  );
+}
+
+/**
+ * Send a response with CORS headers (receipts are posted cross-origin)
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} [body]
+ */
+function respond(res, status, body) {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json'
+  });
+  res.end(body ? JSON.stringify(body) : undefined);
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    respond(res, 204);
+    return;
+  }
+
+  if (req.method !== 'POST' || req.url !== '/receipts') {
+    respond(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  let body = '';
+  let tooLarge = false;
+
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY_SIZE) {
+      tooLarge = true;
+      req.destroy();
+    }
+  });
+
+  req.on('end', () => {
+    if (tooLarge) return;
+
+    // Beacons arrive as text/plain, so parse the body regardless of Content-Type
+    let receipt;
+    try {
+      receipt = JSON.parse(body);
+    } catch (e) {
+      respond(res, 400, { error: 'Invalid JSON' });
+      return;
+    }
+
+    if (!isValidReceipt(receipt)) {
+      respond(res, 422, { error: 'Invalid receipt' });
+      return;
+    }
+
+    const record = {
+      ...receipt,
+      receivedAt: new Date().toISOString(),
+      ip: req.socket.remoteAddress
+    };
+
+    fs.appendFile(FILE, JSON.stringify(record) + '\n', (err) => {
+      if (err) {
+        console.error('Failed to write receipt', err);
+        respond(res, 500, { error: 'Write failed' });
+        return;
+      }
+      console.log(`${record.receivedAt} ${record.action} ${record.consentId}`);
+      respond(res, 204);
+    });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Consent receipt receiver listening on http://localhost:${PORT}/receipts`);
+  console.log(`Appending receipts to ${FILE}`);
+});
@@ -7,6 +7,14 @@ class CookieConsent {
   constructor(options = {}) {
     this.storageKey = options.storageKey || 'cookie_consent';
     this.policyUrl = options.policyUrl || '#';
+
+    // Site policy version (separate from the storage schema version)
+    this.policyVersion = options.policyVersion || null;
+    this.policyUpdate = this._mergeDeep({
+      reprompt: 'all', // 'all' | 'changed'
+      changedCategories: [] // Categories whose purpose changed in this policy version
+    }, options.policyUpdate || {});
+    this.repromptCategories = [];
     this.onAccept = options.onAccept || null;
     this.onReject = options.onReject || null;
     this.onSave = options.onSave || null;
@@ -23,14 +31,13 @@ class CookieConsent {
       enabled: false,
       position: 'bottom-right', // 'bottom-left' | 'bottom-right'
       icon: 'cookie', // 'cookie' | 'shield' | 'gear' | custom SVG string
-      label: 'Cookie Settings',
+      label: null, // defaults to content.floatingButton.label
       showIndicator: true,
       offset: { x: 20, y: 20 }
     }, options.floatingButton || {});
     this.floatingButton = null;
 
     // Storage configuration
-    this.storageMethod = options.storageMethod || 'localStorage';
     this.cookieOptions = this._mergeDeep({
       sameSite: 'Strict',
       secure: true,
@@ -39,57 +46,112 @@ class CookieConsent {
       path: '/',
       expires: 365 // Days
     }, options.cookieOptions || {});
+    // Where revoked categories' cookies are deleted (domains: null = each parent domain of this host)
+    this.cookieCleanup = this._mergeDeep({
+      enabled: true,
+      domains: null,
+      paths: ['/']
+    }, options.cookieCleanup || {});
+    this.removedItems = []; // Cookies and localStorage keys deleted on revocation (shown in the debug badge)
+
+    // Tracker scanner: reports untagged scripts, iframes, cookies and keys with a suggested category
+    this.scannerConfig = options.scanner
+      ? this._mergeDeep({ interval: 2000, trackers: [] }, options.scanner === true ? {} : options.scanner)
+      : null;
+    this.trackerReport = [];
+    this.trackerSeen = new Set();
+    this.scannerTimer = null;
+
+    // Auto-blocking: hold back untagged scripts and iframes from known tracker domains
+    // ({ domains: { 'cdn.example.com': 'analytics' } } adds hosts, checked before the built-in ones)
+    this.autoBlockDomains = options.autoBlock
+      ? this._buildAutoBlockDomains(options.autoBlock === true ? {} : options.autoBlock.domains || {})
+      : null;
+    this.restoreInsertions = null; // Undoes _interceptInsertions()
+    // Storage drivers, tried in order: 'localStorage' | 'sessionStorage' | 'cookie' | 'indexedDB' |
+    // 'memory' | 'remote' | { name, async, isAvailable, get, set, remove }
+    this.remoteStorage = options.remoteStorage || null;
+    this.storageDrivers = this._createStorageDrivers(options.storageMethod || 'localStorage');
+    this.storageMethod = this.storageDrivers[0].name; // Driver consent is written to first
     this.encryption = options.encryption || false;
-    this.generateConsentId = options.generateConsentId || false;
-    this.consentId = null;
-
-    // Default content for all text in the modal
-    const defaultContent = {
-      initialView: {
-        heading: 'Cookie settings',
-        description: {
-          text: 'We use cookies to enhance your browsing experience, serve personalized content, and analyze our traffic. Read our ',
-          linkText: 'Cookie Policy',
-          suffix: ' to learn more.'
-        },
-        buttons: {
-          customize: 'Customize Cookie Settings',
-          rejectAll: 'Reject All Cookies',
-          acceptAll: 'Accept All Cookies'
-        }
-      },
-      settingsView: {
-        heading: 'Cookie settings',
-        description: 'Manage your cookie preferences below. Necessary cookies are required for the website to function and cannot be disabled.',
-        buttons: {
-          save: 'Save Preferences'
-        }
-      },
-      categories: {
-        necessary: 'Required for security and basic functionality.',
-        functional: 'Enables enhanced features like live chat and videos.',
-        preferences: 'Remembers your settings like language and theme.',
-        analytics: 'Helps us understand how visitors use our site.',
-        marketing: 'Enables personalized ads and tracking.'
+    // Signed or encrypted storage: { method: 'hmac' | 'aes-gcm', secret, acceptLegacy }
+    this.storageProtection = null;
+    if (typeof this.encryption === 'object') {
+      if (typeof crypto !== 'undefined' && crypto.subtle) {
+        this.storageProtection = { acceptLegacy: false, ...this.encryption };
+      } else {
+        console.warn('Cookie consent: Web Crypto is unavailable (insecure context?), falling back to Base64');
       }
-    };
+    }
+    this.storageCryptoKey = null;
+    // Async drivers and protected values are read on init and cached
+    this.storageDeferred = !!this.storageProtection || this.storageDrivers.some((driver) => driver.async);
+    this.cachedConsent = null; // Last read or saved consent (deferred storage)
+    this.storageRevision = 0;
+    this.storageWrite = Promise.resolve();
+    // Server-side consent receipts (receipts need an ID, so one is generated)
+    this.receiptEndpoint = options.receiptEndpoint || null;
+    this.receiptQueueKey = 'cc_receipt_queue';
+    this.generateConsentId = options.generateConsentId || !!this.receiptEndpoint;
+    this.consentId = null;
 
-    // Deep merge user content with defaults
-    this.content = this._mergeDeep(defaultContent, options.content || {});
+    // Consent lifetime in days: a number, or per status { all, partial, essential }
+    this.consentMaxAge = options.consentMaxAge ?? null;
+    this.onExpire = options.onExpire || null;
+
+    // Consent linked to a signed-in user's account (see identify())
+    this.account = null;
+    this.onConflict = options.onConflict || null;
+    this.initialized = false;
+
+    // Browser opt-out signals deny these categories even in opt-out regions (detected in init)
+    this.respectGPC = options.respectGPC || false;
+    this.respectDoNotTrack = options.respectDoNotTrack || false;
+    this.privacySignalCategories = options.privacySignalCategories || ['marketing'];
+    this.privacySignal = null; // 'gpc' | 'dnt' when a respected signal is present
+
+    // Text: English defaults, then the `translations` entry for the language (auto-detected from
+    // <html lang> and the browser unless `language` is set), then `content`. Other languages are
+    // opt-in packs (cconsent/locales/de and so on) passed through `translations`.
+    this.translations = options.translations || {};
+    this.languages = [...new Set(['en', ...Object.keys(this.translations)])];
+    this.contentOverrides = options.content || {};
+    this.language = this._resolveLanguage(options.language || 'auto');
+    this.content = this._buildContent(this.language);
+
+    // Text direction of the dialog and floating button ('auto' follows the language or the page)
+    this.requestedDirection = options.direction || 'auto';
+    this.direction = this._resolveDirection(this.requestedDirection);
+
+    // Theme: 'dark' | 'light' | 'auto', or an object with a `mode` and CSS custom property values
+    this.theme = this._normalizeTheme(options.theme);
+
+    // Layout: 'modal' | 'bar' | 'box' | 'inline', or { type, container } (inline renders into container)
+    this.layout = this._normalizeLayout(options.layout);
+
+    // Headless mode (ui: false): nothing is rendered; a custom UI follows getState() and subscribe()
+    // and calls the actions (show() and the other view methods only change state.view)
+    this.ui = options.ui !== false;
+    this.view = null; // 'banner' | 'preferences' | null
+    this.dialogNeeded = false; // No decision yet (or one is needed again)
+    this.stateListeners = [];
+    this.vendorChoices = {}; // Set with setVendorChoice(), applied by savePreferences()
+    this.eventListeners = {}; // Lifecycle event listeners keyed by event name (see on())
+    this.appliedConsent = null; // The stored decision scripts run under (null before any)
 
     this.modal = null;
     this.overlay = null;
     this.initialView = null;
     this.settingsView = null;
 
-    // Cookie category states (5-category model)
-    this.categories = {
-      necessary: true, // Always true, cannot be toggled
-      functional: false,
-      preferences: false,
-      analytics: false,
-      marketing: false
-    };
+    // Category registry: the built-in five plus any custom categories from config
+    this.categoryDefinitions = this._buildCategoryRegistry(options.categories || {});
+
+    // Cookie category states (required categories are always true)
+    this.categories = this._getDefaultCategoryStates();
+
+    // Per-vendor choices keyed by vendor ID (a vendor without one follows its category)
+    this.vendors = {};
 
     // Legacy mode for backward compatibility with 3-category callbacks
     this.legacyMode = options.legacyMode || false;
@@ -109,6 +171,20 @@ class CookieConsent {
       regionDefaults: null // Optional region-specific defaults
     }, options.googleConsentMode || {});
 
+    // IAB TCF v2.2 module (a TCFManager from 'cconsent/tcf'), null when not used
+    this.tcf = options.tcf || null;
+
+    // IAB GPP / US Privacy module (a GPPManager from 'cconsent/gpp'), null when not used
+    this.gpp = options.gpp || null;
+
+    // Cross-domain consent sync (a ConsentSync from 'cconsent/sync'), null when not used
+    this.sync = options.sync || null;
+
+    // Cross-tab updates: 'storage' events for localStorage, a BroadcastChannel for cookies
+    this.tabChannel = null;
+    this.storageListener = null;
+    this.knownConsentTimestamp = null; // Timestamp of the consent this tab last saw
+
     // Geolocation configuration
     this.geoConfig = this._mergeDeep({
       enabled: false,
@@ -149,6 +225,7 @@ class CookieConsent {
       modalStartTransform: 0
     };
     this.dragHandle = null;
+    this.resizeListener = null; // Bound once, as the modal may be rebuilt
     this.scrollPositionBeforeLock = 0;
   }
 
@@ -179,6 +256,482 @@ class CookieConsent {
     return result;
   }
 
+  /**
+   * Get the English text for everything the dialog shows ({name} placeholders are filled in by _formatText)
+   * @returns {Object} Content in the shape of the `content` option
+   */
+  _getDefaultContent() {
+    return {
+      initialView: {
+        heading: 'Cookie settings',
+        description: {
+          text: 'We use cookies to enhance your browsing experience, serve personalized content, and analyze our traffic. Read our ',
+          linkText: 'Cookie Policy',
+          suffix: ' to learn more.'
+        },
+        buttons: {
+          customize: 'Customize Cookie Settings',
+          rejectAll: 'Reject All Cookies',
+          acceptAll: 'Accept All Cookies',
+          doNotSell: 'Do Not Sell My Info'
+        }
+      },
+      settingsView: {
+        heading: 'Cookie settings',
+        description: 'Manage your cookie preferences below. Necessary cookies are required for the website to function and cannot be disabled.',
+        buttons: {
+          save: 'Save Preferences'
+        }
+      },
+      categoryLabels: {
+        necessary: 'Necessary',
+        functional: 'Functional',
+        preferences: 'Preferences',
+        analytics: 'Analytics',
+        marketing: 'Marketing'
+      },
+      categories: {
+        necessary: 'Required for security and basic functionality.',
+        functional: 'Enables enhanced features like live chat and videos.',
+        preferences: 'Remembers your settings like language and theme.',
+        analytics: 'Helps us understand how visitors use our site.',
+        marketing: 'Enables personalized ads and tracking.'
+      },
+      toggle: {
+        on: 'On',
+        off: 'Off',
+        required: 'Required',
+        updated: 'Updated',
+        label: 'Toggle {name} cookies',
+        requiredLabel: '{name} cookies (always enabled)',
+        deniedLabel: '{name} cookies (disabled by your browser\'s privacy signal)'
+      },
+      tcf: {
+        purposes: 'Purposes',
+        specialFeatures: 'Special features',
+        vendors: 'Vendors',
+        consent: 'Consent',
+        legitimateInterest: 'Legitimate interest',
+        privacyPolicy: 'Privacy policy'
+      },
+      vendors: {
+        heading: 'Vendors',
+        privacyPolicy: 'Privacy policy'
+      },
+      privacySignal: {
+        gpc: 'GPC signal honored. Your browser asked us not to sell or share your personal information, so those cookies stay off.',
+        dnt: 'Do Not Track signal honored. Your browser asked not to be tracked, so tracking cookies stay off.'
+      },
+      placeholder: {
+        blocked: '{category} content is blocked.',
+        changeSettings: 'Change settings'
+      },
+      floatingButton: {
+        label: 'Cookie Settings',
+        status: '{label}, currently accepting {active} of {total} categories'
+      },
+      announcements: {
+        acceptAll: 'Cookie preferences saved. All cookies accepted.',
+        rejectAll: 'Cookie preferences saved. Non-essential cookies rejected.',
+        save: 'Cookie preferences saved.'
+      },
+      cookieTable: {
+        name: 'Name',
+        provider: 'Provider',
+        purpose: 'Purpose',
+        duration: 'Duration',
+        category: 'Category',
+        empty: 'This site does not declare any cookies.'
+      }
+    };
+  }
+
+  /**
+   * Build the text for a language: English defaults, then the `translations` entry (base
+   * language first, so 'de-AT' builds on 'de'), then the `content` option
+   * @param {string} language - Language code
+   * @returns {Object} Content in the shape of the `content` option
+   */
+  _buildContent(language) {
+    const base = language.split('-')[0];
+    const codes = base === language ? [language] : [base, language];
+
+    let content = this._getDefaultContent();
+    codes.forEach((code) => {
+      content = this._mergeDeep(content, this.translations[code] || {});
+    });
+
+    return this._mergeDeep(content, this.contentOverrides);
+  }
+
+  /**
+   * Pick the language to show: the requested one, or with 'auto' the first of <html lang>
+   * and the browser's languages that has a translation (exact match, then base language)
+   * @param {string} requested - Language code or 'auto'
+   * @returns {string} An available language code ('en' when none matches)
+   */
+  _resolveLanguage(requested) {
+    const candidates = requested && requested !== 'auto'
+      ? [requested]
+      : [document.documentElement.lang, ...(navigator.languages || [navigator.language])];
+
+    for (const candidate of candidates) {
+      const match = this._matchLanguage(candidate);
+      if (match) return match;
+    }
+
+    if (requested && requested !== 'auto') {
+      this._log(`No translation for "${requested}", using English`, null, 'warn');
+    }
+    return 'en';
+  }
+
+  /**
+   * Find the available language for a language code (exact match, then base language)
+   * @param {string} code - Language code such as 'de-AT'
+   * @returns {string|null} Available language code, or null when there is no translation
+   */
+  _matchLanguage(code) {
+    if (!code) return null;
+    const lower = code.toLowerCase();
+    return this.languages.find((lang) => lang.toLowerCase() === lower) ||
+      this.languages.find((lang) => lang.toLowerCase() === lower.split('-')[0]) ||
+      null;
+  }
+
+  /**
+   * Check if a language is written right-to-left
+   * @param {string} code - Language code
+   * @returns {boolean}
+   */
+  _isRtlLanguage(code) {
+    const base = (code || '').toLowerCase().split('-')[0];
+    return ['ar', 'ckb', 'dv', 'fa', 'he', 'ks', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'].includes(base);
+  }
+
+  /**
+   * Pick the text direction: the requested one, or with 'auto' the language's, falling back
+   * to the page's while the dialog shows the page language (or English text replaced through
+   * `content` because there is no translation for it)
+   * @param {string} requested - 'ltr', 'rtl' or 'auto'
+   * @returns {string} 'ltr' or 'rtl'
+   */
+  _resolveDirection(requested) {
+    if (requested === 'ltr' || requested === 'rtl') return requested;
+    if (this._isRtlLanguage(this.language)) return 'rtl';
+
+    const pageLanguage = document.documentElement.lang;
+    const pageMatch = this._matchLanguage(pageLanguage);
+    if (pageLanguage && (pageMatch || this.language !== 'en') && pageMatch !== this.language) return 'ltr';
+
+    const pageDirection = document.documentElement.dir || (document.body && document.body.dir) || '';
+    return pageDirection.toLowerCase() === 'rtl' || this._isRtlLanguage(pageLanguage) ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Normalize the theme option into a mode and the CSS custom properties it sets
+   * @param {string|Object} [theme] - 'dark', 'light' or 'auto', or an object with a `mode` and
+   *   property values keyed by camelCase name (surfacePrimary -> --cc-surface-primary) or `--cc-*`
+   * @returns {Object} { mode, properties }
+   */
+  _normalizeTheme(theme) {
+    const config = typeof theme === 'string' ? { mode: theme } : (theme || {});
+    const mode = ['dark', 'light', 'auto'].includes(config.mode) ? config.mode : 'dark';
+    if (config.mode && config.mode !== mode) {
+      this._log(`Unknown theme mode "${config.mode}", using dark`, null, 'warn');
+    }
+
+    const properties = {};
+    Object.keys(config).forEach((key) => {
+      if (key === 'mode' || config[key] === undefined || config[key] === null) return;
+      const property = key.startsWith('--') ? key : `--cc-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+      properties[property] = String(config[key]);
+    });
+
+    return { mode, properties };
+  }
+
+  /**
+   * Normalize the layout option
+   * @param {string|Object} [layout] - 'modal', 'bar', 'box' or 'inline', or an object with a `type`
+   *   and, for 'inline', the `container` element or selector the preferences panel is rendered into
+   * @returns {Object} { type, container }
+   */
+  _normalizeLayout(layout) {
+    const config = typeof layout === 'string' ? { type: layout } : (layout || {});
+    const type = ['modal', 'bar', 'box', 'inline'].includes(config.type) ? config.type : 'modal';
+    if (config.type && config.type !== type) {
+      this._log(`Unknown layout "${config.type}", using modal`, null, 'warn');
+    }
+
+    return { type, container: config.container || null };
+  }
+
+  /**
+   * Find the inline layout's container, switching to the modal layout when it is missing
+   * @returns {HTMLElement|null} The container, or null for the other layouts
+   */
+  _resolveLayoutContainer() {
+    if (this.layout.type !== 'inline') return null;
+
+    const { container } = this.layout;
+    const element = typeof container === 'string' ? document.querySelector(container) : container;
+    if (element && element.nodeType === Node.ELEMENT_NODE) return element;
+
+    this._log(`Inline layout container ${container || '(none)'} not found, using modal`, null, 'warn');
+    this.layout = { type: 'modal', container: null };
+    return null;
+  }
+
+  /**
+   * Apply the theme class and custom properties to an element, removing a previous theme's
+   * @param {HTMLElement} element - Dialog, overlay, floating button or placeholder
+   * @param {Object} [previous] - Theme applied before, as returned by _normalizeTheme
+   */
+  _applyTheme(element, previous = null) {
+    if (!element) return;
+
+    if (previous) {
+      element.classList.remove(`cc-theme-${previous.mode}`);
+      Object.keys(previous.properties).forEach((property) => element.style.removeProperty(property));
+    }
+
+    element.classList.add(`cc-theme-${this.theme.mode}`);
+    Object.keys(this.theme.properties).forEach((property) => {
+      element.style.setProperty(property, this.theme.properties[property]);
+    });
+  }
+
+  /**
+   * Fill {placeholders} in a translated string
+   * @param {string} template - Text with {name} placeholders
+   * @param {Object} values - Placeholder values keyed by name
+   * @returns {string}
+   */
+  _formatText(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+  }
+
+  /**
+   * Build the category registry from the built-in categories and user config
+   * @param {Object} userCategories - Category definitions keyed by name
+   * @returns {Object} Normalized category definitions keyed by name
+   */
+  _buildCategoryRegistry(userCategories) {
+    const defaults = {
+      necessary: { required: true, default: true },
+      functional: { required: false, default: false },
+      preferences: { required: false, default: false },
+      analytics: {
+        required: false,
+        default: false,
+        cookies: [
+          { name: '_ga', provider: 'Google Analytics', purpose: 'Distinguishes visitors', duration: '2 years' },
+          { name: '_ga_*', provider: 'Google Analytics', purpose: 'Keeps session state', duration: '2 years' },
+          { name: '_gid', provider: 'Google Analytics', purpose: 'Distinguishes visitors', duration: '24 hours' },
+          { name: '_gat*', provider: 'Google Analytics', purpose: 'Limits the request rate', duration: '1 minute' }
+        ]
+      },
+      marketing: {
+        required: false,
+        default: false,
+        cookies: [
+          { name: '_fbp', provider: 'Meta', purpose: 'Delivers and measures ads', duration: '3 months' },
+          { name: '_fbc', provider: 'Meta', purpose: 'Stores the last ad click', duration: '3 months' },
+          { name: '_gcl_*', provider: 'Google Ads', purpose: 'Measures ad conversions', duration: '3 months' }
+        ]
+      }
+    };
+
+    const merged = this._mergeDeep(defaults, userCategories);
+    const registry = {};
+
+    Object.keys(merged).forEach((name) => {
+      const def = merged[name] || {};
+      const required = def.required === true;
+      registry[name] = {
+        label: def.label || null,
+        description: def.description || null,
+        required: required,
+        default: required || def.default === true,
+        cookies: def.cookies || [],
+        storageKeys: def.storageKeys || [],
+        vendors: (def.vendors || []).map((vendor) => ({
+          id: vendor.id,
+          name: vendor.name || vendor.id,
+          description: vendor.description || null,
+          policyUrl: vendor.policyUrl || null
+        }))
+      };
+    });
+
+    return registry;
+  }
+
+  /**
+   * Derive a display label from a category name (e.g. social_media -> Social media)
+   * @param {string} name - Category name
+   * @returns {string} Display label
+   */
+  _formatCategoryLabel(name) {
+    const words = name.replace(/[_-]+/g, ' ').trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  /**
+   * Get all registered category names in display order
+   * @returns {string[]}
+   */
+  _getCategoryNames() {
+    return Object.keys(this.categoryDefinitions);
+  }
+
+  /**
+   * Get the names of categories the user can toggle
+   * @returns {string[]}
+   */
+  _getOptionalCategories() {
+    return this._getCategoryNames().filter((name) => !this.categoryDefinitions[name].required);
+  }
+
+  /**
+   * Check if a category is always enabled
+   * @param {string} category - Category name
+   * @returns {boolean}
+   */
+  _isRequiredCategory(category) {
+    const def = this.categoryDefinitions[category];
+    return def ? def.required : false;
+  }
+
+  /**
+   * Get the label for a category (definition, then content config, then a formatted name)
+   * @param {string} category - Category name
+   * @returns {string}
+   */
+  _getCategoryLabel(category) {
+    const def = this.categoryDefinitions[category];
+    return (def && def.label) || this.content.categoryLabels[category] || this._formatCategoryLabel(category);
+  }
+
+  /**
+   * Get the description for a category (definition first, then content config)
+   * @param {string} category - Category name
+   * @returns {string}
+   */
+  _getCategoryDescription(category) {
+    const def = this.categoryDefinitions[category];
+    return (def && def.description) || this.content.categories[category] || '';
+  }
+
+  /**
+   * Get category states before any consent decision
+   * @returns {Object} Category states keyed by name
+   */
+  _getDefaultCategoryStates() {
+    const states = {};
+    this._getCategoryNames().forEach((name) => {
+      states[name] = this._isRequiredCategory(name) ||
+        (this.categoryDefinitions[name].default && !this._isDeniedBySignal(name));
+    });
+    return states;
+  }
+
+  /**
+   * Set every optional category to the same state
+   * @param {boolean} allowed - State for optional categories
+   * @returns {Object} Category states keyed by name
+   */
+  _getAllCategoryStates(allowed) {
+    const states = {};
+    this._getCategoryNames().forEach((name) => {
+      states[name] = this._isRequiredCategory(name) || (allowed && !this._isDeniedBySignal(name));
+    });
+    return states;
+  }
+
+  /**
+   * Build category states from a stored consent object (unknown keys are dropped)
+   * @param {Object} consent - Stored consent
+   * @returns {Object} Category states keyed by name
+   */
+  _getCategoryStatesFromConsent(consent) {
+    const states = {};
+    this._getCategoryNames().forEach((name) => {
+      states[name] = this._isRequiredCategory(name) ||
+        (consent[name] === true && !this._isDeniedBySignal(name));
+    });
+    return states;
+  }
+
+  /**
+   * Get the IDs of every declared vendor
+   * @returns {string[]}
+   */
+  _getVendorIds() {
+    return this._getCategoryNames().flatMap((name) => this.categoryDefinitions[name].vendors.map((vendor) => vendor.id));
+  }
+
+  /**
+   * Get the category that declares a vendor
+   * @param {string} vendor - Vendor ID
+   * @returns {string|null} Category name, or null when no category declares the vendor
+   */
+  _getVendorCategory(vendor) {
+    return this._getCategoryNames().find((name) =>
+      this.categoryDefinitions[name].vendors.some((v) => v.id === vendor)) || null;
+  }
+
+  /**
+   * Build vendor choices from a stored consent object (unknown vendors are dropped)
+   * @param {Object} consent - Stored consent
+   * @returns {Object} Vendor choices keyed by vendor ID
+   */
+  _getVendorStatesFromConsent(consent) {
+    const stored = (consent && consent.vendors) || {};
+    const states = {};
+    this._getVendorIds().forEach((id) => {
+      if (typeof stored[id] === 'boolean') states[id] = stored[id];
+    });
+    return states;
+  }
+
+  /**
+   * Detect a browser privacy signal the site has chosen to honor
+   * @returns {string|null} 'gpc' (Global Privacy Control), 'dnt' (Do Not Track) or null
+   */
+  _detectPrivacySignal() {
+    if (this.respectGPC && navigator.globalPrivacyControl === true) {
+      return 'gpc';
+    }
+    if (this.respectDoNotTrack && (navigator.doNotTrack === '1' || window.doNotTrack === '1')) {
+      return 'dnt';
+    }
+    return null;
+  }
+
+  /**
+   * Check if a category is denied by the detected privacy signal
+   * @param {string} category - Category name
+   * @returns {boolean}
+   */
+  _isDeniedBySignal(category) {
+    return this.privacySignal !== null &&
+      this.privacySignalCategories.includes(category) &&
+      !this._isRequiredCategory(category);
+  }
+
+  /**
+   * Check if a stored consent allows a category the detected privacy signal denies
+   * @param {Object} consent - Stored consent
+   * @returns {boolean}
+   */
+  _isOverriddenBySignal(consent) {
+    return this._getOptionalCategories().some((category) => {
+      return consent[category] === true && this._isDeniedBySignal(category);
+    });
+  }
+
   /**
    * Generate a UUID v4 for consent tracking
    * @returns {string} UUID v4 string
@@ -241,39 +794,294 @@ class CookieConsent {
   }
 
   /**
-   * Set a cookie with specified options
-   * @param {string} name - Cookie name
-   * @param {string} value - Cookie value
-   * @param {Object} options - Cookie options
+   * Get the Web Crypto key for protected storage (imported once)
+   * @returns {Promise<CryptoKey>} HMAC-SHA256 key, or AES-256-GCM key derived from the secret
    */
-  _setCookie(name, value, options = {}) {
-    const opts = { ...this.cookieOptions, ...options };
-    let cookieString = `${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
-
-    if (opts.expires) {
-      const date = new Date();
-      date.setTime(date.getTime() + (opts.expires * 24 * 60 * 60 * 1000));
-      cookieString += `; expires=${date.toUTCString()}`;
-    }
-
-    if (opts.path) {
-      cookieString += `; path=${opts.path}`;
-    }
-
-    if (opts.domain) {
-      cookieString += `; domain=${opts.domain}`;
-    }
-
-    if (opts.sameSite) {
-      cookieString += `; SameSite=${opts.sameSite}`;
+  _getStorageCryptoKey() {
+    if (!this.storageCryptoKey) {
+      const secret = new TextEncoder().encode(this.storageProtection.secret);
+      this.storageCryptoKey = this.storageProtection.method === 'aes-gcm'
+        ? crypto.subtle.digest('SHA-256', secret)
+          .then((hash) => crypto.subtle.importKey('raw', hash, 'AES-GCM', false, ['encrypt', 'decrypt']))
+        : crypto.subtle.importKey('raw', secret, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
     }
+    return this.storageCryptoKey;
+  }
 
-    if (opts.secure) {
-      cookieString += '; Secure';
+  /**
+   * Sign or encrypt data for protected storage
+   * ('cc1.hmac.<base64 data>.<hex signature>' or 'cc1.aes.<base64 iv>.<base64 ciphertext>')
+   * @param {Object} data - Data to protect
+   * @returns {Promise<string>} Protected value
+   */
+  async _sealData(data) {
+    const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+    const key = await this._getStorageCryptoKey();
+
+    if (this.storageProtection.method === 'aes-gcm') {
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+      return `cc1.aes.${toBase64(iv)}.${toBase64(new Uint8Array(ciphertext))}`;
     }
 
-    document.cookie = cookieString;
-    this._log(`Cookie set: ${name}`, { value: value.substring(0, 50) + '...' });
+    const payload = toBase64(bytes);
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+    const hex = Array.from(new Uint8Array(signature), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    return `cc1.hmac.${payload}.${hex}`;
+  }
+
+  /**
+   * Verify and read a protected value
+   * @param {string} value - Stored value
+   * @returns {Promise<Object|null>} Data, or null if the value was edited or is malformed
+   */
+  async _openData(value) {
+    const fromBase64 = (str) => Uint8Array.from(atob(str), (char) => char.charCodeAt(0));
+    const [version, method, first, second, ...rest] = value.split('.');
+    if (version !== 'cc1' || !first || !second || rest.length > 0) return null;
+
+    try {
+      const key = await this._getStorageCryptoKey();
+      let bytes = null;
+
+      if (method === 'hmac' && this.storageProtection.method === 'hmac') {
+        if (!/^(?:[0-9a-f]{2})+$/.test(second)) return null;
+        const signature = new Uint8Array(second.match(/../g).map((hex) => parseInt(hex, 16)));
+        const valid = await crypto.subtle.verify('HMAC', key, signature, new TextEncoder().encode(first));
+        if (valid) bytes = fromBase64(first);
+      } else if (method === 'aes' && this.storageProtection.method === 'aes-gcm') {
+        bytes = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(first) }, key, fromBase64(second));
+      }
+
+      return bytes ? JSON.parse(new TextDecoder().decode(bytes)) : null;
+    } catch (e) {
+      // Bad Base64 or JSON, or a ciphertext that fails authentication
+      return null;
+    }
+  }
+
+  /**
+   * Read deferred storage before consent is used; protected values are checked
+   * (edited values are discarded, accepted legacy values are rewritten in the protected format)
+   * @returns {Promise<void>}
+   */
+  async _verifyStoredConsent() {
+    if (!this.storageDeferred) return;
+
+    await this.storageWrite;
+    const revision = this.storageRevision;
+    const stored = await this._readStoredValueAsync();
+    let consent = null;
+
+    if (stored && !this.storageProtection) {
+      consent = this._decodeData(stored);
+    } else if (stored && stored.startsWith('cc1.')) {
+      consent = await this._openData(stored);
+      if (!consent) this._log('Stored consent failed verification and was discarded', null, 'error');
+    } else if (stored && this.storageProtection.acceptLegacy) {
+      consent = this._decodeData(stored);
+      if (consent && revision === this.storageRevision) {
+        this._log('Upgrading stored consent to ' + this.storageProtection.method);
+        this._writeConsent(consent);
+        return;
+      }
+    } else if (stored) {
+      this._log('Unprotected stored consent was discarded', null, 'warn');
+    }
+
+    // Consent saved or cleared while verifying is newer than what was read
+    if (revision !== this.storageRevision) return;
+
+    if (stored && !consent) {
+      this._clearStorage();
+    }
+    this.cachedConsent = consent;
+  }
+
+  /**
+   * Create the storage drivers that are available, in fallback order
+   * @param {string|Object|Array} methods - Driver name or object, or a list of them
+   * @returns {Array<Object>} Available drivers (memory when none is)
+   */
+  _createStorageDrivers(methods) {
+    const drivers = (Array.isArray(methods) ? methods : [methods])
+      .map((method) => (typeof method === 'string' ? this._createStorageDriver(method) : method))
+      .filter((driver) => driver.isAvailable());
+
+    if (drivers.length === 0) {
+      console.warn('Cookie consent: No storage available, consent will last until the page is reloaded');
+      return [this._createStorageDriver('memory')];
+    }
+    return drivers;
+  }
+
+  /**
+   * Create a built-in storage driver
+   * @param {string} method - 'localStorage' | 'sessionStorage' | 'cookie' | 'indexedDB' | 'memory' | 'remote'
+   * @returns {Object} Driver with name, async, isAvailable(), get(key), set(key, value) and remove(key)
+   */
+  _createStorageDriver(method) {
+    const probe = '__cc_probe__';
+
+    switch (method) {
+      case 'cookie':
+        return {
+          name: 'cookie',
+          async: false,
+          isAvailable: () => {
+            if (navigator.cookieEnabled === false) return false;
+            try {
+              this._setCookie(probe, '1');
+              const stored = this._getCookie(probe) === '1';
+              this._deleteCookie(probe);
+              return stored;
+            } catch (e) {
+              return false;
+            }
+          },
+          get: (key) => this._getCookie(key),
+          set: (key, value) => {
+            this._setCookie(key, value);
+            // Blocked or oversized cookies are dropped silently
+            if (this._getCookie(key) !== value) throw new Error(`Cookie "${key}" was not stored`);
+          },
+          remove: (key) => this._deleteCookie(key)
+        };
+
+      case 'indexedDB':
+        return this._createIndexedDBDriver();
+
+      case 'memory': {
+        const values = new Map();
+        return {
+          name: 'memory',
+          async: false,
+          isAvailable: () => true,
+          get: (key) => values.get(key) ?? null,
+          set: (key, value) => values.set(key, value),
+          remove: (key) => values.delete(key)
+        };
+      }
+
+      case 'remote': {
+        if (!this.remoteStorage) throw new Error('Cookie consent: The remote storage driver needs a remoteStorage fetcher');
+        const fetcher = this.remoteStorage;
+        return {
+          name: 'remote',
+          async: true,
+          isAvailable: () => true,
+          get: async (key) => {
+            const value = await fetcher({ action: 'get', key });
+            return typeof value === 'string' ? value : null;
+          },
+          set: async (key, value) => {
+            await fetcher({ action: 'set', key, value });
+          },
+          remove: async (key) => {
+            await fetcher({ action: 'remove', key });
+          }
+        };
+      }
+
+      default: {
+        const name = method === 'sessionStorage' ? 'sessionStorage' : 'localStorage';
+        return {
+          name,
+          async: false,
+          isAvailable: () => {
+            try {
+              window[name].setItem(probe, probe);
+              window[name].removeItem(probe);
+              return true;
+            } catch (e) {
+              return false;
+            }
+          },
+          get: (key) => window[name].getItem(key),
+          set: (key, value) => window[name].setItem(key, value),
+          remove: (key) => window[name].removeItem(key)
+        };
+      }
+    }
+  }
+
+  /**
+   * Create the IndexedDB storage driver (values live in the 'consent' store of a 'cconsent' database)
+   * @returns {Object} Async driver
+   */
+  _createIndexedDBDriver() {
+    const promisify = (request) => new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    let db = null;
+
+    const run = async (mode, action) => {
+      if (!db) {
+        const request = indexedDB.open('cconsent', 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('consent');
+        db = promisify(request);
+        // Let a later call retry if opening failed (e.g. private browsing)
+        db.catch(() => {
+          db = null;
+        });
+      }
+      const store = (await db).transaction('consent', mode).objectStore('consent');
+      return promisify(action(store));
+    };
+
+    return {
+      name: 'indexedDB',
+      async: true,
+      isAvailable: () => typeof indexedDB !== 'undefined',
+      get: async (key) => {
+        const value = await run('readonly', (store) => store.get(key));
+        return typeof value === 'string' ? value : null;
+      },
+      set: async (key, value) => {
+        await run('readwrite', (store) => store.put(value, key));
+      },
+      remove: async (key) => {
+        await run('readwrite', (store) => store.delete(key));
+      }
+    };
+  }
+
+  /**
+   * Set a cookie with specified options
+   * @param {string} name - Cookie name
+   * @param {string} value - Cookie value
+   * @param {Object} options - Cookie options
+   */
+  _setCookie(name, value, options = {}) {
+    const opts = { ...this.cookieOptions, ...options };
+    let cookieString = `${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
+
+    if (opts.expires) {
+      const date = new Date();
+      date.setTime(date.getTime() + (opts.expires * 24 * 60 * 60 * 1000));
+      cookieString += `; expires=${date.toUTCString()}`;
+    }
+
+    if (opts.path) {
+      cookieString += `; path=${opts.path}`;
+    }
+
+    if (opts.domain) {
+      cookieString += `; domain=${opts.domain}`;
+    }
+
+    if (opts.sameSite) {
+      cookieString += `; SameSite=${opts.sameSite}`;
+    }
+
+    if (opts.secure) {
+      cookieString += '; Secure';
+    }
+
+    document.cookie = cookieString;
+    this._log(`Cookie set: ${name}`, { value: value.substring(0, 50) + '...' });
   }
 
   /**
@@ -305,6 +1113,117 @@ class CookieConsent {
     this._log(`Cookie deleted: ${name}`);
   }
 
+  /**
+   * Check if a cookie or storage key name matches any pattern
+   * @param {string} name - Cookie or key name
+   * @param {Array<string|RegExp|Object>} patterns - Names ('*' matches any characters), regular expressions or declarations
+   * @returns {boolean}
+   */
+  _matchesNamePattern(name, patterns) {
+    return patterns.some((entry) => {
+      const pattern = typeof entry === 'string' || entry instanceof RegExp ? entry : entry.name;
+      if (pattern instanceof RegExp) return pattern.test(name);
+      const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      return new RegExp(`^${source}$`).test(name);
+    });
+  }
+
+  /**
+   * Get the domains revoked cookies are deleted on (null is this host without a domain attribute)
+   * @returns {Array<string|null>}
+   */
+  _getCleanupDomains() {
+    if (this.cookieCleanup.domains) return [null, ...this.cookieCleanup.domains];
+
+    // www.shop.example.com -> shop.example.com, example.com (IP addresses have no parent domains)
+    const host = window.location.hostname;
+    const domains = [null];
+    if (/^[\d.]+$/.test(host) || host.includes(':')) return domains;
+
+    const labels = host.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      domains.push(labels.slice(i).join('.'));
+    }
+    return domains;
+  }
+
+  /**
+   * Get the names of the cookies visible to this page (names that aren't valid
+   * URI encoding are returned as they are)
+   * @returns {string[]}
+   */
+  _getCookieNames() {
+    return document.cookie
+      .split(';')
+      .map((cookie) => cookie.trim().split('=')[0])
+      .filter(Boolean)
+      .map((name) => {
+        try {
+          return decodeURIComponent(name);
+        } catch (e) {
+          return name;
+        }
+      });
+  }
+
+  /**
+   * Delete the cookies and localStorage keys of categories that were allowed before a decision
+   * @param {Object} previous - Category states before the decision
+   */
+  _cleanupRevokedCategories(previous) {
+    if (!this.cookieCleanup.enabled) return;
+
+    this._getCategoryNames().forEach((category) => {
+      if (previous[category] && !this.categories[category]) {
+        this._removeCategoryData(category);
+      }
+    });
+
+    // Keep the debug badge list short
+    this.removedItems = this.removedItems.slice(-20);
+  }
+
+  /**
+   * Delete a revoked category's cookies (on every cleanup domain and path) and localStorage keys
+   * @param {string} category - Category name
+   */
+  _removeCategoryData(category) {
+    const { cookies, storageKeys } = this.categoryDefinitions[category];
+    const removed = [];
+
+    if (cookies.length > 0) {
+      this._getCookieNames()
+        .filter((name) => name !== this.storageKey && this._matchesNamePattern(name, cookies))
+        .forEach((name) => {
+          this._getCleanupDomains().forEach((domain) => {
+            this.cookieCleanup.paths.forEach((path) => this._deleteCookie(name, { domain, path }));
+          });
+
+          if (this._getCookieNames().includes(name)) {
+            this._log(`Cookie ${name} could not be deleted (set on a domain or path missing from cookieCleanup?)`, null, 'warn');
+          } else {
+            removed.push({ type: 'cookie', name, category });
+          }
+        });
+    }
+
+    if (storageKeys.length > 0) {
+      try {
+        Object.keys(localStorage)
+          .filter((key) => key !== this.storageKey && this._matchesNamePattern(key, storageKeys))
+          .forEach((key) => {
+            localStorage.removeItem(key);
+            removed.push({ type: 'localStorage', name: key, category });
+          });
+      } catch (e) {
+        this._log('Unable to clear localStorage keys', e, 'warn');
+      }
+    }
+
+    this.removedItems.push(...removed);
+    this._log(`Revoked category cleared: ${category}`, removed);
+  }
+
   /**
    * Migrate consent from localStorage to cookies (or vice versa)
    */
@@ -315,10 +1234,12 @@ class CookieConsent {
         const localData = localStorage.getItem(this.storageKey);
         if (localData && !this._getCookie(this.storageKey)) {
           this._log('Migrating consent from localStorage to cookies');
-          const consent = this._decodeData(localData);
-          if (consent) {
+          // Protected values are moved as they are and checked on init
+          const isProtected = localData.startsWith('cc1.');
+          const consent = isProtected ? null : this._decodeData(localData);
+          if (isProtected || consent) {
             // Save to cookie
-            this._setCookie(this.storageKey, this._encodeData(consent));
+            this._setCookie(this.storageKey, isProtected ? localData : this._encodeData(consent));
             // Remove from localStorage
             localStorage.removeItem(this.storageKey);
             this._log('Migration complete', null, 'success');
@@ -379,11 +1300,15 @@ class CookieConsent {
   }
 
   /**
-   * Determine if an element should be allowed based on its category attribute
+   * Determine if an element should be allowed based on its category and vendor attributes
    * @param {string} categoryAttr - The data-cookie-category attribute value
+   * @param {string|null} vendor - The data-cookie-vendor attribute value
    * @returns {boolean} Whether the element should be allowed
    */
-  _shouldAllowElement(categoryAttr) {
+  _shouldAllowElement(categoryAttr, vendor = null) {
+    // Both the category and the vendor must be allowed
+    if (vendor && !this.isVendorAllowed(vendor)) return false;
+
     const { required, excluded } = this._parseCategories(categoryAttr);
 
     // Check exclusions first (if any excluded category is allowed, block)
@@ -417,6 +1342,7 @@ class CookieConsent {
       const managedScript = {
         element: script,
         category: category,
+        vendor: script.getAttribute('data-cookie-vendor'),
         originalSrc: originalSrc,
         inlineContent: inlineContent,
         blocked: false,
@@ -447,6 +1373,7 @@ class CookieConsent {
       const managedIframe = {
         element: iframe,
         category: category,
+        vendor: iframe.getAttribute('data-cookie-vendor'),
         originalSrc: originalSrc,
         blocked: false,
         placeholder: null
@@ -471,6 +1398,11 @@ class CookieConsent {
         mutation.addedNodes.forEach((node) => {
           if (node.nodeType !== Node.ELEMENT_NODE) return;
 
+          // Parsed markup that skipped the insertion hooks
+          if (this.autoBlockDomains) {
+            this._holdBackTree(node);
+          }
+
           // Check if the added node itself is a script or iframe
           if (node.nodeName === 'SCRIPT' && node.hasAttribute('data-cookie-category')) {
             this._processNewScript(node);
@@ -478,6 +1410,9 @@ class CookieConsent {
           if (node.nodeName === 'IFRAME' && node.hasAttribute('data-cookie-category')) {
             this._processNewIframe(node);
           }
+          if (this.scannerConfig) {
+            this._inspectUntaggedElement(node);
+          }
 
           // Check children of added nodes
           if (node.querySelectorAll) {
@@ -486,12 +1421,17 @@ class CookieConsent {
 
             const iframes = node.querySelectorAll('iframe[data-cookie-category]');
             iframes.forEach((iframe) => this._processNewIframe(iframe));
+
+            if (this.scannerConfig) {
+              node.querySelectorAll('script[src], iframe[src]').forEach((el) => this._inspectUntaggedElement(el));
+            }
           }
         });
       });
     });
 
-    this.scriptObserver.observe(document.body, {
+    // The whole document, so loaders that insert into <head> are seen too
+    this.scriptObserver.observe(document.documentElement, {
       childList: true,
       subtree: true
     });
@@ -500,113 +1440,509 @@ class CookieConsent {
   }
 
   /**
-   * Process a dynamically added script
-   * @param {HTMLScriptElement} script - The script element
+   * Get the bundled database of common trackers
+   * @returns {Array<Object>} Trackers ({ name, category, hosts, cookies, storageKeys })
    */
-  _processNewScript(script) {
-    // Skip already processed scripts
-    if (script.hasAttribute('data-cconsent-loaded')) return;
-
-    const category = script.getAttribute('data-cookie-category');
-    const originalSrc = script.getAttribute('src') || null;
-    const inlineContent = script.textContent || null;
-
-    const managedScript = {
-      element: script,
-      category: category,
-      originalSrc: originalSrc,
-      inlineContent: inlineContent,
-      blocked: false,
-      executed: false
-    };
+  _getKnownTrackers() {
+    return [
+      {
+        name: 'Google Analytics',
+        category: 'analytics',
+        hosts: ['google-analytics.com', 'analytics.google.com', 'googletagmanager.com/gtag/'],
+        cookies: ['_ga', '_ga_*', '_gid', '_gat*']
+      },
+      {
+        name: 'Google Tag Manager',
+        category: 'analytics',
+        hosts: ['googletagmanager.com']
+      },
+      {
+        name: 'Google Ads',
+        category: 'marketing',
+        hosts: ['googleadservices.com', 'googlesyndication.com', 'doubleclick.net'],
+        cookies: ['_gcl_*', 'IDE', 'test_cookie']
+      },
+      {
+        name: 'Meta Pixel',
+        category: 'marketing',
+        hosts: ['connect.facebook.net', 'facebook.com/tr'],
+        cookies: ['_fbp', '_fbc']
+      },
+      {
+        name: 'Hotjar',
+        category: 'analytics',
+        hosts: ['hotjar.com', 'hotjar.io'],
+        cookies: ['_hj*'],
+        storageKeys: ['_hj*']
+      },
+      {
+        name: 'Microsoft Clarity',
+        category: 'analytics',
+        hosts: ['clarity.ms'],
+        cookies: ['_clck', '_clsk']
+      },
+      {
+        name: 'Matomo',
+        category: 'analytics',
+        hosts: ['matomo.cloud'],
+        cookies: ['_pk_id*', '_pk_ses*']
+      },
+      {
+        name: 'Segment',
+        category: 'analytics',
+        hosts: ['cdn.segment.com'],
+        cookies: ['ajs_anonymous_id', 'ajs_user_id'],
+        storageKeys: ['ajs_*']
+      },
+      {
+        name: 'Mixpanel',
+        category: 'analytics',
+        hosts: ['mxpnl.com', 'mixpanel.com'],
+        cookies: ['mp_*']
+      },
+      {
+        name: 'Amplitude',
+        category: 'analytics',
+        hosts: ['amplitude.com'],
+        cookies: ['AMP_*'],
+        storageKeys: ['AMP_*', 'amplitude_*']
+      },
+      {
+        name: 'LinkedIn Insight Tag',
+        category: 'marketing',
+        hosts: ['snap.licdn.com', 'px.ads.linkedin.com'],
+        cookies: ['li_fat_id', 'li_sugr', 'bcookie', 'lidc']
+      },
+      {
+        name: 'TikTok Pixel',
+        category: 'marketing',
+        hosts: ['analytics.tiktok.com'],
+        cookies: ['_ttp']
+      },
+      {
+        name: 'X (Twitter) Pixel',
+        category: 'marketing',
+        hosts: ['static.ads-twitter.com', 'ads-api.twitter.com'],
+        cookies: ['muc_ads', 'personalization_id']
+      },
+      {
+        name: 'Pinterest Tag',
+        category: 'marketing',
+        hosts: ['s.pinimg.com', 'ct.pinterest.com'],
+        cookies: ['_pin_unauth', '_pinterest_*']
+      },
+      {
+        name: 'HubSpot',
+        category: 'marketing',
+        hosts: ['js.hs-scripts.com', 'js.hs-analytics.net', 'js.hsadspixel.net', 'js.hs-banner.com'],
+        cookies: ['__hstc', '__hssc', '__hssrc', 'hubspotutk']
+      },
+      {
+        name: 'YouTube',
+        category: 'marketing',
+        hosts: ['youtube.com', 'youtu.be'],
+        cookies: ['VISITOR_INFO1_LIVE', 'YSC']
+      },
+      {
+        name: 'YouTube (privacy-enhanced mode)',
+        category: 'functional',
+        hosts: ['youtube-nocookie.com']
+      },
+      {
+        name: 'Vimeo',
+        category: 'functional',
+        hosts: ['player.vimeo.com'],
+        cookies: ['vuid']
+      },
+      {
+        name: 'Google Maps',
+        category: 'functional',
+        hosts: ['maps.googleapis.com', 'google.com/maps']
+      },
+      {
+        name: 'Intercom',
+        category: 'functional',
+        hosts: ['widget.intercom.io', 'js.intercomcdn.com'],
+        cookies: ['intercom-*']
+      }
+    ];
+  }
 
-    this.managedScripts.push(managedScript);
-    this._log(`Dynamic script detected: ${originalSrc || '[inline]'} (category: ${category})`);
+  /**
+   * Start the tracker scanner: check the document now, then poll cookies and localStorage
+   */
+  _initTrackerScanner() {
+    if (!this.scannerConfig || this.scannerTimer) return;
 
-    // Evaluate immediately
-    const isAllowed = this._shouldAllowElement(category);
-    if (isAllowed) {
-      this._allowScript(managedScript);
-    } else {
-      this._blockScript(managedScript);
-    }
+    document.querySelectorAll('script[src], iframe[src]').forEach((el) => this._inspectUntaggedElement(el));
+    this._pollTrackerStorage();
+    this.scannerTimer = setInterval(() => this._pollTrackerStorage(), this.scannerConfig.interval);
 
-    this._updateDebugBadge();
+    this._log('Tracker scanner started', this.trackerReport);
   }
 
   /**
-   * Process a dynamically added iframe
-   * @param {HTMLIFrameElement} iframe - The iframe element
+   * Report an untagged third-party script or iframe (inline and same-host elements are skipped)
+   * @param {Element} el - The element to check
    */
-  _processNewIframe(iframe) {
-    // Skip already processed iframes
-    if (iframe.hasAttribute('data-cconsent-processed')) return;
-
-    const category = iframe.getAttribute('data-cookie-category');
-    const originalSrc = iframe.getAttribute('data-src') || iframe.getAttribute('src') || null;
-
-    const managedIframe = {
-      element: iframe,
-      category: category,
-      originalSrc: originalSrc,
-      blocked: false,
-      placeholder: null
-    };
+  _inspectUntaggedElement(el) {
+    if (el.hasAttribute('data-cookie-category')) return;
 
-    this.managedIframes.push(managedIframe);
-    iframe.setAttribute('data-cconsent-processed', 'true');
-    this._log(`Dynamic iframe detected: ${originalSrc || '[no src]'} (category: ${category})`);
+    const type = el.nodeName === 'SCRIPT' ? 'script' : (el.nodeName === 'IFRAME' ? 'iframe' : null);
+    const src = el.getAttribute('src');
+    if (!type || !src) return;
 
-    // Evaluate immediately
-    const isAllowed = this._shouldAllowElement(category);
-    if (isAllowed) {
-      this._allowIframe(managedIframe);
-    } else {
-      this._blockIframe(managedIframe);
+    let url;
+    try {
+      url = new URL(src, window.location.href);
+    } catch (e) {
+      return;
     }
 
-    this._updateDebugBadge();
+    if (!url.protocol.startsWith('http') || url.hostname === window.location.hostname) return;
+    this._recordTrackerItem(type, url.href);
   }
 
   /**
-   * Evaluate all managed scripts and iframes based on current consent
+   * Report cookies and localStorage keys not seen before
    */
-  _evaluateScripts() {
-    this.managedScripts.forEach((script) => {
-      const isAllowed = this._shouldAllowElement(script.category);
+  _pollTrackerStorage() {
+    this._getCookieNames().forEach((name) => this._recordTrackerItem('cookie', name));
 
-      if (isAllowed && !script.executed) {
-        this._allowScript(script);
-      } else if (!isAllowed && !script.blocked) {
-        this._blockScript(script);
-      }
-    });
+    try {
+      Object.keys(localStorage).forEach((key) => this._recordTrackerItem('localStorage', key));
+    } catch (e) {
+      // localStorage unavailable
+    }
+  }
 
-    this._evaluateIframes();
-    this._updateDebugBadge();
+  /**
+   * Find the tracker a script or iframe URL, cookie or localStorage key belongs to
+   * @param {string} type - 'script' | 'iframe' | 'cookie' | 'localStorage'
+   * @param {string} name - URL, cookie name or key
+   * @returns {Object|null} Matching tracker (custom trackers are checked first)
+   */
+  _findTracker(type, name) {
+    const trackers = [...this.scannerConfig.trackers, ...this._getKnownTrackers()];
+
+    if (type === 'cookie' || type === 'localStorage') {
+      return trackers.find((tracker) => {
+        const patterns = (type === 'cookie' ? tracker.cookies : tracker.storageKeys) || [];
+        return this._matchesNamePattern(name, patterns);
+      }) || null;
+    }
+
+    const url = new URL(name, window.location.href);
+    return trackers.find((tracker) => tracker.hosts.some((pattern) => this._matchesHost(url, pattern))) || null;
   }
 
   /**
-   * Evaluate all managed iframes based on current consent
+   * Check if a URL is on a host ('example.com' also matches subdomains) and path prefix
+   * @param {URL} url - Script or iframe URL
+   * @param {string} pattern - Host, optionally followed by a path prefix (e.g. 'googletagmanager.com/gtag/')
+   * @returns {boolean}
    */
-  _evaluateIframes() {
-    this.managedIframes.forEach((iframe) => {
-      const isAllowed = this._shouldAllowElement(iframe.category);
+  _matchesHost(url, pattern) {
+    const slash = pattern.indexOf('/');
+    const domain = slash === -1 ? pattern : pattern.slice(0, slash);
+    const path = slash === -1 ? '' : pattern.slice(slash);
+    const onDomain = url.hostname === domain || url.hostname.endsWith('.' + domain);
+    return onDomain && url.pathname.startsWith(path);
+  }
 
-      if (isAllowed && iframe.blocked) {
-        this._allowIframe(iframe);
-      } else if (!isAllowed && !iframe.blocked) {
-        this._blockIframe(iframe);
-      }
+  /**
+   * Build the auto-blocking table from the bundled trackers and extra hosts
+   * @param {Object} domains - Extra hosts and the category each needs
+   * @returns {Object} Categories keyed by host (extra hosts first, so they are checked first)
+   */
+  _buildAutoBlockDomains(domains) {
+    const table = { ...domains };
+    this._getKnownTrackers().forEach((tracker) => {
+      tracker.hosts.forEach((host) => {
+        if (!(host in table)) table[host] = tracker.category;
+      });
     });
+    return table;
   }
 
   /**
-   * Block a script from executing
-   * @param {Object} script - Managed script object
+   * Get the category auto-blocking requires for a URL
+   * @param {string} src - Script or iframe URL
+   * @returns {string|null} Category, or null when the host isn't listed
    */
-  _blockScript(script) {
-    if (script.originalSrc) {
+  _getAutoBlockCategory(src) {
+    let url;
+    try {
+      url = new URL(src, window.location.href);
+    } catch (e) {
+      return null;
+    }
+
+    const match = Object.keys(this.autoBlockDomains).find((host) => this._matchesHost(url, host));
+    return match ? this.autoBlockDomains[match] : null;
+  }
+
+  /**
+   * Tag an untagged script or iframe from a listed domain before it loads
+   *
+   * Scripts that may run are marked as loaded; others get type="text/plain" so they stay inert.
+   * Iframes always move their src to data-src, and load once they are processed.
+   * @param {HTMLScriptElement|HTMLIFrameElement} element - The element
+   * @param {string} src - The src being given to it
+   * @returns {string|null} The src to apply (null when it must not be set)
+   */
+  _holdBackElement(element, src) {
+    if (element.hasAttribute('data-cookie-category')) return src;
+
+    const category = this._getAutoBlockCategory(src);
+    if (!category) return src;
+
+    element.setAttribute('data-cookie-category', category);
+    element.setAttribute('data-cconsent-auto', 'true');
+    this._log(`Auto-blocking ${element.nodeName.toLowerCase()}: ${src} (${category})`);
+
+    if (element.nodeName === 'IFRAME') {
+      element.setAttribute('data-src', src);
+      element.removeAttribute('src');
+      return null;
+    }
+
+    if (this._shouldAllowElement(category, element.getAttribute('data-cookie-vendor'))) {
+      element.setAttribute('data-cconsent-loaded', 'true');
+    } else {
+      element.setAttribute('type', 'text/plain');
+    }
+    return src;
+  }
+
+  /**
+   * Hold back an element and its descendants (before they are inserted, or once they were parsed)
+   * @param {*} node - Element or fragment (anything else, like text or a string, is skipped)
+   */
+  _holdBackTree(node) {
+    if (!(node instanceof Element) && !(node instanceof DocumentFragment)) return;
+
+    const elements = Array.from(node.querySelectorAll('script[src], iframe[src]'));
+    if (node.nodeType === Node.ELEMENT_NODE && node.matches('script[src], iframe[src]')) {
+      elements.unshift(node);
+    }
+
+    elements.forEach((el) => this._holdBackElement(el, el.getAttribute('src')));
+  }
+
+  /**
+   * Patch document.createElement and the DOM insertion methods so tracker elements that other
+   * scripts add are held back before they load (undone by destroy())
+   *
+   * Iframes in parsed markup are only seen by the observer once they started loading, so
+   * holding them back is best-effort; tag those with data-cookie-category and data-src.
+   */
+  _interceptInsertions() {
+    if (this.restoreInsertions) return;
+
+    const self = this;
+    const createElement = document.createElement;
+    const scriptSrc = Object.getOwnPropertyDescriptor(HTMLScriptElement.prototype, 'src');
+    const iframeSrc = Object.getOwnPropertyDescriptor(HTMLIFrameElement.prototype, 'src');
+
+    document.createElement = function (tagName, options) {
+      const element = createElement.call(this, tagName, options);
+      const descriptor = element instanceof HTMLScriptElement ? scriptSrc
+        : (element instanceof HTMLIFrameElement ? iframeSrc : null);
+      if (!descriptor || !descriptor.set) return element;
+
+      // The src of a script or iframe decides what loads, so check it as it is set
+      Object.defineProperty(element, 'src', {
+        configurable: true,
+        get() {
+          return descriptor.get.call(this);
+        },
+        set(value) {
+          const src = self._holdBackElement(this, String(value));
+          if (src !== null) descriptor.set.call(this, src);
+
+          // Already in the page: the observer won't see it again
+          if (this.isConnected && this.hasAttribute('data-cconsent-auto') && self.scriptObserver) {
+            if (this.nodeName === 'SCRIPT') {
+              self._processNewScript(this);
+            } else {
+              self._processNewIframe(this);
+            }
+          }
+        }
+      });
+      return element;
+    };
+
+    // Each insertion method, with the arguments it inserts (not the reference node of insertBefore)
+    const first = (args) => [args[0]];
+    const all = (args) => args;
+    const methods = [
+      [Node.prototype, 'appendChild', first],
+      [Node.prototype, 'insertBefore', first],
+      [Node.prototype, 'replaceChild', first],
+      [Element.prototype, 'insertAdjacentElement', (args) => [args[1]]]
+    ];
+    [Element.prototype, Document.prototype, DocumentFragment.prototype].forEach((proto) => {
+      methods.push([proto, 'append', all], [proto, 'prepend', all]);
+    });
+    [Element.prototype, CharacterData.prototype].forEach((proto) => {
+      methods.push([proto, 'before', all], [proto, 'after', all], [proto, 'replaceWith', all]);
+    });
+
+    const restorers = methods.map(([proto, name, inserted]) => {
+      const original = proto[name];
+      proto[name] = function (...args) {
+        inserted(args).forEach((node) => self._holdBackTree(node));
+        return original.apply(this, args);
+      };
+      return () => {
+        proto[name] = original;
+      };
+    });
+
+    this.restoreInsertions = () => {
+      document.createElement = createElement;
+      restorers.forEach((restore) => restore());
+    };
+
+    this._log('Auto-blocking enabled for ' + Object.keys(this.autoBlockDomains).length + ' tracker hosts');
+  }
+
+  /**
+   * Add a finding to the tracker report (once per type and name)
+   * @param {string} type - 'script' | 'iframe' | 'cookie' | 'localStorage'
+   * @param {string} name - URL, cookie name or key
+   */
+  _recordTrackerItem(type, name) {
+    const key = type + ':' + name;
+    if (this.trackerSeen.has(key) || name === this.storageKey || name === '__cc_probe__') return;
+    this.trackerSeen.add(key);
+
+    const tracker = this._findTracker(type, name);
+    const item = {
+      type,
+      name,
+      tracker: tracker ? tracker.name : null,
+      suggestedCategory: tracker ? tracker.category : null,
+      firstSeen: new Date().toISOString()
+    };
+
+    this.trackerReport.push(item);
+    this._log(`Scanner found ${type}: ${name} (suggested category: ${item.suggestedCategory || 'unknown'})`, null, tracker ? 'info' : 'warn');
+    this._updateDebugBadge();
+  }
+
+  /**
+   * Process a dynamically added script
+   * @param {HTMLScriptElement} script - The script element
+   */
+  _processNewScript(script) {
+    // Skip already processed scripts
+    if (script.hasAttribute('data-cconsent-loaded')) return;
+
+    const category = script.getAttribute('data-cookie-category');
+    const originalSrc = script.getAttribute('src') || null;
+    const inlineContent = script.textContent || null;
+
+    const managedScript = {
+      element: script,
+      category: category,
+      vendor: script.getAttribute('data-cookie-vendor'),
+      originalSrc: originalSrc,
+      inlineContent: inlineContent,
+      blocked: false,
+      executed: false
+    };
+
+    this.managedScripts.push(managedScript);
+    this._log(`Dynamic script detected: ${originalSrc || '[inline]'} (category: ${category})`);
+
+    // Evaluate immediately
+    const isAllowed = this._shouldAllowElement(category, managedScript.vendor);
+    if (isAllowed) {
+      this._allowScript(managedScript);
+    } else {
+      this._blockScript(managedScript);
+    }
+
+    this._updateDebugBadge();
+  }
+
+  /**
+   * Process a dynamically added iframe
+   * @param {HTMLIFrameElement} iframe - The iframe element
+   */
+  _processNewIframe(iframe) {
+    // Skip already processed iframes
+    if (iframe.hasAttribute('data-cconsent-processed')) return;
+
+    const category = iframe.getAttribute('data-cookie-category');
+    const originalSrc = iframe.getAttribute('data-src') || iframe.getAttribute('src') || null;
+
+    const managedIframe = {
+      element: iframe,
+      category: category,
+      vendor: iframe.getAttribute('data-cookie-vendor'),
+      originalSrc: originalSrc,
+      blocked: false,
+      placeholder: null
+    };
+
+    this.managedIframes.push(managedIframe);
+    iframe.setAttribute('data-cconsent-processed', 'true');
+    this._log(`Dynamic iframe detected: ${originalSrc || '[no src]'} (category: ${category})`);
+
+    // Evaluate immediately
+    const isAllowed = this._shouldAllowElement(category, managedIframe.vendor);
+    if (isAllowed) {
+      this._allowIframe(managedIframe);
+    } else {
+      this._blockIframe(managedIframe);
+    }
+
+    this._updateDebugBadge();
+  }
+
+  /**
+   * Evaluate all managed scripts and iframes based on current consent
+   */
+  _evaluateScripts() {
+    this.managedScripts.forEach((script) => {
+      const isAllowed = this._shouldAllowElement(script.category, script.vendor);
+
+      if (isAllowed && !script.executed) {
+        this._allowScript(script);
+      } else if (!isAllowed && !script.blocked) {
+        this._blockScript(script);
+      }
+    });
+
+    this._evaluateIframes();
+    this._updateDebugBadge();
+  }
+
+  /**
+   * Evaluate all managed iframes based on current consent
+   */
+  _evaluateIframes() {
+    this.managedIframes.forEach((iframe) => {
+      const isAllowed = this._shouldAllowElement(iframe.category, iframe.vendor);
+
+      if (isAllowed && iframe.blocked) {
+        this._allowIframe(iframe);
+      } else if (!isAllowed && !iframe.blocked) {
+        this._blockIframe(iframe);
+      }
+    });
+  }
+
+  /**
+   * Block a script from executing
+   * @param {Object} script - Managed script object
+   */
+  _blockScript(script) {
+    if (script.originalSrc) {
       // Remove src to prevent loading
       script.element.removeAttribute('src');
       // Set type to prevent execution
@@ -620,6 +1956,7 @@ class CookieConsent {
     }
     script.blocked = true;
     this._log(`Script blocked: ${script.originalSrc || '[inline]'} (${script.category})`, null, 'warn');
+    this._emit('script:blocked', this._getElementEventDetail(script));
   }
 
   /**
@@ -630,11 +1967,12 @@ class CookieConsent {
     if (script.executed) return;
 
     if (script.originalSrc) {
-      // Create a new script element to ensure it loads
+      // Create a new script element to ensure it loads (tagged before the src is set,
+      // so auto-blocking leaves it alone)
       const newScript = document.createElement('script');
-      newScript.src = script.originalSrc;
       newScript.setAttribute('data-cookie-category', script.category);
       newScript.setAttribute('data-cconsent-loaded', 'true');
+      newScript.src = script.originalSrc;
 
       // Copy other attributes
       Array.from(script.element.attributes).forEach((attr) => {
@@ -652,6 +1990,9 @@ class CookieConsent {
       newScript.textContent = script.inlineContent;
       newScript.setAttribute('data-cookie-category', script.category);
       newScript.setAttribute('data-cconsent-loaded', 'true');
+      if (script.vendor) {
+        newScript.setAttribute('data-cookie-vendor', script.vendor);
+      }
 
       script.element.parentNode.replaceChild(newScript, script.element);
       script.element = newScript;
@@ -660,6 +2001,7 @@ class CookieConsent {
     script.blocked = false;
     script.executed = true;
     this._log(`Script allowed: ${script.originalSrc || '[inline]'} (${script.category})`, null, 'success');
+    this._emit('script:allowed', this._getElementEventDetail(script));
   }
 
   /**
@@ -710,6 +2052,21 @@ class CookieConsent {
     managed.blocked = false;
 
     this._log(`Iframe allowed: ${managed.originalSrc || '[no src]'} (${managed.category})`, null, 'success');
+    this._emit('iframe:unblocked', this._getElementEventDetail(managed));
+  }
+
+  /**
+   * Describe a managed script or iframe for script and iframe events
+   * @param {Object} managed - Managed script or iframe object
+   * @returns {Object} { element, src, category, vendor } (src is null for inline scripts)
+   */
+  _getElementEventDetail(managed) {
+    return {
+      element: managed.element,
+      src: managed.originalSrc || null,
+      category: managed.category,
+      vendor: managed.vendor || null
+    };
   }
 
   /**
@@ -722,9 +2079,10 @@ class CookieConsent {
     const placeholder = this._createElement('div', {
       className: 'cc-blocked-placeholder'
     });
+    this._applyTheme(placeholder);
 
     // Get display name for category
-    const categoryName = category.charAt(0).toUpperCase() + category.slice(1);
+    const categoryName = this._getCategoryLabel(category);
 
     const content = this._createElement('div', {
       className: 'cc-blocked-placeholder-content'
@@ -737,13 +2095,13 @@ class CookieConsent {
 
     const text = this._createElement('span', {
       className: 'cc-blocked-placeholder-text',
-      textContent: `${categoryName} content is blocked. `
+      textContent: `${this._formatText(this.content.placeholder.blocked, { category: categoryName })} `
     });
 
     const link = this._createElement('a', {
       className: 'cc-blocked-placeholder-link',
       href: '#',
-      textContent: 'Change settings'
+      textContent: this.content.placeholder.changeSettings
     });
 
     link.addEventListener('click', (e) => {
@@ -807,8 +2165,11 @@ class CookieConsent {
       timestamp: new Date().toISOString(),
       storageKey: this.storageKey,
       storageMethod: this.storageMethod,
-      encryption: this.encryption,
+      encryption: this.storageProtection ? this.storageProtection.method : !!this.encryption,
       consentId: this.consentId,
+      privacySignal: this.privacySignal,
+      removed: [...this.removedItems],
+      trackerReport: this.scannerConfig ? this.trackerReport.map((item) => ({ ...item })) : null,
       debugEnabled: this.debug
     };
   }
@@ -848,12 +2209,53 @@ class CookieConsent {
    * Shows the dialog if no consent has been given
    */
   async init() {
+    await this._initialize();
+    this._emit('init', { consent: this.getConsent(), dialogNeeded: this.dialogNeeded });
+  }
+
+  /**
+   * Run the initialization steps (init() announces the outcome with the 'init' event)
+   */
+  async _initialize() {
     this._log('Initializing cookie consent...');
     this._log('Storage method: ' + this.storageMethod);
 
+    // Hold back tracker scripts other scripts add from now on (before anything is awaited)
+    if (this.autoBlockDomains) {
+      this._interceptInsertions();
+    }
+
     // Migrate storage if needed (localStorage -> cookies)
     this._migrateStorage();
 
+    // Check a signed or encrypted consent before anything reads it
+    await this._verifyStoredConsent();
+
+    // Retry consent receipts that could not be delivered on a previous visit
+    this._flushReceiptQueue();
+
+    // Honor GPC / Do Not Track before any category state is built
+    this.privacySignal = this._detectPrivacySignal();
+    if (this.privacySignal) {
+      this.categories = this._getDefaultCategoryStates();
+      this._log('Privacy signal detected: ' + this.privacySignal, this.privacySignalCategories, 'warn');
+    }
+
+    // Adopt a newer decision made on another synced domain before reading consent
+    await this._initSync();
+
+    // Reconcile with the signed-in user's account if identify() was called before init
+    if (this.account) {
+      await this._syncAccount(false);
+    }
+    this.initialized = true;
+
+    // Later decisions are compared with the one in effect now (expired and outdated ones aren't)
+    this.appliedConsent = this.getConsent();
+
+    // Follow decisions made in other tabs
+    this._initTabSync();
+
     // Geo detection (if enabled)
     if (this.geoConfig.enabled) {
       await this._detectRegion();
@@ -862,20 +2264,18 @@ class CookieConsent {
       if (this.consentMode === 'none') {
         this._log('No consent required for region: ' + this.detectedRegion, null, 'success');
         // Allow all categories silently
-        this.categories = {
-          necessary: true,
-          functional: true,
-          preferences: true,
-          analytics: true,
-          marketing: true
-        };
+        this.categories = this._getAllCategoryStates(true);
         this._initGoogleConsentMode();
         this._updateGoogleConsent();
+        this._initTCF();
+        this._initGPP();
         this._scanScripts();
         this._scanIframes();
         this._initScriptObserver();
+        this._initTrackerScanner();
         this._evaluateScripts();
         this._exposeGlobalAPI();
+        this._notifyState();
         return;
       }
     }
@@ -883,6 +2283,10 @@ class CookieConsent {
     // Initialize Google Consent Mode defaults (must be early, before any tracking)
     this._initGoogleConsentMode();
 
+    // Register __tcfapi, __gpp and __uspapi and answer calls queued by the stubs
+    this._initTCF();
+    this._initGPP();
+
     // Scan for scripts and iframes with data-cookie-category
     this._scanScripts();
     this._scanIframes();
@@ -890,23 +2294,73 @@ class CookieConsent {
     // Initialize MutationObserver for dynamic scripts/iframes
     this._initScriptObserver();
 
+    // Report untagged scripts, iframes, cookies and keys (scanner mode)
+    this._initTrackerScanner();
+
     // Expose global API
     this._exposeGlobalAPI();
 
     // Bind auto-open elements (data-cc-open)
     this._bindAutoOpenElements();
 
+    // An inline layout without its container falls back to the modal before anything is shown
+    this._resolveLayoutContainer();
+
+    // Fill cookie table placeholders (data-cc-cookie-table)
+    this._renderCookieTables();
+
+    // Drop expired consent so the user is asked again
+    const storedConsent = this._readConsent();
+    if (storedConsent && this._isConsentExpired(storedConsent)) {
+      await this._expireConsent(storedConsent);
+    }
+
+    // In 'changed' mode, ask again only for categories added or changed since the stored policy
+    // version ('all' mode is handled by getConsent() returning null)
+    const storedPolicyConsent = this._readConsent();
+    this.repromptCategories = storedPolicyConsent && this.policyUpdate.reprompt === 'changed'
+      ? this._getStaleCategories(storedPolicyConsent)
+      : [];
+
+    // Nothing the user decided on changed: record the new version so it isn't checked again
+    if (storedPolicyConsent && this.repromptCategories.length === 0 && this._isPolicyOutdated(storedPolicyConsent) &&
+      this.policyUpdate.reprompt === 'changed') {
+      this._log('Policy version changed without affecting stored choices', this.policyVersion);
+      this._writeConsent({ ...storedPolicyConsent, policyVersion: this.policyVersion });
+    }
+
+    if (this.repromptCategories.length > 0) {
+      this._log('Policy version changed, asking again for:', this.repromptCategories, 'warn');
+
+      // Pre-fill unchanged choices; changed and added categories start off
+      this.categories = this._getCategoryStatesFromConsent(this.getConsent());
+      this.vendors = this._getVendorStatesFromConsent(this.getConsent());
+      this._updateGoogleConsent();
+      this._evaluateScripts();
+      if (this.tcf) {
+        this.tcf.load();
+        this.tcf.applyCategories(this.categories);
+      }
+
+      if (this.debug) {
+        this._createDebugBadge();
+      }
+
+      this.dialogNeeded = true;
+      this._createModal();
+      this.show();
+      requestAnimationFrame(() => {
+        this.showSettings();
+      });
+      return;
+    }
+
     // Check if consent already exists
     const existingConsent = this.getConsent();
     if (existingConsent) {
-      // Load existing preferences (5-category model)
-      this.categories = {
-        necessary: true,
-        functional: existingConsent.functional || false,
-        preferences: existingConsent.preferences || false,
-        analytics: existingConsent.analytics || false,
-        marketing: existingConsent.marketing || false
-      };
+      // Load existing preferences
+      this.categories = this._getCategoryStatesFromConsent(existingConsent);
+      this.vendors = this._getVendorStatesFromConsent(existingConsent);
       this._log('Existing consent found:', this.categories, 'success');
 
       // Update Google Consent Mode with existing consent
@@ -920,9 +2374,34 @@ class CookieConsent {
         this._createDebugBadge();
       }
 
+      // TCF vendors must be disclosed before they get consent, so ask again without a TC string
+      if (this.tcf && !this.tcf.load()) {
+        this._log('No TC string found, showing dialog', null, 'warn');
+        this.tcf.applyCategories(this.categories);
+        this.dialogNeeded = true;
+        this._createModal();
+        this.show();
+        return;
+      }
+
+      // A signal sent since the last decision overrides it, so record the new state
+      if (this._isOverriddenBySignal(existingConsent)) {
+        this._log('Stored consent overridden by privacy signal', this.categories, 'warn');
+        this._updateSync(this._saveToStorage());
+        this.tcf?.applyCategories(this.categories);
+        this._updateTCF('save_preferences');
+      }
+
+      // The inline panel is part of the page, so it is shown whether or not consent exists
+      if (this.layout.type === 'inline') {
+        this._createModal();
+        this.show();
+      }
+
       // Create floating button (only after initial consent)
       this._createFloatingButton();
 
+      this._notifyState();
       return;
     }
 
@@ -937,6 +2416,7 @@ class CookieConsent {
     }
 
     // Create and show the dialog
+    this.dialogNeeded = true;
     this._createModal();
     this.show();
   }
@@ -1065,14 +2545,17 @@ class CookieConsent {
     }, { passive: true });
 
     // Handle resize to re-check mobile state
-    window.addEventListener('resize', () => {
-      // If we were dragging and resized to desktop, reset state
-      if (!this._isMobile() && this.touchState.isDragging) {
-        this.modal.classList.remove('cc-dragging');
-        this.modal.style.transform = '';
-        this.touchState.isDragging = false;
-      }
-    });
+    if (!this.resizeListener) {
+      this.resizeListener = () => {
+        // If we were dragging and resized to desktop, reset state
+        if (this.modal && !this._isMobile() && this.touchState.isDragging) {
+          this.modal.classList.remove('cc-dragging');
+          this.modal.style.transform = '';
+          this.touchState.isDragging = false;
+        }
+      };
+      window.addEventListener('resize', this.resizeListener);
+    }
 
     this._log('Touch events bound to drag handle');
   }
@@ -1139,10 +2622,11 @@ class CookieConsent {
    */
   _createToggle(id, category, isRequired = false) {
     const toggle = this._createElement('div', { className: 'cc-toggle' });
+    const isDenied = !isRequired && this._isDeniedBySignal(category);
 
     const status = this._createElement('span', {
       className: 'cc-toggle-status',
-      textContent: isRequired ? 'Required' : 'Off'
+      textContent: isRequired ? this.content.toggle.required : this.content.toggle.off
     });
     if (!isRequired) {
       status.setAttribute('data-status', category);
@@ -1159,6 +2643,10 @@ class CookieConsent {
       input.checked = true;
       input.disabled = true;
     }
+    // Categories denied by a privacy signal stay off
+    if (isDenied) {
+      input.disabled = true;
+    }
     if (!isRequired) {
       input.setAttribute('data-category', category);
     }
@@ -1166,9 +2654,7 @@ class CookieConsent {
     const label = this._createElement('label', {
       for: id,
       className: 'cc-toggle-slider',
-      'aria-label': isRequired
-        ? 'Necessary cookies (always enabled)'
-        : `Toggle ${category} cookies`
+      'aria-label': this._getToggleLabel(this._getCategoryLabel(category), isRequired, isDenied)
     });
 
     toggle.appendChild(status);
@@ -1178,6 +2664,20 @@ class CookieConsent {
     return toggle;
   }
 
+  /**
+   * Get the accessible name of a category or vendor toggle
+   * @param {string} name - Category label or vendor name
+   * @param {boolean} isRequired - Whether it is always enabled
+   * @param {boolean} isDenied - Whether a privacy signal keeps it off
+   * @returns {string}
+   */
+  _getToggleLabel(name, isRequired, isDenied) {
+    const template = isRequired
+      ? this.content.toggle.requiredLabel
+      : isDenied ? this.content.toggle.deniedLabel : this.content.toggle.label;
+    return this._formatText(template, { name });
+  }
+
   /**
    * Create a cookie category card
    */
@@ -1185,10 +2685,21 @@ class CookieConsent {
     const card = this._createElement('div', { className: 'cc-category' });
 
     const info = this._createElement('div', { className: 'cc-category-info' });
-    info.appendChild(this._createElement('span', {
+    const label = this._createElement('span', {
       className: 'cc-category-label',
       textContent: labelText
-    }));
+    });
+
+    // Mark categories that need a new decision after a policy update
+    if (this.repromptCategories.includes(category)) {
+      card.classList.add('cc-category-updated');
+      label.appendChild(this._createElement('span', {
+        className: 'cc-category-badge',
+        textContent: this.content.toggle.updated
+      }));
+    }
+
+    info.appendChild(label);
     info.appendChild(this._createElement('span', {
       className: 'cc-category-description',
       textContent: description
@@ -1257,7 +2768,7 @@ class CookieConsent {
 
     // Use CCPA-specific text for opt-out regions
     const rejectText = this.consentMode === 'opt-out'
-      ? 'Do Not Sell My Info'
+      ? this.content.initialView.buttons.doNotSell
       : this.content.initialView.buttons.rejectAll;
 
     buttonRow.appendChild(this._createButton(
@@ -1289,6 +2800,7 @@ class CookieConsent {
     // Heading
     view.appendChild(this._createElement('h2', {
       className: 'cc-heading',
+      id: 'cc-settings-heading',
       textContent: this.content.settingsView.heading
     }));
 
@@ -1298,45 +2810,38 @@ class CookieConsent {
       textContent: this.content.settingsView.description
     }));
 
-    // Categories (5-category model)
+    // Tell the user why some categories can't be turned on
+    if (this.privacySignal) {
+      const notice = this._createElement('p', {
+        className: 'cc-signal-notice',
+        textContent: this.content.privacySignal[this.privacySignal]
+      });
+      notice.setAttribute('data-signal', this.privacySignal);
+      view.appendChild(notice);
+    }
+
+    // Categories (one card per registered category)
     const categories = this._createElement('div', { className: 'cc-categories' });
-    categories.appendChild(this._createCategoryCard(
-      'Necessary',
-      this.content.categories.necessary,
-      'cc-necessary',
-      'necessary',
-      true
-    ));
-    categories.appendChild(this._createCategoryCard(
-      'Functional',
-      this.content.categories.functional,
-      'cc-functional',
-      'functional',
-      false
-    ));
-    categories.appendChild(this._createCategoryCard(
-      'Preferences',
-      this.content.categories.preferences,
-      'cc-preferences',
-      'preferences',
-      false
-    ));
-    categories.appendChild(this._createCategoryCard(
-      'Analytics',
-      this.content.categories.analytics,
-      'cc-analytics',
-      'analytics',
-      false
-    ));
-    categories.appendChild(this._createCategoryCard(
-      'Marketing',
-      this.content.categories.marketing,
-      'cc-marketing',
-      'marketing',
-      false
-    ));
+    this._getCategoryNames().forEach((category) => {
+      categories.appendChild(this._createCategoryCard(
+        this._getCategoryLabel(category),
+        this._getCategoryDescription(category),
+        `cc-${category}`,
+        category,
+        this._isRequiredCategory(category)
+      ));
+
+      if (this.categoryDefinitions[category].vendors.length > 0) {
+        categories.appendChild(this._createVendorList(category));
+      }
+    });
     view.appendChild(categories);
 
+    // IAB TCF purposes and vendors
+    if (this.tcf) {
+      view.appendChild(this._createTCFSection());
+    }
+
     // Save button
     view.appendChild(this._createButton(
       this.content.settingsView.buttons.save,
@@ -1348,22 +2853,258 @@ class CookieConsent {
   }
 
   /**
-   * Create the modal HTML structure
+   * Create the expandable list of a category's vendors, with a toggle per vendor
+   * @param {string} category - Category name
+   * @returns {HTMLElement}
    */
-  _createModal() {
-    // Create overlay
-    this.overlay = this._createElement('div', { className: 'cc-overlay' });
-    this.overlay.setAttribute('aria-hidden', 'true');
+  _createVendorList(category) {
+    const vendors = this.categoryDefinitions[category].vendors;
+    const isRequired = this._isRequiredCategory(category);
+    const isDenied = !isRequired && this._isDeniedBySignal(category);
+
+    const group = this._createElement('details', { className: 'cc-vendors' });
+    group.setAttribute('data-vendors', category);
+    group.appendChild(this._createElement('summary', {
+      className: 'cc-vendors-summary',
+      textContent: `${this.content.vendors.heading} (${vendors.length})`
+    }));
+
+    const list = this._createElement('div', { className: 'cc-categories' });
+    vendors.forEach((vendor) => {
+      const card = this._createElement('div', { className: 'cc-category cc-vendor' });
+      const info = this._createElement('div', { className: 'cc-category-info' });
+      info.appendChild(this._createElement('span', {
+        className: 'cc-category-label',
+        textContent: vendor.name
+      }));
+      if (vendor.description) {
+        info.appendChild(this._createElement('span', {
+          className: 'cc-category-description',
+          textContent: vendor.description
+        }));
+      }
+      if (vendor.policyUrl) {
+        info.appendChild(this._createElement('a', {
+          className: 'cc-category-description',
+          href: vendor.policyUrl,
+          target: '_blank',
+          rel: 'noopener noreferrer',
+          textContent: this.content.vendors.privacyPolicy
+        }));
+      }
+
+      const id = `cc-vendor-${vendor.id}`;
+      const toggle = this._createElement('div', { className: 'cc-toggle' });
+      const input = this._createElement('input', {
+        type: 'checkbox',
+        className: 'cc-toggle-input',
+        id: id
+      });
+      input.setAttribute('role', 'switch');
+      input.setAttribute('data-vendor', vendor.id);
+      // Vendors of required categories can't be refused, nor those of categories denied by a privacy signal allowed
+      input.checked = isRequired || (!isDenied && this.vendors[vendor.id] !== false);
+      input.disabled = isRequired || isDenied;
+      input.setAttribute('aria-checked', input.checked ? 'true' : 'false');
+
+      toggle.appendChild(input);
+      toggle.appendChild(this._createElement('label', {
+        for: id,
+        className: 'cc-toggle-slider',
+        'aria-label': this._getToggleLabel(vendor.name, isRequired, isDenied)
+      }));
+
+      card.appendChild(info);
+      card.appendChild(toggle);
+      list.appendChild(card);
+    });
+
+    group.appendChild(list);
+    return group;
+  }
+
+  /**
+   * Create a TCF consent or legitimate-interest toggle
+   * @param {string} type - Choice type ('purpose', 'vendorLegitimateInterest', ...)
+   * @param {number} itemId - Purpose, special feature or vendor ID
+   * @param {string} labelText - Visible toggle label
+   * @param {string} itemName - Purpose, special feature or vendor name
+   * @returns {HTMLElement}
+   */
+  _createTCFToggle(type, itemId, labelText, itemName) {
+    const id = `cc-tcf-${type}-${itemId}`;
+    const toggle = this._createElement('div', { className: 'cc-toggle' });
+
+    const input = this._createElement('input', {
+      type: 'checkbox',
+      className: 'cc-toggle-input',
+      id: id
+    });
+    input.setAttribute('role', 'switch');
+    input.setAttribute('aria-checked', 'false');
+    input.setAttribute('data-tcf-choice', type);
+    input.setAttribute('data-tcf-id', String(itemId));
+
+    toggle.appendChild(this._createElement('span', {
+      className: 'cc-toggle-status',
+      textContent: labelText
+    }));
+    toggle.appendChild(input);
+    toggle.appendChild(this._createElement('label', {
+      for: id,
+      className: 'cc-toggle-slider',
+      'aria-label': `${labelText}: ${itemName}`
+    }));
+
+    return toggle;
+  }
+
+  /**
+   * Create a collapsible group of TCF items
+   * @param {string} title - Group heading
+   * @param {Array} items - Items with id, name, description and choices [{ type, label }]
+   * @returns {HTMLElement}
+   */
+  _createTCFGroup(title, items) {
+    const group = this._createElement('details', { className: 'cc-tcf-group' });
+    group.appendChild(this._createElement('summary', {
+      className: 'cc-tcf-summary',
+      textContent: `${title} (${items.length})`
+    }));
+
+    const list = this._createElement('div', { className: 'cc-categories' });
+    items.forEach((item) => {
+      const card = this._createElement('div', { className: 'cc-category' });
+      const info = this._createElement('div', { className: 'cc-category-info' });
+      info.appendChild(this._createElement('span', {
+        className: 'cc-category-label',
+        textContent: item.name
+      }));
+      if (item.description) {
+        info.appendChild(this._createElement('span', {
+          className: 'cc-category-description',
+          textContent: item.description
+        }));
+      }
+      if (item.policyUrl) {
+        info.appendChild(this._createElement('a', {
+          className: 'cc-category-description',
+          href: item.policyUrl,
+          target: '_blank',
+          rel: 'noopener noreferrer',
+          textContent: this.content.tcf.privacyPolicy
+        }));
+      }
+
+      const controls = this._createElement('div', { className: 'cc-tcf-controls' });
+      item.choices.forEach((choice) => {
+        controls.appendChild(this._createTCFToggle(choice.type, item.id, choice.label, item.name));
+      });
+
+      card.appendChild(info);
+      card.appendChild(controls);
+      list.appendChild(card);
+    });
+
+    group.appendChild(list);
+    return group;
+  }
+
+  /**
+   * Create the TCF purposes, special features and vendors lists
+   * @returns {HTMLElement}
+   */
+  _createTCFSection() {
+    const text = this.content.tcf;
+    const section = this._createElement('div', { className: 'cc-tcf' });
+
+    section.appendChild(this._createTCFGroup(text.purposes, this.tcf.getPurposes().map((purpose) => ({
+      id: purpose.id,
+      name: purpose.name,
+      description: purpose.description,
+      choices: [{ type: 'purpose', label: text.consent }].concat(
+        purpose.legitimateInterestAllowed
+          ? [{ type: 'purposeLegitimateInterest', label: text.legitimateInterest }]
+          : []
+      )
+    }))));
+
+    const specialFeatures = this.tcf.getSpecialFeatures();
+    if (specialFeatures.length > 0) {
+      section.appendChild(this._createTCFGroup(text.specialFeatures, specialFeatures.map((feature) => ({
+        id: feature.id,
+        name: feature.name,
+        description: feature.description,
+        choices: [{ type: 'specialFeature', label: text.consent }]
+      }))));
+    }
+
+    section.appendChild(this._createTCFGroup(text.vendors, this.tcf.getVendors().map((vendor) => ({
+      id: vendor.id,
+      name: vendor.name,
+      policyUrl: vendor.policyUrl,
+      choices: []
+        .concat(vendor.purposes.length > 0 ? [{ type: 'vendor', label: text.consent }] : [])
+        .concat(vendor.legIntPurposes.length > 0
+          ? [{ type: 'vendorLegitimateInterest', label: text.legitimateInterest }]
+          : [])
+    }))));
+
+    return section;
+  }
+
+  /**
+   * Sync TCF toggle UI with the TCF module's choices
+   */
+  _syncTCFToggles() {
+    if (!this.tcf || !this.modal) return;
+
+    this.modal.querySelectorAll('.cc-toggle-input[data-tcf-choice]').forEach((input) => {
+      const allowed = this.tcf.getChoice(input.dataset.tcfChoice, Number(input.dataset.tcfId));
+      input.checked = allowed;
+      input.setAttribute('aria-checked', allowed ? 'true' : 'false');
+    });
+  }
+
+  /**
+   * Create the modal HTML structure
+   */
+  _createModal() {
+    // Headless: the custom UI renders the dialog
+    if (!this.ui) return;
+
+    const container = this._resolveLayoutContainer();
+    const layout = this.layout.type;
+
+    // Create overlay (the modal layout only: bars and boxes leave the page usable)
+    this.overlay = null;
+    if (layout === 'modal') {
+      this.overlay = this._createElement('div', { className: 'cc-overlay' });
+      this.overlay.setAttribute('aria-hidden', 'true');
+      this._applyTheme(this.overlay);
+    }
 
     // Create modal
-    this.modal = this._createElement('div', { className: 'cc-modal' });
-    this.modal.setAttribute('role', 'dialog');
-    this.modal.setAttribute('aria-modal', 'true');
-    this.modal.setAttribute('aria-labelledby', 'cc-heading');
+    this.modal = this._createElement('div', { className: `cc-modal cc-layout-${layout}` });
+    if (layout === 'inline') {
+      // Embedded in the page rather than shown over it
+      this.modal.setAttribute('role', 'region');
+      this.modal.setAttribute('aria-labelledby', 'cc-settings-heading');
+    } else {
+      this.modal.setAttribute('role', 'dialog');
+      this.modal.setAttribute('aria-modal', layout === 'modal' ? 'true' : 'false');
+      this.modal.setAttribute('aria-labelledby', 'cc-heading');
+    }
+    this.modal.setAttribute('lang', this.language);
+    this.modal.setAttribute('dir', this.direction);
+    this._applyTheme(this.modal);
 
-    // Create drag handle for mobile bottom sheet
-    this.dragHandle = this._createDragHandle();
-    this.modal.appendChild(this.dragHandle);
+    // Create drag handle for mobile bottom sheet (modal layout)
+    this.dragHandle = null;
+    if (layout === 'modal') {
+      this.dragHandle = this._createDragHandle();
+      this.modal.appendChild(this.dragHandle);
+    }
 
     // Create views
     this.initialView = this._createInitialView();
@@ -1372,9 +3113,20 @@ class CookieConsent {
     this.modal.appendChild(this.initialView);
     this.modal.appendChild(this.settingsView);
 
-    // Append to body
-    document.body.appendChild(this.overlay);
-    document.body.appendChild(this.modal);
+    // The inline panel shows the preferences straight away
+    if (layout === 'inline') {
+      this.initialView.classList.remove('cc-active');
+      this.settingsView.classList.add('cc-active');
+    }
+
+    // Reflect current (possibly pre-filled) choices in the toggles
+    this._syncToggles();
+
+    // Append to body (or the inline layout's container)
+    if (this.overlay) {
+      document.body.appendChild(this.overlay);
+    }
+    (container || document.body).appendChild(this.modal);
 
     // Create ARIA live region for screen reader announcements
     this.liveRegion = this._createElement('div', {
@@ -1429,8 +3181,16 @@ class CookieConsent {
         // Update status text
         const statusEl = this.modal.querySelector(`[data-status="${category}"]`);
         if (statusEl) {
-          statusEl.textContent = isChecked ? 'On' : 'Off';
+          statusEl.textContent = isChecked ? this.content.toggle.on : this.content.toggle.off;
+        }
+
+        // Carry the category choice over to its TCF purposes and vendors
+        if (this.tcf) {
+          this.tcf.applyCategories(this.categories);
+          this._syncTCFToggles();
         }
+        this._emit('category:toggle', { category, allowed: isChecked });
+        this._notifyState();
 
         // Add bounce animation to the slider
         const slider = e.target.nextElementSibling;
@@ -1443,17 +3203,35 @@ class CookieConsent {
       });
     });
 
+    // Vendor switches
+    this.modal.querySelectorAll('.cc-toggle-input[data-vendor]').forEach((input) => {
+      input.addEventListener('change', (e) => {
+        this.vendorChoices[e.target.dataset.vendor] = e.target.checked;
+        e.target.setAttribute('aria-checked', e.target.checked ? 'true' : 'false');
+        this._notifyState();
+      });
+    });
+
+    // TCF purpose, special feature and vendor switches
+    this.modal.querySelectorAll('.cc-toggle-input[data-tcf-choice]').forEach((input) => {
+      input.addEventListener('change', (e) => {
+        const { tcfChoice, tcfId } = e.target.dataset;
+        this.tcf.setChoice(tcfChoice, Number(tcfId), e.target.checked);
+        e.target.setAttribute('aria-checked', e.target.checked ? 'true' : 'false');
+      });
+    });
+
     // Keyboard navigation
     this.modal.addEventListener('keydown', (e) => {
-      // ESC closes modal and rejects non-essential cookies
-      if (e.key === 'Escape') {
+      // ESC closes the dialog and rejects non-essential cookies (the inline panel is part of the page)
+      if (e.key === 'Escape' && this.layout.type !== 'inline') {
         e.preventDefault();
         this.rejectAll();
         return;
       }
 
-      // Focus trap: cycle through focusable elements
-      if (e.key === 'Tab') {
+      // Focus trap: cycle through focusable elements (modal layout only)
+      if (e.key === 'Tab' && this.layout.type === 'modal') {
         const focusable = this._getFocusableElements();
         const first = focusable[0];
         const last = focusable[focusable.length - 1];
@@ -1495,14 +3273,14 @@ class CookieConsent {
     // Content container
     const content = this._createElement('div', { className: 'cc-debug-content' });
 
-    // Consent status rows (5-category model)
+    // Consent status rows (one per registered category)
     const statusContainer = this._createElement('div', { className: 'cc-debug-status' });
 
-    ['necessary', 'functional', 'preferences', 'analytics', 'marketing'].forEach((category) => {
+    this._getCategoryNames().forEach((category) => {
       const row = this._createElement('div', { className: 'cc-debug-row' });
       const label = this._createElement('span', {
         className: 'cc-debug-label',
-        textContent: category.charAt(0).toUpperCase() + category.slice(1)
+        textContent: this._getCategoryLabel(category)
       });
       const value = this._createElement('span', {
         className: 'cc-debug-value'
@@ -1529,6 +3307,36 @@ class CookieConsent {
     scriptsSection.appendChild(scriptsTable);
     content.appendChild(scriptsSection);
 
+    // Cookies and storage keys deleted when a category was revoked
+    const removedSection = this._createElement('div', { className: 'cc-debug-scripts cc-debug-removed' });
+    const removedHeader = this._createElement('div', {
+      className: 'cc-debug-scripts-header',
+      textContent: 'Removed on Revocation'
+    });
+    const removedCount = this._createElement('span', { className: 'cc-debug-scripts-count cc-debug-removed-count' });
+    removedHeader.appendChild(removedCount);
+    removedSection.appendChild(removedHeader);
+
+    const removedTable = this._createElement('div', { className: 'cc-debug-table cc-debug-removed-table' });
+    removedSection.appendChild(removedTable);
+    content.appendChild(removedSection);
+
+    // Untagged scripts, iframes, cookies and keys found by the scanner
+    if (this.scannerConfig) {
+      const scanSection = this._createElement('div', { className: 'cc-debug-scripts cc-debug-scan' });
+      const scanHeader = this._createElement('div', {
+        className: 'cc-debug-scripts-header',
+        textContent: 'Tracker Scan'
+      });
+      const scanCount = this._createElement('span', { className: 'cc-debug-scripts-count cc-debug-scan-count' });
+      scanHeader.appendChild(scanCount);
+      scanSection.appendChild(scanHeader);
+
+      const scanTable = this._createElement('div', { className: 'cc-debug-table cc-debug-scan-table' });
+      scanSection.appendChild(scanTable);
+      content.appendChild(scanSection);
+    }
+
     // Simulation buttons
     const buttons = this._createElement('div', { className: 'cc-debug-buttons' });
 
@@ -1547,15 +3355,14 @@ class CookieConsent {
     });
     randomBtn.addEventListener('click', () => {
       this._log('Debug: Randomizing consent');
-      this.categories = {
-        necessary: true,
-        functional: Math.random() > 0.5,
-        preferences: Math.random() > 0.5,
-        analytics: Math.random() > 0.5,
-        marketing: Math.random() > 0.5
-      };
+      const previous = this.categories;
+      this.categories = {};
+      this._getCategoryNames().forEach((category) => {
+        this.categories[category] = this._isRequiredCategory(category) || Math.random() > 0.5;
+      });
       this._saveToStorage();
       this._evaluateScripts();
+      this._cleanupRevokedCategories(previous);
       this._updateDebugBadge();
       this._updateFloatingButton();
       this._log('Randomized consent:', this.categories);
@@ -1599,11 +3406,11 @@ class CookieConsent {
 
     const consent = this.getConsent();
 
-    // Update category status (5-category model)
-    ['necessary', 'functional', 'preferences', 'analytics', 'marketing'].forEach((category) => {
+    // Update category status
+    this._getCategoryNames().forEach((category) => {
       const el = this.debugBadge.querySelector(`[data-debug-category="${category}"]`);
       if (el) {
-        const isAllowed = consent ? consent[category] : (category === 'necessary');
+        const isAllowed = this._isRequiredCategory(category) || (consent ? consent[category] === true : false);
         el.textContent = isAllowed ? '🟢 ON' : '🔴 OFF';
         el.className = 'cc-debug-value ' + (isAllowed ? 'cc-debug-allowed' : 'cc-debug-denied');
       }
@@ -1704,6 +3511,100 @@ class CookieConsent {
       const totalBlocked = blockedScripts + blockedIframes;
       count.textContent = totalBlocked > 0 ? ` (${totalBlocked} blocked)` : '';
     }
+
+    // Update removed cookies and storage keys
+    const removedTable = this.debugBadge.querySelector('.cc-debug-removed-table');
+    const removedCount = this.debugBadge.querySelector('.cc-debug-removed-count');
+
+    if (removedTable) {
+      while (removedTable.firstChild) {
+        removedTable.removeChild(removedTable.firstChild);
+      }
+
+      if (this.removedItems.length === 0) {
+        removedTable.appendChild(this._createElement('div', {
+          className: 'cc-debug-table-empty',
+          textContent: 'Nothing removed yet'
+        }));
+      } else {
+        this.removedItems.forEach((item) => {
+          const row = this._createElement('div', { className: 'cc-debug-table-row' });
+
+          const nameCell = this._createElement('span', {
+            className: 'cc-debug-table-src',
+            textContent: (item.type === 'cookie' ? '🍪 ' : '🗄️ ') + item.name
+          });
+          nameCell.title = item.type === 'cookie' ? 'Cookie' : 'localStorage key';
+
+          const categoryCell = this._createElement('span', {
+            className: 'cc-debug-table-category',
+            textContent: item.category
+          });
+
+          const statusCell = this._createElement('span', {
+            className: 'cc-debug-table-status cc-debug-denied',
+            textContent: '🗑️ Removed'
+          });
+
+          row.appendChild(nameCell);
+          row.appendChild(categoryCell);
+          row.appendChild(statusCell);
+          removedTable.appendChild(row);
+        });
+      }
+    }
+
+    if (removedCount) {
+      removedCount.textContent = this.removedItems.length > 0 ? ` (${this.removedItems.length})` : '';
+    }
+
+    // Update tracker scan report
+    const scanTable = this.debugBadge.querySelector('.cc-debug-scan-table');
+    const scanCount = this.debugBadge.querySelector('.cc-debug-scan-count');
+    const icons = { script: '📜 ', iframe: '📺 ', cookie: '🍪 ', localStorage: '🗄️ ' };
+
+    if (scanTable) {
+      while (scanTable.firstChild) {
+        scanTable.removeChild(scanTable.firstChild);
+      }
+
+      if (this.trackerReport.length === 0) {
+        scanTable.appendChild(this._createElement('div', {
+          className: 'cc-debug-table-empty',
+          textContent: 'No untagged trackers found'
+        }));
+      }
+
+      this.trackerReport.forEach((item) => {
+        const row = this._createElement('div', { className: 'cc-debug-table-row' });
+
+        const isUrl = item.type === 'script' || item.type === 'iframe';
+        const nameCell = this._createElement('span', {
+          className: 'cc-debug-table-src',
+          textContent: icons[item.type] + (isUrl ? new URL(item.name).hostname : item.name)
+        });
+        nameCell.title = item.name;
+
+        const categoryCell = this._createElement('span', {
+          className: 'cc-debug-table-category',
+          textContent: item.suggestedCategory || '?'
+        });
+
+        const trackerCell = this._createElement('span', {
+          className: 'cc-debug-table-status',
+          textContent: item.tracker || 'Unknown'
+        });
+
+        row.appendChild(nameCell);
+        row.appendChild(categoryCell);
+        row.appendChild(trackerCell);
+        scanTable.appendChild(row);
+      });
+    }
+
+    if (scanCount) {
+      scanCount.textContent = this.trackerReport.length > 0 ? ` (${this.trackerReport.length})` : '';
+    }
   }
 
   /**
@@ -1714,7 +3615,16 @@ class CookieConsent {
     const consent = this.getConsent();
     if (!consent) return 'essential';
 
-    const optional = ['functional', 'preferences', 'analytics', 'marketing'];
+    return this._getStatusForConsent(consent);
+  }
+
+  /**
+   * Get the status a consent object represents
+   * @param {Object} consent - Stored consent
+   * @returns {string} 'all' | 'partial' | 'essential'
+   */
+  _getStatusForConsent(consent) {
+    const optional = this._getOptionalCategories();
     const allowed = optional.filter((cat) => consent[cat] === true);
 
     if (allowed.length === optional.length) return 'all';
@@ -1724,18 +3634,14 @@ class CookieConsent {
 
   /**
    * Get the count of active cookie categories
-   * @returns {number} Number of active categories (1-5)
+   * @returns {number} Number of active categories (required ones always count)
    */
   _getActiveCategoryCount() {
     const consent = this.getConsent();
-    if (!consent) return 1; // Only necessary
 
-    let count = 1; // Necessary is always active
-    if (consent.functional) count++;
-    if (consent.preferences) count++;
-    if (consent.analytics) count++;
-    if (consent.marketing) count++;
-    return count;
+    return this._getCategoryNames().filter((category) => {
+      return this._isRequiredCategory(category) || (consent ? consent[category] === true : false);
+    }).length;
   }
 
   /**
@@ -1761,7 +3667,8 @@ class CookieConsent {
    * Create the floating settings button
    */
   _createFloatingButton() {
-    if (!this.floatingButtonConfig.enabled) return;
+    // The inline panel is already on the page (and headless UIs draw their own)
+    if (!this.floatingButtonConfig.enabled || !this.ui || this.layout.type === 'inline') return;
     if (this.floatingButton) {
       this.floatingButton.remove();
     }
@@ -1781,8 +3688,12 @@ class CookieConsent {
     button.style.setProperty('--cc-floating-offset-y', `${config.offset.y}px`);
 
     // Accessibility attributes
-    button.setAttribute('aria-label', `${config.label}, currently accepting ${activeCount} of 5 categories`);
-    button.setAttribute('title', config.label);
+    const label = config.label || this.content.floatingButton.label;
+    button.setAttribute('aria-label', this._getFloatingButtonLabel(activeCount));
+    button.setAttribute('title', label);
+    button.setAttribute('lang', this.language);
+    button.setAttribute('dir', this.direction);
+    this._applyTheme(button);
 
     // Icon container
     const iconWrapper = this._createElement('span', { className: 'cc-floating-icon' });
@@ -1830,14 +3741,24 @@ class CookieConsent {
     }
 
     // Update aria-label
-    this.floatingButton.setAttribute(
-      'aria-label',
-      `${this.floatingButtonConfig.label}, currently accepting ${activeCount} of 5 categories`
-    );
+    this.floatingButton.setAttribute('aria-label', this._getFloatingButtonLabel(activeCount));
 
     this._log('Floating button updated', { status, activeCount });
   }
 
+  /**
+   * Get the floating button's accessible name, including how many categories are accepted
+   * @param {number} activeCount - Number of accepted categories
+   * @returns {string}
+   */
+  _getFloatingButtonLabel(activeCount) {
+    return this._formatText(this.content.floatingButton.status, {
+      label: this.floatingButtonConfig.label || this.content.floatingButton.label,
+      active: activeCount,
+      total: this._getCategoryNames().length
+    });
+  }
+
   /**
    * Bind click handlers to elements with data-cc-open attribute
    */
@@ -1866,6 +3787,57 @@ class CookieConsent {
     }
   }
 
+  /**
+   * Replace the content of elements with data-cc-cookie-table with the cookie table
+   */
+  _renderCookieTables() {
+    const elements = document.querySelectorAll('[data-cc-cookie-table]');
+    if (elements.length === 0) return;
+
+    const labels = this.content.cookieTable;
+    const columns = ['name', 'provider', 'purpose', 'duration', 'category'];
+    const groups = this.getCookieTable().filter((group) => group.entries.length > 0);
+
+    elements.forEach((el) => {
+      el.textContent = '';
+
+      if (groups.length === 0) {
+        el.appendChild(this._createElement('p', { className: 'cc-cookie-table-empty', textContent: labels.empty }));
+        return;
+      }
+
+      const table = this._createElement('table', { className: 'cc-cookie-table' });
+      const headRow = table.createTHead().insertRow();
+      columns.forEach((column) => {
+        headRow.appendChild(this._createElement('th', { scope: 'col', textContent: labels[column] }));
+      });
+
+      groups.forEach((group) => {
+        const body = table.createTBody();
+        body.setAttribute('data-category', group.category);
+
+        const headingRow = body.insertRow();
+        headingRow.className = 'cc-cookie-table-group';
+        headingRow.appendChild(this._createElement('th', {
+          scope: 'rowgroup',
+          colspan: String(columns.length),
+          textContent: group.label
+        }));
+
+        group.entries.forEach((entry) => {
+          const row = body.insertRow();
+          columns.forEach((column) => {
+            row.insertCell().textContent = column === 'category' ? group.label : entry[column] || '';
+          });
+        });
+      });
+
+      el.appendChild(table);
+    });
+
+    this._log(`Rendered ${elements.length} cookie table(s)`);
+  }
+
   /**
    * Expose global API on window object
    */
@@ -1921,6 +3893,23 @@ class CookieConsent {
         return self.isAllowed(category);
       },
 
+      /**
+       * Check if a vendor is allowed (its category too)
+       * @param {string} vendor
+       * @returns {boolean}
+       */
+      isVendorAllowed: (vendor) => {
+        return self.isVendorAllowed(vendor);
+      },
+
+      /**
+       * Get the current state of every registered category
+       * @returns {Object}
+       */
+      getCategories: () => {
+        return self.getCategories();
+      },
+
       /**
        * Reset consent and show dialog
        */
@@ -1928,6 +3917,26 @@ class CookieConsent {
         self.resetConsent();
       },
 
+      /**
+       * Record a decision without the dialog
+       * @param {Object} categories - Choices keyed by category name, e.g. { analytics: true }
+       * @param {Object} [options] - { source } passed to callbacks and events (default 'api')
+       * @returns {Promise<void>}
+       */
+      setConsent: (categories, options) => {
+        return self.setConsent(categories, options);
+      },
+
+      /**
+       * Allow or deny a single category without the dialog
+       * @param {string} name - Category name
+       * @param {boolean} value - Whether the category is allowed
+       * @returns {Promise<void>}
+       */
+      updateCategory: (name, value) => {
+        return self.updateCategory(name, value);
+      },
+
       /**
        * Get consent status ('all', 'partial', 'essential')
        * @returns {string}
@@ -1954,7 +3963,7 @@ class CookieConsent {
       wouldRunScript: (element) => {
         const category = element.getAttribute('data-cookie-category');
         if (!category) return true;
-        return self._shouldAllowElement(category);
+        return self._shouldAllowElement(category, element.getAttribute('data-cookie-vendor'));
       },
 
       /**
@@ -1979,6 +3988,85 @@ class CookieConsent {
           category: i.category,
           status: i.blocked ? 'blocked' : 'allowed'
         }));
+      },
+
+      /**
+       * Get the declared cookies and storage keys grouped by category
+       * @returns {Array} Array of category groups
+       */
+      getCookieTable: () => {
+        return self.getCookieTable();
+      },
+
+      /**
+       * Switch the dialog language
+       * @param {string} language - Language code, or 'auto' to detect it again
+       * @returns {string} The language now in use
+       */
+      setLanguage: (language) => {
+        return self.setLanguage(language);
+      },
+
+      /**
+       * Get the language the dialog is shown in
+       * @returns {string} Language code
+       */
+      getLanguage: () => {
+        return self.getLanguage();
+      },
+
+      /**
+       * Switch the theme
+       * @param {string|Object} theme - 'dark', 'light' or 'auto', or an object with a mode and CSS custom property values
+       */
+      setTheme: (theme) => {
+        self.setTheme(theme);
+      },
+
+      /**
+       * Get a snapshot of the dialog and consent state (for custom UIs)
+       * @returns {Object} State snapshot
+       */
+      getState: () => {
+        return self.getState();
+      },
+
+      /**
+       * Listen for state changes
+       * @param {Function} listener - Called with a state snapshot after each change
+       * @returns {Function} Unsubscribe function
+       */
+      subscribe: (listener) => {
+        return self.subscribe(listener);
+      },
+
+      /**
+       * Listen for a lifecycle event
+       * @param {string} event - Event name, e.g. 'consent:change'
+       * @param {Function} listener - Called with the event's detail
+       * @returns {Function} Function removing the listener
+       */
+      on: (event, listener) => {
+        return self.on(event, listener);
+      },
+
+      /**
+       * Stop listening for an event
+       * @param {string} event - Event name
+       * @param {Function} listener - The listener passed to on() or once()
+       */
+      off: (event, listener) => {
+        self.off(event, listener);
+      },
+
+      /**
+       * Listen for the next time an event fires
+       * @param {string} event - Event name
+       * @param {Function} listener - Called with the event's detail
+       * @returns {Function} Function removing the listener
+       */
+      once: (event, listener) => {
+        return self.once(event, listener);
       }
     };
 
@@ -1986,25 +4074,122 @@ class CookieConsent {
   }
 
   /**
-   * Show the cookie consent modal
+   * Record which view of the dialog is shown, notifying state listeners when it changes
+   * @param {string|null} view - 'banner', 'preferences' or null when hidden
    */
-  show() {
-    // Store the currently focused element for restoration on close
-    this.triggerElement = document.activeElement;
-
-    this.overlay.classList.add('cc-visible');
-    this.modal.classList.add('cc-visible');
-
-    // Hide floating button while modal is open
-    if (this.floatingButton) {
-      this.floatingButton.classList.add('cc-floating-hidden');
+  _setView(view) {
+    if (this.view === view) return;
+    const previous = this.view;
+    this.view = view;
+
+    this._emit('view:change', { view, previous });
+    if (!previous) {
+      this._emit('dialog:show', { view });
+    } else if (!view) {
+      this._emit('dialog:hide', { view: previous });
     }
+    this._notifyState();
+  }
 
-    // Focus the first button for accessibility
-    requestAnimationFrame(() => {
-      const firstButton = this.modal.querySelector('button');
-      if (firstButton) firstButton.focus();
+  /**
+   * Call the state listeners with a new snapshot (see subscribe())
+   */
+  _notifyState() {
+    if (this.stateListeners.length === 0) return;
+
+    const state = this.getState();
+    this.stateListeners.forEach((listener) => {
+      try {
+        listener(state);
+      } catch (e) {
+        console.error('Cookie consent: State listener failed', e);
+      }
     });
+  }
+
+  /**
+   * Call an event's listeners, then dispatch it on document as a cconsent:<event> CustomEvent
+   * (for tag managers)
+   * @param {string} event - Event name
+   * @param {Object} detail - Passed to listeners, and as the CustomEvent's detail
+   */
+  _emit(event, detail) {
+    (this.eventListeners[event] || []).slice().forEach((listener) => {
+      try {
+        listener(detail);
+      } catch (e) {
+        console.error(`Cookie consent: '${event}' listener failed`, e);
+      }
+    });
+
+    document.dispatchEvent(new CustomEvent(`cconsent:${event}`, { detail }));
+  }
+
+  /**
+   * Describe what a decision changed, for the callbacks and the 'consent:change' event
+   *
+   * Both sides are stored decisions (choices made in the preferences but not saved don't count),
+   * so revoked lists exactly the categories whose data must now be purged.
+   * @param {string} source - 'accept_all' | 'reject_all' | 'save_preferences' | 'external' | 'reset'
+   * @param {Object|null} before - The decision in effect before (this.appliedConsent), null if none
+   *   (the category defaults are compared with then, as in ConsentManager)
+   * @returns {Object} { source, previous, categories, changed, granted, revoked, firstDecision }
+   */
+  _getConsentChange(source, before) {
+    const previous = before ? this._getCategoryStatesFromConsent(before) : this._getDefaultCategoryStates();
+    const categories = this._getCategoryStatesFromConsent(this.appliedConsent || {});
+    const names = this._getCategoryNames();
+    const granted = names.filter((name) => categories[name] && !previous[name]);
+    const revoked = names.filter((name) => previous[name] && !categories[name]);
+
+    return {
+      source,
+      previous,
+      categories,
+      changed: names.filter((name) => granted.includes(name) || revoked.includes(name)),
+      granted,
+      revoked,
+      firstDecision: !before
+    };
+  }
+
+  /**
+   * Show the cookie consent modal
+   */
+  show() {
+    // Store the currently focused element for restoration on close
+    this.triggerElement = document.activeElement;
+    this.tcf?.setDisplayStatus('visible');
+    this.gpp?.setDisplayStatus('visible');
+
+    // Headless: the custom UI shows the banner (or keeps the preferences it has open)
+    if (!this.ui) {
+      this._setView(this.view || 'banner');
+      return;
+    }
+
+    if (this.overlay) {
+      this.overlay.classList.add('cc-visible');
+    }
+    this.modal.classList.add('cc-visible');
+    this._setView(this.settingsView.classList.contains('cc-active') ? 'preferences' : 'banner');
+
+    // The inline panel is part of the page: it doesn't take focus or lock anything
+    if (this.layout.type === 'inline') return;
+
+    // Hide floating button while modal is open
+    if (this.floatingButton) {
+      this.floatingButton.classList.add('cc-floating-hidden');
+    }
+
+    // Focus the first button for accessibility
+    requestAnimationFrame(() => {
+      const firstButton = this.modal.querySelector('button');
+      if (firstButton) firstButton.focus();
+    });
+
+    // Bars and boxes leave the page usable
+    if (this.layout.type !== 'modal') return;
 
     // Lock viewport (enhanced for mobile)
     if (this._isMobile()) {
@@ -2019,7 +4204,21 @@ class CookieConsent {
    * Hide the cookie consent modal
    */
   hide() {
-    this.overlay.classList.remove('cc-visible');
+    // The inline panel stays on the page after a decision, showing it
+    if (this.ui && this.layout.type === 'inline') {
+      if (this.modal) this._syncToggles();
+      return;
+    }
+
+    this.tcf?.setDisplayStatus('hidden');
+    this.gpp?.setDisplayStatus('hidden');
+    this._setView(null);
+    // Headless, or decided through the API before the dialog was created
+    if (!this.ui || !this.modal) return;
+
+    if (this.overlay) {
+      this.overlay.classList.remove('cc-visible');
+    }
     this.modal.classList.remove('cc-visible');
 
     // Show floating button again
@@ -2027,12 +4226,14 @@ class CookieConsent {
       this.floatingButton.classList.remove('cc-floating-hidden');
     }
 
-    // Unlock viewport (enhanced for mobile)
-    if (this._isMobile()) {
-      this._unlockViewport();
-    } else {
-      // Simpler unlock for desktop
-      document.body.style.overflow = '';
+    // Unlock viewport (enhanced for mobile; only the modal layout locks it)
+    if (this.layout.type === 'modal') {
+      if (this._isMobile()) {
+        this._unlockViewport();
+      } else {
+        // Simpler unlock for desktop
+        document.body.style.overflow = '';
+      }
     }
 
     // Restore focus to the element that triggered the modal
@@ -2045,6 +4246,9 @@ class CookieConsent {
    * Switch to the settings view
    */
   showSettings() {
+    this._setView('preferences');
+    if (!this.ui) return;
+
     this.initialView.classList.remove('cc-active');
 
     // Use requestAnimationFrame for smooth transition sequencing
@@ -2066,6 +4270,12 @@ class CookieConsent {
    * Switch back to the initial view
    */
   showInitial() {
+    // The inline panel only has the preferences view
+    if (this.ui && this.layout.type === 'inline') return;
+
+    this._setView('banner');
+    if (!this.ui) return;
+
     this.settingsView.classList.remove('cc-active');
 
     requestAnimationFrame(() => {
@@ -2086,9 +4296,18 @@ class CookieConsent {
         input.setAttribute('aria-checked', this.categories[category] ? 'true' : 'false');
       }
       if (statusEl) {
-        statusEl.textContent = this.categories[category] ? 'On' : 'Off';
+        statusEl.textContent = this.categories[category] ? this.content.toggle.on : this.content.toggle.off;
       }
     });
+
+    const vendors = { ...this.vendors, ...this.vendorChoices };
+    this.modal.querySelectorAll('.cc-toggle-input[data-vendor]:not(:disabled)').forEach((input) => {
+      const allowed = vendors[input.dataset.vendor] !== false;
+      input.checked = allowed;
+      input.setAttribute('aria-checked', allowed ? 'true' : 'false');
+    });
+
+    this._syncTCFToggles();
   }
 
   /**
@@ -2111,11 +4330,12 @@ class CookieConsent {
    * Execute a callback and wait for it if it returns a Promise
    * @param {Function} callback - The callback to execute
    * @param {Object} data - Data to pass to the callback
+   * @param {Object} [change] - What the decision changed (see _getConsentChange()), for consent callbacks
    * @returns {Promise}
    */
-  async _executeCallback(callback, data) {
+  async _executeCallback(callback, data, change) {
     if (!callback) return;
-    const result = callback(data);
+    const result = callback(data, change);
     if (result instanceof Promise) {
       await result;
     }
@@ -2204,11 +4424,14 @@ class CookieConsent {
     const mapping = this.googleConsentMode.mapping;
     const consent = {};
 
-    // Build consent object from category mapping
+    // Build consent object from category mapping (a signal is granted if any mapped category is)
     Object.entries(mapping).forEach(([category, signals]) => {
+      if (!this.categoryDefinitions[category]) return;
       const allowed = this.categories[category] ? 'granted' : 'denied';
       signals.forEach((signal) => {
-        consent[signal] = allowed;
+        if (consent[signal] !== 'granted') {
+          consent[signal] = allowed;
+        }
       });
     });
 
@@ -2225,18 +4448,320 @@ class CookieConsent {
     // Push event to dataLayer for GTM
     window.dataLayer.push({
       'event': 'cookie_consent_update',
-      'cookie_consent': {
-        necessary: true,
-        functional: this.categories.functional,
-        preferences: this.categories.preferences,
-        analytics: this.categories.analytics,
-        marketing: this.categories.marketing
-      }
+      'cookie_consent': { ...this.categories }
     });
 
     this._log('Google Consent Mode updated', consent, 'success');
   }
 
+  /**
+   * Register the IAB TCF API when a TCF module is configured
+   */
+  _initTCF() {
+    if (!this.tcf) return;
+
+    if (this.geoConfig.enabled && this.detectedRegion) {
+      this.tcf.setGdprApplies(this._classifyRegion(this.detectedRegion) === 'gdpr');
+    }
+
+    this.tcf.install();
+    this._log('IAB TCF API installed', this.tcf.getPing());
+  }
+
+  /**
+   * Store the TC string for a consent decision and notify __tcfapi listeners
+   * @param {string} action - 'accept_all' | 'reject_all' | 'save_preferences' | 'api'
+   */
+  _updateTCF(action) {
+    if (!this.tcf) return;
+
+    // Saved preferences keep the per-purpose and per-vendor choices made in the dialog;
+    // setConsent() carries each category over to its purposes and vendors
+    if (action === 'api') {
+      this.tcf.applyCategories(this.categories);
+    } else if (action !== 'save_preferences') {
+      this.tcf.setAll(action === 'accept_all');
+    }
+
+    this.tcf.save();
+    this._log('TC string updated', this.tcf.getTCString(), 'success');
+  }
+
+  /**
+   * Register the IAB GPP and US Privacy APIs when a GPP module is configured
+   */
+  _initGPP() {
+    if (!this.gpp) return;
+
+    // Section IDs: 7 = usnat, 8 = usca, -1 = none apply
+    if (this.geoConfig.enabled && this.detectedRegion) {
+      const region = this.detectedRegion;
+      this.gpp.setApplicableSections(region === 'US-CA' ? [8] : region.startsWith('US') ? [7] : [-1]);
+    }
+
+    // Opt-outs carry over even if the stored consent needs renewing for a new policy version
+    const consent = this._readConsent();
+    if (consent) {
+      this.gpp.applyCategories(this._getCategoryStatesFromConsent(consent));
+    }
+
+    this.gpp.install();
+    this._log('IAB GPP and US Privacy APIs installed', {
+      gpp: this.gpp.getGPPString(),
+      usp: this.gpp.getUSPString()
+    });
+  }
+
+  /**
+   * Update the GPP and US Privacy strings from the current opt-out choices
+   */
+  _updateGPP() {
+    if (!this.gpp) return;
+
+    this.gpp.applyCategories(this.categories);
+    this._log('GPP string updated', {
+      gpp: this.gpp.getGPPString(),
+      usp: this.gpp.getUSPString()
+    }, 'success');
+  }
+
+  /**
+   * Connect to the consent sync hub and reconcile the shared and local decisions
+   * (the most recent one wins)
+   * @returns {Promise<void>}
+   */
+  async _initSync() {
+    if (!this.sync) return;
+
+    this.sync.onChange = (consent) => this._applySyncedConsent(consent);
+
+    const shared = await this.sync.connect();
+    const local = this._readConsent();
+
+    if (shared && this._isNewerConsent(shared, local)) {
+      this._writeConsent(shared);
+      this._log('Consent adopted from sync hub', shared, 'success');
+    } else if (local && this._isNewerConsent(local, shared)) {
+      this._updateSync(local);
+    }
+  }
+
+  /**
+   * Share a consent decision with the other synced domains
+   * @param {Object|null} consent - Stored consent, or null when it was reset
+   */
+  _updateSync(consent) {
+    if (!this.sync) return;
+
+    this.sync.publish(consent).then((accepted) => {
+      this._log(accepted ? 'Consent shared with sync hub' : 'Sync hub did not accept consent', consent,
+        accepted ? 'success' : 'warn');
+    });
+  }
+
+  /**
+   * Apply a decision made (or reset) on another synced domain
+   * @param {Object|null} consent - Shared consent, or null when it was reset
+   */
+  _applySyncedConsent(consent) {
+    if (!consent) {
+      this._log('Consent reset on another site', null, 'warn');
+      this._resetConsent();
+      return;
+    }
+
+    const local = this._readConsent();
+    if (local && !this._isNewerConsent(consent, local)) return;
+
+    this._writeConsent(consent);
+    this._log('Consent updated from another site', consent, 'success');
+
+    // The shared decision may be outdated for this site's policy version
+    const current = this.getConsent();
+    if (!current) return;
+
+    // TC strings aren't shared: vendors must be disclosed on each site, so only update an existing one
+    if (this.tcf?.getTCString()) {
+      this.tcf.applyCategories(this._getCategoryStatesFromConsent(current));
+      this._updateTCF('save_preferences');
+    }
+
+    this._applyConsentChange(current).catch((e) => console.error('Cookie consent: Consent callback failed', e));
+  }
+
+  /**
+   * Apply a decision made outside this page (in another tab or on a synced domain)
+   * @param {Object} consent - The stored consent
+   * @returns {Promise<void>}
+   */
+  async _applyConsentChange(consent) {
+    const before = this.appliedConsent;
+    this.appliedConsent = consent;
+    const change = this._getConsentChange('external', before);
+
+    this.categories = this._getCategoryStatesFromConsent(consent);
+    this.vendors = this._getVendorStatesFromConsent(consent);
+    this._updateGoogleConsent();
+    this._updateGPP();
+    this._evaluateScripts();
+    this._cleanupRevokedCategories(change.previous);
+    this._updateDebugBadge();
+    this.dialogNeeded = false;
+    this.vendorChoices = {};
+    this._notifyState();
+    this._emit('consent:change', change);
+
+    if (this.view) {
+      this.hide();
+    }
+    if (!this.floatingButton) {
+      this._createFloatingButton();
+    } else {
+      this._updateFloatingButton();
+    }
+
+    await this._executeCallback(this._getCallbackForConsent(consent), this._getCallbackCategories(), change);
+  }
+
+  /**
+   * Link consent to a signed-in user so it follows them across devices
+   *
+   * The account's and this browser's decisions are reconciled (the newest wins, see onConflict);
+   * this browser's decision is pushed to the account when it wins, and later decisions always are.
+   * Called before init(), the account is fetched during init().
+   * @param {string} userId - Your user ID (stored with the consent and its receipts)
+   * @param {Function} fetcher - async ({ action: 'get' | 'set', userId, consent }) => the account's consent for 'get'
+   * @returns {Promise<void>}
+   */
+  async identify(userId, fetcher) {
+    this.account = { userId, fetcher };
+    this._log('User identified: ' + userId);
+
+    if (this.initialized) {
+      await this._syncAccount(true);
+    }
+  }
+
+  /**
+   * Reconcile this browser's consent with the identified user's account
+   * @param {boolean} apply - Apply an adopted decision to the page (after init)
+   * @returns {Promise<void>}
+   */
+  async _syncAccount(apply) {
+    const { userId, fetcher } = this.account;
+
+    let remote;
+    try {
+      remote = await fetcher({ action: 'get', userId });
+    } catch (e) {
+      this._log('Account consent request failed', e, 'warn');
+      return;
+    }
+
+    // identify() was called again meanwhile
+    if (this.account?.userId !== userId) return;
+
+    if (!remote || typeof remote.version !== 'string' || typeof remote.timestamp !== 'string') {
+      remote = null;
+    }
+
+    const local = this._readConsent();
+    if (!remote && !local) return;
+
+    let resolution = !local || (remote && this._isNewerConsent(remote, local)) ? 'remote' : 'local';
+    if (local && remote && this.onConflict && this._consentDiffers(local, remote)) {
+      try {
+        resolution = (await this.onConflict({ local, remote, resolution })) || resolution;
+      } catch (e) {
+        this._log('onConflict callback failed', e, 'error');
+      }
+      this._log('Account consent conflict resolved: ' + resolution, { local, remote }, 'warn');
+    }
+
+    let winner = resolution === 'remote' ? remote : local;
+    const loser = resolution === 'remote' ? local : remote;
+    if (loser && !this._isNewerConsent(winner, loser)) {
+      // The older decision was picked: make it the newest everywhere
+      const timestamp = Math.max(Date.now(), Date.parse(loser.timestamp) + 1);
+      winner = { ...winner, timestamp: new Date(timestamp).toISOString() };
+    }
+
+    if (winner !== remote) {
+      await this._updateAccount({ ...winner, userId });
+    }
+
+    if (winner === local) return;
+
+    this._writeConsent(winner);
+    this._updateSync(winner);
+    this._notifyTabs();
+    this._log('Consent adopted from account', winner, 'success');
+
+    // The account's decision may be outdated for this site's policy version
+    const current = this.getConsent();
+    if (!apply || !current || resolution !== 'remote') return;
+
+    if (this.tcf?.getTCString()) {
+      this.tcf.applyCategories(this._getCategoryStatesFromConsent(current));
+      this._updateTCF('save_preferences');
+    }
+    await this._applyConsentChange(current);
+  }
+
+  /**
+   * Store a decision on the identified user's account
+   * @param {Object} consent - Consent to store
+   * @returns {Promise<void>}
+   */
+  async _updateAccount(consent) {
+    if (!this.account) return;
+
+    try {
+      await this.account.fetcher({ action: 'set', userId: this.account.userId, consent });
+      this._log('Consent saved to account', consent, 'success');
+    } catch (e) {
+      this._log('Unable to save consent to account', e, 'warn');
+    }
+  }
+
+  /**
+   * Check if two consent records have different category or vendor choices
+   * @param {Object} a - Consent record
+   * @param {Object} b - Consent record
+   * @returns {boolean}
+   */
+  _consentDiffers(a, b) {
+    const categories = this._getCategoryStatesFromConsent(a);
+    const other = this._getCategoryStatesFromConsent(b);
+    const vendors = this._getVendorStatesFromConsent(a);
+    const otherVendors = this._getVendorStatesFromConsent(b);
+    return Object.keys(categories).some((cat) => categories[cat] !== other[cat]) ||
+      this._getVendorIds().some((id) => vendors[id] !== otherVendors[id]);
+  }
+
+  /**
+   * Get the callback matching a decision made elsewhere (there is no button action to go by)
+   * @param {Object} consent - The stored consent
+   * @returns {Function|null} onAccept for all, onReject for essential only, otherwise onSave
+   */
+  _getCallbackForConsent(consent) {
+    const status = this._getStatusForConsent(consent);
+    if (status === 'all') return this.onAccept;
+    if (status === 'essential') return this.onReject;
+    return this.onSave;
+  }
+
+  /**
+   * Check if consent a was given after consent b
+   * @param {Object} a - Consent to check
+   * @param {Object|null} b - Consent to compare with
+   * @returns {boolean}
+   */
+  _isNewerConsent(a, b) {
+    if (!b) return true;
+    return Date.parse(a.timestamp) > Date.parse(b.timestamp);
+  }
+
   /**
    * Detect region using timezone
    * @returns {string|null} Country code or null
@@ -2449,6 +4974,33 @@ class CookieConsent {
     this.consentMode = this._getConsentModeForRegion(regionType);
 
     this._log('Region detected:', { country, regionType, mode: this.consentMode });
+    this._emit('geo:detected', { country, region: regionType, consentMode: this.consentMode });
+  }
+
+  /**
+   * Store the decision held in this.categories and this.vendors, then apply it everywhere: receipt,
+   * Google Consent Mode, TCF, GPP, synced domains, other tabs, scripts and revoked categories'
+   * cookies, followed by the state listeners and the 'consent:change' event
+   * @param {string} action - 'accept_all' | 'reject_all' | 'save_preferences' | 'api'
+   * @param {Object|null} before - The decision in effect before (this.appliedConsent), null if none
+   * @param {string} [source] - The change's source (default: the action)
+   * @returns {Object} The change (see _getConsentChange)
+   */
+  _applyDecision(action, before, source = action) {
+    const consent = this._saveToStorage();
+    const change = this._getConsentChange(source, before);
+    this._sendReceipt(action, consent);
+    this._updateGoogleConsent();
+    this._updateTCF(action);
+    this._updateGPP();
+    this._updateSync(consent);
+    this._notifyTabs();
+    this._evaluateScripts();
+    this._cleanupRevokedCategories(change.previous);
+    this._updateDebugBadge();
+    this._notifyState();
+    this._emit('consent:change', change);
+    return change;
   }
 
   /**
@@ -2458,20 +5010,13 @@ class CookieConsent {
     const button = this.modal?.querySelector('[data-action="accept"]');
     this._setButtonLoading(button, true);
 
-    this.categories = {
-      necessary: true,
-      functional: true,
-      preferences: true,
-      analytics: true,
-      marketing: true
-    };
+    const before = this.appliedConsent;
+    this.categories = this._getAllCategoryStates(true);
+    this.vendors = {};
 
     this._log('All cookies accepted', this.categories, 'success');
-    this._saveToStorage();
-    this._updateGoogleConsent();
-    this._evaluateScripts();
-    this._updateDebugBadge();
-    this._announce('Cookie preferences saved. All cookies accepted.');
+    const change = this._applyDecision('accept_all', before);
+    this._announce(this.content.announcements.acceptAll);
 
     // Create floating button on first consent, or update existing
     if (!this.floatingButton) {
@@ -2480,7 +5025,7 @@ class CookieConsent {
       this._updateFloatingButton();
     }
 
-    await this._executeCallback(this.onAccept, this._getCallbackCategories());
+    await this._executeCallback(this.onAccept, this._getCallbackCategories(), change);
 
     this._setButtonLoading(button, false);
     this.hide();
@@ -2493,20 +5038,13 @@ class CookieConsent {
     const button = this.modal?.querySelector('[data-action="reject"]');
     this._setButtonLoading(button, true);
 
-    this.categories = {
-      necessary: true,
-      functional: false,
-      preferences: false,
-      analytics: false,
-      marketing: false
-    };
+    const before = this.appliedConsent;
+    this.categories = this._getAllCategoryStates(false);
+    this.vendors = {};
 
     this._log('Non-essential cookies rejected', this.categories, 'warn');
-    this._saveToStorage();
-    this._updateGoogleConsent();
-    this._evaluateScripts();
-    this._updateDebugBadge();
-    this._announce('Cookie preferences saved. Non-essential cookies rejected.');
+    const change = this._applyDecision('reject_all', before);
+    this._announce(this.content.announcements.rejectAll);
 
     // Create floating button on first consent, or update existing
     if (!this.floatingButton) {
@@ -2515,7 +5053,7 @@ class CookieConsent {
       this._updateFloatingButton();
     }
 
-    await this._executeCallback(this.onReject, this._getCallbackCategories());
+    await this._executeCallback(this.onReject, this._getCallbackCategories(), change);
 
     this._setButtonLoading(button, false);
     this.hide();
@@ -2528,18 +5066,22 @@ class CookieConsent {
     const button = this.modal?.querySelector('[data-action="save"]');
     this._setButtonLoading(button, true);
 
-    // Read current toggle states
-    this.modal.querySelectorAll('.cc-toggle-input[data-category]').forEach((input) => {
-      const category = input.dataset.category;
-      this.categories[category] = input.checked;
-    });
+    // Read current toggle states (headless UIs set them with setCategoryChoice() and setVendorChoice())
+    const before = this.appliedConsent;
+    if (this.modal) {
+      this.modal.querySelectorAll('.cc-toggle-input[data-category]').forEach((input) => {
+        const category = input.dataset.category;
+        this.categories[category] = input.checked;
+      });
+      this.modal.querySelectorAll('.cc-toggle-input[data-vendor]:not(:disabled)').forEach((input) => {
+        this.vendors[input.dataset.vendor] = input.checked;
+      });
+    }
+    Object.assign(this.vendors, this.vendorChoices);
 
-    this._log('Preferences saved', this.categories, 'success');
-    this._saveToStorage();
-    this._updateGoogleConsent();
-    this._evaluateScripts();
-    this._updateDebugBadge();
-    this._announce('Cookie preferences saved.');
+    this._log('Preferences saved', { ...this.categories, vendors: this.vendors }, 'success');
+    const change = this._applyDecision('save_preferences', before);
+    this._announce(this.content.announcements.save);
 
     // Create floating button on first consent, or update existing
     if (!this.floatingButton) {
@@ -2548,61 +5090,357 @@ class CookieConsent {
       this._updateFloatingButton();
     }
 
-    await this._executeCallback(this.onSave, this._getCallbackCategories());
+    await this._executeCallback(this.onSave, this._getCallbackCategories(), change);
 
     this._setButtonLoading(button, false);
     this.hide();
   }
 
   /**
-   * Save consent to storage (localStorage or cookie)
+   * Record a decision without the dialog (e.g. from your own settings screen)
+   *
+   * Categories left out keep the stored choice (or their default before any decision);
+   * required categories stay on and ones denied by a privacy signal stay off.
+   * The callback matching the new status fires: onAccept, onReject or onSave.
+   * @param {Object} categories - Choices keyed by category name, e.g. { analytics: true }
+   * @param {Object} [options]
+   * @param {string} [options.source='api'] - The change's source in callbacks and events:
+   *   'api', or 'external' for a decision made elsewhere
+   * @returns {Promise<void>}
    */
-  _saveToStorage() {
-    // Generate consent ID if enabled and not already set
-    if (this.generateConsentId && !this.consentId) {
-      this.consentId = this._generateConsentId();
+  async setConsent(categories, options = {}) {
+    const source = options.source === 'external' ? 'external' : 'api';
+    if (options.source && options.source !== source) {
+      this._log(`Unknown consent source: ${options.source}, using 'api'`, null, 'warn');
     }
 
-    const consent = {
-      version: '2.0', // Version for migration support
-      necessary: this.categories.necessary,
-      functional: this.categories.functional,
-      preferences: this.categories.preferences,
-      analytics: this.categories.analytics,
-      marketing: this.categories.marketing,
-      timestamp: new Date().toISOString()
-    };
+    const before = this.appliedConsent;
+    const choices = before ? this._getCategoryStatesFromConsent(before) : this._getDefaultCategoryStates();
 
-    // Add consent ID if generated
-    if (this.consentId) {
-      consent.consentId = this.consentId;
+    Object.keys(categories || {}).forEach((name) => {
+      if (!this.categoryDefinitions[name]) {
+        this._log(`Unknown category: ${name}`, null, 'warn');
+        return;
+      }
+      choices[name] = categories[name] === true;
+    });
+
+    this.categories = this._getCategoryStatesFromConsent(choices);
+    this.vendors = before ? this._getVendorStatesFromConsent(before) : {};
+
+    this._log('Consent set through the API', this.categories, 'success');
+    const change = this._applyDecision('api', before, source);
+
+    // An open dialog shows the decision instead of asking for one
+    if (this.view) {
+      this.hide();
+    } else if (this.modal) {
+      this._syncToggles();
+    }
+
+    if (!this.floatingButton) {
+      this._createFloatingButton();
+    } else {
+      this._updateFloatingButton();
     }
 
-    const encodedData = this._encodeData(consent);
+    await this._executeCallback(this._getCallbackForConsent(this.appliedConsent), this._getCallbackCategories(), change);
+  }
 
-    try {
-      if (this.storageMethod === 'cookie') {
-        this._setCookie(this.storageKey, encodedData);
-      } else {
-        localStorage.setItem(this.storageKey, encodedData);
-      }
-      this._log('Consent saved to ' + this.storageMethod, consent);
-    } catch (e) {
-      console.warn('Cookie consent: Unable to save to ' + this.storageMethod, e);
+  /**
+   * Allow or deny a single category without the dialog (see setConsent())
+   * @param {string} name - Category name
+   * @param {boolean} value - Whether the category is allowed
+   * @returns {Promise<void>}
+   */
+  async updateCategory(name, value) {
+    if (!this.categoryDefinitions[name]) {
+      this._log(`Unknown category: ${name}`, null, 'warn');
+      return;
     }
+    await this.setConsent({ [name]: value });
   }
 
   /**
-   * Migrate consent from v1 (3 categories) to v2 (5 categories)
-   * @param {Object} oldConsent - The v1 consent object
-   * @returns {Object} The migrated v2 consent object
+   * Build a consent receipt for the server-side audit log
+   * @param {string} action - 'accept_all' | 'reject_all' | 'save_preferences'
+   * @param {Object} consent - The stored consent
+   * @returns {Object} Consent receipt
    */
-  _migrateConsentV1toV2(oldConsent) {
-    const migrated = {
-      version: '2.0',
-      necessary: true,
-      functional: false,  // Default to false for new categories
-      preferences: false,
+  _buildReceipt(action, consent) {
+    return {
+      consentId: this.consentId,
+      action: action,
+      categories: { ...this.categories },
+      policyVersion: this.policyVersion,
+      privacySignal: this.privacySignal,
+      userId: this.account ? this.account.userId : null,
+      timestamp: consent.timestamp,
+      language: this.language,
+      userAgent: navigator.userAgent
+    };
+  }
+
+  /**
+   * POST a receipt to the receipt endpoint
+   * @param {Object} receipt - Consent receipt
+   * @returns {Promise<boolean>} Whether the server accepted it
+   */
+  async _postReceipt(receipt) {
+    try {
+      const response = await fetch(this.receiptEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(receipt),
+        keepalive: true
+      });
+      return response.ok;
+    } catch (e) {
+      this._log('Receipt request failed', e, 'warn');
+      return false;
+    }
+  }
+
+  /**
+   * Hand a receipt to the browser's beacon queue
+   * @param {Object} receipt - Consent receipt
+   * @returns {boolean} Whether the beacon was queued
+   */
+  _beaconReceipt(receipt) {
+    if (typeof navigator.sendBeacon !== 'function') return false;
+
+    try {
+      // text/plain avoids a CORS preflight, which beacons cannot perform
+      const body = new Blob([JSON.stringify(receipt)], { type: 'text/plain;charset=UTF-8' });
+      return navigator.sendBeacon(this.receiptEndpoint, body);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Read receipts waiting to be retried
+   * @returns {Array} Queued receipts
+   */
+  _getReceiptQueue() {
+    try {
+      const stored = localStorage.getItem(this.receiptQueueKey);
+      return stored ? JSON.parse(stored) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Write receipts waiting to be retried (keeps the 20 most recent)
+   * @param {Array} queue - Queued receipts
+   */
+  _setReceiptQueue(queue) {
+    try {
+      if (queue.length === 0) {
+        localStorage.removeItem(this.receiptQueueKey);
+      } else {
+        localStorage.setItem(this.receiptQueueKey, JSON.stringify(queue.slice(-20)));
+      }
+    } catch (e) {
+      // Storage quota exceeded, ignore
+    }
+  }
+
+  /**
+   * Send a consent receipt, falling back to sendBeacon and then the retry queue
+   * @param {string} action - 'accept_all' | 'reject_all' | 'save_preferences' | 'api'
+   * @param {Object} consent - The stored consent
+   * @returns {Promise}
+   */
+  async _sendReceipt(action, consent) {
+    if (!this.receiptEndpoint || !consent) return;
+
+    const receipt = this._buildReceipt(action, consent);
+
+    if (await this._postReceipt(receipt)) {
+      this._log('Consent receipt sent', receipt, 'success');
+      return;
+    }
+
+    if (this._beaconReceipt(receipt)) {
+      this._log('Consent receipt sent via beacon', receipt);
+      return;
+    }
+
+    this._setReceiptQueue([...this._getReceiptQueue(), receipt]);
+    this._log('Consent receipt queued for retry', receipt, 'warn');
+  }
+
+  /**
+   * Retry queued consent receipts (those that fail again stay queued)
+   * @returns {Promise}
+   */
+  async _flushReceiptQueue() {
+    if (!this.receiptEndpoint) return;
+
+    const queue = this._getReceiptQueue();
+    if (queue.length === 0) return;
+
+    const failed = [];
+    for (const receipt of queue) {
+      if (!(await this._postReceipt(receipt))) {
+        failed.push(receipt);
+      }
+    }
+
+    // Keep receipts queued while the retry was in flight
+    const added = this._getReceiptQueue().slice(queue.length);
+    this._setReceiptQueue([...failed, ...added]);
+    this._log(`Retried ${queue.length} queued receipt(s), ${failed.length} still pending`);
+  }
+
+  /**
+   * Save consent to storage (localStorage or cookie)
+   * @returns {Object} The saved consent
+   */
+  _saveToStorage() {
+    // Generate consent ID if enabled and not already set
+    if (this.generateConsentId && !this.consentId) {
+      this.consentId = this._generateConsentId();
+    }
+
+    const consent = {
+      version: '2.0', // Version for migration support
+      ...this._getCategoryStatesFromConsent(this.categories),
+      timestamp: new Date().toISOString()
+    };
+
+    // Record which policy version the user agreed to
+    if (this.policyVersion) {
+      consent.policyVersion = this.policyVersion;
+    }
+    this.repromptCategories = [];
+    this.dialogNeeded = false;
+    this.vendorChoices = {};
+
+    // Record that a privacy signal denied categories for this decision
+    if (this.privacySignal) {
+      consent.privacySignal = this.privacySignal;
+    }
+
+    // Add consent ID if generated
+    if (this.consentId) {
+      consent.consentId = this.consentId;
+    }
+
+    // Link the decision to the signed-in user
+    if (this.account) {
+      consent.userId = this.account.userId;
+    }
+
+    // Record per-vendor choices when the categories declare vendors
+    if (this._getVendorIds().length > 0) {
+      consent.vendors = { ...this.vendors };
+    }
+
+    // Record the language the dialog was shown in
+    consent.language = this.language;
+
+    this._writeConsent(consent);
+    this._updateAccount(consent);
+    this.appliedConsent = consent;
+
+    return consent;
+  }
+
+  /**
+   * Write a consent object to storage
+   * @param {Object} consent - Consent to store
+   */
+  _writeConsent(consent) {
+    this.knownConsentTimestamp = consent.timestamp;
+
+    if (!this.storageDeferred) {
+      this.storageWrite = this._writeStoredValue(this._encodeData(consent)).then((saved) => {
+        if (saved) this._log('Consent saved to ' + this.storageMethod, consent);
+      });
+      return;
+    }
+
+    // Reads see the new consent right away; the stored value follows
+    const revision = ++this.storageRevision;
+    this.cachedConsent = consent;
+    this.storageWrite = this.storageWrite
+      .then(() => (this.storageProtection ? this._sealData(consent) : this._encodeData(consent)))
+      // Skip the write if consent was saved again or cleared meanwhile
+      .then((value) => revision === this.storageRevision && this._writeStoredValue(value))
+      .then((saved) => {
+        if (saved) this._log('Consent saved to ' + this.storageMethod, consent);
+      }, (e) => {
+        console.warn('Cookie consent: Unable to save consent', e);
+      });
+  }
+
+  /**
+   * Write an encoded value to the first storage driver that accepts it
+   * (sync drivers are written before this returns)
+   * @param {string} value - Encoded consent
+   * @param {number} index - Driver to try
+   * @returns {Promise<boolean>} Whether the value was written
+   */
+  _writeStoredValue(value, index = 0) {
+    const driver = this.storageDrivers[index];
+    if (!driver) return Promise.resolve(false);
+
+    const fallback = (e) => {
+      console.warn('Cookie consent: Unable to save to ' + driver.name, e);
+      return this._writeStoredValue(value, index + 1);
+    };
+
+    try {
+      return Promise.resolve(driver.set(this.storageKey, value)).then(() => true, fallback);
+    } catch (e) {
+      return fallback(e);
+    }
+  }
+
+  /**
+   * Read the encoded value from the first sync storage driver that has one
+   * @returns {string|null} Encoded consent or null if not found
+   */
+  _readStoredValue() {
+    for (const driver of this.storageDrivers) {
+      try {
+        const value = driver.get(this.storageKey);
+        if (value) return value;
+      } catch (e) {
+        console.warn('Cookie consent: Unable to read from ' + driver.name, e);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read the encoded value from the first storage driver that has one
+   * @returns {Promise<string|null>} Encoded consent or null if not found
+   */
+  async _readStoredValueAsync() {
+    for (const driver of this.storageDrivers) {
+      try {
+        const value = await driver.get(this.storageKey);
+        if (value) return value;
+      } catch (e) {
+        console.warn('Cookie consent: Unable to read from ' + driver.name, e);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Migrate consent from v1 (3 categories) to v2 (5 categories)
+   * @param {Object} oldConsent - The v1 consent object
+   * @returns {Object} The migrated v2 consent object
+   */
+  _migrateConsentV1toV2(oldConsent) {
+    const migrated = {
+      version: '2.0',
+      ...this._getAllCategoryStates(false), // Default to false for new categories
       analytics: oldConsent.analytics || false,
       marketing: oldConsent.marketing || false,
       timestamp: oldConsent.timestamp || new Date().toISOString()
@@ -2618,22 +5456,124 @@ class CookieConsent {
   }
 
   /**
-   * Get current consent from storage (localStorage or cookie)
-   * @returns {Object|null} Consent object or null if not found
+   * Get the lifetime in days for a stored consent
+   * @param {Object} consent - Stored consent
+   * @returns {number|null} Lifetime in days, or null if it never expires
+   */
+  _getConsentMaxAge(consent) {
+    if (this.consentMaxAge === null) return null;
+    if (typeof this.consentMaxAge === 'number') return this.consentMaxAge;
+
+    const maxAge = this.consentMaxAge[this._getStatusForConsent(consent)];
+    return typeof maxAge === 'number' ? maxAge : null;
+  }
+
+  /**
+   * Check if a stored consent is older than its configured lifetime
+   * @param {Object} consent - Stored consent
+   * @returns {boolean}
+   */
+  _isConsentExpired(consent) {
+    const maxAge = this._getConsentMaxAge(consent);
+    if (maxAge === null) return false;
+
+    const givenAt = Date.parse(consent.timestamp);
+    if (isNaN(givenAt)) return true;
+
+    return Date.now() - givenAt > maxAge * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Clear expired consent and notify the onExpire callback
+   * @param {Object} consent - The expired consent
+   * @returns {Promise}
+   */
+  async _expireConsent(consent) {
+    this._clearStorage();
+    this.appliedConsent = null;
+    this.tcf?.clear();
+    this.gpp?.clear();
+    this.categories = this._getDefaultCategoryStates();
+    this.vendors = {};
+    this.consentId = null;
+
+    this._log('Consent expired, asking again', { timestamp: consent.timestamp }, 'warn');
+    this._emit('expired', { consent });
+
+    // A failing callback must not keep the dialog from asking again
+    try {
+      await this._executeCallback(this.onExpire, consent);
+    } catch (e) {
+      console.error('Cookie consent: onExpire callback failed', e);
+    }
+  }
+
+  /**
+   * Check if a stored consent was given for a different policy version
+   * @param {Object} consent - Stored consent
+   * @returns {boolean}
+   */
+  _isPolicyOutdated(consent) {
+    return this.policyVersion !== null && consent.policyVersion !== this.policyVersion;
+  }
+
+  /**
+   * Get the categories an outdated consent needs a new decision for
+   * @param {Object} consent - Stored consent
+   * @returns {string[]} All optional categories, or only added/changed ones in 'changed' mode
+   */
+  _getStaleCategories(consent) {
+    if (!this._isPolicyOutdated(consent)) return [];
+
+    const optional = this._getOptionalCategories();
+    if (this.policyUpdate.reprompt !== 'changed') return optional;
+
+    return optional.filter((category) => {
+      return this.policyUpdate.changedCategories.includes(category) ||
+        typeof consent[category] !== 'boolean';
+    });
+  }
+
+  /**
+   * Get current consent from storage, ignoring expired consent
+   * Consent for an older policy version is ignored entirely, or in 'changed'
+   * mode has its added and changed categories denied until the user decides
+   * @returns {Object|null} Consent object or null if not found or expired
    */
   getConsent() {
+    const consent = this._readConsent();
+    if (consent && this._isConsentExpired(consent)) return null;
+
+    const stale = consent ? this._getStaleCategories(consent) : [];
+    if (stale.length > 0) {
+      if (this.policyUpdate.reprompt !== 'changed') return null;
+
+      const current = { ...consent };
+      stale.forEach((category) => {
+        current[category] = false;
+      });
+      return current;
+    }
+
+    return consent;
+  }
+
+  /**
+   * Read consent from storage (localStorage or cookie)
+   * @returns {Object|null} Consent object or null if not found
+   */
+  _readConsent() {
     try {
-      let stored;
-      if (this.storageMethod === 'cookie') {
-        stored = this._getCookie(this.storageKey);
+      let consent;
+      if (this.storageDeferred) {
+        // Read by _verifyStoredConsent()
+        consent = this.cachedConsent ? { ...this.cachedConsent } : null;
       } else {
-        stored = localStorage.getItem(this.storageKey);
+        const stored = this._readStoredValue();
+        if (!stored) return null;
+        consent = this._decodeData(stored);
       }
 
-      if (!stored) return null;
-
-      let consent = this._decodeData(stored);
-
       // Store consent ID if present
       if (consent && consent.consentId) {
         this.consentId = consent.consentId;
@@ -2643,13 +5583,7 @@ class CookieConsent {
       if (consent && !consent.version) {
         consent = this._migrateConsentV1toV2(consent);
         // Persist the migrated consent
-        this.categories = {
-          necessary: true,
-          functional: consent.functional,
-          preferences: consent.preferences,
-          analytics: consent.analytics,
-          marketing: consent.marketing
-        };
+        this.categories = this._getCategoryStatesFromConsent(consent);
         this._saveToStorage();
       }
 
@@ -2660,27 +5594,126 @@ class CookieConsent {
     }
   }
 
+  /**
+   * Listen for consent changes made in other tabs
+   */
+  _initTabSync() {
+    this.knownConsentTimestamp = this.getConsent()?.timestamp || null;
+
+    if (this.storageMethod !== 'localStorage') {
+      // Only localStorage writes fire events, so tabs announce other changes on a channel
+      if (typeof BroadcastChannel === 'undefined') return;
+      this.tabChannel = new BroadcastChannel('cconsent:' + this.storageKey);
+      this.tabChannel.onmessage = () => this._handleTabChange();
+    } else {
+      this.storageListener = (e) => {
+        // A null key means another tab cleared localStorage
+        if (e.key === this.storageKey || e.key === null) {
+          this._handleTabChange();
+        }
+      };
+      window.addEventListener('storage', this.storageListener);
+    }
+  }
+
+  /**
+   * Tell other tabs the consent changed (localStorage fires storage events by itself)
+   */
+  _notifyTabs() {
+    // Other tabs read storage, so announce the change once it is written
+    this.storageWrite.then(() => this.tabChannel?.postMessage('consent-change'));
+  }
+
+  /**
+   * Apply a consent decision or reset made in another tab
+   */
+  async _handleTabChange() {
+    await this._verifyStoredConsent();
+
+    const consent = this.getConsent();
+    const timestamp = consent ? consent.timestamp : null;
+    if (timestamp === this.knownConsentTimestamp) return;
+    this.knownConsentTimestamp = timestamp;
+
+    if (!consent) {
+      this._log('Consent reset in another tab', null, 'warn');
+      this._resetConsent();
+      return;
+    }
+
+    this._log('Consent changed in another tab', consent, 'success');
+    this.tcf?.load();
+    this._applyConsentChange(consent).catch((e) => console.error('Cookie consent: Consent callback failed', e));
+  }
+
+  /**
+   * Remove consent from storage (localStorage or cookie)
+   */
+  _clearStorage() {
+    this.knownConsentTimestamp = null;
+    this.storageRevision++;
+    this.cachedConsent = null;
+
+    // Remove from every driver (a fallback may hold the value); deferred storage waits for pending writes
+    const removeAll = () => Promise.all(this.storageDrivers.map((driver) => {
+      const warn = (e) => console.warn('Cookie consent: Unable to clear ' + driver.name, e);
+      try {
+        return Promise.resolve(driver.remove(this.storageKey)).catch(warn);
+      } catch (e) {
+        warn(e);
+        return null;
+      }
+    }));
+
+    this.storageWrite = this.storageDeferred ? this.storageWrite.then(removeAll) : removeAll();
+  }
+
   /**
    * Clear consent and show dialog again
    */
   resetConsent() {
-    try {
-      if (this.storageMethod === 'cookie') {
-        this._deleteCookie(this.storageKey);
-      } else {
-        localStorage.removeItem(this.storageKey);
-      }
-    } catch (e) {
-      console.warn('Cookie consent: Unable to clear ' + this.storageMethod, e);
+    this._updateSync(null);
+    this._resetConsent();
+    this._notifyTabs();
+  }
+
+  /**
+   * Stop watching the page: disconnect the script observer, stop the tracker scanner and tab
+   * sync, and restore the DOM methods patched for auto-blocking (the dialog and stored consent
+   * are left as they are)
+   */
+  destroy() {
+    this.scriptObserver?.disconnect();
+    this.scriptObserver = null;
+    clearInterval(this.scannerTimer);
+    this.scannerTimer = null;
+    this.tabChannel?.close();
+    this.tabChannel = null;
+    if (this.storageListener) {
+      window.removeEventListener('storage', this.storageListener);
+      this.storageListener = null;
+    }
+    if (this.resizeListener) {
+      window.removeEventListener('resize', this.resizeListener);
+      this.resizeListener = null;
     }
+    this.restoreInsertions?.();
+    this.restoreInsertions = null;
+    this._log('Destroyed');
+  }
 
-    this.categories = {
-      necessary: true,
-      functional: false,
-      preferences: false,
-      analytics: false,
-      marketing: false
-    };
+  /**
+   * Clear local consent and show dialog again (without notifying synced domains)
+   */
+  _resetConsent() {
+    const before = this.appliedConsent;
+    this._clearStorage();
+    this.appliedConsent = null;
+    this.tcf?.clear();
+    this.gpp?.clear();
+
+    this.categories = this._getDefaultCategoryStates();
+    this.vendors = {};
 
     // Reset consent ID
     this.consentId = null;
@@ -2713,6 +5746,10 @@ class CookieConsent {
     this._scanScripts();
     this._evaluateScripts();
     this._updateDebugBadge();
+    this.dialogNeeded = true;
+    this.vendorChoices = {};
+    this._notifyState();
+    this._emit('consent:change', this._getConsentChange('reset', before));
 
     // Recreate and show
     this._createModal();
@@ -2727,10 +5764,292 @@ class CookieConsent {
    */
   isAllowed(category) {
     const consent = this.getConsent();
-    const allowed = consent ? consent[category] === true : category === 'necessary';
+    const allowed = this._isRequiredCategory(category) ||
+      (consent ? consent[category] === true && !this._isDeniedBySignal(category) : false);
     this._log(`Category '${category}' checked: ${allowed ? 'allowed' : 'denied'}`);
     return allowed;
   }
+
+  /**
+   * Check if a vendor is allowed: its category must be allowed, and the vendor not refused
+   * (vendors no category declares can't be refused on their own, so they follow the element's category)
+   * @param {string} vendor - Vendor ID (as in data-cookie-vendor)
+   * @returns {boolean}
+   */
+  isVendorAllowed(vendor) {
+    const category = this._getVendorCategory(vendor);
+    if (!category) return true;
+    return this.isAllowed(category) && this.vendors[vendor] !== false;
+  }
+
+  /**
+   * Get the current state of every registered category
+   * @returns {Object} Category states keyed by name
+   */
+  getCategories() {
+    return { ...this.categories };
+  }
+
+  /**
+   * Get every category with its declared cookies and storage keys (e.g. to render the table on the server)
+   * @returns {Array} Groups of { category, label, description, required, entries }
+   */
+  getCookieTable() {
+    return this._getCategoryNames().map((category) => {
+      const def = this.categoryDefinitions[category];
+      const toEntry = (type) => (declared) => {
+        const declaration = typeof declared === 'string' || declared instanceof RegExp ? { name: declared } : declared;
+        return {
+          type,
+          name: declaration.name instanceof RegExp ? `/${declaration.name.source}/` : declaration.name,
+          provider: declaration.provider || null,
+          purpose: declaration.purpose || null,
+          duration: declaration.duration || null,
+          category
+        };
+      };
+
+      return {
+        category,
+        label: this._getCategoryLabel(category),
+        description: this._getCategoryDescription(category) || null,
+        required: def.required,
+        entries: [...def.cookies.map(toEntry('cookie')), ...def.storageKeys.map(toEntry('localStorage'))]
+      };
+    });
+  }
+
+  /**
+   * Get the languages the dialog can be shown in (English and those added through `translations`)
+   * @returns {string[]} Language codes
+   */
+  getLanguages() {
+    return [...this.languages];
+  }
+
+  /**
+   * Get the language the dialog is shown in
+   * @returns {string} Language code
+   */
+  getLanguage() {
+    return this.language;
+  }
+
+  /**
+   * Switch the dialog language (and with direction 'auto', its text direction), re-rendering the
+   * dialog (keeping its view, visibility and unsaved toggles), floating button, blocked-content
+   * placeholders and cookie tables
+   * @param {string} language - Language code, or 'auto' to detect it again
+   * @returns {string} The language now in use
+   */
+  setLanguage(language) {
+    this.language = this._resolveLanguage(language);
+    this.content = this._buildContent(this.language);
+    this.direction = this._resolveDirection(this.requestedDirection);
+
+    if (this.modal) {
+      const visible = this.modal.classList.contains('cc-visible');
+      const inSettings = this.settingsView.classList.contains('cc-active');
+
+      this.modal.remove();
+      if (this.overlay) this.overlay.remove();
+      if (this.liveRegion) this.liveRegion.remove();
+      this._createModal();
+
+      if (inSettings) {
+        this.initialView.classList.remove('cc-active');
+        this.settingsView.classList.add('cc-active');
+      }
+      if (visible) {
+        if (this.overlay) this.overlay.classList.add('cc-visible');
+        this.modal.classList.add('cc-visible');
+        const firstButton = this.modal.querySelector('button');
+        if (firstButton && this.layout.type !== 'inline') firstButton.focus();
+      }
+    }
+
+    if (this.floatingButton) {
+      const hidden = this.floatingButton.classList.contains('cc-floating-hidden');
+      this._createFloatingButton();
+      if (hidden) this.floatingButton.classList.add('cc-floating-hidden');
+    }
+
+    this.managedIframes.forEach((managed) => {
+      if (!managed.placeholder) return;
+      const category = this._getCategoryLabel(managed.category);
+      managed.placeholder.querySelector('.cc-blocked-placeholder-text').textContent =
+        `${this._formatText(this.content.placeholder.blocked, { category })} `;
+      managed.placeholder.querySelector('.cc-blocked-placeholder-link').textContent = this.content.placeholder.changeSettings;
+    });
+
+    this._renderCookieTables();
+    this._notifyState();
+    this._log(`Language set to ${this.language}`);
+    return this.language;
+  }
+
+  /**
+   * Switch the theme of the dialog, floating button and blocked-content placeholders
+   * @param {string|Object} theme - 'dark', 'light' or 'auto', or an object with a `mode` and
+   *   CSS custom property values (replaces the current theme's values)
+   */
+  setTheme(theme) {
+    const previous = this.theme;
+    this.theme = this._normalizeTheme(theme);
+
+    [this.modal, this.overlay, this.floatingButton].forEach((element) => this._applyTheme(element, previous));
+    this.managedIframes.forEach((managed) => this._applyTheme(managed.placeholder, previous));
+
+    this._log(`Theme set to ${this.theme.mode}`);
+  }
+
+  /**
+   * Get a snapshot of everything a custom (headless) UI needs to render the dialog
+   * @returns {Object} { initialized, dialogNeeded, view, categories, vendors, categoryList,
+   *   status, consentMode, region, privacySignal, language, direction, policyUrl, content }
+   */
+  getState() {
+    const vendors = { ...this.vendors, ...this.vendorChoices };
+
+    return {
+      initialized: this.initialized,
+      dialogNeeded: this.dialogNeeded,
+      view: this.view,
+      categories: { ...this.categories },
+      vendors,
+      // Categories in display order, with their text in the current language
+      categoryList: this._getCategoryNames().map((name) => {
+        const required = this._isRequiredCategory(name);
+        const denied = !required && this._isDeniedBySignal(name);
+        return {
+          name,
+          label: this._getCategoryLabel(name),
+          description: this._getCategoryDescription(name),
+          required,
+          denied,
+          updated: this.repromptCategories.includes(name),
+          enabled: required || (!denied && this.categories[name] === true),
+          vendors: this.categoryDefinitions[name].vendors.map((vendor) => ({
+            id: vendor.id,
+            name: vendor.name,
+            description: vendor.description || null,
+            policyUrl: vendor.policyUrl || null,
+            enabled: required || (!denied && vendors[vendor.id] !== false)
+          }))
+        };
+      }),
+      status: this._getConsentStatus(),
+      consentMode: this.consentMode,
+      region: this.detectedRegion,
+      privacySignal: this.privacySignal,
+      language: this.language,
+      direction: this.direction,
+      policyUrl: this.policyUrl,
+      content: this.content
+    };
+  }
+
+  /**
+   * Listen for state changes: the dialog being needed, shown or hidden, choices, decisions and language
+   * @param {Function} listener - Called with a getState() snapshot after each change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.stateListeners.push(listener);
+    return () => {
+      this.stateListeners = this.stateListeners.filter((l) => l !== listener);
+    };
+  }
+
+  /**
+   * Listen for a lifecycle event: 'init', 'dialog:show', 'dialog:hide', 'view:change',
+   * 'consent:change', 'category:toggle', 'script:allowed', 'script:blocked',
+   * 'iframe:unblocked', 'geo:detected' or 'expired'
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event's detail
+   * @returns {Function} Function removing the listener
+   */
+  on(event, listener) {
+    this.eventListeners[event] = [...(this.eventListeners[event] || []), listener];
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Stop listening for an event
+   * @param {string} event - Event name
+   * @param {Function} listener - The listener passed to on() or once()
+   */
+  off(event, listener) {
+    if (!this.eventListeners[event]) return;
+    this.eventListeners[event] = this.eventListeners[event].filter(
+      (l) => l !== listener && l.listener !== listener
+    );
+  }
+
+  /**
+   * Listen for the next time an event fires
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event's detail
+   * @returns {Function} Function removing the listener
+   */
+  once(event, listener) {
+    const wrapper = (detail) => {
+      this.off(event, wrapper);
+      listener(detail);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Turn a category on or off in the preferences, to be stored by savePreferences()
+   * (for custom UIs; required categories and ones denied by a privacy signal can't change)
+   * @param {string} category - Category name
+   * @param {boolean} allowed - Whether the category is chosen
+   * @returns {boolean} Whether the choice was applied
+   */
+  setCategoryChoice(category, allowed) {
+    if (!this.categoryDefinitions[category]) {
+      this._log(`Unknown category: ${category}`, null, 'warn');
+      return false;
+    }
+    if (this._isRequiredCategory(category) || this._isDeniedBySignal(category)) return false;
+
+    this.categories[category] = !!allowed;
+    if (this.tcf) {
+      this.tcf.applyCategories(this.categories);
+    }
+    if (this.modal) {
+      this._syncToggles();
+    }
+    this._emit('category:toggle', { category, allowed: !!allowed });
+    this._notifyState();
+    return true;
+  }
+
+  /**
+   * Turn a vendor on or off in the preferences, to be stored by savePreferences()
+   * @param {string} vendor - Vendor ID
+   * @param {boolean} allowed - Whether the vendor is chosen
+   * @returns {boolean} Whether the choice was applied
+   */
+  setVendorChoice(vendor, allowed) {
+    const category = this._getVendorCategory(vendor);
+    if (!category) {
+      this._log(`Unknown vendor: ${vendor}`, null, 'warn');
+      return false;
+    }
+    if (this._isRequiredCategory(category) || this._isDeniedBySignal(category)) return false;
+
+    this.vendorChoices[vendor] = !!allowed;
+    const input = this.modal?.querySelector(`.cc-toggle-input[data-vendor="${vendor}"]`);
+    if (input) {
+      input.checked = !!allowed;
+      input.setAttribute('aria-checked', allowed ? 'true' : 'false');
+    }
+    this._notifyState();
+    return true;
+  }
 }
 
 // Export for module usage
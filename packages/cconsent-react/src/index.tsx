@@ -10,6 +10,7 @@ import CookieConsentClass, {
   type ConsentCategories,
   type ConsentStatus,
   type ConsentState,
+  type ConsentUIState,
   type CookieConsentConfig,
   type CookieConsentInstance
 } from 'cconsent';
@@ -17,13 +18,25 @@ import CookieConsentClass, {
 interface CookieConsentContextValue {
   consent: ConsentCategories | null;
   status: ConsentStatus;
+  /** Dialog and consent state for custom UIs (null until initialized) */
+  state: ConsentUIState | null;
   isAllowed: (category: keyof ConsentCategories) => boolean;
   showDialog: () => void;
   showSettings: () => void;
   hideDialog: () => void;
   resetConsent: () => void;
+  acceptAll: () => Promise<void>;
+  rejectAll: () => Promise<void>;
+  savePreferences: () => Promise<void>;
+  setCategoryChoice: (category: string, allowed: boolean) => boolean;
+  setVendorChoice: (vendor: string, allowed: boolean) => boolean;
 }
 
+/**
+ * Context passed to ConsentBanner and ConsentPreferences render functions
+ */
+type ConsentUIContext = CookieConsentContextValue & { state: ConsentUIState };
+
 const CookieConsentContext = createContext<CookieConsentContextValue | null>(null);
 
 interface CookieConsentProviderProps {
@@ -52,49 +65,50 @@ export function CookieConsentProvider({ children, config }: CookieConsentProvide
   const [instance, setInstance] = useState<CookieConsentInstance | null>(null);
   const [consent, setConsent] = useState<ConsentCategories | null>(null);
   const [status, setStatus] = useState<ConsentStatus>('essential');
+  const [state, setState] = useState<ConsentUIState | null>(null);
 
   useEffect(() => {
     // Only run on client
     if (typeof window === 'undefined') return;
+    // Set on unmount (and between StrictMode's double mount) so a late init() is ignored
+    let cancelled = false;
 
-    // Initialize CookieConsent
-    const initConsent = async () => {
-      const cc = new CookieConsentClass({
-        ...config,
-        onAccept: (categories) => {
-          setConsent(categories);
-          setStatus(cc._getConsentStatus());
-          config.onAccept?.(categories);
-        },
-        onReject: (categories) => {
-          setConsent(categories);
-          setStatus(cc._getConsentStatus());
-          config.onReject?.(categories);
-        },
-        onSave: (categories) => {
-          setConsent(categories);
-          setStatus(cc._getConsentStatus());
-          config.onSave?.(categories);
-        }
-      });
+    const cc = new CookieConsentClass(config);
 
+    // Follow decisions, including ones made in other tabs and resets
+    const offChange = cc.on('consent:change', () => {
+      setConsent(cc.getConsent() ? cc.getCategories() : null);
+      setStatus(cc._getConsentStatus());
+    });
+
+    // Follow the dialog and choices (for ConsentBanner and ConsentPreferences)
+    const unsubscribe = cc.subscribe(setState);
+
+    const initConsent = async () => {
       await cc.init();
+      if (cancelled) {
+        // init() may have started watching the page after the cleanup ran
+        cc.destroy();
+        return;
+      }
       setInstance(cc);
+      setState(cc.getState());
 
-      const existingConsent = cc.getConsent();
-      if (existingConsent) {
-        setConsent({
-          necessary: true,
-          functional: existingConsent.functional ?? false,
-          preferences: existingConsent.preferences ?? false,
-          analytics: existingConsent.analytics ?? false,
-          marketing: existingConsent.marketing ?? false
-        });
+      if (cc.getConsent()) {
+        setConsent(cc.getCategories());
         setStatus(cc._getConsentStatus());
       }
     };
 
     initConsent();
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+      offChange();
+      // Stop listening to other tabs and release the patched DOM methods
+      cc.destroy();
+    };
   }, []);
 
   const isAllowed = useCallback(
@@ -123,14 +137,46 @@ export function CookieConsentProvider({ children, config }: CookieConsentProvide
     setStatus('essential');
   }, [instance]);
 
+  const acceptAll = useCallback(async () => {
+    await instance?.acceptAll();
+  }, [instance]);
+
+  const rejectAll = useCallback(async () => {
+    await instance?.rejectAll();
+  }, [instance]);
+
+  const savePreferences = useCallback(async () => {
+    await instance?.savePreferences();
+  }, [instance]);
+
+  const setCategoryChoice = useCallback(
+    (category: string, allowed: boolean): boolean => {
+      return instance?.setCategoryChoice(category, allowed) ?? false;
+    },
+    [instance]
+  );
+
+  const setVendorChoice = useCallback(
+    (vendor: string, allowed: boolean): boolean => {
+      return instance?.setVendorChoice(vendor, allowed) ?? false;
+    },
+    [instance]
+  );
+
   const value: CookieConsentContextValue = {
     consent,
     status,
+    state,
     isAllowed,
     showDialog,
     showSettings,
     hideDialog,
-    resetConsent
+    resetConsent,
+    acceptAll,
+    rejectAll,
+    savePreferences,
+    setCategoryChoice,
+    setVendorChoice
   };
 
   return (
@@ -258,10 +304,166 @@ export function ConsentGate({ category, children, fallback }: ConsentGateProps)
   return <>{children}</>;
 }
 
+interface ConsentBannerProps {
+  /** Class name of the banner element */
+  className?: string;
+  /** Render your own markup instead, with the state and actions */
+  children?: (context: ConsentUIContext) => ReactNode;
+}
+
+/**
+ * Unstyled consent banner for headless mode (`ui: false`), rendered while the banner view is open
+ *
+ * @example
+ * ```tsx
+ * <CookieConsentProvider config={{ ui: false, policyUrl: '/privacy' }}>
+ *   <App />
+ *   <ConsentBanner className="banner" />
+ *   <ConsentPreferences className="preferences" />
+ * </CookieConsentProvider>
+ * ```
+ */
+export function ConsentBanner({ className, children }: ConsentBannerProps) {
+  const context = useCookieConsent();
+  const { state } = context;
+
+  if (!state || state.view !== 'banner') return null;
+  if (children) return <>{children({ ...context, state })}</>;
+
+  const { initialView } = state.content;
+  // Opt-out (CCPA) regions get the "Do not sell" wording
+  const rejectText = state.consentMode === 'opt-out'
+    ? initialView.buttons.doNotSell
+    : initialView.buttons.rejectAll;
+
+  return (
+    <div
+      className={className}
+      role="dialog"
+      aria-modal="false"
+      aria-labelledby="cc-banner-heading"
+      lang={state.language}
+      dir={state.direction}
+    >
+      <h2 id="cc-banner-heading">{initialView.heading}</h2>
+      <p>
+        {initialView.description.text}
+        <a href={state.policyUrl} target="_blank" rel="noopener noreferrer">
+          {initialView.description.linkText}
+        </a>
+        {initialView.description.suffix}
+      </p>
+      <button type="button" data-action="customize" onClick={context.showSettings}>
+        {initialView.buttons.customize}
+      </button>
+      <button type="button" data-action="reject" onClick={() => context.rejectAll()}>
+        {rejectText}
+      </button>
+      <button type="button" data-action="accept" onClick={() => context.acceptAll()}>
+        {initialView.buttons.acceptAll}
+      </button>
+    </div>
+  );
+}
+
+interface ConsentPreferencesProps {
+  /** Class name of the preferences element */
+  className?: string;
+  /** Always render, e.g. on a privacy page (default: only while the preferences view is open) */
+  inline?: boolean;
+  /** Render your own markup instead, with the state and actions */
+  children?: (context: ConsentUIContext) => ReactNode;
+}
+
+/**
+ * Unstyled category and vendor switches with a save button, for headless mode (`ui: false`)
+ *
+ * @example
+ * ```tsx
+ * // On the privacy page
+ * <ConsentPreferences inline />
+ * ```
+ */
+export function ConsentPreferences({ className, inline = false, children }: ConsentPreferencesProps) {
+  const context = useCookieConsent();
+  const { state } = context;
+
+  if (!state || (!inline && state.view !== 'preferences')) return null;
+  if (children) return <>{children({ ...context, state })}</>;
+
+  const { settingsView, toggle, vendors, privacySignal } = state.content;
+
+  return (
+    <div
+      className={className}
+      role={inline ? 'region' : 'dialog'}
+      aria-modal={inline ? undefined : 'false'}
+      aria-labelledby="cc-preferences-heading"
+      lang={state.language}
+      dir={state.direction}
+    >
+      <h2 id="cc-preferences-heading">{settingsView.heading}</h2>
+      <p>{settingsView.description}</p>
+      {state.privacySignal && <p data-signal={state.privacySignal}>{privacySignal[state.privacySignal]}</p>}
+
+      {state.categoryList.map((category) => (
+        <div key={category.name} data-category={category.name}>
+          <label>
+            <input
+              type="checkbox"
+              role="switch"
+              checked={category.enabled}
+              disabled={category.required || category.denied}
+              onChange={(e) => context.setCategoryChoice(category.name, e.target.checked)}
+            />
+            {category.label}
+            {category.required && ` (${toggle.required})`}
+            {category.updated && ` (${toggle.updated})`}
+          </label>
+          <p>{category.description}</p>
+
+          {category.vendors.length > 0 && (
+            <details>
+              <summary>{vendors.heading} ({category.vendors.length})</summary>
+              {category.vendors.map((vendor) => (
+                <div key={vendor.id} data-vendor={vendor.id}>
+                  <label>
+                    <input
+                      type="checkbox"
+                      role="switch"
+                      checked={vendor.enabled}
+                      disabled={category.required || category.denied}
+                      onChange={(e) => context.setVendorChoice(vendor.id, e.target.checked)}
+                    />
+                    {vendor.name}
+                  </label>
+                  {vendor.description && <p>{vendor.description}</p>}
+                  {vendor.policyUrl && (
+                    <a href={vendor.policyUrl} target="_blank" rel="noopener noreferrer">
+                      {vendors.privacyPolicy}
+                    </a>
+                  )}
+                </div>
+              ))}
+            </details>
+          )}
+        </div>
+      ))}
+
+      <button type="button" data-action="save" onClick={() => context.savePreferences()}>
+        {settingsView.buttons.save}
+      </button>
+    </div>
+  );
+}
+
 // Export types
 export type {
   CookieConsentContextValue,
   CookieConsentProviderProps,
   ConsentScriptProps,
-  ConsentGateProps
+  ConsentGateProps,
+  ConsentBannerProps,
+  ConsentPreferencesProps,
+  ConsentUIContext
 };
@@ -3,6 +3,7 @@ import CookieConsentClass, {
   type ConsentCategories,
   type ConsentStatus,
   type ConsentState,
+  type ConsentUIState,
   type CookieConsentConfig,
   type CookieConsentInstance
 } from 'cconsent';
@@ -22,6 +23,29 @@ export const status: Readable<ConsentStatus> = derived(consent, () => {
   return instance?._getConsentStatus() ?? 'essential';
 });
 
+const uiStateStore: Writable<ConsentUIState | null> = writable(null);
+
+/**
+ * Dialog and consent state for custom UIs (headless mode, `ui: false`)
+ *
+ * @example
+ * ```svelte
+ * <script>
+ *   import { uiState, acceptAll, rejectAll, showSettings } from 'cconsent-svelte';
+ * </script>
+ *
+ * {#if $uiState?.view === 'banner'}
+ *   <div role="dialog" aria-labelledby="banner-heading">
+ *     <h2 id="banner-heading">{$uiState.content.initialView.heading}</h2>
+ *     <button on:click={showSettings}>{$uiState.content.initialView.buttons.customize}</button>
+ *     <button on:click={rejectAll}>{$uiState.content.initialView.buttons.rejectAll}</button>
+ *     <button on:click={acceptAll}>{$uiState.content.initialView.buttons.acceptAll}</button>
+ *   </div>
+ * {/if}
+ * ```
+ */
+export const uiState: Readable<ConsentUIState | null> = { subscribe: uiStateStore.subscribe };
+
 /**
  * Initialize cookie consent
  *
@@ -48,33 +72,21 @@ export const status: Readable<ConsentStatus> = derived(consent, () => {
 export async function initCookieConsent(config: CookieConsentConfig): Promise<void> {
   if (typeof window === 'undefined') return;
 
-  instance = new CookieConsentClass({
-    ...config,
-    onAccept: (categories) => {
-      consent.set(categories);
-      config.onAccept?.(categories);
-    },
-    onReject: (categories) => {
-      consent.set(categories);
-      config.onReject?.(categories);
-    },
-    onSave: (categories) => {
-      consent.set(categories);
-      config.onSave?.(categories);
-    }
+  instance = new CookieConsentClass(config);
+
+  // Follow decisions, including ones made in other tabs and resets
+  instance.on('consent:change', () => {
+    consent.set(instance?.getConsent() ? instance.getCategories() : null);
   });
 
+  // Follow the dialog and choices
+  instance.subscribe((next) => uiStateStore.set(next));
+
   await instance.init();
+  uiStateStore.set(instance.getState());
 
-  const existing = instance.getConsent();
-  if (existing) {
-    consent.set({
-      necessary: true,
-      functional: existing.functional ?? false,
-      preferences: existing.preferences ?? false,
-      analytics: existing.analytics ?? false,
-      marketing: existing.marketing ?? false
-    });
+  if (instance.getConsent()) {
+    consent.set(instance.getCategories());
   }
 }
 
@@ -124,6 +136,41 @@ export function resetConsent(): void {
   consent.set(null);
 }
 
+/**
+ * Accept all categories
+ */
+export async function acceptAll(): Promise<void> {
+  await instance?.acceptAll();
+}
+
+/**
+ * Reject all non-essential categories
+ */
+export async function rejectAll(): Promise<void> {
+  await instance?.rejectAll();
+}
+
+/**
+ * Store the choices made with setCategoryChoice() and setVendorChoice()
+ */
+export async function savePreferences(): Promise<void> {
+  await instance?.savePreferences();
+}
+
+/**
+ * Turn a category on or off in the preferences (stored by savePreferences())
+ */
+export function setCategoryChoice(category: string, allowed: boolean): boolean {
+  return instance?.setCategoryChoice(category, allowed) ?? false;
+}
+
+/**
+ * Turn a vendor on or off in the preferences (stored by savePreferences())
+ */
+export function setVendorChoice(vendor: string, allowed: boolean): boolean {
+  return instance?.setVendorChoice(vendor, allowed) ?? false;
+}
+
 /**
  * Get the current consent state (non-reactive)
  */
@@ -160,45 +207,32 @@ export const COOKIE_CONSENT_KEY = 'cconsent';
 export function createConsentStore() {
   const consentState = writable<ConsentCategories | null>(null);
   const statusState = writable<ConsentStatus>('essential');
+  const uiStateLocal = writable<ConsentUIState | null>(null);
   let localInstance: CookieConsentInstance | null = null;
 
   return {
     consent: { subscribe: consentState.subscribe },
     status: { subscribe: statusState.subscribe },
+    uiState: { subscribe: uiStateLocal.subscribe },
 
     async init(config: CookieConsentConfig): Promise<void> {
       if (typeof window === 'undefined') return;
 
-      localInstance = new CookieConsentClass({
-        ...config,
-        onAccept: (categories) => {
-          consentState.set(categories);
-          statusState.set(localInstance?._getConsentStatus() ?? 'essential');
-          config.onAccept?.(categories);
-        },
-        onReject: (categories) => {
-          consentState.set(categories);
-          statusState.set(localInstance?._getConsentStatus() ?? 'essential');
-          config.onReject?.(categories);
-        },
-        onSave: (categories) => {
-          consentState.set(categories);
-          statusState.set(localInstance?._getConsentStatus() ?? 'essential');
-          config.onSave?.(categories);
-        }
+      localInstance = new CookieConsentClass(config);
+
+      // Follow decisions, including ones made in other tabs and resets
+      localInstance.on('consent:change', () => {
+        consentState.set(localInstance?.getConsent() ? localInstance.getCategories() : null);
+        statusState.set(localInstance?._getConsentStatus() ?? 'essential');
       });
 
+      localInstance.subscribe((next) => uiStateLocal.set(next));
+
       await localInstance.init();
+      uiStateLocal.set(localInstance.getState());
 
-      const existing = localInstance.getConsent();
-      if (existing) {
-        consentState.set({
-          necessary: true,
-          functional: existing.functional ?? false,
-          preferences: existing.preferences ?? false,
-          analytics: existing.analytics ?? false,
-          marketing: existing.marketing ?? false
-        });
+      if (localInstance.getConsent()) {
+        consentState.set(localInstance.getCategories());
         statusState.set(localInstance._getConsentStatus());
       }
     },
@@ -224,6 +258,26 @@ export function createConsentStore() {
       localInstance?.resetConsent();
       consentState.set(null);
       statusState.set('essential');
+    },
+
+    async acceptAll(): Promise<void> {
+      await localInstance?.acceptAll();
+    },
+
+    async rejectAll(): Promise<void> {
+      await localInstance?.rejectAll();
+    },
+
+    async savePreferences(): Promise<void> {
+      await localInstance?.savePreferences();
+    },
+
+    setCategoryChoice(category: string, allowed: boolean): boolean {
+      return localInstance?.setCategoryChoice(category, allowed) ?? false;
+    },
+
+    setVendorChoice(vendor: string, allowed: boolean): boolean {
+      return localInstance?.setVendorChoice(vendor, allowed) ?? false;
     }
   };
 }
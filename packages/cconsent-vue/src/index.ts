@@ -1,8 +1,19 @@
-import { ref, readonly, inject, provide, type App, type Ref, type InjectionKey } from 'vue';
+import {
+  ref,
+  readonly,
+  inject,
+  provide,
+  defineComponent,
+  h,
+  type App,
+  type Ref,
+  type InjectionKey
+} from 'vue';
 import CookieConsentClass, {
   type ConsentCategories,
   type ConsentStatus,
   type ConsentState,
+  type ConsentUIState,
   type CookieConsentConfig,
   type CookieConsentInstance
 } from 'cconsent';
@@ -10,11 +21,18 @@ import CookieConsentClass, {
 interface CookieConsentState {
   consent: Readonly<Ref<ConsentCategories | null>>;
   status: Readonly<Ref<ConsentStatus>>;
+  /** Dialog and consent state for custom UIs (null until initialized) */
+  state: Readonly<Ref<ConsentUIState | null>>;
   isAllowed: (category: keyof ConsentCategories) => boolean;
   showDialog: () => void;
   showSettings: () => void;
   hideDialog: () => void;
   resetConsent: () => void;
+  acceptAll: () => Promise<void>;
+  rejectAll: () => Promise<void>;
+  savePreferences: () => Promise<void>;
+  setCategoryChoice: (category: string, allowed: boolean) => boolean;
+  setVendorChoice: (vendor: string, allowed: boolean) => boolean;
 }
 
 const COOKIE_CONSENT_KEY: InjectionKey<CookieConsentState> = Symbol('cookie-consent');
@@ -43,39 +61,28 @@ export function createCookieConsent(config: CookieConsentConfig) {
     install(app: App) {
       const consent = ref<ConsentCategories | null>(null);
       const status = ref<ConsentStatus>('essential');
+      const uiState = ref<ConsentUIState | null>(null);
       let instance: CookieConsentInstance | null = null;
 
       // Only init on client
       if (typeof window !== 'undefined') {
-        instance = new CookieConsentClass({
-          ...config,
-          onAccept: (categories) => {
-            consent.value = categories;
-            status.value = instance?._getConsentStatus() ?? 'essential';
-            config.onAccept?.(categories);
-          },
-          onReject: (categories) => {
-            consent.value = categories;
-            status.value = instance?._getConsentStatus() ?? 'essential';
-            config.onReject?.(categories);
-          },
-          onSave: (categories) => {
-            consent.value = categories;
-            status.value = instance?._getConsentStatus() ?? 'essential';
-            config.onSave?.(categories);
-          }
+        instance = new CookieConsentClass(config);
+
+        // Follow decisions, including ones made in other tabs and resets
+        instance.on('consent:change', () => {
+          consent.value = instance?.getConsent() ? instance.getCategories() : null;
+          status.value = instance?._getConsentStatus() ?? 'essential';
+        });
+
+        // Follow the dialog and choices (for ConsentBanner and ConsentPreferences)
+        instance.subscribe((next) => {
+          uiState.value = next;
         });
 
         instance.init().then(() => {
-          const existing = instance?.getConsent();
-          if (existing) {
-            consent.value = {
-              necessary: true,
-              functional: existing.functional ?? false,
-              preferences: existing.preferences ?? false,
-              analytics: existing.analytics ?? false,
-              marketing: existing.marketing ?? false
-            };
+          uiState.value = instance?.getState() ?? null;
+          if (instance?.getConsent()) {
+            consent.value = instance.getCategories();
             status.value = instance?._getConsentStatus() ?? 'essential';
           }
         });
@@ -95,7 +102,21 @@ export function createCookieConsent(config: CookieConsentConfig) {
           instance?.resetConsent();
           consent.value = null;
           status.value = 'essential';
-        }
+        },
+        state: readonly(uiState) as Readonly<Ref<ConsentUIState | null>>,
+        acceptAll: async () => {
+          await instance?.acceptAll();
+        },
+        rejectAll: async () => {
+          await instance?.rejectAll();
+        },
+        savePreferences: async () => {
+          await instance?.savePreferences();
+        },
+        setCategoryChoice: (category: string, allowed: boolean) =>
+          instance?.setCategoryChoice(category, allowed) ?? false,
+        setVendorChoice: (vendor: string, allowed: boolean) =>
+          instance?.setVendorChoice(vendor, allowed) ?? false
       };
 
       app.provide(COOKIE_CONSENT_KEY, state);
@@ -136,6 +157,129 @@ export function useCookieConsent(): CookieConsentState {
   return state;
 }
 
+/**
+ * Unstyled consent banner for headless mode (`ui: false`), rendered while the banner view is open
+ *
+ * The default slot replaces the markup and receives the state and actions.
+ *
+ * @example
+ * ```vue
+ * <template>
+ *   <ConsentBanner class="banner" />
+ *   <ConsentPreferences class="preferences" />
+ * </template>
+ * ```
+ */
+export const ConsentBanner = defineComponent({
+  name: 'ConsentBanner',
+  setup(_, { slots }) {
+    const consent = useCookieConsent();
+
+    return () => {
+      const state = consent.state.value;
+      if (!state || state.view !== 'banner') return null;
+      if (slots.default) return slots.default({ ...consent, state });
+
+      const { initialView } = state.content;
+      // Opt-out (CCPA) regions get the "Do not sell" wording
+      const rejectText = state.consentMode === 'opt-out'
+        ? initialView.buttons.doNotSell
+        : initialView.buttons.rejectAll;
+
+      return h('div', {
+        role: 'dialog',
+        'aria-modal': 'false',
+        'aria-labelledby': 'cc-banner-heading',
+        lang: state.language,
+        dir: state.direction
+      }, [
+        h('h2', { id: 'cc-banner-heading' }, initialView.heading),
+        h('p', [
+          initialView.description.text,
+          h('a', { href: state.policyUrl, target: '_blank', rel: 'noopener noreferrer' }, initialView.description.linkText),
+          initialView.description.suffix
+        ]),
+        h('button', { type: 'button', 'data-action': 'customize', onClick: consent.showSettings }, initialView.buttons.customize),
+        h('button', { type: 'button', 'data-action': 'reject', onClick: () => consent.rejectAll() }, rejectText),
+        h('button', { type: 'button', 'data-action': 'accept', onClick: () => consent.acceptAll() }, initialView.buttons.acceptAll)
+      ]);
+    };
+  }
+});
+
+/**
+ * Unstyled category and vendor switches with a save button, for headless mode (`ui: false`)
+ *
+ * Rendered while the preferences view is open, or always with `inline` (e.g. on a privacy page).
+ * The default slot replaces the markup and receives the state and actions.
+ */
+export const ConsentPreferences = defineComponent({
+  name: 'ConsentPreferences',
+  props: {
+    inline: { type: Boolean, default: false }
+  },
+  setup(props, { slots }) {
+    const consent = useCookieConsent();
+
+    return () => {
+      const state = consent.state.value;
+      if (!state || (!props.inline && state.view !== 'preferences')) return null;
+      if (slots.default) return slots.default({ ...consent, state });
+
+      const { settingsView, toggle, vendors, privacySignal } = state.content;
+      const checkbox = (checked: boolean, disabled: boolean, onChange: (allowed: boolean) => void) => h('input', {
+        type: 'checkbox',
+        role: 'switch',
+        checked,
+        disabled,
+        onChange: (e: Event) => onChange((e.target as HTMLInputElement).checked)
+      });
+
+      return h('div', {
+        role: props.inline ? 'region' : 'dialog',
+        'aria-modal': props.inline ? undefined : 'false',
+        'aria-labelledby': 'cc-preferences-heading',
+        lang: state.language,
+        dir: state.direction
+      }, [
+        h('h2', { id: 'cc-preferences-heading' }, settingsView.heading),
+        h('p', settingsView.description),
+        state.privacySignal ? h('p', { 'data-signal': state.privacySignal }, privacySignal[state.privacySignal]) : null,
+
+        ...state.categoryList.map((category) => {
+          const locked = category.required || category.denied;
+          return h('div', { key: category.name, 'data-category': category.name }, [
+            h('label', [
+              checkbox(category.enabled, locked, (allowed) => consent.setCategoryChoice(category.name, allowed)),
+              category.label,
+              category.required ? ` (${toggle.required})` : null,
+              category.updated ? ` (${toggle.updated})` : null
+            ]),
+            h('p', category.description),
+            category.vendors.length > 0
+              ? h('details', [
+                h('summary', `${vendors.heading} (${category.vendors.length})`),
+                ...category.vendors.map((vendor) => h('div', { key: vendor.id, 'data-vendor': vendor.id }, [
+                  h('label', [
+                    checkbox(vendor.enabled, locked, (allowed) => consent.setVendorChoice(vendor.id, allowed)),
+                    vendor.name
+                  ]),
+                  vendor.description ? h('p', vendor.description) : null,
+                  vendor.policyUrl
+                    ? h('a', { href: vendor.policyUrl, target: '_blank', rel: 'noopener noreferrer' }, vendors.privacyPolicy)
+                    : null
+                ]))
+              ])
+              : null
+          ]);
+        }),
+
+        h('button', { type: 'button', 'data-action': 'save', onClick: () => consent.savePreferences() }, settingsView.buttons.save)
+      ]);
+    };
+  }
+});
+
 // Augment Vue's ComponentCustomProperties for global access
 declare module '@vue/runtime-core' {
   interface ComponentCustomProperties {
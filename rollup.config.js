@@ -1,6 +1,12 @@
 import typescript from '@rollup/plugin-typescript';
 import terser from '@rollup/plugin-terser';
 import css from 'rollup-plugin-css-only';
+import { readdirSync } from 'fs';
+
+// One module per language in src/locales (index.ts bundles them all)
+const locales = Object.fromEntries(readdirSync('src/locales')
+  .filter((file) => file !== 'index.ts')
+  .map((file) => [file.replace(/\.ts$/, ''), `src/locales/${file}`]));
 
 export default [
   // Full bundle (UI + Core)
@@ -38,5 +44,85 @@ export default [
       typescript({ tsconfig: './tsconfig.json' }),
       terser()
     ]
+  },
+  // IAB TCF v2.2 module (optional)
+  {
+    input: 'src/tcf/index.ts',
+    output: [
+      { file: 'dist/tcf.mjs', format: 'es', sourcemap: true },
+      { file: 'dist/tcf.cjs', format: 'cjs', sourcemap: true },
+      {
+        file: 'dist/tcf.umd.js',
+        format: 'umd',
+        name: 'CookieConsentTCF',
+        sourcemap: true
+      }
+    ],
+    plugins: [
+      typescript({ tsconfig: './tsconfig.json' }),
+      terser()
+    ]
+  },
+  // IAB GPP / US Privacy module (optional)
+  {
+    input: 'src/gpp/index.ts',
+    output: [
+      { file: 'dist/gpp.mjs', format: 'es', sourcemap: true },
+      { file: 'dist/gpp.cjs', format: 'cjs', sourcemap: true },
+      {
+        file: 'dist/gpp.umd.js',
+        format: 'umd',
+        name: 'CookieConsentGPP',
+        sourcemap: true
+      }
+    ],
+    plugins: [
+      typescript({ tsconfig: './tsconfig.json' }),
+      terser()
+    ]
+  },
+  // Translations of the default content (optional, one module per language)
+  {
+    input: locales,
+    output: [
+      { dir: 'dist', entryFileNames: 'locales/[name].mjs', format: 'es', sourcemap: true },
+      { dir: 'dist', entryFileNames: 'locales/[name].cjs', format: 'cjs', sourcemap: true, exports: 'default' }
+    ],
+    plugins: [
+      typescript({ tsconfig: './tsconfig.json' }),
+      terser()
+    ]
+  },
+  // Every translation in one file, for script tags
+  {
+    input: 'src/locales/index.ts',
+    output: {
+      file: 'dist/locales.umd.js',
+      format: 'umd',
+      name: 'CookieConsentLocales',
+      sourcemap: true
+    },
+    plugins: [
+      typescript({ tsconfig: './tsconfig.json' }),
+      terser()
+    ]
+  },
+  // Cross-domain consent sync module (optional)
+  {
+    input: 'src/sync/index.ts',
+    output: [
+      { file: 'dist/sync.mjs', format: 'es', sourcemap: true },
+      { file: 'dist/sync.cjs', format: 'cjs', sourcemap: true },
+      {
+        file: 'dist/sync.umd.js',
+        format: 'umd',
+        name: 'CookieConsentSync',
+        sourcemap: true
+      }
+    ],
+    plugins: [
+      typescript({ tsconfig: './tsconfig.json' }),
+      terser()
+    ]
   }
 ];
@@ -0,0 +1,131 @@
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Writes fixed-width fields into a bit string
+ */
+export class BitWriter {
+  private bits = '';
+
+  int(value: number, length: number): void {
+    this.bits += Math.max(0, Math.floor(value)).toString(2).padStart(length, '0').slice(-length);
+  }
+
+  bool(value: boolean): void {
+    this.bits += value ? '1' : '0';
+  }
+
+  /**
+   * Two-letter codes are stored as 6-bit offsets from 'A'
+   */
+  letters(value: string): void {
+    value
+      .toUpperCase()
+      .slice(0, 2)
+      .split('')
+      .forEach((char) => this.int(char.charCodeAt(0) - 65, 6));
+  }
+
+  bitField(ids: number[], length: number): void {
+    for (let i = 1; i <= length; i++) {
+      this.bool(ids.includes(i));
+    }
+  }
+
+  /**
+   * Fibonacci (Zeckendorf) code terminated by an extra 1 bit
+   */
+  fibonacci(value: number): void {
+    const fibs = [1, 2];
+    while (fibs[fibs.length - 1] + fibs[fibs.length - 2] <= value) {
+      fibs.push(fibs[fibs.length - 1] + fibs[fibs.length - 2]);
+    }
+
+    const code: string[] = [];
+    let remaining = value;
+    for (let i = fibs.length - 1; i >= 0; i--) {
+      if (fibs[i] <= remaining) {
+        code[i] = '1';
+        remaining -= fibs[i];
+      } else {
+        code[i] = '0';
+      }
+    }
+
+    this.bits += code.join('').replace(/0+$/, '') + '1';
+  }
+
+  /**
+   * Pad to a whole byte, then to whole 6-bit characters
+   */
+  toBase64Url(): string {
+    const bytes = this.bits.padEnd(Math.ceil(this.bits.length / 8) * 8, '0');
+    const padded = bytes.padEnd(Math.ceil(bytes.length / 6) * 6, '0');
+    let encoded = '';
+    for (let i = 0; i < padded.length; i += 6) {
+      encoded += BASE64URL[parseInt(padded.slice(i, i + 6), 2)];
+    }
+    return encoded;
+  }
+}
+
+/**
+ * Reads fixed-width fields from a bit string
+ */
+export class BitReader {
+  private bits: string;
+  private pos = 0;
+
+  /**
+   * Decoded per character, since strings padded only to 6 bits would lose bits through atob
+   */
+  constructor(base64url: string) {
+    this.bits = base64url
+      .split('')
+      .map((char) => {
+        const value = BASE64URL.indexOf(char);
+        if (value === -1) throw new SyntaxError(`Invalid base64url character '${char}'`);
+        return value.toString(2).padStart(6, '0');
+      })
+      .join('');
+  }
+
+  int(length: number): number {
+    if (this.pos + length > this.bits.length) {
+      throw new RangeError('Bit string is truncated');
+    }
+    const value = parseInt(this.bits.slice(this.pos, this.pos + length), 2);
+    this.pos += length;
+    return value;
+  }
+
+  bool(): boolean {
+    return this.int(1) === 1;
+  }
+
+  letters(): string {
+    return String.fromCharCode(this.int(6) + 65, this.int(6) + 65);
+  }
+
+  fibonacci(): number {
+    const fibs = [1, 2];
+    let value = 0;
+    let previous = false;
+
+    for (let i = 0; ; i++) {
+      const bit = this.bool();
+      if (bit && previous) return value;
+
+      if (i >= fibs.length) fibs.push(fibs[i - 1] + fibs[i - 2]);
+      if (bit) value += fibs[i];
+      previous = bit;
+    }
+  }
+
+  bitField(length: number): number[] {
+    const ids: number[] = [];
+    for (let i = 1; i <= length; i++) {
+      if (this.bool()) ids.push(i);
+    }
+    return ids;
+  }
+}
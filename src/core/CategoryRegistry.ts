@@ -0,0 +1,165 @@
+import type { CategoryDefinition, ConsentCategories } from '../types';
+
+const DEFAULT_CATEGORIES: Record<string, CategoryDefinition> = {
+  necessary: {
+    label: 'Necessary',
+    description: 'Required for security and basic functionality.',
+    required: true,
+    default: true
+  },
+  functional: {
+    label: 'Functional',
+    description: 'Enables enhanced features like live chat and videos.',
+    required: false,
+    default: false
+  },
+  preferences: {
+    label: 'Preferences',
+    description: 'Remembers your settings like language and theme.',
+    required: false,
+    default: false
+  },
+  analytics: {
+    label: 'Analytics',
+    description: 'Helps us understand how visitors use our site.',
+    required: false,
+    default: false,
+    cookies: [
+      { name: '_ga', provider: 'Google Analytics', purpose: 'Distinguishes visitors', duration: '2 years' },
+      { name: '_ga_*', provider: 'Google Analytics', purpose: 'Keeps session state', duration: '2 years' },
+      { name: '_gid', provider: 'Google Analytics', purpose: 'Distinguishes visitors', duration: '24 hours' },
+      { name: '_gat*', provider: 'Google Analytics', purpose: 'Limits the request rate', duration: '1 minute' }
+    ]
+  },
+  marketing: {
+    label: 'Marketing',
+    description: 'Enables personalized ads and tracking.',
+    required: false,
+    default: false,
+    cookies: [
+      { name: '_fbp', provider: 'Meta', purpose: 'Delivers and measures ads', duration: '3 months' },
+      { name: '_fbc', provider: 'Meta', purpose: 'Stores the last ad click', duration: '3 months' },
+      { name: '_gcl_*', provider: 'Google Ads', purpose: 'Measures ad conversions', duration: '3 months' }
+    ]
+  }
+};
+
+/**
+ * Registry of consent categories (built-in five plus user-defined)
+ */
+export class CategoryRegistry {
+  private definitions: Record<string, CategoryDefinition> = {};
+
+  constructor(categories: Record<string, Partial<CategoryDefinition>> = {}) {
+    const names = [...Object.keys(DEFAULT_CATEGORIES), ...Object.keys(categories)];
+
+    names.forEach((name) => {
+      if (this.definitions[name]) return;
+
+      const def = { ...DEFAULT_CATEGORIES[name], ...categories[name] };
+      const required = def.required === true;
+
+      this.definitions[name] = {
+        label: def.label || CategoryRegistry.formatLabel(name),
+        description: def.description,
+        required,
+        default: required || def.default === true,
+        cookies: def.cookies ?? [],
+        storageKeys: def.storageKeys ?? [],
+        vendors: def.vendors ?? []
+      };
+    });
+  }
+
+  /**
+   * Derive a display label from a category name (e.g. social_media -> Social media)
+   */
+  static formatLabel(name: string): string {
+    const words = name.replace(/[_-]+/g, ' ').trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  /**
+   * Get all category names in display order
+   */
+  names(): string[] {
+    return Object.keys(this.definitions);
+  }
+
+  /**
+   * Get the names of categories the user can toggle
+   */
+  optional(): string[] {
+    return this.names().filter((name) => !this.definitions[name].required);
+  }
+
+  /**
+   * Check if a category is registered
+   */
+  has(name: string): boolean {
+    return name in this.definitions;
+  }
+
+  /**
+   * Check if a category is always enabled
+   */
+  isRequired(name: string): boolean {
+    return this.definitions[name]?.required ?? false;
+  }
+
+  /**
+   * Get a category definition
+   */
+  get(name: string): CategoryDefinition | undefined {
+    return this.definitions[name] ? { ...this.definitions[name] } : undefined;
+  }
+
+  /**
+   * Get the category that declares a vendor (null when no category does)
+   */
+  vendorCategory(vendor: string): string | null {
+    return this.names().find((name) => this.definitions[name].vendors?.some((v) => v.id === vendor)) ?? null;
+  }
+
+  /**
+   * Get the IDs of every declared vendor
+   */
+  vendorIds(): string[] {
+    return this.names().flatMap((name) => (this.definitions[name].vendors ?? []).map((vendor) => vendor.id));
+  }
+
+  /**
+   * Get category states before any consent decision
+   */
+  defaults(): ConsentCategories {
+    return this.build((name) => this.definitions[name].default);
+  }
+
+  /**
+   * Set every optional category to the same state
+   */
+  all(allowed: boolean): ConsentCategories {
+    return this.build(() => allowed);
+  }
+
+  /**
+   * Build category states from stored or partial values (unknown keys are dropped)
+   */
+  from(values: Record<string, unknown>, fallback?: ConsentCategories): ConsentCategories {
+    return this.build((name) => {
+      if (typeof values[name] === 'boolean') return values[name] as boolean;
+      return fallback?.[name] ?? false;
+    });
+  }
+
+  /**
+   * Build a category state object, forcing required categories on
+   */
+  private build(resolve: (name: string) => boolean): ConsentCategories {
+    const categories: Record<string, boolean> = {};
+    this.names().forEach((name) => {
+      categories[name] = this.definitions[name].required || resolve(name);
+    });
+    return categories as ConsentCategories;
+  }
+}
@@ -1,42 +1,287 @@
-import type { ConsentCategories, ConsentState, ConsentCallback, ConsentStatus } from '../types';
+import type {
+  AccountConsentFetcher,
+  CategoryDefinition,
+  ConsentAction,
+  ConsentCategories,
+  ConsentChange,
+  ConsentChangeSource,
+  ConsentState,
+  ConsentCallback,
+  ConsentMaxAge,
+  ConsentStatus,
+  ConflictCallback,
+  CookieCleanupConfig,
+  ExpireCallback,
+  PolicyUpdateConfig,
+  PrivacySignal,
+  RemovedItem,
+  SetConsentOptions
+} from '../types';
 import { StorageAdapter } from './StorageAdapter';
+import { CategoryRegistry } from './CategoryRegistry';
+import { ReceiptLogger } from './ReceiptLogger';
+import { PrivacySignals } from './PrivacySignals';
+import { CookieCleaner } from './CookieCleaner';
+
+/**
+ * Check if consent a was given after consent b
+ */
+function isNewer(a: ConsentState, b: ConsentState): boolean {
+  return Date.parse(a.timestamp) > Date.parse(b.timestamp);
+}
 
 /**
  * Headless consent state management
  */
 export class ConsentManager {
   private storage: StorageAdapter;
+  private registry: CategoryRegistry;
   private categories: ConsentCategories;
+  private vendors: Record<string, boolean> = {};
   private consentId: string | null = null;
+  private decided = false;
   private generateConsentId: boolean;
   private legacyMode: boolean;
+  private consentMaxAge: ConsentMaxAge | null;
+  private policyVersion: string | null;
+  private policyUpdate: PolicyUpdateConfig;
+  private repromptCategories: string[] = [];
+  private receipts: ReceiptLogger | null;
+  private privacySignal: PrivacySignal | null;
+  private privacySignalCategories: string[];
+  private language: string | null;
+  private tabChannel: BroadcastChannel | null = null;
+  private knownTimestamp: string | null = null;
+  private account: { userId: string; fetcher: AccountConsentFetcher } | null = null;
+  private cleaner: CookieCleaner;
+  private removedItems: RemovedItem[] = [];
+  private storageHandler = (event: StorageEvent) => {
+    // A null key means another tab cleared localStorage
+    if (event.key === this.storage.getKey() || event.key === null) {
+      this.handleTabChange();
+    }
+  };
 
   public onAccept?: ConsentCallback;
   public onReject?: ConsentCallback;
   public onSave?: ConsentCallback;
+  public onExpire?: ExpireCallback;
+  public onConflict?: ConflictCallback;
 
   constructor(options: {
     storage: StorageAdapter;
+    categories?: Record<string, Partial<CategoryDefinition>>;
     generateConsentId?: boolean;
     legacyMode?: boolean;
+    consentMaxAge?: ConsentMaxAge;
+    policyVersion?: string;
+    policyUpdate?: Partial<PolicyUpdateConfig>;
+    receiptEndpoint?: string;
+    respectGPC?: boolean;
+    respectDoNotTrack?: boolean;
+    privacySignalCategories?: string[];
+    language?: string;
+    syncTabs?: boolean;
+    cookieCleanup?: Partial<CookieCleanupConfig>;
     onAccept?: ConsentCallback;
     onReject?: ConsentCallback;
     onSave?: ConsentCallback;
+    onExpire?: ExpireCallback;
+    onConflict?: ConflictCallback;
   }) {
     this.storage = options.storage;
-    this.generateConsentId = options.generateConsentId ?? false;
+    // Receipts are only useful with an ID to look them up by
+    this.generateConsentId = options.generateConsentId ?? Boolean(options.receiptEndpoint);
+    this.receipts = options.receiptEndpoint ? new ReceiptLogger(options.receiptEndpoint) : null;
     this.legacyMode = options.legacyMode ?? false;
+    this.consentMaxAge = options.consentMaxAge ?? null;
+    this.policyVersion = options.policyVersion ?? null;
+    this.policyUpdate = {
+      reprompt: 'all',
+      changedCategories: [],
+      ...options.policyUpdate
+    };
     this.onAccept = options.onAccept;
     this.onReject = options.onReject;
     this.onSave = options.onSave;
+    this.onExpire = options.onExpire;
+    this.onConflict = options.onConflict;
 
-    this.categories = {
-      necessary: true,
-      functional: false,
-      preferences: false,
-      analytics: false,
-      marketing: false
-    };
+    // Opt-out signals deny the listed categories whatever the region's consent mode
+    this.privacySignal = PrivacySignals.detect({
+      gpc: options.respectGPC,
+      doNotTrack: options.respectDoNotTrack
+    });
+    this.privacySignalCategories = options.privacySignalCategories ?? ['marketing'];
+    this.language = options.language ?? null;
+
+    this.registry = new CategoryRegistry(options.categories);
+    this.categories = this.honorPrivacySignal(this.registry.defaults());
+    this.cleaner = new CookieCleaner(options.cookieCleanup);
+
+    if (options.syncTabs ?? true) {
+      this.listenToTabs();
+    }
+  }
+
+  /**
+   * Follow consent changes made in other tabs ('storage' events for localStorage,
+   * a BroadcastChannel for other drivers, whose writes fire no event)
+   */
+  private listenToTabs(): void {
+    if (typeof window === 'undefined') return;
+
+    if (this.storage.getMethod() === 'localStorage') {
+      window.addEventListener('storage', this.storageHandler);
+    } else {
+      if (typeof BroadcastChannel === 'undefined') return;
+      this.tabChannel = new BroadcastChannel(`cconsent:${this.storage.getKey()}`);
+      this.tabChannel.onmessage = () => this.handleTabChange();
+    }
+  }
+
+  /**
+   * Reload consent after another tab saved or reset it (deferred storage is read first)
+   */
+  private handleTabChange(): void {
+    if (this.storage.isDeferred()) {
+      void this.storage
+        .verify()
+        .then(() => this.applyTabChange())
+        .catch((e) => console.warn('Cookie consent: Unable to read consent saved in another tab', e));
+    } else {
+      this.applyTabChange();
+    }
+  }
+
+  /**
+   * Apply the consent saved by another tab, and fire the matching callback
+   */
+  private applyTabChange(): void {
+    const stored = this.storage.load();
+    const timestamp = stored?.timestamp ?? null;
+    if (timestamp === this.knownTimestamp) return;
+
+    if (!stored) {
+      this.resetState();
+      return;
+    }
+
+    const previous = this.categories;
+    const firstDecision = !this.decided;
+    if (this.load()) {
+      void this.executeStatusCallback(this.getChange('external', previous, firstDecision)).catch((e) =>
+        console.error('Cookie consent: Consent callback failed', e)
+      );
+    }
+  }
+
+  /**
+   * Link consent to a signed-in user so it follows them across devices
+   *
+   * The account's and this browser's records are reconciled (the newest wins, see onConflict);
+   * the browser's record is pushed to the account when it wins, and later decisions always are.
+   */
+  async identify(userId: string, fetcher: AccountConsentFetcher): Promise<void> {
+    this.account = { userId, fetcher };
+
+    let remote: ConsentState | null;
+    try {
+      remote = (await fetcher({ action: 'get', userId })) ?? null;
+    } catch (e) {
+      console.warn('Cookie consent: Unable to fetch account consent', e);
+      return;
+    }
+
+    // identify() was called again meanwhile
+    if (this.account?.userId !== userId) return;
+
+    if (remote && (typeof remote.version !== 'string' || typeof remote.timestamp !== 'string')) {
+      remote = null;
+    }
+
+    const local = this.storage.load();
+    if (!remote && !local) return;
+
+    let resolution: 'local' | 'remote' = !local || (remote && isNewer(remote, local)) ? 'remote' : 'local';
+    if (local && remote && this.differs(local, remote)) {
+      try {
+        resolution = (await this.onConflict?.({ local, remote, resolution })) || resolution;
+      } catch (e) {
+        console.error('Cookie consent: onConflict callback failed', e);
+      }
+    }
+
+    let winner = resolution === 'remote' ? remote! : local!;
+    const loser = resolution === 'remote' ? local : remote;
+    if (loser && !isNewer(winner, loser)) {
+      // The older record was picked: make it the newest everywhere
+      const timestamp = Math.max(Date.now(), Date.parse(loser.timestamp) + 1);
+      winner = { ...winner, timestamp: new Date(timestamp).toISOString() };
+    }
+
+    if (winner !== remote) {
+      await this.pushToAccount({ ...winner, userId });
+    }
+
+    if (winner !== local) {
+      await this.storage.save(winner);
+      this.tabChannel?.postMessage('consent-change');
+
+      // Choices only change when the account's record wins
+      const previous = this.categories;
+      const firstDecision = !this.decided;
+      if (this.load() && resolution === 'remote') {
+        await this.executeStatusCallback(this.getChange('external', previous, firstDecision));
+      }
+    }
+  }
+
+  /**
+   * Check if two consent records have different choices
+   */
+  private differs(a: ConsentState, b: ConsentState): boolean {
+    const categories = this.registry.from(a);
+    const other = this.registry.from(b);
+    const vendors = this.vendorsFrom(a.vendors);
+    const otherVendors = this.vendorsFrom(b.vendors);
+    return Object.keys(categories).some((cat) => categories[cat] !== other[cat]) ||
+      this.registry.vendorIds().some((id) => vendors[id] !== otherVendors[id]);
+  }
+
+  /**
+   * Get the choices of declared vendors from stored or partial values (unknown vendors are dropped)
+   */
+  private vendorsFrom(values: Record<string, unknown> = {}): Record<string, boolean> {
+    const vendors: Record<string, boolean> = {};
+    this.registry.vendorIds().forEach((id) => {
+      if (typeof values[id] === 'boolean') vendors[id] = values[id] as boolean;
+    });
+    return vendors;
+  }
+
+  /**
+   * Store consent on the identified user's account
+   */
+  private async pushToAccount(consent: ConsentState): Promise<void> {
+    if (!this.account) return;
+
+    try {
+      await this.account.fetcher({ action: 'set', userId: this.account.userId, consent });
+    } catch (e) {
+      console.warn('Cookie consent: Unable to save account consent', e);
+    }
+  }
+
+  /**
+   * Stop following changes made in other tabs
+   */
+  destroy(): void {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('storage', this.storageHandler);
+    }
+    this.tabChannel?.close();
+    this.tabChannel = null;
   }
 
   /**
@@ -59,9 +304,7 @@ export class ConsentManager {
   private migrateV1toV2(oldConsent: Partial<ConsentState>): ConsentState {
     return {
       version: '2.0',
-      necessary: true,
-      functional: false,
-      preferences: false,
+      ...this.registry.all(false),
       analytics: oldConsent.analytics ?? false,
       marketing: oldConsent.marketing ?? false,
       timestamp: oldConsent.timestamp ?? new Date().toISOString(),
@@ -69,6 +312,20 @@ export class ConsentManager {
     };
   }
 
+  /**
+   * Deny the categories covered by a detected privacy signal (required categories stay on)
+   */
+  private honorPrivacySignal(categories: ConsentCategories): ConsentCategories {
+    if (this.privacySignal === null) return categories;
+
+    this.privacySignalCategories.forEach((cat) => {
+      if (this.registry.has(cat) && !this.registry.isRequired(cat)) {
+        categories[cat] = false;
+      }
+    });
+    return categories;
+  }
+
   /**
    * Get callback categories (with legacy mode support)
    */
@@ -89,26 +346,119 @@ export class ConsentManager {
   }
 
   /**
-   * Load existing consent
+   * Get the status a stored consent represents
+   */
+  private getStatusFor(categories: Record<string, unknown>): ConsentStatus {
+    const optional = this.registry.optional();
+    const allowed = optional.filter((cat) => categories[cat] === true);
+
+    if (allowed.length === optional.length) return 'all';
+    if (allowed.length > 0) return 'partial';
+    return 'essential';
+  }
+
+  /**
+   * Get the lifetime in days for a stored consent (null = never expires)
+   */
+  private getMaxAge(consent: ConsentState): number | null {
+    if (this.consentMaxAge === null) return null;
+    if (typeof this.consentMaxAge === 'number') return this.consentMaxAge;
+    return this.consentMaxAge[this.getStatusFor(consent)] ?? null;
+  }
+
+  /**
+   * Check if a stored consent is older than its configured lifetime
+   */
+  isExpired(consent: ConsentState): boolean {
+    const maxAge = this.getMaxAge(consent);
+    if (maxAge === null) return false;
+
+    const givenAt = Date.parse(consent.timestamp);
+    if (Number.isNaN(givenAt)) return true;
+
+    return Date.now() - givenAt > maxAge * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Call onExpire without letting its errors stop loading
+   */
+  private notifyExpired(consent: ConsentState): void {
+    const report = (e: unknown) => console.error('Cookie consent: onExpire callback failed', e);
+    try {
+      void Promise.resolve(this.onExpire?.(consent)).catch(report);
+    } catch (e) {
+      report(e);
+    }
+  }
+
+  /**
+   * Check if a stored consent was given for a different policy version
+   */
+  isOutdated(consent: ConsentState): boolean {
+    return this.policyVersion !== null && consent.policyVersion !== this.policyVersion;
+  }
+
+  /**
+   * Get the categories an outdated consent needs a new decision for
+   */
+  private getStaleCategories(consent: ConsentState): string[] {
+    if (!this.isOutdated(consent)) return [];
+
+    const optional = this.registry.optional();
+    if (this.policyUpdate.reprompt !== 'changed') return optional;
+
+    return optional.filter(
+      (cat) =>
+        this.policyUpdate.changedCategories.includes(cat) || typeof consent[cat] !== 'boolean'
+    );
+  }
+
+  /**
+   * Load existing consent (expired consent is cleared and reported via onExpire)
+   *
+   * Returns null when the user must be asked again. For a policy update in
+   * 'changed' mode, the unchanged categories keep their previous choices.
    */
   load(): ConsentState | null {
     let consent = this.storage.load();
+    this.knownTimestamp = consent?.timestamp ?? null;
 
     if (consent && !consent.version) {
       // Migrate from v1
       consent = this.migrateV1toV2(consent);
-      this.storage.save(consent);
+      void this.persist(consent);
+    }
+
+    if (consent && this.isExpired(consent)) {
+      this.reset();
+      this.notifyExpired(consent);
+      return null;
     }
 
     if (consent) {
-      this.categories = {
-        necessary: true,
-        functional: consent.functional ?? false,
-        preferences: consent.preferences ?? false,
-        analytics: consent.analytics ?? false,
-        marketing: consent.marketing ?? false
-      };
+      this.repromptCategories = this.getStaleCategories(consent);
+
+      // Nothing the user decided on changed: record the new version so it isn't checked again
+      if (this.repromptCategories.length === 0 && this.isOutdated(consent)) {
+        consent = { ...consent, policyVersion: this.policyVersion! };
+        void this.persist(consent);
+      }
+
+      if (this.policyUpdate.reprompt !== 'changed' && this.repromptCategories.length > 0) {
+        this.categories = this.honorPrivacySignal(this.registry.defaults());
+        this.decided = false;
+        return null;
+      }
+
+      this.categories = this.honorPrivacySignal(this.registry.from(consent));
+      this.vendors = this.vendorsFrom(consent.vendors);
+      this.repromptCategories.forEach((cat) => {
+        this.categories[cat] = false;
+      });
       this.consentId = consent.consentId ?? null;
+      this.decided = true;
+
+      if (this.repromptCategories.length > 0) return null;
     }
 
     return consent;
@@ -117,7 +467,7 @@ export class ConsentManager {
   /**
    * Save current consent
    */
-  private save(): void {
+  private save(action: ConsentAction): void {
     if (this.generateConsentId && !this.consentId) {
       this.consentId = this.generateUUID();
     }
@@ -129,63 +479,171 @@ export class ConsentManager {
       consentId: this.consentId ?? undefined
     };
 
-    this.storage.save(consent);
+    if (this.policyVersion !== null) {
+      consent.policyVersion = this.policyVersion;
+    }
+
+    if (this.privacySignal !== null) {
+      consent.privacySignal = this.privacySignal;
+    }
+
+    if (this.account) {
+      consent.userId = this.account.userId;
+    }
+
+    if (this.registry.vendorIds().length > 0) {
+      consent.vendors = { ...this.vendors };
+    }
+
+    // Record the language the user saw when deciding
+    consent.language = this.getLanguage();
+
+    this.knownTimestamp = consent.timestamp;
+    this.decided = true;
+    // Other tabs read storage, so announce the change once it is written
+    void this.persist(consent).then(() => this.tabChannel?.postMessage('consent-change'));
+    void this.pushToAccount(consent);
+    this.repromptCategories = [];
+
+    void this.receipts
+      ?.send({
+        consentId: this.consentId,
+        action,
+        categories: { ...this.categories },
+        policyVersion: this.policyVersion,
+        privacySignal: this.privacySignal,
+        userId: this.account?.userId ?? null,
+        timestamp: consent.timestamp,
+        language: consent.language,
+        userAgent: navigator.userAgent
+      })
+      .catch((e) => console.warn('Cookie consent: Unable to send consent receipt', e));
+  }
+
+  /**
+   * Write consent to storage (a failed write is reported, not thrown)
+   */
+  private persist(consent: ConsentState): Promise<void> {
+    return this.storage.save(consent).catch((e) => console.warn('Cookie consent: Unable to save consent', e));
+  }
+
+  /**
+   * Retry consent receipts that could not be delivered earlier
+   */
+  async flushReceipts(): Promise<void> {
+    await this.receipts?.flush();
+  }
+
+  /**
+   * Describe what a decision changed compared with the categories before it
+   */
+  private getChange(source: ConsentChangeSource, previous: ConsentCategories, firstDecision: boolean): ConsentChange {
+    const names = this.registry.names();
+    const granted = names.filter((name) => this.categories[name] && !previous[name]);
+    const revoked = names.filter((name) => previous[name] && !this.categories[name]);
+
+    return {
+      source,
+      previous: { ...previous },
+      categories: { ...this.categories },
+      changed: names.filter((name) => granted.includes(name) || revoked.includes(name)),
+      granted,
+      revoked,
+      firstDecision
+    };
   }
 
   /**
    * Execute callback
    */
-  private async executeCallback(callback?: ConsentCallback): Promise<void> {
+  private async executeCallback(callback: ConsentCallback | undefined, change: ConsentChange): Promise<void> {
     if (!callback) return;
-    const result = callback(this.getCallbackCategories());
+    const result = callback(this.getCallbackCategories(), change);
     if (result instanceof Promise) {
       await result;
     }
   }
 
+  /**
+   * Execute the callback matching the current status (for decisions made elsewhere)
+   */
+  private async executeStatusCallback(change: ConsentChange): Promise<void> {
+    const status = this.getStatus();
+    await this.executeCallback(status === 'all' ? this.onAccept : status === 'essential' ? this.onReject : this.onSave, change);
+  }
+
+  /**
+   * Delete the cookies and localStorage keys of categories that were allowed before a decision
+   */
+  private cleanRevoked(previous: ConsentCategories): void {
+    this.registry.names().forEach((name) => {
+      if (!previous[name] || this.categories[name]) return;
+
+      const definition = this.registry.get(name);
+      if (!definition) return;
+      this.removedItems.push(...this.cleaner.clean(name, definition, [this.storage.getKey()]));
+    });
+  }
+
   /**
    * Accept all cookies
    */
   async acceptAll(): Promise<void> {
-    this.categories = {
-      necessary: true,
-      functional: true,
-      preferences: true,
-      analytics: true,
-      marketing: true
-    };
-    this.save();
-    await this.executeCallback(this.onAccept);
+    const previous = this.categories;
+    const firstDecision = !this.decided;
+    this.categories = this.honorPrivacySignal(this.registry.all(true));
+    this.vendors = {};
+    this.save('accept_all');
+    await this.executeCallback(this.onAccept, this.getChange('accept_all', previous, firstDecision));
   }
 
   /**
    * Reject all non-essential cookies
    */
   async rejectAll(): Promise<void> {
-    this.categories = {
-      necessary: true,
-      functional: false,
-      preferences: false,
-      analytics: false,
-      marketing: false
-    };
-    this.save();
-    await this.executeCallback(this.onReject);
+    const previous = this.categories;
+    const firstDecision = !this.decided;
+    this.categories = this.registry.all(false);
+    this.vendors = {};
+    this.save('reject_all');
+    this.cleanRevoked(previous);
+    await this.executeCallback(this.onReject, this.getChange('reject_all', previous, firstDecision));
   }
 
   /**
    * Save specific preferences
+   * @param vendors - Per-vendor choices keyed by vendor ID (vendors left out keep their choice)
    */
-  async savePreferences(categories: Partial<ConsentCategories>): Promise<void> {
-    this.categories = {
-      necessary: true,
-      functional: categories.functional ?? this.categories.functional,
-      preferences: categories.preferences ?? this.categories.preferences,
-      analytics: categories.analytics ?? this.categories.analytics,
-      marketing: categories.marketing ?? this.categories.marketing
-    };
-    this.save();
-    await this.executeCallback(this.onSave);
+  async savePreferences(categories: Partial<ConsentCategories>, vendors: Record<string, boolean> = {}): Promise<void> {
+    const previous = this.categories;
+    const firstDecision = !this.decided;
+    this.categories = this.honorPrivacySignal(this.registry.from(categories, this.categories));
+    this.vendors = this.vendorsFrom({ ...this.vendors, ...vendors });
+    this.save('save_preferences');
+    this.cleanRevoked(previous);
+    await this.executeCallback(this.onSave, this.getChange('save_preferences', previous, firstDecision));
+  }
+
+  /**
+   * Record a decision made outside the consent UI, e.g. in an app's settings screen
+   *
+   * Categories left out keep their state, required ones stay on and unknown ones are ignored.
+   * The callback matching the new status fires.
+   */
+  async setConsent(categories: Partial<ConsentCategories>, options: SetConsentOptions = {}): Promise<void> {
+    const previous = this.categories;
+    const firstDecision = !this.decided;
+    this.categories = this.honorPrivacySignal(this.registry.from(categories, this.categories));
+    this.save('api');
+    this.cleanRevoked(previous);
+    await this.executeStatusCallback(this.getChange(options.source ?? 'api', previous, firstDecision));
+  }
+
+  /**
+   * Allow or deny a single category (see setConsent())
+   */
+  async updateCategory(name: string, value: boolean): Promise<void> {
+    await this.setConsent({ [name]: value });
   }
 
   /**
@@ -193,14 +651,20 @@ export class ConsentManager {
    */
   reset(): void {
     this.storage.clear();
-    this.categories = {
-      necessary: true,
-      functional: false,
-      preferences: false,
-      analytics: false,
-      marketing: false
-    };
+    this.resetState();
+    this.tabChannel?.postMessage('consent-change');
+  }
+
+  /**
+   * Return to the state before any decision (storage is left untouched)
+   */
+  private resetState(): void {
+    this.categories = this.honorPrivacySignal(this.registry.defaults());
+    this.vendors = {};
     this.consentId = null;
+    this.repromptCategories = [];
+    this.knownTimestamp = null;
+    this.decided = false;
   }
 
   /**
@@ -213,32 +677,69 @@ export class ConsentManager {
   /**
    * Check if a category is allowed
    */
-  isAllowed(category: keyof ConsentCategories): boolean {
+  isAllowed(category: string): boolean {
     return this.categories[category] ?? false;
   }
 
+  /**
+   * Check if a vendor is allowed: its category must be allowed, and the vendor not refused
+   *
+   * Vendors no category declares can't be refused on their own, so they are always allowed
+   * here (the element's data-cookie-category still applies).
+   */
+  isVendorAllowed(vendor: string): boolean {
+    const category = this.registry.vendorCategory(vendor);
+    if (!category) return true;
+    return this.isAllowed(category) && this.vendors[vendor] !== false;
+  }
+
+  /**
+   * Get the per-vendor choices made so far, keyed by vendor ID
+   */
+  getVendors(): Record<string, boolean> {
+    return { ...this.vendors };
+  }
+
   /**
    * Get consent status
    */
   getStatus(): ConsentStatus {
-    const optional = ['functional', 'preferences', 'analytics', 'marketing'] as const;
-    const allowed = optional.filter((cat) => this.categories[cat]);
-
-    if (allowed.length === optional.length) return 'all';
-    if (allowed.length > 0) return 'partial';
-    return 'essential';
+    return this.getStatusFor(this.categories);
   }
 
   /**
    * Get active category count
    */
   getActiveCategoryCount(): number {
-    let count = 1; // Necessary is always active
-    if (this.categories.functional) count++;
-    if (this.categories.preferences) count++;
-    if (this.categories.analytics) count++;
-    if (this.categories.marketing) count++;
-    return count;
+    return this.registry.names().filter((cat) => this.categories[cat]).length;
+  }
+
+  /**
+   * Get categories the user must decide on again after a policy update
+   */
+  getRepromptCategories(): string[] {
+    return [...this.repromptCategories];
+  }
+
+  /**
+   * Get the category registry
+   */
+  getRegistry(): CategoryRegistry {
+    return this.registry;
+  }
+
+  /**
+   * Get the privacy signal being honored (null when none is detected or respected)
+   */
+  getPrivacySignal(): PrivacySignal | null {
+    return this.privacySignal;
+  }
+
+  /**
+   * Get the cookies and localStorage keys deleted because their category was revoked
+   */
+  getRemovedItems(): RemovedItem[] {
+    return [...this.removedItems];
   }
 
   /**
@@ -247,4 +748,23 @@ export class ConsentManager {
   getConsentId(): string | null {
     return this.consentId;
   }
+
+  /**
+   * Set the language the consent UI is shown in (recorded with later decisions)
+   */
+  setLanguage(language: string): void {
+    this.language = language;
+  }
+
+  /**
+   * Get the language recorded with decisions (when none is set, the page's or browser's,
+   * and English without a DOM)
+   */
+  getLanguage(): string {
+    if (this.language) return this.language;
+
+    const pageLanguage = typeof document !== 'undefined' ? document.documentElement.lang : '';
+    const browserLanguage = typeof navigator !== 'undefined' ? navigator.language : '';
+    return pageLanguage || browserLanguage || 'en';
+  }
 }
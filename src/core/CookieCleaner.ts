@@ -0,0 +1,125 @@
+import type { CategoryDefinition, CookieCleanupConfig, CookieDeclaration, NamePattern, RemovedItem } from '../types';
+
+/**
+ * Deletes the cookies and localStorage keys a category declares once it is revoked
+ *
+ * Cookies can only be deleted with the domain and path they were set with, so each
+ * matching cookie is expired on this host and on every configured domain and path.
+ */
+export class CookieCleaner {
+  private config: CookieCleanupConfig;
+
+  constructor(config: Partial<CookieCleanupConfig> = {}) {
+    this.config = {
+      enabled: true,
+      domains: null,
+      paths: ['/'],
+      ...config
+    };
+  }
+
+  /**
+   * Check if a name matches any pattern ('*' matches any characters) or declaration
+   */
+  static matches(name: string, patterns: Array<NamePattern | CookieDeclaration>): boolean {
+    return patterns.some((entry) => {
+      const pattern = typeof entry === 'string' || entry instanceof RegExp ? entry : entry.name;
+      if (pattern instanceof RegExp) return pattern.test(name);
+      const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      return new RegExp(`^${source}$`).test(name);
+    });
+  }
+
+  /**
+   * Get the domains cookies are deleted on ('' is this host without a domain attribute)
+   */
+  getDomains(): string[] {
+    if (this.config.domains) return ['', ...this.config.domains];
+
+    // www.shop.example.com -> shop.example.com, example.com (IP addresses have no parent domains)
+    const host = window.location.hostname;
+    const domains = [''];
+    if (/^[\d.]+$/.test(host) || host.includes(':')) return domains;
+
+    const labels = host.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      domains.push(labels.slice(i).join('.'));
+    }
+    return domains;
+  }
+
+  /**
+   * Delete a revoked category's cookies and localStorage keys
+   * @param keep - Names never deleted (e.g. the consent storage key)
+   */
+  clean(
+    category: string,
+    definition: Pick<CategoryDefinition, 'cookies' | 'storageKeys'>,
+    keep: string[] = []
+  ): RemovedItem[] {
+    if (!this.config.enabled) return [];
+
+    const removed: RemovedItem[] = [];
+    const cookies = definition.cookies ?? [];
+    const storageKeys = definition.storageKeys ?? [];
+
+    if (cookies.length > 0) {
+      CookieCleaner.getCookieNames()
+        .filter((name) => !keep.includes(name) && CookieCleaner.matches(name, cookies))
+        .forEach((name) => {
+          this.deleteCookie(name);
+          // Still set: it lives on a domain or path that isn't configured
+          if (!CookieCleaner.getCookieNames().includes(name)) {
+            removed.push({ type: 'cookie', name, category });
+          }
+        });
+    }
+
+    if (storageKeys.length > 0) {
+      try {
+        Object.keys(localStorage)
+          .filter((key) => !keep.includes(key) && CookieCleaner.matches(key, storageKeys))
+          .forEach((key) => {
+            localStorage.removeItem(key);
+            removed.push({ type: 'localStorage', name: key, category });
+          });
+      } catch {
+        // localStorage unavailable
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get the names of the cookies visible to this page (names that aren't valid
+   * URI encoding, e.g. set by another script, are returned as they are)
+   */
+  static getCookieNames(): string[] {
+    return document.cookie
+      .split(';')
+      .map((cookie) => cookie.trim().split('=')[0])
+      .filter(Boolean)
+      .map((name) => {
+        try {
+          return decodeURIComponent(name);
+        } catch {
+          return name;
+        }
+      });
+  }
+
+  /**
+   * Expire a cookie on every domain and path it may have been set with
+   */
+  private deleteCookie(name: string): void {
+    const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+
+    this.getDomains().forEach((domain) => {
+      this.config.paths.forEach((path) => {
+        const domainAttribute = domain ? `; domain=${domain}` : '';
+        document.cookie = `${encodeURIComponent(name)}=; expires=${new Date(0).toUTCString()}; path=${path}${domainAttribute}${secure}`;
+      });
+    });
+  }
+}
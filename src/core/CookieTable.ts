@@ -0,0 +1,123 @@
+import type {
+  ContentConfig,
+  CookieDeclaration,
+  CookieTableEntry,
+  CookieTableGroup,
+  NamePattern
+} from '../types';
+import type { CategoryRegistry } from './CategoryRegistry';
+
+const DEFAULT_LABELS: ContentConfig['cookieTable'] = {
+  name: 'Name',
+  provider: 'Provider',
+  purpose: 'Purpose',
+  duration: 'Duration',
+  category: 'Category',
+  empty: 'This site does not declare any cookies.'
+};
+
+/**
+ * Lists the cookies and storage keys each category declares, for cookie policy pages
+ *
+ * The table is built from the same declarations used to delete revoked cookies, so the
+ * policy page can't drift from what the library manages. Use toJSON() to render it
+ * on the server, or render() to fill a [data-cc-cookie-table] element.
+ */
+export class CookieTable {
+  private registry: CategoryRegistry;
+  private labels: ContentConfig['cookieTable'];
+
+  constructor(registry: CategoryRegistry, labels: Partial<ContentConfig['cookieTable']> = {}) {
+    this.registry = registry;
+    this.labels = { ...DEFAULT_LABELS, ...labels };
+  }
+
+  /**
+   * Format a declared name for display (regular expressions as /source/)
+   */
+  static formatName(pattern: NamePattern): string {
+    return pattern instanceof RegExp ? `/${pattern.source}/` : pattern;
+  }
+
+  /**
+   * Get every category with its declared cookies and storage keys, in display order
+   */
+  toJSON(): CookieTableGroup[] {
+    return this.registry.names().map((category) => {
+      const definition = this.registry.get(category)!;
+      const entry = (type: CookieTableEntry['type']) => (declared: NamePattern | CookieDeclaration): CookieTableEntry => {
+        const declaration = typeof declared === 'string' || declared instanceof RegExp ? { name: declared } : declared;
+        return {
+          type,
+          name: CookieTable.formatName(declaration.name),
+          provider: declaration.provider ?? null,
+          purpose: declaration.purpose ?? null,
+          duration: declaration.duration ?? null,
+          category
+        };
+      };
+
+      return {
+        category,
+        label: definition.label,
+        description: definition.description ?? null,
+        required: definition.required,
+        entries: [
+          ...(definition.cookies ?? []).map(entry('cookie')),
+          ...(definition.storageKeys ?? []).map(entry('localStorage'))
+        ]
+      };
+    });
+  }
+
+  /**
+   * Replace an element's content with the table (one body per category that declares anything)
+   */
+  render(container: Element): void {
+    const groups = this.toJSON().filter((group) => group.entries.length > 0);
+    container.textContent = '';
+
+    if (groups.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'cc-cookie-table-empty';
+      empty.textContent = this.labels.empty;
+      container.appendChild(empty);
+      return;
+    }
+
+    const columns = ['name', 'provider', 'purpose', 'duration', 'category'] as const;
+    const table = document.createElement('table');
+    table.className = 'cc-cookie-table';
+
+    const headRow = table.createTHead().insertRow();
+    columns.forEach((column) => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = this.labels[column];
+      headRow.appendChild(th);
+    });
+
+    groups.forEach((group) => {
+      const body = table.createTBody();
+      body.setAttribute('data-category', group.category);
+
+      const heading = document.createElement('th');
+      heading.scope = 'rowgroup';
+      heading.colSpan = columns.length;
+      heading.textContent = group.label;
+      const headingRow = body.insertRow();
+      headingRow.className = 'cc-cookie-table-group';
+      headingRow.appendChild(heading);
+
+      group.entries.forEach((item) => {
+        const row = body.insertRow();
+        columns.forEach((column) => {
+          const cell = row.insertCell();
+          cell.textContent = column === 'category' ? group.label : item[column] ?? '';
+        });
+      });
+    });
+
+    container.appendChild(table);
+  }
+}
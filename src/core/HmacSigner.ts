@@ -0,0 +1,50 @@
+/**
+ * HMAC-SHA256 signatures (Web Crypto) for data passed between windows or stored client-side
+ */
+export class HmacSigner {
+  private secret: string;
+  private key: Promise<CryptoKey> | null = null;
+
+  constructor(secret: string) {
+    this.secret = secret;
+  }
+
+  /**
+   * Import the secret as an HMAC key (once, on first use)
+   */
+  private getKey(): Promise<CryptoKey> {
+    this.key ??= crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(this.secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify']
+    );
+    return this.key;
+  }
+
+  /**
+   * Check if Web Crypto is available (it requires a secure context)
+   */
+  static isSupported(): boolean {
+    return typeof crypto !== 'undefined' && typeof crypto.subtle?.importKey === 'function';
+  }
+
+  /**
+   * Sign data, returning a hex signature
+   */
+  async sign(data: string): Promise<string> {
+    const signature = await crypto.subtle.sign('HMAC', await this.getKey(), new TextEncoder().encode(data));
+    return Array.from(new Uint8Array(signature), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Check a hex signature (constant-time comparison via Web Crypto)
+   */
+  async verify(data: string, signature: string): Promise<boolean> {
+    if (!/^(?:[0-9a-f]{2})+$/.test(signature)) return false;
+
+    const bytes = new Uint8Array(signature.match(/../g)!.map((hex) => parseInt(hex, 16)));
+    return crypto.subtle.verify('HMAC', await this.getKey(), bytes, new TextEncoder().encode(data));
+  }
+}
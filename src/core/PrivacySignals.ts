@@ -0,0 +1,34 @@
+import type { PrivacySignal } from '../types';
+
+/**
+ * Browser privacy signals (Global Privacy Control and Do Not Track)
+ */
+export class PrivacySignals {
+  /**
+   * Check if the browser sends a Global Privacy Control signal
+   */
+  static hasGPC(): boolean {
+    if (typeof navigator === 'undefined') return false;
+    return (navigator as { globalPrivacyControl?: boolean }).globalPrivacyControl === true;
+  }
+
+  /**
+   * Check if the browser sends a Do Not Track signal
+   */
+  static hasDoNotTrack(): boolean {
+    if (typeof navigator === 'undefined') return false;
+    const windowDnt = typeof window !== 'undefined'
+      ? (window as { doNotTrack?: string | null }).doNotTrack
+      : null;
+    return navigator.doNotTrack === '1' || windowDnt === '1';
+  }
+
+  /**
+   * Detect the signal to honor (GPC takes precedence over Do Not Track)
+   */
+  static detect(options: { gpc?: boolean; doNotTrack?: boolean } = {}): PrivacySignal | null {
+    if (options.gpc && PrivacySignals.hasGPC()) return 'gpc';
+    if (options.doNotTrack && PrivacySignals.hasDoNotTrack()) return 'dnt';
+    return null;
+  }
+}
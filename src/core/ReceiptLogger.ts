@@ -0,0 +1,114 @@
+import type { ConsentReceipt } from '../types';
+
+/**
+ * Sends consent receipts to a server endpoint (fetch, then sendBeacon, then a local retry queue)
+ */
+export class ReceiptLogger {
+  private endpoint: string;
+  private queueKey: string;
+  private maxQueueSize: number;
+
+  constructor(endpoint: string, queueKey: string = 'cc_receipt_queue', maxQueueSize: number = 20) {
+    this.endpoint = endpoint;
+    this.queueKey = queueKey;
+    this.maxQueueSize = maxQueueSize;
+  }
+
+  /**
+   * POST a receipt with fetch
+   */
+  private async post(receipt: ConsentReceipt): Promise<boolean> {
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(receipt),
+        keepalive: true
+      });
+      return response.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Hand a receipt to the browser's beacon queue
+   */
+  private beacon(receipt: ConsentReceipt): boolean {
+    if (typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') {
+      return false;
+    }
+
+    try {
+      // text/plain avoids a CORS preflight, which beacons cannot perform
+      const body = new Blob([JSON.stringify(receipt)], { type: 'text/plain;charset=UTF-8' });
+      return navigator.sendBeacon(this.endpoint, body);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Read queued receipts
+   */
+  private loadQueue(): ConsentReceipt[] {
+    try {
+      const stored = localStorage.getItem(this.queueKey);
+      return stored ? JSON.parse(stored) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Write queued receipts (oldest are dropped beyond maxQueueSize)
+   */
+  private saveQueue(queue: ConsentReceipt[]): void {
+    try {
+      if (queue.length === 0) {
+        localStorage.removeItem(this.queueKey);
+      } else {
+        localStorage.setItem(this.queueKey, JSON.stringify(queue.slice(-this.maxQueueSize)));
+      }
+    } catch {
+      // Ignore storage errors
+    }
+  }
+
+  /**
+   * Send a receipt, falling back to sendBeacon and then the retry queue
+   */
+  async send(receipt: ConsentReceipt): Promise<boolean> {
+    if (await this.post(receipt)) return true;
+    if (this.beacon(receipt)) return true;
+
+    this.saveQueue([...this.loadQueue(), receipt]);
+    return false;
+  }
+
+  /**
+   * Retry queued receipts (those that fail again stay queued)
+   */
+  async flush(): Promise<void> {
+    const queue = this.loadQueue();
+    if (queue.length === 0) return;
+
+    const failed: ConsentReceipt[] = [];
+    for (const receipt of queue) {
+      if (!(await this.post(receipt))) {
+        failed.push(receipt);
+      }
+    }
+
+    // Keep receipts queued while the retry was in flight
+    const added = this.loadQueue().slice(queue.length);
+    this.saveQueue([...failed, ...added]);
+  }
+
+  /**
+   * Get the number of receipts waiting to be retried
+   */
+  getQueueSize(): number {
+    return this.loadQueue().length;
+  }
+}
@@ -1,8 +1,10 @@
 import type { ManagedScriptInfo, ManagedIframeInfo } from '../types';
+import { AUTO_BLOCK_DOMAINS, matchesHost } from './trackers';
 
 interface ManagedScript {
   element: HTMLScriptElement;
   category: string;
+  vendor: string | null;
   originalSrc: string | null;
   inlineContent: string | null;
   blocked: boolean;
@@ -12,6 +14,7 @@ interface ManagedScript {
 interface ManagedIframe {
   element: HTMLIFrameElement;
   category: string;
+  vendor: string | null;
   originalSrc: string | null;
   blocked: boolean;
   placeholder: HTMLElement | null;
@@ -25,9 +28,19 @@ export class ScriptManager {
   private managedIframes: ManagedIframe[] = [];
   private observer: MutationObserver | null = null;
   private isAllowedFn: (category: string) => boolean;
+  private isVendorAllowedFn: (vendor: string) => boolean;
+  private autoBlockDomains: Record<string, string> | null = null;
+  private restoreInterception: (() => void) | null = null;
 
-  constructor(isAllowedFn: (category: string) => boolean) {
+  /** Called with scripts and iframes added without data-cookie-category (see TrackerScanner) */
+  public onUntagged?: (element: HTMLScriptElement | HTMLIFrameElement) => void;
+
+  /**
+   * @param isVendorAllowedFn - Checks data-cookie-vendor (e.g. ConsentManager.isVendorAllowed)
+   */
+  constructor(isAllowedFn: (category: string) => boolean, isVendorAllowedFn: (vendor: string) => boolean = () => true) {
     this.isAllowedFn = isAllowedFn;
+    this.isVendorAllowedFn = isVendorAllowedFn;
   }
 
   /**
@@ -50,9 +63,11 @@ export class ScriptManager {
   }
 
   /**
-   * Check if an element should be allowed
+   * Check if an element should be allowed (with a vendor, both its category and vendor must be)
    */
-  shouldAllow(categoryAttr: string): boolean {
+  shouldAllow(categoryAttr: string, vendor: string | null = null): boolean {
+    if (vendor && !this.isVendorAllowedFn(vendor)) return false;
+
     const { required, excluded } = this.parseCategories(categoryAttr);
 
     for (const cat of excluded) {
@@ -80,6 +95,7 @@ export class ScriptManager {
       this.managedScripts.push({
         element: el,
         category: el.getAttribute('data-cookie-category') || '',
+        vendor: el.getAttribute('data-cookie-vendor'),
         originalSrc: el.getAttribute('src'),
         inlineContent: el.textContent,
         blocked: false,
@@ -104,6 +120,7 @@ export class ScriptManager {
       this.managedIframes.push({
         element: el,
         category: el.getAttribute('data-cookie-category') || '',
+        vendor: el.getAttribute('data-cookie-vendor'),
         originalSrc: el.getAttribute('data-src') || el.getAttribute('src'),
         blocked: false,
         placeholder: null
@@ -124,12 +141,20 @@ export class ScriptManager {
 
           const el = node as Element;
 
+          // Parsed markup that skipped the insertion hooks
+          if (this.autoBlockDomains) {
+            this.holdBackTree(el);
+          }
+
           if (el.nodeName === 'SCRIPT' && el.hasAttribute('data-cookie-category')) {
             this.processNewScript(el as HTMLScriptElement);
           }
           if (el.nodeName === 'IFRAME' && el.hasAttribute('data-cookie-category')) {
             this.processNewIframe(el as HTMLIFrameElement);
           }
+          if ((el.nodeName === 'SCRIPT' || el.nodeName === 'IFRAME') && !el.hasAttribute('data-cookie-category')) {
+            this.onUntagged?.(el as HTMLScriptElement | HTMLIFrameElement);
+          }
 
           // Check children
           el.querySelectorAll?.('script[data-cookie-category]').forEach((s) => {
@@ -138,11 +163,175 @@ export class ScriptManager {
           el.querySelectorAll?.('iframe[data-cookie-category]').forEach((i) => {
             this.processNewIframe(i as HTMLIFrameElement);
           });
+          if (this.onUntagged) {
+            el.querySelectorAll?.('script:not([data-cookie-category]), iframe:not([data-cookie-category])').forEach((u) => {
+              this.onUntagged?.(u as HTMLScriptElement | HTMLIFrameElement);
+            });
+          }
         });
       });
     });
 
-    this.observer.observe(document.body, { childList: true, subtree: true });
+    // The whole document, so loaders that insert into <head> are seen too
+    this.observer.observe(document.documentElement, { childList: true, subtree: true });
+  }
+
+  /**
+   * Hold back untagged scripts and iframes from known tracker domains until their category is allowed
+   *
+   * Besides parsed markup, this covers elements other scripts add: the src of elements made with
+   * document.createElement, and elements inserted with appendChild, insertBefore, append and the
+   * other DOM insertion methods. Iframes in parsed markup are best-effort: the observer only sees
+   * them after the browser started loading them, so tag those with data-cookie-category and data-src.
+   * @param domains - Extra hosts (optionally with a path prefix) and their categories, checked first
+   */
+  enableAutoBlock(domains: Record<string, string> = {}): void {
+    // Extra hosts come first (so they are checked first) and override built-in categories
+    const table: Record<string, string> = { ...domains };
+    Object.keys(AUTO_BLOCK_DOMAINS).forEach((host) => {
+      if (!(host in table)) table[host] = AUTO_BLOCK_DOMAINS[host];
+    });
+    this.autoBlockDomains = table;
+    if (!this.restoreInterception) {
+      this.interceptInsertions();
+    }
+  }
+
+  /**
+   * Get the category auto-blocking requires for a URL (null when its host isn't listed)
+   */
+  getAutoBlockCategory(src: string): string | null {
+    if (!this.autoBlockDomains) return null;
+
+    let url: URL;
+    try {
+      url = new URL(src, window.location.href);
+    } catch {
+      return null;
+    }
+
+    const match = Object.keys(this.autoBlockDomains).find((host) => matchesHost(url, host));
+    return match ? this.autoBlockDomains[match] : null;
+  }
+
+  /**
+   * Tag an untagged script or iframe from a listed domain before it loads
+   *
+   * Scripts that may run are marked as loaded; others get type="text/plain" so they stay inert.
+   * Iframes always move their src to data-src, and load once they are processed.
+   * @returns The src to apply to the element (null when it must not be set)
+   */
+  private holdBack(element: HTMLScriptElement | HTMLIFrameElement, src: string): string | null {
+    if (element.hasAttribute('data-cookie-category')) return src;
+
+    const category = this.getAutoBlockCategory(src);
+    if (!category) return src;
+
+    element.setAttribute('data-cookie-category', category);
+    element.setAttribute('data-cconsent-auto', 'true');
+
+    if (element.nodeName === 'IFRAME') {
+      element.setAttribute('data-src', src);
+      element.removeAttribute('src');
+      return null;
+    }
+
+    if (this.shouldAllow(category, element.getAttribute('data-cookie-vendor'))) {
+      element.setAttribute('data-cconsent-loaded', 'true');
+    } else {
+      element.setAttribute('type', 'text/plain');
+    }
+    return src;
+  }
+
+  /**
+   * Hold back an element and its descendants (before they are inserted, or once they were parsed)
+   *
+   * Anything else (text, strings passed to append()) is skipped without a query.
+   */
+  private holdBackTree(node: unknown): void {
+    if (!(node instanceof Element) && !(node instanceof DocumentFragment)) return;
+
+    const root = node as Element | DocumentFragment;
+    const elements = Array.from(root.querySelectorAll('script[src], iframe[src]'));
+    if (root instanceof Element && root.matches('script[src], iframe[src]')) {
+      elements.unshift(root);
+    }
+
+    elements.forEach((element) => {
+      const el = element as HTMLScriptElement | HTMLIFrameElement;
+      this.holdBack(el, el.getAttribute('src') || '');
+    });
+  }
+
+  /**
+   * Patch document.createElement and the DOM insertion methods so tracker elements are held back
+   * before they load (undone by destroy())
+   */
+  private interceptInsertions(): void {
+    const manager = this;
+    const createElement = document.createElement;
+    const scriptSrc = Object.getOwnPropertyDescriptor(HTMLScriptElement.prototype, 'src');
+    const iframeSrc = Object.getOwnPropertyDescriptor(HTMLIFrameElement.prototype, 'src');
+
+    document.createElement = function (this: Document, tagName: string, options?: ElementCreationOptions) {
+      const element = createElement.call(this, tagName, options);
+      const descriptor = element instanceof HTMLScriptElement ? scriptSrc : element instanceof HTMLIFrameElement ? iframeSrc : null;
+      if (!descriptor?.set) return element;
+
+      // The src of a script or iframe decides what loads, so check it as it is set
+      Object.defineProperty(element, 'src', {
+        configurable: true,
+        get() {
+          return descriptor.get?.call(this);
+        },
+        set(value: string) {
+          const tracked = this as HTMLScriptElement | HTMLIFrameElement;
+          const src = manager.holdBack(tracked, String(value));
+          if (src !== null) descriptor.set?.call(tracked, src);
+
+          // Already in the page: the observer won't see it again
+          if (tracked.isConnected && tracked.hasAttribute('data-cconsent-auto') && manager.observer) {
+            if (tracked.nodeName === 'SCRIPT') manager.processNewScript(tracked as HTMLScriptElement);
+            else manager.processNewIframe(tracked as HTMLIFrameElement);
+          }
+        }
+      });
+      return element;
+    } as typeof document.createElement;
+
+    // Each insertion method, with the arguments it inserts (not the reference node of insertBefore)
+    const first = (args: unknown[]) => [args[0]];
+    const all = (args: unknown[]) => args;
+    const methods: Array<[object, string, (args: unknown[]) => unknown[]]> = [
+      [Node.prototype, 'appendChild', first],
+      [Node.prototype, 'insertBefore', first],
+      [Node.prototype, 'replaceChild', first],
+      [Element.prototype, 'insertAdjacentElement', (args) => [args[1]]]
+    ];
+    [Element.prototype, Document.prototype, DocumentFragment.prototype].forEach((proto) => {
+      methods.push([proto, 'append', all], [proto, 'prepend', all]);
+    });
+    [Element.prototype, CharacterData.prototype].forEach((proto) => {
+      methods.push([proto, 'before', all], [proto, 'after', all], [proto, 'replaceWith', all]);
+    });
+
+    const restorers = methods.map(([proto, name, inserted]) => {
+      const target = proto as Record<string, (...args: unknown[]) => unknown>;
+      const original = target[name];
+      target[name] = function (this: unknown, ...args: unknown[]) {
+        inserted(args).forEach((node) => manager.holdBackTree(node));
+        return original.apply(this, args);
+      };
+      return () => {
+        target[name] = original;
+      };
+    });
+
+    this.restoreInterception = () => {
+      document.createElement = createElement;
+      restorers.forEach((restore) => restore());
+    };
   }
 
   /**
@@ -154,6 +343,7 @@ export class ScriptManager {
     const managed: ManagedScript = {
       element: script,
       category: script.getAttribute('data-cookie-category') || '',
+      vendor: script.getAttribute('data-cookie-vendor'),
       originalSrc: script.getAttribute('src'),
       inlineContent: script.textContent,
       blocked: false,
@@ -162,7 +352,7 @@ export class ScriptManager {
 
     this.managedScripts.push(managed);
 
-    if (this.shouldAllow(managed.category)) {
+    if (this.shouldAllow(managed.category, managed.vendor)) {
       this.allowScript(managed);
     } else {
       this.blockScript(managed);
@@ -180,6 +370,7 @@ export class ScriptManager {
     const managed: ManagedIframe = {
       element: iframe,
       category: iframe.getAttribute('data-cookie-category') || '',
+      vendor: iframe.getAttribute('data-cookie-vendor'),
       originalSrc: iframe.getAttribute('data-src') || iframe.getAttribute('src'),
       blocked: false,
       placeholder: null
@@ -187,7 +378,7 @@ export class ScriptManager {
 
     this.managedIframes.push(managed);
 
-    if (this.shouldAllow(managed.category)) {
+    if (this.shouldAllow(managed.category, managed.vendor)) {
       this.allowIframe(managed);
     } else {
       this.blockIframe(managed);
@@ -217,6 +408,9 @@ export class ScriptManager {
     if (script.executed) return;
 
     const newScript = document.createElement('script');
+    // Tagged before the src is set, so auto-blocking leaves it alone
+    newScript.setAttribute('data-cookie-category', script.category);
+    newScript.setAttribute('data-cconsent-loaded', 'true');
 
     if (script.originalSrc) {
       newScript.src = script.originalSrc;
@@ -224,9 +418,6 @@ export class ScriptManager {
       newScript.textContent = script.inlineContent;
     }
 
-    newScript.setAttribute('data-cookie-category', script.category);
-    newScript.setAttribute('data-cconsent-loaded', 'true');
-
     Array.from(script.element.attributes).forEach((attr) => {
       if (!['src', 'type', 'data-cookie-category'].includes(attr.name)) {
         newScript.setAttribute(attr.name, attr.value);
@@ -277,7 +468,7 @@ export class ScriptManager {
    */
   evaluate(): void {
     this.managedScripts.forEach((script) => {
-      const allowed = this.shouldAllow(script.category);
+      const allowed = this.shouldAllow(script.category, script.vendor);
       if (allowed && !script.executed) {
         this.allowScript(script);
       } else if (!allowed && !script.blocked) {
@@ -286,7 +477,7 @@ export class ScriptManager {
     });
 
     this.managedIframes.forEach((iframe) => {
-      const allowed = this.shouldAllow(iframe.category);
+      const allowed = this.shouldAllow(iframe.category, iframe.vendor);
       if (allowed && iframe.blocked) {
         this.allowIframe(iframe);
       } else if (!allowed && !iframe.blocked) {
@@ -323,5 +514,7 @@ export class ScriptManager {
   destroy(): void {
     this.observer?.disconnect();
     this.observer = null;
+    this.restoreInterception?.();
+    this.restoreInterception = null;
   }
 }
@@ -1,30 +1,94 @@
-import type { ConsentState, CookieOptions } from '../types';
+import type {
+  ConsentState,
+  CookieOptions,
+  RemoteStorageFetcher,
+  StorageDriver,
+  StorageEncryption,
+  StorageMethod,
+  StorageMethodConfig
+} from '../types';
+import { StorageCipher } from './StorageCipher';
+import { CookieDriver, IndexedDBDriver, MemoryDriver, RemoteDriver, WebStorageDriver } from './drivers';
 
 /**
- * Storage adapter for consent data (localStorage or cookies)
+ * Storage adapter for consent data
+ *
+ * Consent is stored through drivers (localStorage, sessionStorage, cookie, IndexedDB,
+ * memory, remote or custom). With several drivers, writes go to the first one that
+ * works and reads return the first value found, e.g. ['cookie', 'localStorage'] falls
+ * back to localStorage when cookies are blocked.
+ *
+ * With async drivers or a StorageEncryption config, reading is asynchronous, so call
+ * verify() before load(); values that fail verification are discarded.
  */
 export class StorageAdapter {
   private storageKey: string;
-  private storageMethod: 'localStorage' | 'cookie';
-  private cookieOptions: CookieOptions;
+  private drivers: StorageDriver[];
   private encryption: boolean;
+  private cipher: StorageCipher | null = null;
+  private acceptLegacy = false;
+  private deferred: boolean;
+  private verified: ConsentState | null = null;
+  private revision = 0;
+  private pendingWrite: Promise<void> = Promise.resolve();
 
   constructor(
     storageKey: string = 'cookie_consent',
-    storageMethod: 'localStorage' | 'cookie' = 'localStorage',
+    storageMethod: StorageMethodConfig = 'localStorage',
     cookieOptions: Partial<CookieOptions> = {},
-    encryption: boolean = false
+    encryption: boolean | StorageEncryption = false,
+    remoteStorage?: RemoteStorageFetcher
   ) {
     this.storageKey = storageKey;
-    this.storageMethod = storageMethod;
-    this.cookieOptions = {
-      sameSite: 'Strict',
-      secure: true,
-      path: '/',
-      expires: 365,
-      ...cookieOptions
-    };
-    this.encryption = encryption;
+    this.encryption = Boolean(encryption);
+
+    const methods = Array.isArray(storageMethod) ? storageMethod : [storageMethod];
+    this.drivers = methods
+      .map((method) => typeof method === 'string'
+        ? StorageAdapter.createDriver(method, cookieOptions, remoteStorage)
+        : method)
+      .filter((driver) => driver.isAvailable());
+
+    if (this.drivers.length === 0) {
+      console.warn('Cookie consent: No storage available, consent will last until the page is reloaded');
+      this.drivers = [new MemoryDriver()];
+    }
+
+    if (typeof encryption === 'object') {
+      if (StorageCipher.isSupported()) {
+        this.cipher = new StorageCipher(encryption);
+        this.acceptLegacy = encryption.acceptLegacy ?? false;
+      } else {
+        console.warn('Cookie consent: Web Crypto is unavailable (insecure context?), falling back to Base64');
+      }
+    }
+
+    this.deferred = this.cipher !== null || this.drivers.some((driver) => driver.async);
+  }
+
+  /**
+   * Create a built-in driver
+   */
+  private static createDriver(
+    method: StorageMethod,
+    cookieOptions: Partial<CookieOptions>,
+    remoteStorage?: RemoteStorageFetcher
+  ): StorageDriver {
+    switch (method) {
+      case 'cookie':
+        return new CookieDriver(cookieOptions);
+      case 'sessionStorage':
+        return new WebStorageDriver('sessionStorage');
+      case 'indexedDB':
+        return new IndexedDBDriver();
+      case 'memory':
+        return new MemoryDriver();
+      case 'remote':
+        if (!remoteStorage) throw new Error('Cookie consent: The remote storage driver needs a remoteStorage fetcher');
+        return new RemoteDriver(remoteStorage);
+      default:
+        return new WebStorageDriver('localStorage');
+    }
   }
 
   /**
@@ -64,126 +128,194 @@ export class StorageAdapter {
   }
 
   /**
-   * Set a cookie
+   * Write an encoded value to the first driver that accepts it
    */
-  private setCookie(name: string, value: string): void {
-    const opts = this.cookieOptions;
-    let cookieString = `${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
-
-    if (opts.expires) {
-      const date = new Date();
-      date.setTime(date.getTime() + opts.expires * 24 * 60 * 60 * 1000);
-      cookieString += `; expires=${date.toUTCString()}`;
-    }
+  private write(value: string, index: number = 0): Promise<void> {
+    const driver = this.drivers[index];
+    if (!driver) return Promise.resolve();
 
-    if (opts.path) cookieString += `; path=${opts.path}`;
-    if (opts.domain) cookieString += `; domain=${opts.domain}`;
-    if (opts.sameSite) cookieString += `; SameSite=${opts.sameSite}`;
-    if (opts.secure) cookieString += '; Secure';
+    const fallback = (e: unknown): Promise<void> => {
+      console.warn('Cookie consent: Unable to save to ' + driver.name, e);
+      return this.write(value, index + 1);
+    };
 
-    document.cookie = cookieString;
+    // Sync drivers are written (and fallen back from) before this returns
+    try {
+      return Promise.resolve(driver.set(this.storageKey, value)).catch(fallback);
+    } catch (e) {
+      return fallback(e);
+    }
   }
 
   /**
-   * Get a cookie value
+   * Read the encoded value from the first sync driver that has one
    */
-  private getCookie(name: string): string | null {
-    const cookies = document.cookie.split(';');
-    const encodedName = encodeURIComponent(name);
-
-    for (const cookie of cookies) {
-      const [cookieName, ...cookieValueParts] = cookie.trim().split('=');
-      if (cookieName === encodedName) {
-        return decodeURIComponent(cookieValueParts.join('='));
+  private read(): string | null {
+    for (const driver of this.drivers) {
+      try {
+        const value = driver.get(this.storageKey) as string | null;
+        if (value) return value;
+      } catch (e) {
+        console.warn('Cookie consent: Unable to read from ' + driver.name, e);
       }
     }
     return null;
   }
 
   /**
-   * Delete a cookie by setting it with an expired date
+   * Read the encoded value from the first driver that has one
    */
-  private deleteCookie(name: string): void {
-    const opts = this.cookieOptions;
-    // Build cookie string with expired date directly (do not mutate this.cookieOptions)
-    let cookieString = `${encodeURIComponent(name)}=`;
+  private async readAsync(): Promise<string | null> {
+    for (const driver of this.drivers) {
+      try {
+        const value = await driver.get(this.storageKey);
+        if (value) return value;
+      } catch (e) {
+        console.warn('Cookie consent: Unable to read from ' + driver.name, e);
+      }
+    }
+    return null;
+  }
 
-    // Set expiration to the past
-    const date = new Date(0);
-    cookieString += `; expires=${date.toUTCString()}`;
+  /**
+   * Remove the value from every driver
+   */
+  private removeAll(): Promise<void> {
+    const removals = this.drivers.map((driver) => {
+      const warn = (e: unknown) => console.warn('Cookie consent: Unable to clear ' + driver.name, e);
+      try {
+        return Promise.resolve(driver.remove(this.storageKey)).catch(warn);
+      } catch (e) {
+        warn(e);
+        return Promise.resolve();
+      }
+    });
+    return Promise.all(removals).then(() => undefined);
+  }
 
-    if (opts.path) cookieString += `; path=${opts.path}`;
-    if (opts.domain) cookieString += `; domain=${opts.domain}`;
-    if (opts.sameSite) cookieString += `; SameSite=${opts.sameSite}`;
-    if (opts.secure) cookieString += '; Secure';
+  /**
+   * Save consent to storage (resolves once the value is written)
+   */
+  save(consent: ConsentState): Promise<void> {
+    if (!this.deferred) {
+      return this.write(this.encode(consent));
+    }
 
-    document.cookie = cookieString;
+    // load() sees the new consent right away; the stored value follows
+    const revision = ++this.revision;
+    this.verified = consent;
+    this.pendingWrite = this.pendingWrite
+      .then(() => (this.cipher ? this.cipher.seal(JSON.stringify(consent)) : this.encode(consent)))
+      // Skip the write if consent was saved again or cleared meanwhile
+      .then((value) => (revision === this.revision ? this.write(value) : undefined))
+      .catch((e) => console.warn('Cookie consent: Unable to save consent', e));
+    return this.pendingWrite;
   }
 
   /**
-   * Save consent to storage
+   * Load consent from storage (when deferred, the consent last verified or saved)
    */
-  save(consent: ConsentState): void {
-    const encoded = this.encode(consent);
+  load(): ConsentState | null {
+    if (this.deferred) return this.verified;
 
-    try {
-      if (this.storageMethod === 'cookie') {
-        this.setCookie(this.storageKey, encoded);
-      } else {
-        localStorage.setItem(this.storageKey, encoded);
-      }
-    } catch (e) {
-      console.warn('Cookie consent: Unable to save to ' + this.storageMethod, e);
-    }
+    const stored = this.read();
+    if (!stored) return null;
+    return this.decode(stored);
   }
 
   /**
-   * Load consent from storage
+   * Read (and with encryption, check) the stored consent, then return it
+   *
+   * Edited values, and legacy values when they aren't accepted, are cleared.
+   * Accepted legacy values are rewritten in the protected format.
    */
-  load(): ConsentState | null {
-    try {
-      let stored: string | null;
-      if (this.storageMethod === 'cookie') {
-        stored = this.getCookie(this.storageKey);
-      } else {
-        stored = localStorage.getItem(this.storageKey);
+  async verify(): Promise<ConsentState | null> {
+    if (!this.deferred) return this.load();
+
+    await this.pendingWrite;
+    const revision = this.revision;
+    const stored = await this.readAsync();
+    let consent: ConsentState | null = null;
+
+    if (stored && !this.cipher) {
+      consent = this.decode(stored);
+    } else if (stored && this.cipher && StorageCipher.isProtected(stored)) {
+      const opened = await this.cipher.open(stored);
+      consent = opened ? this.decode(opened) : null;
+      if (!consent) console.warn('Cookie consent: Stored consent failed verification and was discarded');
+    } else if (stored && this.acceptLegacy) {
+      consent = this.decode(stored);
+      if (consent && revision === this.revision) {
+        await this.save(consent);
+        return consent;
       }
+    }
 
-      if (!stored) return null;
-      return this.decode(stored);
-    } catch (e) {
-      console.warn('Cookie consent: Unable to read from ' + this.storageMethod, e);
-      return null;
+    // Consent saved or cleared while verifying is newer than what was read
+    if (revision !== this.revision) return this.verified;
+
+    if (stored && !consent) {
+      this.clear();
     }
+    this.verified = consent;
+    return consent;
   }
 
   /**
    * Clear consent from storage
    */
   clear(): void {
-    try {
-      if (this.storageMethod === 'cookie') {
-        this.deleteCookie(this.storageKey);
-      } else {
-        localStorage.removeItem(this.storageKey);
-      }
-    } catch (e) {
-      console.warn('Cookie consent: Unable to clear ' + this.storageMethod, e);
+    if (!this.deferred) {
+      void this.removeAll();
+      return;
     }
+
+    this.revision++;
+    this.verified = null;
+    this.pendingWrite = this.pendingWrite.then(() => this.removeAll());
+  }
+
+  /**
+   * Check if load() returns the consent cached by verify() (async drivers or encryption)
+   */
+  isDeferred(): boolean {
+    return this.deferred;
+  }
+
+  /**
+   * Get the storage key
+   */
+  getKey(): string {
+    return this.storageKey;
+  }
+
+  /**
+   * Get the name of the driver consent is written to first
+   */
+  getMethod(): string {
+    return this.drivers[0].name;
   }
 
   /**
    * Migrate from localStorage to cookies
    */
   migrateToStorage(): void {
-    if (this.storageMethod !== 'cookie') return;
+    const cookie = this.drivers[0];
+    if (cookie.name !== 'cookie') return;
 
     try {
       const localData = localStorage.getItem(this.storageKey);
-      if (localData && !this.getCookie(this.storageKey)) {
+      if (localData && !cookie.get(this.storageKey)) {
+        // Protected values are moved as they are and checked by verify()
+        if (StorageCipher.isProtected(localData)) {
+          cookie.set(this.storageKey, localData);
+          localStorage.removeItem(this.storageKey);
+          return;
+        }
+
         const consent = this.decode(localData);
         if (consent) {
-          this.save(consent);
+          void this.save(consent);
           localStorage.removeItem(this.storageKey);
         }
       }
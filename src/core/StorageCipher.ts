@@ -0,0 +1,99 @@
+import type { StorageEncryption } from '../types';
+import { HmacSigner } from './HmacSigner';
+
+const PREFIX = 'cc1.';
+
+function toBase64(bytes: Uint8Array): string {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(value: string) {
+  return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Signs (HMAC-SHA256) or encrypts (AES-GCM) stored values so edits are detected
+ *
+ * Protected values look like 'cc1.hmac.<base64 data>.<hex signature>' or
+ * 'cc1.aes.<base64 iv>.<base64 ciphertext>'.
+ */
+export class StorageCipher {
+  private method: StorageEncryption['method'];
+  private secret: string;
+  private signer: HmacSigner;
+  private aesKey: Promise<CryptoKey> | null = null;
+
+  constructor(options: Pick<StorageEncryption, 'method' | 'secret'>) {
+    this.method = options.method;
+    this.secret = options.secret;
+    this.signer = new HmacSigner(options.secret);
+  }
+
+  /**
+   * Check if Web Crypto is available (it requires a secure context)
+   */
+  static isSupported(): boolean {
+    return HmacSigner.isSupported();
+  }
+
+  /**
+   * Check if a stored value was written by a StorageCipher
+   */
+  static isProtected(value: string): boolean {
+    return value.startsWith(PREFIX);
+  }
+
+  /**
+   * Derive the AES-256 key from the secret (once, on first use)
+   */
+  private getAesKey(): Promise<CryptoKey> {
+    this.aesKey ??= crypto.subtle
+      .digest('SHA-256', new TextEncoder().encode(this.secret))
+      .then((hash) => crypto.subtle.importKey('raw', hash, 'AES-GCM', false, ['encrypt', 'decrypt']));
+    return this.aesKey;
+  }
+
+  /**
+   * Protect a string for storage
+   */
+  async seal(data: string): Promise<string> {
+    const bytes = new TextEncoder().encode(data);
+
+    if (this.method === 'aes-gcm') {
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await this.getAesKey(), bytes);
+      return `${PREFIX}aes.${toBase64(iv)}.${toBase64(new Uint8Array(ciphertext))}`;
+    }
+
+    const payload = toBase64(bytes);
+    return `${PREFIX}hmac.${payload}.${await this.signer.sign(payload)}`;
+  }
+
+  /**
+   * Read a protected value (null if it was edited, was sealed with another secret or method, or is malformed)
+   */
+  async open(value: string): Promise<string | null> {
+    const [version, method, first, second, ...rest] = value.split('.');
+    if (`${version}.` !== PREFIX || !first || !second || rest.length > 0) return null;
+
+    try {
+      if (method === 'hmac' && this.method === 'hmac') {
+        if (!(await this.signer.verify(first, second))) return null;
+        return new TextDecoder().decode(fromBase64(first));
+      }
+
+      if (method === 'aes' && this.method === 'aes-gcm') {
+        const plaintext = await crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: fromBase64(first) },
+          await this.getAesKey(),
+          fromBase64(second)
+        );
+        return new TextDecoder().decode(plaintext);
+      }
+    } catch {
+      // Bad Base64, or a ciphertext that fails authentication
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,139 @@
+import type { TrackerDefinition, TrackerReportItem, TrackerScannerConfig } from '../types';
+import { CookieCleaner } from './CookieCleaner';
+import { KNOWN_TRACKERS, matchesHost } from './trackers';
+
+/**
+ * Finds untagged third-party scripts and iframes, and the cookies and localStorage keys
+ * the page sets, and suggests a category for each from a database of known trackers
+ */
+export class TrackerScanner {
+  private config: TrackerScannerConfig;
+  private ignore: string[];
+  private items: TrackerReportItem[] = [];
+  private seen = new Set<string>();
+  private timer: ReturnType<typeof setInterval> | null = null;
+
+  /** Called for each new finding */
+  public onFind?: (item: TrackerReportItem) => void;
+
+  /**
+   * @param ignore - Cookie and key names never reported (e.g. the consent storage key)
+   */
+  constructor(config: Partial<TrackerScannerConfig> = {}, ignore: string[] = []) {
+    this.config = {
+      interval: 2000,
+      trackers: [],
+      ...config
+    };
+    this.ignore = ignore;
+  }
+
+  /**
+   * Find the tracker a script or iframe URL, cookie or localStorage key belongs to
+   */
+  findTracker(type: TrackerReportItem['type'], name: string): TrackerDefinition | null {
+    const trackers = [...this.config.trackers, ...KNOWN_TRACKERS];
+
+    if (type === 'cookie' || type === 'localStorage') {
+      return trackers.find((tracker) => {
+        const patterns = (type === 'cookie' ? tracker.cookies : tracker.storageKeys) ?? [];
+        return CookieCleaner.matches(name, patterns);
+      }) ?? null;
+    }
+
+    try {
+      const url = new URL(name, window.location.href);
+      return trackers.find((tracker) => tracker.hosts.some((host) => matchesHost(url, host))) ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check a script or iframe (tagged, inline and same-host elements are skipped)
+   */
+  inspect(element: Element): void {
+    if (element.hasAttribute('data-cookie-category')) return;
+
+    const type = element.nodeName === 'SCRIPT' ? 'script' : element.nodeName === 'IFRAME' ? 'iframe' : null;
+    const src = element.getAttribute('src');
+    if (!type || !src) return;
+
+    let url: URL;
+    try {
+      url = new URL(src, window.location.href);
+    } catch {
+      return;
+    }
+
+    if (!url.protocol.startsWith('http') || url.hostname === window.location.hostname) return;
+    this.record(type, url.href);
+  }
+
+  /**
+   * Check every script and iframe already in the document
+   */
+  scanDocument(): void {
+    document.querySelectorAll('script[src], iframe[src]').forEach((element) => this.inspect(element));
+  }
+
+  /**
+   * Check cookies and localStorage keys for ones not seen before
+   */
+  poll(): void {
+    CookieCleaner.getCookieNames().forEach((name) => this.record('cookie', name));
+
+    try {
+      Object.keys(localStorage).forEach((key) => this.record('localStorage', key));
+    } catch {
+      // localStorage unavailable
+    }
+  }
+
+  /**
+   * Scan the document, then keep checking cookies and localStorage
+   */
+  start(): void {
+    if (this.timer) return;
+
+    this.scanDocument();
+    this.poll();
+    this.timer = setInterval(() => this.poll(), this.config.interval);
+  }
+
+  /**
+   * Stop checking cookies and localStorage
+   */
+  stop(): void {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Get everything found so far, in the order it was found
+   */
+  getReport(): TrackerReportItem[] {
+    return this.items.map((item) => ({ ...item }));
+  }
+
+  /**
+   * Add a finding to the report (once per type and name)
+   */
+  private record(type: TrackerReportItem['type'], name: string): void {
+    const key = `${type}:${name}`;
+    if (this.seen.has(key) || this.ignore.includes(name)) return;
+    this.seen.add(key);
+
+    const tracker = this.findTracker(type, name);
+    const item: TrackerReportItem = {
+      type,
+      name,
+      tracker: tracker?.name ?? null,
+      suggestedCategory: tracker?.category ?? null,
+      firstSeen: new Date().toISOString()
+    };
+
+    this.items.push(item);
+    this.onFind?.(item);
+  }
+}
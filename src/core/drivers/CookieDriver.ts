@@ -0,0 +1,83 @@
+import type { CookieOptions, StorageDriver } from '../../types';
+
+/**
+ * Cookie driver (readable by the server and shareable across subdomains)
+ */
+export class CookieDriver implements StorageDriver {
+  readonly name = 'cookie';
+  readonly async = false;
+  private cookieOptions: CookieOptions;
+
+  constructor(cookieOptions: Partial<CookieOptions> = {}) {
+    this.cookieOptions = {
+      sameSite: 'Strict',
+      secure: true,
+      path: '/',
+      expires: 365,
+      ...cookieOptions
+    };
+  }
+
+  isAvailable(): boolean {
+    if (typeof document === 'undefined' || navigator.cookieEnabled === false) return false;
+
+    try {
+      const probe = '__cc_probe__';
+      this.set(probe, '1');
+      this.remove(probe);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Build a cookie string with the configured attributes
+   */
+  private serialize(name: string, value: string, expires: Date | null): string {
+    const opts = this.cookieOptions;
+    let cookieString = `${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
+
+    if (expires) cookieString += `; expires=${expires.toUTCString()}`;
+    if (opts.path) cookieString += `; path=${opts.path}`;
+    if (opts.domain) cookieString += `; domain=${opts.domain}`;
+    if (opts.sameSite) cookieString += `; SameSite=${opts.sameSite}`;
+    if (opts.secure) cookieString += '; Secure';
+
+    return cookieString;
+  }
+
+  get(key: string): string | null {
+    const cookies = document.cookie.split(';');
+    const encodedName = encodeURIComponent(key);
+
+    for (const cookie of cookies) {
+      const [cookieName, ...cookieValueParts] = cookie.trim().split('=');
+      if (cookieName === encodedName) {
+        return decodeURIComponent(cookieValueParts.join('='));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Set a cookie (throws if the browser dropped it, e.g. cookies are blocked or it is too large)
+   */
+  set(key: string, value: string): void {
+    const { expires } = this.cookieOptions;
+    // Without an expiry the cookie lasts for the browser session
+    const date = expires ? new Date(Date.now() + expires * 24 * 60 * 60 * 1000) : null;
+    document.cookie = this.serialize(key, value, date);
+
+    if (this.get(key) !== value) {
+      throw new Error(`Cookie "${key}" was not stored`);
+    }
+  }
+
+  /**
+   * Delete a cookie by setting it with an expired date
+   */
+  remove(key: string): void {
+    document.cookie = this.serialize(key, '', new Date(0));
+  }
+}
@@ -0,0 +1,68 @@
+import type { StorageDriver } from '../../types';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDB driver (values live in one object store, keyed by storage key)
+ */
+export class IndexedDBDriver implements StorageDriver {
+  readonly name = 'indexedDB';
+  readonly async = true;
+  private dbName: string;
+  private storeName: string;
+  private db: Promise<IDBDatabase> | null = null;
+
+  constructor(dbName: string = 'cconsent', storeName: string = 'consent') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+  }
+
+  isAvailable(): boolean {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database (once, creating the store on first use)
+   */
+  private open(): Promise<IDBDatabase> {
+    if (!this.db) {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+      this.db = promisify(request);
+      // Let a later call retry if opening failed (e.g. private browsing)
+      this.db.catch(() => {
+        this.db = null;
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Run a request against the object store
+   */
+  private async run<T>(mode: IDBTransactionMode, action: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+    const db = await this.open();
+    return promisify(action(db.transaction(this.storeName, mode).objectStore(this.storeName)));
+  }
+
+  async get(key: string): Promise<string | null> {
+    const value = await this.run('readonly', (store) => store.get(key));
+    return typeof value === 'string' ? value : null;
+  }
+
+  async set(key: string, value: string): Promise<void> {
+    await this.run('readwrite', (store) => store.put(value, key));
+  }
+
+  async remove(key: string): Promise<void> {
+    await this.run('readwrite', (store) => store.delete(key));
+  }
+}
@@ -0,0 +1,26 @@
+import type { StorageDriver } from '../../types';
+
+/**
+ * In-memory driver (consent lasts until the page is reloaded)
+ */
+export class MemoryDriver implements StorageDriver {
+  readonly name = 'memory';
+  readonly async = false;
+  private values = new Map<string, string>();
+
+  isAvailable(): boolean {
+    return true;
+  }
+
+  get(key: string): string | null {
+    return this.values.get(key) ?? null;
+  }
+
+  set(key: string, value: string): void {
+    this.values.set(key, value);
+  }
+
+  remove(key: string): void {
+    this.values.delete(key);
+  }
+}
@@ -0,0 +1,31 @@
+import type { RemoteStorageFetcher, StorageDriver } from '../../types';
+
+/**
+ * Driver that reads and writes through a user-supplied fetcher (e.g. an account API)
+ */
+export class RemoteDriver implements StorageDriver {
+  readonly name = 'remote';
+  readonly async = true;
+  private fetcher: RemoteStorageFetcher;
+
+  constructor(fetcher: RemoteStorageFetcher) {
+    this.fetcher = fetcher;
+  }
+
+  isAvailable(): boolean {
+    return true;
+  }
+
+  async get(key: string): Promise<string | null> {
+    const value = await this.fetcher({ action: 'get', key });
+    return typeof value === 'string' ? value : null;
+  }
+
+  async set(key: string, value: string): Promise<void> {
+    await this.fetcher({ action: 'set', key, value });
+  }
+
+  async remove(key: string): Promise<void> {
+    await this.fetcher({ action: 'remove', key });
+  }
+}
@@ -0,0 +1,40 @@
+import type { StorageDriver } from '../../types';
+
+/**
+ * Web Storage driver (localStorage, or sessionStorage for consent that ends with the tab)
+ */
+export class WebStorageDriver implements StorageDriver {
+  readonly name: 'localStorage' | 'sessionStorage';
+  readonly async = false;
+
+  constructor(name: 'localStorage' | 'sessionStorage' = 'localStorage') {
+    this.name = name;
+  }
+
+  private get storage(): Storage {
+    return window[this.name];
+  }
+
+  isAvailable(): boolean {
+    try {
+      const probe = '__cc_probe__';
+      this.storage.setItem(probe, probe);
+      this.storage.removeItem(probe);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  get(key: string): string | null {
+    return this.storage.getItem(key);
+  }
+
+  set(key: string, value: string): void {
+    this.storage.setItem(key, value);
+  }
+
+  remove(key: string): void {
+    this.storage.removeItem(key);
+  }
+}
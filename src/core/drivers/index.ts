@@ -0,0 +1,9 @@
+/**
+ * Built-in storage drivers for StorageAdapter
+ */
+
+export { WebStorageDriver } from './WebStorageDriver';
+export { CookieDriver } from './CookieDriver';
+export { MemoryDriver } from './MemoryDriver';
+export { IndexedDBDriver } from './IndexedDBDriver';
+export { RemoteDriver } from './RemoteDriver';
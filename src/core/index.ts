@@ -6,3 +6,11 @@ export { ConsentManager } from './ConsentManager';
 export { StorageAdapter } from './StorageAdapter';
 export { ScriptManager } from './ScriptManager';
 export { GeoDetector } from './GeoDetector';
+export { CategoryRegistry } from './CategoryRegistry';
+export { ReceiptLogger } from './ReceiptLogger';
+export { PrivacySignals } from './PrivacySignals';
+export { CookieCleaner } from './CookieCleaner';
+export { TrackerScanner } from './TrackerScanner';
+export { CookieTable } from './CookieTable';
+export { KNOWN_TRACKERS, AUTO_BLOCK_DOMAINS } from './trackers';
+export { WebStorageDriver, CookieDriver, MemoryDriver, IndexedDBDriver, RemoteDriver } from './drivers';
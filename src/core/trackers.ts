@@ -0,0 +1,146 @@
+import type { TrackerDefinition } from '../types';
+
+/**
+ * Bundled database of common trackers
+ */
+export const KNOWN_TRACKERS: TrackerDefinition[] = [
+  {
+    name: 'Google Analytics',
+    category: 'analytics',
+    hosts: ['google-analytics.com', 'analytics.google.com', 'googletagmanager.com/gtag/'],
+    cookies: ['_ga', '_ga_*', '_gid', '_gat*']
+  },
+  {
+    name: 'Google Tag Manager',
+    category: 'analytics',
+    hosts: ['googletagmanager.com']
+  },
+  {
+    name: 'Google Ads',
+    category: 'marketing',
+    hosts: ['googleadservices.com', 'googlesyndication.com', 'doubleclick.net'],
+    cookies: ['_gcl_*', 'IDE', 'test_cookie']
+  },
+  {
+    name: 'Meta Pixel',
+    category: 'marketing',
+    hosts: ['connect.facebook.net', 'facebook.com/tr'],
+    cookies: ['_fbp', '_fbc']
+  },
+  {
+    name: 'Hotjar',
+    category: 'analytics',
+    hosts: ['hotjar.com', 'hotjar.io'],
+    cookies: ['_hj*'],
+    storageKeys: ['_hj*']
+  },
+  {
+    name: 'Microsoft Clarity',
+    category: 'analytics',
+    hosts: ['clarity.ms'],
+    cookies: ['_clck', '_clsk']
+  },
+  {
+    name: 'Matomo',
+    category: 'analytics',
+    hosts: ['matomo.cloud'],
+    cookies: ['_pk_id*', '_pk_ses*']
+  },
+  {
+    name: 'Segment',
+    category: 'analytics',
+    hosts: ['cdn.segment.com'],
+    cookies: ['ajs_anonymous_id', 'ajs_user_id'],
+    storageKeys: ['ajs_*']
+  },
+  {
+    name: 'Mixpanel',
+    category: 'analytics',
+    hosts: ['mxpnl.com', 'mixpanel.com'],
+    cookies: ['mp_*']
+  },
+  {
+    name: 'Amplitude',
+    category: 'analytics',
+    hosts: ['amplitude.com'],
+    cookies: ['AMP_*'],
+    storageKeys: ['AMP_*', 'amplitude_*']
+  },
+  {
+    name: 'LinkedIn Insight Tag',
+    category: 'marketing',
+    hosts: ['snap.licdn.com', 'px.ads.linkedin.com'],
+    cookies: ['li_fat_id', 'li_sugr', 'bcookie', 'lidc']
+  },
+  {
+    name: 'TikTok Pixel',
+    category: 'marketing',
+    hosts: ['analytics.tiktok.com'],
+    cookies: ['_ttp']
+  },
+  {
+    name: 'X (Twitter) Pixel',
+    category: 'marketing',
+    hosts: ['static.ads-twitter.com', 'ads-api.twitter.com'],
+    cookies: ['muc_ads', 'personalization_id']
+  },
+  {
+    name: 'Pinterest Tag',
+    category: 'marketing',
+    hosts: ['s.pinimg.com', 'ct.pinterest.com'],
+    cookies: ['_pin_unauth', '_pinterest_*']
+  },
+  {
+    name: 'HubSpot',
+    category: 'marketing',
+    hosts: ['js.hs-scripts.com', 'js.hs-analytics.net', 'js.hsadspixel.net', 'js.hs-banner.com'],
+    cookies: ['__hstc', '__hssc', '__hssrc', 'hubspotutk']
+  },
+  {
+    name: 'YouTube',
+    category: 'marketing',
+    hosts: ['youtube.com', 'youtu.be'],
+    cookies: ['VISITOR_INFO1_LIVE', 'YSC']
+  },
+  {
+    name: 'YouTube (privacy-enhanced mode)',
+    category: 'functional',
+    hosts: ['youtube-nocookie.com']
+  },
+  {
+    name: 'Vimeo',
+    category: 'functional',
+    hosts: ['player.vimeo.com'],
+    cookies: ['vuid']
+  },
+  {
+    name: 'Google Maps',
+    category: 'functional',
+    hosts: ['maps.googleapis.com', 'google.com/maps']
+  },
+  {
+    name: 'Intercom',
+    category: 'functional',
+    hosts: ['widget.intercom.io', 'js.intercomcdn.com'],
+    cookies: ['intercom-*']
+  }
+];
+
+/**
+ * Check if a URL is on a host ('example.com' also matches subdomains) and path prefix
+ */
+export function matchesHost(url: URL, pattern: string): boolean {
+  const slash = pattern.indexOf('/');
+  const domain = slash === -1 ? pattern : pattern.slice(0, slash);
+  const path = slash === -1 ? '' : pattern.slice(slash);
+  const onDomain = url.hostname === domain || url.hostname.endsWith(`.${domain}`);
+  return onDomain && url.pathname.startsWith(path);
+}
+
+/**
+ * Domains auto-blocking holds back, with the category each one needs
+ * (built from KNOWN_TRACKERS, in the same order)
+ */
+export const AUTO_BLOCK_DOMAINS: Record<string, string> = Object.fromEntries(
+  KNOWN_TRACKERS.flatMap((tracker) => tracker.hosts.map((host) => [host, tracker.category]))
+);
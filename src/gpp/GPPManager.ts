@@ -0,0 +1,408 @@
+import type {
+  ConsentCategories,
+  GPPApi,
+  GPPCallback,
+  GPPConfig,
+  GPPDisplayStatus,
+  GPPEventData,
+  GPPPingReturn,
+  GPPSectionName,
+  GPPSections,
+  USOptOut,
+  USPApi,
+  USPData,
+  UsCaSection,
+  UsNatSection
+} from '../types';
+import { PrivacySignals } from '../core/PrivacySignals';
+import { GPPString, SECTION_IDS } from './GPPString';
+
+const GPP_VERSION = '1.1';
+const USP_VERSION = 1;
+
+/**
+ * GPP field values
+ */
+const NOT_APPLICABLE = 0;
+const YES = 1;
+const NO = 2;
+
+type QueuedStub = ((...args: unknown[]) => unknown) & { queue?: unknown[][] };
+
+/**
+ * Answer __gpp and __uspapi calls made from child frames via postMessage
+ */
+function handleMessage(event: MessageEvent): void {
+  let data = event.data;
+  const isString = typeof data === 'string';
+
+  if (isString) {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      return;
+    }
+  }
+
+  const reply = (response: unknown) => {
+    (event.source as Window | null)?.postMessage(isString ? JSON.stringify(response) : response, '*');
+  };
+
+  const gppCall = data?.__gppCall;
+  if (gppCall && typeof window.__gpp === 'function') {
+    window.__gpp(
+      gppCall.command,
+      (returnValue, success) => {
+        reply({ __gppReturn: { returnValue, success, callId: gppCall.callId } });
+      },
+      gppCall.parameter,
+      gppCall.version
+    );
+  }
+
+  const uspCall = data?.__uspapiCall;
+  if (uspCall && typeof window.__uspapi === 'function') {
+    window.__uspapi(uspCall.command, uspCall.version, (returnValue, success) => {
+      reply({ __uspapiReturn: { returnValue, success, callId: uspCall.callId } });
+    });
+  }
+}
+
+/**
+ * Add a hidden frame child frames look for to find the CMP
+ */
+function addLocatorFrame(name: string): void {
+  if (document.querySelector(`iframe[name="${name}"]`)) return;
+
+  if (!document.body) {
+    document.addEventListener('DOMContentLoaded', () => addLocatorFrame(name), { once: true });
+    return;
+  }
+
+  const iframe = document.createElement('iframe');
+  iframe.name = name;
+  iframe.style.display = 'none';
+  iframe.setAttribute('aria-hidden', 'true');
+  document.body.appendChild(iframe);
+}
+
+/**
+ * IAB Global Privacy Platform (__gpp) and US Privacy (__uspapi) signals
+ * derived from the user's "Do Not Sell/Share" choices
+ */
+export class GPPManager {
+  private config: GPPConfig;
+  private optOuts: Record<USOptOut, boolean> = {
+    sale: false,
+    sharing: false,
+    targetedAdvertising: false
+  };
+  private displayStatus: GPPDisplayStatus = 'hidden';
+  private listeners = new Map<number, GPPCallback>();
+  private nextListenerId = 1;
+
+  constructor(config: Partial<GPPConfig> = {}) {
+    this.config = {
+      cmpId: 0,
+      cmpVersion: 1,
+      sections: ['usnat', 'usca'],
+      applicableSections: [SECTION_IDS.usnat],
+      mspaCovered: false,
+      ...config,
+      mapping: {
+        sale: ['marketing'],
+        sharing: ['marketing'],
+        targetedAdvertising: ['marketing'],
+        ...config.mapping
+      }
+    };
+  }
+
+  /**
+   * Install queueing __gpp and __uspapi stubs (call as early as possible, before ad scripts load)
+   */
+  static installStub(): void {
+    if (typeof window === 'undefined') return;
+
+    if (typeof window.__gpp !== 'function') {
+      const gppStub: QueuedStub = (...args) => {
+        const [command, callback] = args as Parameters<GPPApi>;
+        if (command === 'ping' && typeof callback === 'function') {
+          callback({ gppVersion: GPP_VERSION, cmpStatus: 'stub', cmpDisplayStatus: 'hidden', signalStatus: 'not ready' }, true);
+        } else {
+          gppStub.queue?.push(args);
+        }
+        return undefined;
+      };
+      gppStub.queue = [];
+      window.__gpp = gppStub as GPPApi;
+      addLocatorFrame('__gppLocator');
+    }
+
+    if (typeof window.__uspapi !== 'function') {
+      const uspStub: QueuedStub = (...args) => {
+        uspStub.queue?.push(args);
+        return undefined;
+      };
+      uspStub.queue = [];
+      window.__uspapi = uspStub as USPApi;
+      addLocatorFrame('__uspapiLocator');
+    }
+
+    window.addEventListener('message', handleMessage);
+  }
+
+  /**
+   * Replace the stubs with the real __gpp and __uspapi handlers and answer any queued calls
+   */
+  install(): void {
+    if (typeof window === 'undefined') return;
+
+    const gppQueue = (window.__gpp as QueuedStub | undefined)?.queue;
+    const uspQueue = (window.__uspapi as QueuedStub | undefined)?.queue;
+    const hasStub = typeof window.__gpp === 'function' || typeof window.__uspapi === 'function';
+
+    window.__gpp = (command, callback, parameter) => this.handleCommand(command, callback, parameter);
+    window.__uspapi = (command, version, callback) => this.handleUSPCommand(command, version, callback);
+
+    // A stub already answers postMessage calls by forwarding them to the globals
+    if (!hasStub) {
+      window.addEventListener('message', handleMessage);
+    }
+    addLocatorFrame('__gppLocator');
+    addLocatorFrame('__uspapiLocator');
+
+    gppQueue?.forEach((args) => window.__gpp?.(...(args as Parameters<GPPApi>)));
+    uspQueue?.forEach((args) => window.__uspapi?.(...(args as Parameters<USPApi>)));
+  }
+
+  /**
+   * Handle a __gpp command
+   */
+  handleCommand(command: string, callback: GPPCallback, parameter?: unknown): void {
+    if (typeof callback !== 'function') return;
+
+    switch (command) {
+      case 'ping':
+        callback(this.getPing(), true);
+        break;
+      case 'addEventListener': {
+        const listenerId = this.nextListenerId++;
+        this.listeners.set(listenerId, callback);
+        callback(this.getEventData('listenerRegistered', listenerId, true), true);
+        break;
+      }
+      case 'removeEventListener':
+        callback(this.listeners.delete(Number(parameter)), true);
+        break;
+      case 'hasSection':
+        callback(this.getSectionName(parameter) !== null, true);
+        break;
+      case 'getSection': {
+        const name = this.getSectionName(parameter);
+        callback(name ? this.getSection(name) : null, true);
+        break;
+      }
+      case 'getField': {
+        const [prefix, field] = String(parameter).split('.');
+        const name = this.getSectionName(prefix);
+        const section = name ? (this.getSection(name) as unknown as Record<string, unknown>) : null;
+        callback(section && field in section ? section[field] : null, true);
+        break;
+      }
+      default:
+        callback(null, false);
+    }
+  }
+
+  /**
+   * Handle a __uspapi command
+   */
+  handleUSPCommand(command: string, version: number, callback: (data: USPData | null, success: boolean) => void): void {
+    if (typeof callback !== 'function') return;
+
+    if (command !== 'getUSPData' || (version !== undefined && version !== null && version !== USP_VERSION)) {
+      callback(null, false);
+      return;
+    }
+
+    callback({ version: USP_VERSION, uspString: this.getUSPString() }, true);
+  }
+
+  /**
+   * Get the 'ping' response
+   */
+  getPing(): GPPPingReturn {
+    return {
+      gppVersion: GPP_VERSION,
+      cmpStatus: 'loaded',
+      cmpDisplayStatus: this.displayStatus,
+      signalStatus: 'ready',
+      supportedAPIs: this.config.sections.map((name) => `${SECTION_IDS[name]}:${name}`),
+      cmpId: this.config.cmpId,
+      sectionList: this.config.sections.map((name) => SECTION_IDS[name]).sort((a, b) => a - b),
+      applicableSections: [...this.config.applicableSections],
+      gppString: this.getGPPString(),
+      parsedSections: this.getSections()
+    };
+  }
+
+  /**
+   * Get the GPP string for the current choices
+   */
+  getGPPString(): string {
+    return GPPString.encode(this.getSections());
+  }
+
+  /**
+   * Get the US Privacy string (e.g. '1YNN': version, notice given, opted out of sale, LSPA covered)
+   */
+  getUSPString(): string {
+    if (this.config.applicableSections.includes(-1)) return '1---';
+
+    return [
+      USP_VERSION,
+      'Y',
+      this.optOuts.sale ? 'Y' : 'N',
+      this.config.mspaCovered ? 'Y' : 'N'
+    ].join('');
+  }
+
+  /**
+   * Get every configured section
+   */
+  getSections(): GPPSections {
+    const sections: GPPSections = {};
+    this.config.sections.forEach((name) => {
+      (sections as Record<string, unknown>)[name] = this.getSection(name);
+    });
+    return sections;
+  }
+
+  /**
+   * Build a section from the current opt-out choices
+   */
+  getSection(name: GPPSectionName): UsNatSection | UsCaSection {
+    const optOut = (choice: USOptOut) => (this.optOuts[choice] ? YES : NO);
+    const mspa = {
+      MspaCoveredTransaction: this.config.mspaCovered ? YES : NO,
+      MspaOptOutOptionMode: this.config.mspaCovered ? YES : NOT_APPLICABLE,
+      MspaServiceProviderMode: this.config.mspaCovered ? NO : NOT_APPLICABLE
+    };
+    const gpc = PrivacySignals.hasGPC();
+
+    if (name === 'usca') {
+      return {
+        Version: 1,
+        SaleOptOutNotice: YES,
+        SharingOptOutNotice: YES,
+        SensitiveDataLimitUseNotice: NOT_APPLICABLE,
+        SaleOptOut: optOut('sale'),
+        SharingOptOut: optOut('sharing'),
+        SensitiveDataProcessing: new Array(9).fill(NOT_APPLICABLE),
+        KnownChildSensitiveDataConsents: [NOT_APPLICABLE, NOT_APPLICABLE],
+        PersonalDataConsents: NOT_APPLICABLE,
+        ...mspa,
+        Gpc: gpc
+      };
+    }
+
+    return {
+      Version: 1,
+      SharingNotice: YES,
+      SaleOptOutNotice: YES,
+      SharingOptOutNotice: YES,
+      TargetedAdvertisingOptOutNotice: YES,
+      SensitiveDataProcessingOptOutNotice: NOT_APPLICABLE,
+      SensitiveDataLimitUseNotice: NOT_APPLICABLE,
+      SaleOptOut: optOut('sale'),
+      SharingOptOut: optOut('sharing'),
+      TargetedAdvertisingOptOut: optOut('targetedAdvertising'),
+      SensitiveDataProcessing: new Array(12).fill(NOT_APPLICABLE),
+      KnownChildSensitiveDataConsents: [NOT_APPLICABLE, NOT_APPLICABLE],
+      PersonalDataConsents: NOT_APPLICABLE,
+      ...mspa,
+      Gpc: gpc
+    };
+  }
+
+  /**
+   * Get the current opt-out choices
+   */
+  getOptOuts(): Record<USOptOut, boolean> {
+    return { ...this.optOuts };
+  }
+
+  /**
+   * Set opt-outs from category states (opted out when no mapped category is allowed)
+   * and notify listeners
+   */
+  applyCategories(categories: Partial<ConsentCategories>): void {
+    (Object.keys(this.optOuts) as USOptOut[]).forEach((choice) => {
+      this.optOuts[choice] = !this.config.mapping[choice].some((category) => categories[category]);
+    });
+    this.notifySectionChange();
+  }
+
+  /**
+   * Forget the user's choices (back to "did not opt out") and notify listeners
+   */
+  clear(): void {
+    (Object.keys(this.optOuts) as USOptOut[]).forEach((choice) => {
+      this.optOuts[choice] = false;
+    });
+    this.notifySectionChange();
+  }
+
+  /**
+   * Set the section IDs that apply to this visitor ([-1] when none do)
+   */
+  setApplicableSections(sectionIds: number[]): void {
+    this.config.applicableSections = [...sectionIds];
+  }
+
+  /**
+   * Report whether the consent UI is showing
+   */
+  setDisplayStatus(status: GPPDisplayStatus): void {
+    if (status === this.displayStatus) return;
+    this.displayStatus = status;
+    this.notify('cmpDisplayStatus', status);
+  }
+
+  /**
+   * Resolve a section name or API prefix (e.g. 'usnat' or 'usnatv1') to a configured section
+   */
+  private getSectionName(value: unknown): GPPSectionName | null {
+    const name = String(value).replace(/v\d+$/, '') as GPPSectionName;
+    return this.config.sections.includes(name) ? name : null;
+  }
+
+  /**
+   * Build the object passed to event listeners
+   */
+  private getEventData(eventName: GPPEventData['eventName'], listenerId: number, data: unknown): GPPEventData {
+    return { eventName, listenerId, data, pingData: this.getPing() };
+  }
+
+  /**
+   * Call every registered listener (a throwing vendor listener doesn't stop the
+   * others, or the decision being applied)
+   */
+  private notify(eventName: GPPEventData['eventName'], data: unknown): void {
+    this.listeners.forEach((callback, listenerId) => {
+      try {
+        callback(this.getEventData(eventName, listenerId, data), true);
+      } catch (e) {
+        console.error('Cookie consent: __gpp listener failed', e);
+      }
+    });
+  }
+
+  /**
+   * Report a change in every configured section
+   */
+  private notifySectionChange(): void {
+    this.config.sections.forEach((name) => this.notify('sectionChange', name));
+  }
+}
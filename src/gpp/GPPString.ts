@@ -0,0 +1,193 @@
+import type { GPPSectionName, GPPSections, UsCaSection, UsNatSection } from '../types';
+import { BitReader, BitWriter } from '../core/BitString';
+
+const HEADER_TYPE = 3;
+const HEADER_VERSION = 1;
+const GPC_SUBSECTION = 1;
+
+/**
+ * GPP section IDs
+ */
+export const SECTION_IDS: Record<GPPSectionName, number> = {
+  usnat: 7,
+  usca: 8
+};
+
+/**
+ * Field name, bit width and (for lists) item count, in encoding order
+ */
+type FieldSpec = [name: string, bits: number, count?: number];
+
+const SECTION_FIELDS: Record<GPPSectionName, FieldSpec[]> = {
+  usnat: [
+    ['Version', 6],
+    ['SharingNotice', 2],
+    ['SaleOptOutNotice', 2],
+    ['SharingOptOutNotice', 2],
+    ['TargetedAdvertisingOptOutNotice', 2],
+    ['SensitiveDataProcessingOptOutNotice', 2],
+    ['SensitiveDataLimitUseNotice', 2],
+    ['SaleOptOut', 2],
+    ['SharingOptOut', 2],
+    ['TargetedAdvertisingOptOut', 2],
+    ['SensitiveDataProcessing', 2, 12],
+    ['KnownChildSensitiveDataConsents', 2, 2],
+    ['PersonalDataConsents', 2],
+    ['MspaCoveredTransaction', 2],
+    ['MspaOptOutOptionMode', 2],
+    ['MspaServiceProviderMode', 2]
+  ],
+  usca: [
+    ['Version', 6],
+    ['SaleOptOutNotice', 2],
+    ['SharingOptOutNotice', 2],
+    ['SensitiveDataLimitUseNotice', 2],
+    ['SaleOptOut', 2],
+    ['SharingOptOut', 2],
+    ['SensitiveDataProcessing', 2, 9],
+    ['KnownChildSensitiveDataConsents', 2, 2],
+    ['PersonalDataConsents', 2],
+    ['MspaCoveredTransaction', 2],
+    ['MspaOptOutOptionMode', 2],
+    ['MspaServiceProviderMode', 2]
+  ]
+};
+
+/**
+ * Get the section name for a section ID
+ */
+function getSectionName(id: number): GPPSectionName | undefined {
+  return (Object.keys(SECTION_IDS) as GPPSectionName[]).find((name) => SECTION_IDS[name] === id);
+}
+
+/**
+ * Encode a section's core segment, plus the GPC subsection when Gpc is set
+ */
+function encodeSection(name: GPPSectionName, section: UsNatSection | UsCaSection): string {
+  const values = section as unknown as Record<string, number | number[]>;
+  const core = new BitWriter();
+
+  SECTION_FIELDS[name].forEach(([field, bits, count]) => {
+    if (count === undefined) {
+      core.int(values[field] as number, bits);
+    } else {
+      for (let i = 0; i < count; i++) {
+        core.int((values[field] as number[])[i] ?? 0, bits);
+      }
+    }
+  });
+
+  if (section.Gpc === undefined) return core.toBase64Url();
+
+  const gpc = new BitWriter();
+  gpc.int(GPC_SUBSECTION, 2);
+  gpc.bool(section.Gpc);
+  return `${core.toBase64Url()}.${gpc.toBase64Url()}`;
+}
+
+/**
+ * Decode a section's core segment and GPC subsection
+ */
+function decodeSection(name: GPPSectionName, encoded: string): UsNatSection | UsCaSection {
+  const [coreSegment, ...subsections] = encoded.split('.');
+  const core = new BitReader(coreSegment);
+  const values: Record<string, unknown> = {};
+
+  SECTION_FIELDS[name].forEach(([field, bits, count]) => {
+    if (count === undefined) {
+      values[field] = core.int(bits);
+    } else {
+      values[field] = Array.from({ length: count }, () => core.int(bits));
+    }
+  });
+
+  subsections.forEach((subsection) => {
+    const reader = new BitReader(subsection);
+    if (reader.int(2) === GPC_SUBSECTION) {
+      values.Gpc = reader.bool();
+    }
+  });
+
+  return values as unknown as UsNatSection | UsCaSection;
+}
+
+/**
+ * IAB Global Privacy Platform string encoder/decoder (usnat and usca sections)
+ */
+export class GPPString {
+  /**
+   * Encode sections into a GPP string (header plus one part per section, in ID order)
+   */
+  static encode(sections: GPPSections): string {
+    const names = (Object.keys(SECTION_IDS) as GPPSectionName[])
+      .filter((name) => sections[name])
+      .sort((a, b) => SECTION_IDS[a] - SECTION_IDS[b]);
+
+    const header = new BitWriter();
+    header.int(HEADER_TYPE, 6);
+    header.int(HEADER_VERSION, 6);
+
+    // Section IDs are Fibonacci-coded ranges: start as an offset from the previous
+    // range's end, end as an offset from the start
+    const ranges: Array<[number, number]> = [];
+    names.forEach((name) => {
+      const id = SECTION_IDS[name];
+      const last = ranges[ranges.length - 1];
+      if (last && id === last[1] + 1) {
+        last[1] = id;
+      } else {
+        ranges.push([id, id]);
+      }
+    });
+
+    header.int(ranges.length, 12);
+    let previous = 0;
+    ranges.forEach(([start, end]) => {
+      header.bool(start !== end);
+      header.fibonacci(start - previous);
+      if (start !== end) header.fibonacci(end - start);
+      previous = end;
+    });
+
+    const parts = names.map((name) => encodeSection(name, sections[name] as UsNatSection | UsCaSection));
+    return [header.toBase64Url(), ...parts].join('~');
+  }
+
+  /**
+   * Decode the sections of a GPP string (unsupported sections are skipped;
+   * returns null if the string is malformed)
+   */
+  static decode(gppString: string): GPPSections | null {
+    if (!gppString) return null;
+
+    try {
+      const [headerPart, ...parts] = gppString.split('~');
+      const header = new BitReader(headerPart);
+
+      if (header.int(6) !== HEADER_TYPE || header.int(6) !== HEADER_VERSION) return null;
+
+      const ids: number[] = [];
+      const numEntries = header.int(12);
+      let previous = 0;
+      for (let i = 0; i < numEntries; i++) {
+        const isRange = header.bool();
+        const start = previous + header.fibonacci();
+        const end = isRange ? start + header.fibonacci() : start;
+        for (let id = start; id <= end; id++) ids.push(id);
+        previous = end;
+      }
+
+      const sections: GPPSections = {};
+      ids.forEach((id, index) => {
+        const name = getSectionName(id);
+        if (name && parts[index]) {
+          (sections as Record<string, unknown>)[name] = decodeSection(name, parts[index]);
+        }
+      });
+
+      return sections;
+    } catch {
+      return null;
+    }
+  }
+}
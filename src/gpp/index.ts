@@ -0,0 +1,6 @@
+/**
+ * Optional IAB Global Privacy Platform module (__gpp, __uspapi and GPP string)
+ */
+
+export { GPPManager } from './GPPManager';
+export { GPPString } from './GPPString';
@@ -7,7 +7,25 @@
 export * from './types';
 
 // Export core modules
-export { ConsentManager, StorageAdapter, ScriptManager, GeoDetector } from './core';
+export {
+  ConsentManager,
+  StorageAdapter,
+  ScriptManager,
+  GeoDetector,
+  CategoryRegistry,
+  ReceiptLogger,
+  PrivacySignals,
+  CookieCleaner,
+  TrackerScanner,
+  CookieTable,
+  KNOWN_TRACKERS,
+  AUTO_BLOCK_DOMAINS,
+  WebStorageDriver,
+  CookieDriver,
+  MemoryDriver,
+  IndexedDBDriver,
+  RemoteDriver
+} from './core';
 
 // Import CSS for bundlers (side effect)
 import '../css/cookie-consent.css';
@@ -17,13 +35,23 @@ import '../css/cookie-consent.css';
 import CookieConsentClass from '../js/cookie-consent.js';
 
 import type {
+  AccountConsentFetcher,
   CookieConsentConfig,
   ConsentState,
   ConsentCategories,
   ConsentStatus,
+  ConsentEventListener,
+  ConsentEventMap,
+  ConsentEventName,
+  ConsentStateListener,
+  ConsentUIState,
+  SetConsentOptions,
+  CookieTableGroup,
   ManagedScriptInfo,
   ManagedIframeInfo,
-  DebugExport
+  DebugExport,
+  ThemeConfig,
+  ThemeMode
 } from './types';
 
 /**
@@ -37,10 +65,28 @@ export interface CookieConsentInstance {
   showInitial(): void;
   getConsent(): ConsentState | null;
   isAllowed(category: keyof ConsentCategories): boolean;
+  isVendorAllowed(vendor: string): boolean;
+  getCategories(): ConsentCategories;
   resetConsent(): void;
+  destroy(): void;
   acceptAll(): Promise<void>;
   rejectAll(): Promise<void>;
   savePreferences(): Promise<void>;
+  setConsent(categories: Partial<ConsentCategories>, options?: SetConsentOptions): Promise<void>;
+  updateCategory(name: keyof ConsentCategories, value: boolean): Promise<void>;
+  identify(userId: string, fetcher: AccountConsentFetcher): Promise<void>;
+  getCookieTable(): CookieTableGroup[];
+  getLanguages(): string[];
+  getLanguage(): string;
+  setLanguage(language: string): string;
+  setTheme(theme: ThemeMode | ThemeConfig): void;
+  getState(): ConsentUIState;
+  subscribe(listener: ConsentStateListener): () => void;
+  setCategoryChoice(category: string, allowed: boolean): boolean;
+  setVendorChoice(vendor: string, allowed: boolean): boolean;
+  on<K extends ConsentEventName>(event: K, listener: ConsentEventListener<K>): () => void;
+  off<K extends ConsentEventName>(event: K, listener: ConsentEventListener<K>): void;
+  once<K extends ConsentEventName>(event: K, listener: ConsentEventListener<K>): () => void;
   exportDebug(): DebugExport;
   _getConsentStatus(): ConsentStatus;
   _getActiveCategoryCount(): number;
@@ -82,12 +128,32 @@ declare global {
       hide: () => void;
       getConsent: () => ConsentState | null;
       isAllowed: (category: keyof ConsentCategories) => boolean;
+      isVendorAllowed: (vendor: string) => boolean;
+      getCategories: () => ConsentCategories;
       resetConsent: () => void;
+      setConsent: (categories: Partial<ConsentCategories>, options?: SetConsentOptions) => Promise<void>;
+      updateCategory: (name: keyof ConsentCategories, value: boolean) => Promise<void>;
       getStatus: () => ConsentStatus;
       scanScripts: () => void;
       wouldRunScript: (element: HTMLElement) => boolean;
       getManagedScripts: () => ManagedScriptInfo[];
       getManagedIframes: () => ManagedIframeInfo[];
+      getCookieTable: () => CookieTableGroup[];
+      setLanguage: (language: string) => string;
+      getLanguage: () => string;
+      setTheme: (theme: ThemeMode | ThemeConfig) => void;
+      getState: () => ConsentUIState;
+      subscribe: (listener: ConsentStateListener) => () => void;
+      on: <K extends ConsentEventName>(event: K, listener: ConsentEventListener<K>) => () => void;
+      off: <K extends ConsentEventName>(event: K, listener: ConsentEventListener<K>) => void;
+      once: <K extends ConsentEventName>(event: K, listener: ConsentEventListener<K>) => () => void;
     };
   }
-}
\ No newline at end of file
+
+  // cconsent:<event> CustomEvents dispatched on document
+  interface DocumentEventMap extends CookieConsentDocumentEvents {}
+}
+
+type CookieConsentDocumentEvents = {
+  [K in ConsentEventName as `cconsent:${K}`]: CustomEvent<ConsentEventMap[K]>;
+};
\ No newline at end of file
@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Bulgarian translation of the default content
+ */
+const bg: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Настройки за бисквитки',
+    description: {
+      text: 'Използваме бисквитки, за да подобрим сърфирането, да показваме персонализирано съдържание и да анализираме трафика си. Прочетете нашата ',
+      linkText: 'Политика за бисквитките',
+      suffix: ', за да научите повече.'
+    },
+    buttons: {
+      customize: 'Персонализиране на бисквитките',
+      rejectAll: 'Отхвърляне на всички бисквитки',
+      acceptAll: 'Приемане на всички бисквитки',
+      doNotSell: 'Не продавайте моята информация'
+    }
+  },
+  settingsView: {
+    heading: 'Настройки за бисквитки',
+    description: 'Управлявайте предпочитанията си за бисквитки по-долу. Необходимите бисквитки са нужни за работата на сайта и не могат да бъдат изключени.',
+    buttons: {
+      save: 'Запазване на предпочитанията'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Необходими',
+    functional: 'Функционални',
+    preferences: 'Предпочитания',
+    analytics: 'Аналитични',
+    marketing: 'Маркетингови'
+  },
+  categories: {
+    necessary: 'Нужни за сигурността и основните функции.',
+    functional: 'Осигуряват допълнителни функции като чат на живо и видеоклипове.',
+    preferences: 'Запомнят настройките ви, като език и тема.',
+    analytics: 'Помагат ни да разберем как посетителите използват сайта ни.',
+    marketing: 'Осигуряват персонализирани реклами и проследяване.'
+  },
+  toggle: {
+    on: 'Вкл.',
+    off: 'Изкл.',
+    required: 'Задължителни',
+    updated: 'Актуализирано',
+    label: 'Включване или изключване на бисквитки „{name}“',
+    requiredLabel: 'Бисквитки „{name}“ (винаги включени)',
+    deniedLabel: 'Бисквитки „{name}“ (изключени от сигнала за поверителност на браузъра ви)'
+  },
+  tcf: {
+    purposes: 'Цели',
+    specialFeatures: 'Специални функции',
+    vendors: 'Доставчици',
+    consent: 'Съгласие',
+    legitimateInterest: 'Легитимен интерес',
+    privacyPolicy: 'Политика за поверителност'
+  },
+  vendors: {
+    heading: 'Доставчици',
+    privacyPolicy: 'Политика за поверителност'
+  },
+  privacySignal: {
+    gpc: 'Сигналът GPC е спазен. Браузърът ви поиска да не продаваме и да не споделяме личната ви информация, затова тези бисквитки остават изключени.',
+    dnt: 'Сигналът Do Not Track е спазен. Браузърът ви поиска да не бъдете проследявани, затова бисквитките за проследяване остават изключени.'
+  },
+  placeholder: {
+    blocked: 'Съдържанието „{category}“ е блокирано.',
+    changeSettings: 'Промяна на настройките'
+  },
+  floatingButton: {
+    label: 'Настройки за бисквитки',
+    status: '{label}, в момента са приети {active} от {total} категории'
+  },
+  announcements: {
+    acceptAll: 'Предпочитанията са запазени. Всички бисквитки са приети.',
+    rejectAll: 'Предпочитанията са запазени. Незадължителните бисквитки са отхвърлени.',
+    save: 'Предпочитанията са запазени.'
+  },
+  cookieTable: {
+    name: 'Име',
+    provider: 'Доставчик',
+    purpose: 'Цел',
+    duration: 'Срок',
+    category: 'Категория',
+    empty: 'Този сайт не декларира бисквитки.'
+  }
+};
+
+export default bg;
@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Czech translation of the default content
+ */
+const cs: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Nastavení cookies',
+    description: {
+      text: 'Používáme cookies ke zlepšení prohlížení, zobrazování personalizovaného obsahu a analýze návštěvnosti. Přečtěte si naše ',
+      linkText: 'Zásady používání cookies',
+      suffix: ' a dozvíte se více.'
+    },
+    buttons: {
+      customize: 'Přizpůsobit nastavení cookies',
+      rejectAll: 'Odmítnout všechny cookies',
+      acceptAll: 'Přijmout všechny cookies',
+      doNotSell: 'Neprodávat mé údaje'
+    }
+  },
+  settingsView: {
+    heading: 'Nastavení cookies',
+    description: 'Níže můžete spravovat své předvolby cookies. Nezbytné cookies jsou nutné pro fungování webu a nelze je vypnout.',
+    buttons: {
+      save: 'Uložit předvolby'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Nezbytné',
+    functional: 'Funkční',
+    preferences: 'Předvolby',
+    analytics: 'Analytické',
+    marketing: 'Marketingové'
+  },
+  categories: {
+    necessary: 'Nutné pro zabezpečení a základní funkce.',
+    functional: 'Umožňují rozšířené funkce, jako je živý chat a videa.',
+    preferences: 'Pamatují si vaše nastavení, například jazyk a motiv.',
+    analytics: 'Pomáhají nám pochopit, jak návštěvníci používají náš web.',
+    marketing: 'Umožňují personalizovanou reklamu a sledování.'
+  },
+  toggle: {
+    on: 'Zapnuto',
+    off: 'Vypnuto',
+    required: 'Povinné',
+    updated: 'Aktualizováno',
+    label: 'Přepnout cookies {name}',
+    requiredLabel: 'Cookies {name} (vždy zapnuté)',
+    deniedLabel: 'Cookies {name} (vypnuté signálem ochrany soukromí vašeho prohlížeče)'
+  },
+  tcf: {
+    purposes: 'Účely',
+    specialFeatures: 'Zvláštní funkce',
+    vendors: 'Dodavatelé',
+    consent: 'Souhlas',
+    legitimateInterest: 'Oprávněný zájem',
+    privacyPolicy: 'Zásady ochrany osobních údajů'
+  },
+  vendors: {
+    heading: 'Dodavatelé',
+    privacyPolicy: 'Zásady ochrany osobních údajů'
+  },
+  privacySignal: {
+    gpc: 'Signál GPC respektován. Váš prohlížeč nás požádal, abychom neprodávali ani nesdíleli vaše osobní údaje, proto tyto cookies zůstávají vypnuté.',
+    dnt: 'Signál Do Not Track respektován. Váš prohlížeč požádal o nesledování, proto sledovací cookies zůstávají vypnuté.'
+  },
+  placeholder: {
+    blocked: 'Obsah kategorie {category} je zablokován.',
+    changeSettings: 'Změnit nastavení'
+  },
+  floatingButton: {
+    label: 'Nastavení cookies',
+    status: '{label}, aktuálně přijato {active} z {total} kategorií'
+  },
+  announcements: {
+    acceptAll: 'Předvolby uloženy. Všechny cookies přijaty.',
+    rejectAll: 'Předvolby uloženy. Volitelné cookies odmítnuty.',
+    save: 'Předvolby uloženy.'
+  },
+  cookieTable: {
+    name: 'Název',
+    provider: 'Poskytovatel',
+    purpose: 'Účel',
+    duration: 'Doba uložení',
+    category: 'Kategorie',
+    empty: 'Tento web neuvádí žádné cookies.'
+  }
+};
+
+export default cs;
@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Danish translation of the default content
+ */
+const da: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Cookieindstillinger',
+    description: {
+      text: 'Vi bruger cookies til at forbedre din browseroplevelse, vise personligt tilpasset indhold og analysere vores trafik. Læs vores ',
+      linkText: 'cookiepolitik',
+      suffix: ' for at få mere at vide.'
+    },
+    buttons: {
+      customize: 'Tilpas cookieindstillinger',
+      rejectAll: 'Afvis alle cookies',
+      acceptAll: 'Accepter alle cookies',
+      doNotSell: 'Sælg ikke mine oplysninger'
+    }
+  },
+  settingsView: {
+    heading: 'Cookieindstillinger',
+    description: 'Administrer dine cookiepræferencer nedenfor. Nødvendige cookies er påkrævet, for at websitet kan fungere, og kan ikke slås fra.',
+    buttons: {
+      save: 'Gem præferencer'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Nødvendige',
+    functional: 'Funktionelle',
+    preferences: 'Præferencer',
+    analytics: 'Statistik',
+    marketing: 'Marketing'
+  },
+  categories: {
+    necessary: 'Påkrævet for sikkerhed og grundlæggende funktioner.',
+    functional: 'Giver udvidede funktioner som livechat og videoer.',
+    preferences: 'Husker dine indstillinger som sprog og tema.',
+    analytics: 'Hjælper os med at forstå, hvordan besøgende bruger vores website.',
+    marketing: 'Giver personligt tilpassede annoncer og sporing.'
+  },
+  toggle: {
+    on: 'Til',
+    off: 'Fra',
+    required: 'Påkrævet',
+    updated: 'Opdateret',
+    label: 'Slå {name}-cookies til eller fra',
+    requiredLabel: '{name}-cookies (altid aktiveret)',
+    deniedLabel: '{name}-cookies (slået fra af din browsers privatlivssignal)'
+  },
+  tcf: {
+    purposes: 'Formål',
+    specialFeatures: 'Særlige funktioner',
+    vendors: 'Leverandører',
+    consent: 'Samtykke',
+    legitimateInterest: 'Legitim interesse',
+    privacyPolicy: 'Privatlivspolitik'
+  },
+  vendors: {
+    heading: 'Leverandører',
+    privacyPolicy: 'Privatlivspolitik'
+  },
+  privacySignal: {
+    gpc: 'GPC-signal respekteret. Din browser har bedt os om ikke at sælge eller dele dine personoplysninger, så disse cookies forbliver slået fra.',
+    dnt: 'Do Not Track-signal respekteret. Din browser har bedt om ikke at blive sporet, så sporingscookies forbliver slået fra.'
+  },
+  placeholder: {
+    blocked: '{category}-indhold er blokeret.',
+    changeSettings: 'Skift indstillinger'
+  },
+  floatingButton: {
+    label: 'Cookieindstillinger',
+    status: '{label}, accepterer i øjeblikket {active} af {total} kategorier'
+  },
+  announcements: {
+    acceptAll: 'Cookiepræferencer gemt. Alle cookies accepteret.',
+    rejectAll: 'Cookiepræferencer gemt. Ikke-nødvendige cookies afvist.',
+    save: 'Cookiepræferencer gemt.'
+  },
+  cookieTable: {
+    name: 'Navn',
+    provider: 'Udbyder',
+    purpose: 'Formål',
+    duration: 'Varighed',
+    category: 'Kategori',
+    empty: 'Dette website angiver ingen cookies.'
+  }
+};
+
+export default da;
@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * German translation of the default content
+ */
+const de: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Cookie-Einstellungen',
+    description: {
+      text: 'Wir verwenden Cookies, um Ihr Browsing-Erlebnis zu verbessern, personalisierte Inhalte bereitzustellen und unseren Datenverkehr zu analysieren. Lesen Sie unsere ',
+      linkText: 'Cookie-Richtlinie',
+      suffix: ', um mehr zu erfahren.'
+    },
+    buttons: {
+      customize: 'Cookie-Einstellungen anpassen',
+      rejectAll: 'Alle Cookies ablehnen',
+      acceptAll: 'Alle Cookies akzeptieren',
+      doNotSell: 'Meine Daten nicht verkaufen'
+    }
+  },
+  settingsView: {
+    heading: 'Cookie-Einstellungen',
+    description: 'Verwalten Sie unten Ihre Cookie-Einstellungen. Notwendige Cookies sind für die Funktion der Website erforderlich und können nicht deaktiviert werden.',
+    buttons: {
+      save: 'Einstellungen speichern'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Notwendig',
+    functional: 'Funktional',
+    preferences: 'Präferenzen',
+    analytics: 'Statistik',
+    marketing: 'Marketing'
+  },
+  categories: {
+    necessary: 'Erforderlich für Sicherheit und grundlegende Funktionen.',
+    functional: 'Ermöglicht erweiterte Funktionen wie Live-Chat und Videos.',
+    preferences: 'Speichert Ihre Einstellungen wie Sprache und Design.',
+    analytics: 'Hilft uns zu verstehen, wie Besucher unsere Website nutzen.',
+    marketing: 'Ermöglicht personalisierte Werbung und Tracking.'
+  },
+  toggle: {
+    on: 'An',
+    off: 'Aus',
+    required: 'Erforderlich',
+    updated: 'Aktualisiert',
+    label: '{name}-Cookies umschalten',
+    requiredLabel: '{name}-Cookies (immer aktiv)',
+    deniedLabel: '{name}-Cookies (durch das Datenschutzsignal Ihres Browsers deaktiviert)'
+  },
+  tcf: {
+    purposes: 'Zwecke',
+    specialFeatures: 'Besondere Merkmale',
+    vendors: 'Anbieter',
+    consent: 'Einwilligung',
+    legitimateInterest: 'Berechtigtes Interesse',
+    privacyPolicy: 'Datenschutzerklärung'
+  },
+  vendors: {
+    heading: 'Anbieter',
+    privacyPolicy: 'Datenschutzerklärung'
+  },
+  privacySignal: {
+    gpc: 'GPC-Signal berücksichtigt. Ihr Browser hat uns gebeten, Ihre personenbezogenen Daten nicht zu verkaufen oder weiterzugeben, daher bleiben diese Cookies deaktiviert.',
+    dnt: 'Do-Not-Track-Signal berücksichtigt. Ihr Browser hat gebeten, nicht verfolgt zu werden, daher bleiben Tracking-Cookies deaktiviert.'
+  },
+  placeholder: {
+    blocked: '{category}-Inhalte sind blockiert.',
+    changeSettings: 'Einstellungen ändern'
+  },
+  floatingButton: {
+    label: 'Cookie-Einstellungen',
+    status: '{label}, derzeit {active} von {total} Kategorien akzeptiert'
+  },
+  announcements: {
+    acceptAll: 'Cookie-Einstellungen gespeichert. Alle Cookies akzeptiert.',
+    rejectAll: 'Cookie-Einstellungen gespeichert. Nicht notwendige Cookies abgelehnt.',
+    save: 'Cookie-Einstellungen gespeichert.'
+  },
+  cookieTable: {
+    name: 'Name',
+    provider: 'Anbieter',
+    purpose: 'Zweck',
+    duration: 'Speicherdauer',
+    category: 'Kategorie',
+    empty: 'Diese Website deklariert keine Cookies.'
+  }
+};
+
+export default de;
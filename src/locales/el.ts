@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Greek translation of the default content
+ */
+const el: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Ρυθμίσεις cookies',
+    description: {
+      text: 'Χρησιμοποιούμε cookies για να βελτιώσουμε την εμπειρία περιήγησής σας, να προβάλλουμε εξατομικευμένο περιεχόμενο και να αναλύουμε την επισκεψιμότητά μας. Διαβάστε την ',
+      linkText: 'Πολιτική cookies',
+      suffix: ' για να μάθετε περισσότερα.'
+    },
+    buttons: {
+      customize: 'Προσαρμογή ρυθμίσεων cookies',
+      rejectAll: 'Απόρριψη όλων των cookies',
+      acceptAll: 'Αποδοχή όλων των cookies',
+      doNotSell: 'Να μην πωλούνται τα στοιχεία μου'
+    }
+  },
+  settingsView: {
+    heading: 'Ρυθμίσεις cookies',
+    description: 'Διαχειριστείτε τις προτιμήσεις σας για τα cookies παρακάτω. Τα απαραίτητα cookies χρειάζονται για τη λειτουργία του ιστότοπου και δεν μπορούν να απενεργοποιηθούν.',
+    buttons: {
+      save: 'Αποθήκευση προτιμήσεων'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Απαραίτητα',
+    functional: 'Λειτουργικά',
+    preferences: 'Προτιμήσεις',
+    analytics: 'Στατιστικά',
+    marketing: 'Μάρκετινγκ'
+  },
+  categories: {
+    necessary: 'Απαιτούνται για την ασφάλεια και τις βασικές λειτουργίες.',
+    functional: 'Ενεργοποιούν πρόσθετες λειτουργίες, όπως ζωντανή συνομιλία και βίντεο.',
+    preferences: 'Θυμούνται τις ρυθμίσεις σας, όπως τη γλώσσα και το θέμα.',
+    analytics: 'Μας βοηθούν να κατανοήσουμε πώς χρησιμοποιούν οι επισκέπτες τον ιστότοπό μας.',
+    marketing: 'Ενεργοποιούν εξατομικευμένες διαφημίσεις και παρακολούθηση.'
+  },
+  toggle: {
+    on: 'Ενεργό',
+    off: 'Ανενεργό',
+    required: 'Απαιτείται',
+    updated: 'Ενημερώθηκε',
+    label: 'Εναλλαγή cookies {name}',
+    requiredLabel: 'Cookies {name} (πάντα ενεργά)',
+    deniedLabel: 'Cookies {name} (απενεργοποιημένα από το σήμα απορρήτου του προγράμματος περιήγησης)'
+  },
+  tcf: {
+    purposes: 'Σκοποί',
+    specialFeatures: 'Ειδικά χαρακτηριστικά',
+    vendors: 'Προμηθευτές',
+    consent: 'Συγκατάθεση',
+    legitimateInterest: 'Έννομο συμφέρον',
+    privacyPolicy: 'Πολιτική απορρήτου'
+  },
+  vendors: {
+    heading: 'Προμηθευτές',
+    privacyPolicy: 'Πολιτική απορρήτου'
+  },
+  privacySignal: {
+    gpc: 'Το σήμα GPC τηρείται. Το πρόγραμμα περιήγησής σας μάς ζήτησε να μην πωλούμε ή κοινοποιούμε τα προσωπικά σας δεδομένα, οπότε αυτά τα cookies παραμένουν ανενεργά.',
+    dnt: 'Το σήμα Do Not Track τηρείται. Το πρόγραμμα περιήγησής σας ζήτησε να μην παρακολουθείστε, οπότε τα cookies παρακολούθησης παραμένουν ανενεργά.'
+  },
+  placeholder: {
+    blocked: 'Το περιεχόμενο {category} είναι αποκλεισμένο.',
+    changeSettings: 'Αλλαγή ρυθμίσεων'
+  },
+  floatingButton: {
+    label: 'Ρυθμίσεις cookies',
+    status: '{label}, αποδεκτές αυτή τη στιγμή {active} από {total} κατηγορίες'
+  },
+  announcements: {
+    acceptAll: 'Οι προτιμήσεις αποθηκεύτηκαν. Όλα τα cookies έγιναν αποδεκτά.',
+    rejectAll: 'Οι προτιμήσεις αποθηκεύτηκαν. Τα μη απαραίτητα cookies απορρίφθηκαν.',
+    save: 'Οι προτιμήσεις αποθηκεύτηκαν.'
+  },
+  cookieTable: {
+    name: 'Όνομα',
+    provider: 'Πάροχος',
+    purpose: 'Σκοπός',
+    duration: 'Διάρκεια',
+    category: 'Κατηγορία',
+    empty: 'Αυτός ο ιστότοπος δεν δηλώνει cookies.'
+  }
+};
+
+export default el;
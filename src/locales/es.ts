@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Spanish translation of the default content
+ */
+const es: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Configuración de cookies',
+    description: {
+      text: 'Utilizamos cookies para mejorar su experiencia de navegación, ofrecer contenido personalizado y analizar nuestro tráfico. Lea nuestra ',
+      linkText: 'Política de cookies',
+      suffix: ' para obtener más información.'
+    },
+    buttons: {
+      customize: 'Personalizar cookies',
+      rejectAll: 'Rechazar todas las cookies',
+      acceptAll: 'Aceptar todas las cookies',
+      doNotSell: 'No vender mi información'
+    }
+  },
+  settingsView: {
+    heading: 'Configuración de cookies',
+    description: 'Gestione sus preferencias de cookies a continuación. Las cookies necesarias son imprescindibles para el funcionamiento del sitio web y no se pueden desactivar.',
+    buttons: {
+      save: 'Guardar preferencias'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Necesarias',
+    functional: 'Funcionales',
+    preferences: 'Preferencias',
+    analytics: 'Analíticas',
+    marketing: 'Marketing'
+  },
+  categories: {
+    necessary: 'Necesarias para la seguridad y las funciones básicas.',
+    functional: 'Habilitan funciones avanzadas como el chat en vivo y los vídeos.',
+    preferences: 'Recuerdan sus ajustes, como el idioma y el tema.',
+    analytics: 'Nos ayudan a entender cómo usan los visitantes nuestro sitio.',
+    marketing: 'Permiten anuncios personalizados y seguimiento.'
+  },
+  toggle: {
+    on: 'Activado',
+    off: 'Desactivado',
+    required: 'Obligatorio',
+    updated: 'Actualizado',
+    label: 'Activar o desactivar cookies de {name}',
+    requiredLabel: 'Cookies de {name} (siempre activas)',
+    deniedLabel: 'Cookies de {name} (desactivadas por la señal de privacidad de su navegador)'
+  },
+  tcf: {
+    purposes: 'Finalidades',
+    specialFeatures: 'Características especiales',
+    vendors: 'Proveedores',
+    consent: 'Consentimiento',
+    legitimateInterest: 'Interés legítimo',
+    privacyPolicy: 'Política de privacidad'
+  },
+  vendors: {
+    heading: 'Proveedores',
+    privacyPolicy: 'Política de privacidad'
+  },
+  privacySignal: {
+    gpc: 'Señal GPC respetada. Su navegador nos pidió que no vendamos ni compartamos su información personal, por lo que esas cookies permanecen desactivadas.',
+    dnt: 'Señal Do Not Track respetada. Su navegador pidió no ser rastreado, por lo que las cookies de seguimiento permanecen desactivadas.'
+  },
+  placeholder: {
+    blocked: 'El contenido de {category} está bloqueado.',
+    changeSettings: 'Cambiar configuración'
+  },
+  floatingButton: {
+    label: 'Configuración de cookies',
+    status: '{label}, {active} de {total} categorías aceptadas actualmente'
+  },
+  announcements: {
+    acceptAll: 'Preferencias guardadas. Se aceptaron todas las cookies.',
+    rejectAll: 'Preferencias guardadas. Se rechazaron las cookies no esenciales.',
+    save: 'Preferencias guardadas.'
+  },
+  cookieTable: {
+    name: 'Nombre',
+    provider: 'Proveedor',
+    purpose: 'Finalidad',
+    duration: 'Duración',
+    category: 'Categoría',
+    empty: 'Este sitio no declara ninguna cookie.'
+  }
+};
+
+export default es;
@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Estonian translation of the default content
+ */
+const et: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Küpsiste seaded',
+    description: {
+      text: 'Kasutame küpsiseid, et parandada sirvimiskogemust, pakkuda isikupärastatud sisu ja analüüsida liiklust. Lisateabe saamiseks lugege meie ',
+      linkText: 'küpsiste poliitikat',
+      suffix: '.'
+    },
+    buttons: {
+      customize: 'Kohanda küpsiste seadeid',
+      rejectAll: 'Keeldu kõigist küpsistest',
+      acceptAll: 'Nõustu kõigi küpsistega',
+      doNotSell: 'Ära müü minu andmeid'
+    }
+  },
+  settingsView: {
+    heading: 'Küpsiste seaded',
+    description: 'Halda allpool oma küpsiste eelistusi. Vajalikud küpsised on veebisaidi toimimiseks nõutavad ja neid ei saa välja lülitada.',
+    buttons: {
+      save: 'Salvesta eelistused'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Vajalikud',
+    functional: 'Funktsionaalsed',
+    preferences: 'Eelistused',
+    analytics: 'Analüütika',
+    marketing: 'Turundus'
+  },
+  categories: {
+    necessary: 'Vajalikud turvalisuse ja põhifunktsioonide jaoks.',
+    functional: 'Võimaldavad lisafunktsioone, nagu vestlus ja videod.',
+    preferences: 'Jätavad meelde teie seaded, nagu keel ja teema.',
+    analytics: 'Aitavad meil mõista, kuidas külastajad meie saiti kasutavad.',
+    marketing: 'Võimaldavad isikupärastatud reklaame ja jälgimist.'
+  },
+  toggle: {
+    on: 'Sees',
+    off: 'Väljas',
+    required: 'Nõutav',
+    updated: 'Uuendatud',
+    label: 'Lülita küpsised {name} sisse või välja',
+    requiredLabel: 'Küpsised {name} (alati sees)',
+    deniedLabel: 'Küpsised {name} (brauseri privaatsussignaal on need välja lülitanud)'
+  },
+  tcf: {
+    purposes: 'Eesmärgid',
+    specialFeatures: 'Erifunktsioonid',
+    vendors: 'Partnerid',
+    consent: 'Nõusolek',
+    legitimateInterest: 'Õigustatud huvi',
+    privacyPolicy: 'Privaatsuspoliitika'
+  },
+  vendors: {
+    heading: 'Partnerid',
+    privacyPolicy: 'Privaatsuspoliitika'
+  },
+  privacySignal: {
+    gpc: 'GPC-signaali arvestatakse. Teie brauser palus meil teie isikuandmeid mitte müüa ega jagada, seega jäävad need küpsised välja lülitatuks.',
+    dnt: 'Do Not Track signaali arvestatakse. Teie brauser palus mitte jälgida, seega jäävad jälgimisküpsised välja lülitatuks.'
+  },
+  placeholder: {
+    blocked: 'Kategooria {category} sisu on blokeeritud.',
+    changeSettings: 'Muuda seadeid'
+  },
+  floatingButton: {
+    label: 'Küpsiste seaded',
+    status: '{label}, praegu lubatud {active} kategooriat {total}-st'
+  },
+  announcements: {
+    acceptAll: 'Eelistused salvestatud. Kõik küpsised lubatud.',
+    rejectAll: 'Eelistused salvestatud. Mittevajalikest küpsistest keelduti.',
+    save: 'Eelistused salvestatud.'
+  },
+  cookieTable: {
+    name: 'Nimi',
+    provider: 'Pakkuja',
+    purpose: 'Eesmärk',
+    duration: 'Kestus',
+    category: 'Kategooria',
+    empty: 'See sait ei deklareeri ühtegi küpsist.'
+  }
+};
+
+export default et;
@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Finnish translation of the default content
+ */
+const fi: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Evästeasetukset',
+    description: {
+      text: 'Käytämme evästeitä parantaaksemme selauskokemustasi, näyttääksemme yksilöllistä sisältöä ja analysoidaksemme liikennettämme. Lue lisää ',
+      linkText: 'evästekäytännöstämme',
+      suffix: '.'
+    },
+    buttons: {
+      customize: 'Mukauta evästeasetuksia',
+      rejectAll: 'Hylkää kaikki evästeet',
+      acceptAll: 'Hyväksy kaikki evästeet',
+      doNotSell: 'Älä myy tietojani'
+    }
+  },
+  settingsView: {
+    heading: 'Evästeasetukset',
+    description: 'Hallitse evästeasetuksiasi alla. Välttämättömät evästeet ovat sivuston toiminnan kannalta pakollisia, eikä niitä voi poistaa käytöstä.',
+    buttons: {
+      save: 'Tallenna asetukset'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Välttämättömät',
+    functional: 'Toiminnalliset',
+    preferences: 'Asetukset',
+    analytics: 'Analytiikka',
+    marketing: 'Markkinointi'
+  },
+  categories: {
+    necessary: 'Tarvitaan tietoturvaan ja perustoimintoihin.',
+    functional: 'Mahdollistavat lisäominaisuudet, kuten live-chatin ja videot.',
+    preferences: 'Muistavat asetuksesi, kuten kielen ja teeman.',
+    analytics: 'Auttavat meitä ymmärtämään, miten kävijät käyttävät sivustoamme.',
+    marketing: 'Mahdollistavat kohdennetun mainonnan ja seurannan.'
+  },
+  toggle: {
+    on: 'Päällä',
+    off: 'Pois',
+    required: 'Pakollinen',
+    updated: 'Päivitetty',
+    label: 'Ota käyttöön tai poista käytöstä: {name}-evästeet',
+    requiredLabel: '{name}-evästeet (aina käytössä)',
+    deniedLabel: '{name}-evästeet (selaimesi tietosuojasignaali on poistanut käytöstä)'
+  },
+  tcf: {
+    purposes: 'Käyttötarkoitukset',
+    specialFeatures: 'Erityisominaisuudet',
+    vendors: 'Toimittajat',
+    consent: 'Suostumus',
+    legitimateInterest: 'Oikeutettu etu',
+    privacyPolicy: 'Tietosuojakäytäntö'
+  },
+  vendors: {
+    heading: 'Toimittajat',
+    privacyPolicy: 'Tietosuojakäytäntö'
+  },
+  privacySignal: {
+    gpc: 'GPC-signaalia noudatetaan. Selaimesi pyysi, ettemme myy tai jaa henkilötietojasi, joten nämä evästeet pysyvät pois käytöstä.',
+    dnt: 'Do Not Track -signaalia noudatetaan. Selaimesi pyysi, ettei sinua seurata, joten seurantaevästeet pysyvät pois käytöstä.'
+  },
+  placeholder: {
+    blocked: '{category}-sisältö on estetty.',
+    changeSettings: 'Muuta asetuksia'
+  },
+  floatingButton: {
+    label: 'Evästeasetukset',
+    status: '{label}, hyväksytty tällä hetkellä {active}/{total} luokkaa'
+  },
+  announcements: {
+    acceptAll: 'Evästeasetukset tallennettu. Kaikki evästeet hyväksytty.',
+    rejectAll: 'Evästeasetukset tallennettu. Muut kuin välttämättömät evästeet hylätty.',
+    save: 'Evästeasetukset tallennettu.'
+  },
+  cookieTable: {
+    name: 'Nimi',
+    provider: 'Tarjoaja',
+    purpose: 'Tarkoitus',
+    duration: 'Kesto',
+    category: 'Luokka',
+    empty: 'Tämä sivusto ei ilmoita evästeitä.'
+  }
+};
+
+export default fi;
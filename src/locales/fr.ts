@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * French translation of the default content
+ */
+const fr: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Paramètres des cookies',
+    description: {
+      text: 'Nous utilisons des cookies pour améliorer votre navigation, proposer des contenus personnalisés et analyser notre trafic. Consultez notre ',
+      linkText: 'politique relative aux cookies',
+      suffix: ' pour en savoir plus.'
+    },
+    buttons: {
+      customize: 'Personnaliser les cookies',
+      rejectAll: 'Refuser tous les cookies',
+      acceptAll: 'Accepter tous les cookies',
+      doNotSell: 'Ne pas vendre mes informations'
+    }
+  },
+  settingsView: {
+    heading: 'Paramètres des cookies',
+    description: 'Gérez vos préférences en matière de cookies ci-dessous. Les cookies nécessaires sont indispensables au fonctionnement du site et ne peuvent pas être désactivés.',
+    buttons: {
+      save: 'Enregistrer les préférences'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Nécessaires',
+    functional: 'Fonctionnels',
+    preferences: 'Préférences',
+    analytics: 'Statistiques',
+    marketing: 'Marketing'
+  },
+  categories: {
+    necessary: 'Indispensables à la sécurité et aux fonctions de base.',
+    functional: 'Active des fonctionnalités avancées comme le chat en direct et les vidéos.',
+    preferences: 'Mémorise vos réglages comme la langue et le thème.',
+    analytics: 'Nous aide à comprendre comment les visiteurs utilisent notre site.',
+    marketing: 'Permet la publicité personnalisée et le suivi.'
+  },
+  toggle: {
+    on: 'Activé',
+    off: 'Désactivé',
+    required: 'Requis',
+    updated: 'Mis à jour',
+    label: 'Activer ou désactiver les cookies {name}',
+    requiredLabel: 'Cookies {name} (toujours actifs)',
+    deniedLabel: 'Cookies {name} (désactivés par le signal de confidentialité de votre navigateur)'
+  },
+  tcf: {
+    purposes: 'Finalités',
+    specialFeatures: 'Fonctionnalités spéciales',
+    vendors: 'Partenaires',
+    consent: 'Consentement',
+    legitimateInterest: 'Intérêt légitime',
+    privacyPolicy: 'Politique de confidentialité'
+  },
+  vendors: {
+    heading: 'Partenaires',
+    privacyPolicy: 'Politique de confidentialité'
+  },
+  privacySignal: {
+    gpc: 'Signal GPC respecté. Votre navigateur nous a demandé de ne pas vendre ni partager vos informations personnelles, ces cookies restent donc désactivés.',
+    dnt: 'Signal Do Not Track respecté. Votre navigateur a demandé à ne pas être suivi, les cookies de suivi restent donc désactivés.'
+  },
+  placeholder: {
+    blocked: 'Le contenu {category} est bloqué.',
+    changeSettings: 'Modifier les paramètres'
+  },
+  floatingButton: {
+    label: 'Paramètres des cookies',
+    status: '{label}, {active} catégories sur {total} actuellement acceptées'
+  },
+  announcements: {
+    acceptAll: 'Préférences enregistrées. Tous les cookies sont acceptés.',
+    rejectAll: 'Préférences enregistrées. Les cookies non essentiels sont refusés.',
+    save: 'Préférences enregistrées.'
+  },
+  cookieTable: {
+    name: 'Nom',
+    provider: 'Fournisseur',
+    purpose: 'Finalité',
+    duration: 'Durée',
+    category: 'Catégorie',
+    empty: 'Ce site ne déclare aucun cookie.'
+  }
+};
+
+export default fr;
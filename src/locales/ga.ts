@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Irish translation of the default content
+ */
+const ga: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Socruithe fianán',
+    description: {
+      text: 'Úsáidimid fianáin chun d’eispéireas brabhsála a fheabhsú, ábhar pearsantaithe a thaispeáint agus ár dtrácht a anailísiú. Léigh ár ',
+      linkText: 'mBeartas Fianán',
+      suffix: ' chun tuilleadh a fháil amach.'
+    },
+    buttons: {
+      customize: 'Saincheap socruithe fianán',
+      rejectAll: 'Diúltaigh do gach fianán',
+      acceptAll: 'Glac le gach fianán',
+      doNotSell: 'Ná díol m’fhaisnéis'
+    }
+  },
+  settingsView: {
+    heading: 'Socruithe fianán',
+    description: 'Bainistigh do roghanna fianán thíos. Tá fianáin riachtanacha ag teastáil chun go bhfeidhmeoidh an suíomh agus ní féidir iad a dhíchumasú.',
+    buttons: {
+      save: 'Sábháil roghanna'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Riachtanach',
+    functional: 'Feidhmiúil',
+    preferences: 'Roghanna',
+    analytics: 'Anailísíocht',
+    marketing: 'Margaíocht'
+  },
+  categories: {
+    necessary: 'Riachtanach don tslándáil agus d’fheidhmeanna bunúsacha.',
+    functional: 'Cumasaíonn sé gnéithe breise ar nós comhrá beo agus físeáin.',
+    preferences: 'Cuimhníonn sé ar do shocruithe ar nós teanga agus téama.',
+    analytics: 'Cabhraíonn sé linn a thuiscint conas a úsáideann cuairteoirí ár suíomh.',
+    marketing: 'Cumasaíonn sé fógraí pearsantaithe agus rianú.'
+  },
+  toggle: {
+    on: 'Air',
+    off: 'As',
+    required: 'Riachtanach',
+    updated: 'Nuashonraithe',
+    label: 'Scoránaigh fianáin {name}',
+    requiredLabel: 'Fianáin {name} (cumasaithe i gcónaí)',
+    deniedLabel: 'Fianáin {name} (díchumasaithe ag comhartha príobháideachta do bhrabhsálaí)'
+  },
+  tcf: {
+    purposes: 'Cuspóirí',
+    specialFeatures: 'Gnéithe speisialta',
+    vendors: 'Díoltóirí',
+    consent: 'Toiliú',
+    legitimateInterest: 'Leas dlisteanach',
+    privacyPolicy: 'Beartas príobháideachta'
+  },
+  vendors: {
+    heading: 'Díoltóirí',
+    privacyPolicy: 'Beartas príobháideachta'
+  },
+  privacySignal: {
+    gpc: 'Comhartha GPC urramaithe. D’iarr do bhrabhsálaí orainn gan d’fhaisnéis phearsanta a dhíol ná a roinnt, mar sin fanann na fianáin sin as.',
+    dnt: 'Comhartha Do Not Track urramaithe. D’iarr do bhrabhsálaí gan tú a rianú, mar sin fanann fianáin rianaithe as.'
+  },
+  placeholder: {
+    blocked: 'Tá ábhar {category} blocáilte.',
+    changeSettings: 'Athraigh socruithe'
+  },
+  floatingButton: {
+    label: 'Socruithe fianán',
+    status: '{label}, ag glacadh le {active} as {total} catagóir faoi láthair'
+  },
+  announcements: {
+    acceptAll: 'Roghanna sábháilte. Glacadh le gach fianán.',
+    rejectAll: 'Roghanna sábháilte. Diúltaíodh d’fhianáin neamhriachtanacha.',
+    save: 'Roghanna sábháilte.'
+  },
+  cookieTable: {
+    name: 'Ainm',
+    provider: 'Soláthraí',
+    purpose: 'Cuspóir',
+    duration: 'Fad',
+    category: 'Catagóir',
+    empty: 'Ní fhógraíonn an suíomh seo aon fhianáin.'
+  }
+};
+
+export default ga;
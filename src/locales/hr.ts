@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Croatian translation of the default content
+ */
+const hr: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Postavke kolačića',
+    description: {
+      text: 'Koristimo kolačiće kako bismo poboljšali vaše iskustvo pregledavanja, prikazivali prilagođeni sadržaj i analizirali promet. Pročitajte naša ',
+      linkText: 'Pravila o kolačićima',
+      suffix: ' kako biste saznali više.'
+    },
+    buttons: {
+      customize: 'Prilagodi postavke kolačića',
+      rejectAll: 'Odbij sve kolačiće',
+      acceptAll: 'Prihvati sve kolačiće',
+      doNotSell: 'Ne prodajite moje podatke'
+    }
+  },
+  settingsView: {
+    heading: 'Postavke kolačića',
+    description: 'U nastavku upravljajte svojim postavkama kolačića. Nužni kolačići potrebni su za rad web-mjesta i ne mogu se isključiti.',
+    buttons: {
+      save: 'Spremi postavke'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Nužni',
+    functional: 'Funkcionalni',
+    preferences: 'Postavke',
+    analytics: 'Analitički',
+    marketing: 'Marketinški'
+  },
+  categories: {
+    necessary: 'Potrebni za sigurnost i osnovne funkcije.',
+    functional: 'Omogućuju napredne značajke poput chata uživo i videozapisa.',
+    preferences: 'Pamte vaše postavke, poput jezika i teme.',
+    analytics: 'Pomažu nam razumjeti kako posjetitelji koriste naše web-mjesto.',
+    marketing: 'Omogućuju prilagođene oglase i praćenje.'
+  },
+  toggle: {
+    on: 'Uključeno',
+    off: 'Isključeno',
+    required: 'Obavezno',
+    updated: 'Ažurirano',
+    label: 'Uključi ili isključi kolačiće {name}',
+    requiredLabel: 'Kolačići {name} (uvijek uključeni)',
+    deniedLabel: 'Kolačići {name} (isključeni signalom privatnosti vašeg preglednika)'
+  },
+  tcf: {
+    purposes: 'Svrhe',
+    specialFeatures: 'Posebne značajke',
+    vendors: 'Dobavljači',
+    consent: 'Privola',
+    legitimateInterest: 'Legitimni interes',
+    privacyPolicy: 'Pravila privatnosti'
+  },
+  vendors: {
+    heading: 'Dobavljači',
+    privacyPolicy: 'Pravila privatnosti'
+  },
+  privacySignal: {
+    gpc: 'Signal GPC se poštuje. Vaš preglednik zatražio je da ne prodajemo niti dijelimo vaše osobne podatke, pa ti kolačići ostaju isključeni.',
+    dnt: 'Signal Do Not Track se poštuje. Vaš preglednik zatražio je da vas se ne prati, pa kolačići za praćenje ostaju isključeni.'
+  },
+  placeholder: {
+    blocked: 'Sadržaj kategorije {category} je blokiran.',
+    changeSettings: 'Promijeni postavke'
+  },
+  floatingButton: {
+    label: 'Postavke kolačića',
+    status: '{label}, trenutačno prihvaćeno {active} od {total} kategorija'
+  },
+  announcements: {
+    acceptAll: 'Postavke spremljene. Svi kolačići prihvaćeni.',
+    rejectAll: 'Postavke spremljene. Kolačići koji nisu nužni odbijeni.',
+    save: 'Postavke spremljene.'
+  },
+  cookieTable: {
+    name: 'Naziv',
+    provider: 'Pružatelj',
+    purpose: 'Svrha',
+    duration: 'Trajanje',
+    category: 'Kategorija',
+    empty: 'Ovo web-mjesto ne navodi kolačiće.'
+  }
+};
+
+export default hr;
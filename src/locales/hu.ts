@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Hungarian translation of the default content
+ */
+const hu: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Sütibeállítások',
+    description: {
+      text: 'Sütiket használunk a böngészési élmény javítására, személyre szabott tartalmak megjelenítésére és forgalmunk elemzésére. További információért olvassa el ',
+      linkText: 'sütikre vonatkozó szabályzatunkat',
+      suffix: '.'
+    },
+    buttons: {
+      customize: 'Sütibeállítások testreszabása',
+      rejectAll: 'Összes süti elutasítása',
+      acceptAll: 'Összes süti elfogadása',
+      doNotSell: 'Ne adják el az adataimat'
+    }
+  },
+  settingsView: {
+    heading: 'Sütibeállítások',
+    description: 'Az alábbiakban kezelheti sütibeállításait. A szükséges sütik a weboldal működéséhez elengedhetetlenek, és nem kapcsolhatók ki.',
+    buttons: {
+      save: 'Beállítások mentése'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Szükséges',
+    functional: 'Funkcionális',
+    preferences: 'Preferencia',
+    analytics: 'Statisztikai',
+    marketing: 'Marketing'
+  },
+  categories: {
+    necessary: 'A biztonsághoz és az alapvető működéshez szükségesek.',
+    functional: 'Bővített funkciókat tesznek lehetővé, például élő chatet és videókat.',
+    preferences: 'Megjegyzik a beállításait, például a nyelvet és a témát.',
+    analytics: 'Segítenek megérteni, hogyan használják a látogatók az oldalunkat.',
+    marketing: 'Személyre szabott hirdetéseket és követést tesznek lehetővé.'
+  },
+  toggle: {
+    on: 'Be',
+    off: 'Ki',
+    required: 'Kötelező',
+    updated: 'Frissítve',
+    label: '{name} sütik be- vagy kikapcsolása',
+    requiredLabel: '{name} sütik (mindig bekapcsolva)',
+    deniedLabel: '{name} sütik (a böngésző adatvédelmi jelzése kikapcsolta)'
+  },
+  tcf: {
+    purposes: 'Célok',
+    specialFeatures: 'Különleges funkciók',
+    vendors: 'Partnerek',
+    consent: 'Hozzájárulás',
+    legitimateInterest: 'Jogos érdek',
+    privacyPolicy: 'Adatvédelmi szabályzat'
+  },
+  vendors: {
+    heading: 'Partnerek',
+    privacyPolicy: 'Adatvédelmi szabályzat'
+  },
+  privacySignal: {
+    gpc: 'GPC-jelzés figyelembe véve. Böngészője arra kért minket, hogy ne adjuk el és ne osszuk meg személyes adatait, ezért ezek a sütik kikapcsolva maradnak.',
+    dnt: 'Do Not Track jelzés figyelembe véve. Böngészője azt kérte, hogy ne kövessük nyomon, ezért a követő sütik kikapcsolva maradnak.'
+  },
+  placeholder: {
+    blocked: 'A(z) {category} tartalom le van tiltva.',
+    changeSettings: 'Beállítások módosítása'
+  },
+  floatingButton: {
+    label: 'Sütibeállítások',
+    status: '{label}, jelenleg {total} kategóriából {active} elfogadva'
+  },
+  announcements: {
+    acceptAll: 'Beállítások mentve. Minden süti elfogadva.',
+    rejectAll: 'Beállítások mentve. A nem szükséges sütik elutasítva.',
+    save: 'Beállítások mentve.'
+  },
+  cookieTable: {
+    name: 'Név',
+    provider: 'Szolgáltató',
+    purpose: 'Cél',
+    duration: 'Időtartam',
+    category: 'Kategória',
+    empty: 'Ez a webhely nem jelöl meg sütiket.'
+  }
+};
+
+export default hu;
@@ -0,0 +1,29 @@
+/**
+ * Translations of the default content (optional module)
+ *
+ * Pass the languages you need through the `translations` option, e.g. `translations: { de, fr }`.
+ */
+
+export { default as bg } from './bg';
+export { default as cs } from './cs';
+export { default as da } from './da';
+export { default as de } from './de';
+export { default as el } from './el';
+export { default as es } from './es';
+export { default as et } from './et';
+export { default as fi } from './fi';
+export { default as fr } from './fr';
+export { default as ga } from './ga';
+export { default as hr } from './hr';
+export { default as hu } from './hu';
+export { default as it } from './it';
+export { default as lt } from './lt';
+export { default as lv } from './lv';
+export { default as mt } from './mt';
+export { default as nl } from './nl';
+export { default as pl } from './pl';
+export { default as pt } from './pt';
+export { default as ro } from './ro';
+export { default as sk } from './sk';
+export { default as sl } from './sl';
+export { default as sv } from './sv';
@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Italian translation of the default content
+ */
+const it: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Impostazioni dei cookie',
+    description: {
+      text: 'Utilizziamo i cookie per migliorare la tua esperienza di navigazione, offrire contenuti personalizzati e analizzare il nostro traffico. Leggi la nostra ',
+      linkText: 'Cookie Policy',
+      suffix: ' per saperne di più.'
+    },
+    buttons: {
+      customize: 'Personalizza i cookie',
+      rejectAll: 'Rifiuta tutti i cookie',
+      acceptAll: 'Accetta tutti i cookie',
+      doNotSell: 'Non vendere le mie informazioni'
+    }
+  },
+  settingsView: {
+    heading: 'Impostazioni dei cookie',
+    description: 'Gestisci qui sotto le tue preferenze sui cookie. I cookie necessari sono indispensabili per il funzionamento del sito e non possono essere disattivati.',
+    buttons: {
+      save: 'Salva preferenze'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Necessari',
+    functional: 'Funzionali',
+    preferences: 'Preferenze',
+    analytics: 'Statistiche',
+    marketing: 'Marketing'
+  },
+  categories: {
+    necessary: 'Necessari per la sicurezza e le funzionalità di base.',
+    functional: 'Abilitano funzioni avanzate come la chat dal vivo e i video.',
+    preferences: 'Ricordano le tue impostazioni, come lingua e tema.',
+    analytics: 'Ci aiutano a capire come i visitatori usano il nostro sito.',
+    marketing: 'Abilitano annunci personalizzati e tracciamento.'
+  },
+  toggle: {
+    on: 'Attivo',
+    off: 'Disattivo',
+    required: 'Obbligatorio',
+    updated: 'Aggiornato',
+    label: 'Attiva o disattiva i cookie {name}',
+    requiredLabel: 'Cookie {name} (sempre attivi)',
+    deniedLabel: 'Cookie {name} (disattivati dal segnale di privacy del tuo browser)'
+  },
+  tcf: {
+    purposes: 'Finalità',
+    specialFeatures: 'Funzionalità speciali',
+    vendors: 'Fornitori',
+    consent: 'Consenso',
+    legitimateInterest: 'Legittimo interesse',
+    privacyPolicy: 'Informativa sulla privacy'
+  },
+  vendors: {
+    heading: 'Fornitori',
+    privacyPolicy: 'Informativa sulla privacy'
+  },
+  privacySignal: {
+    gpc: 'Segnale GPC rispettato. Il tuo browser ci ha chiesto di non vendere né condividere i tuoi dati personali, quindi quei cookie restano disattivati.',
+    dnt: 'Segnale Do Not Track rispettato. Il tuo browser ha chiesto di non essere tracciato, quindi i cookie di tracciamento restano disattivati.'
+  },
+  placeholder: {
+    blocked: 'I contenuti {category} sono bloccati.',
+    changeSettings: 'Modifica impostazioni'
+  },
+  floatingButton: {
+    label: 'Impostazioni dei cookie',
+    status: '{label}, {active} categorie su {total} attualmente accettate'
+  },
+  announcements: {
+    acceptAll: 'Preferenze salvate. Tutti i cookie accettati.',
+    rejectAll: 'Preferenze salvate. Cookie non essenziali rifiutati.',
+    save: 'Preferenze salvate.'
+  },
+  cookieTable: {
+    name: 'Nome',
+    provider: 'Fornitore',
+    purpose: 'Finalità',
+    duration: 'Durata',
+    category: 'Categoria',
+    empty: 'Questo sito non dichiara alcun cookie.'
+  }
+};
+
+export default it;
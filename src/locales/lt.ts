@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Lithuanian translation of the default content
+ */
+const lt: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Slapukų nustatymai',
+    description: {
+      text: 'Naudojame slapukus, kad pagerintume naršymo patirtį, rodytume suasmenintą turinį ir analizuotume srautą. Daugiau sužinosite perskaitę mūsų ',
+      linkText: 'slapukų politiką',
+      suffix: '.'
+    },
+    buttons: {
+      customize: 'Tinkinti slapukų nustatymus',
+      rejectAll: 'Atmesti visus slapukus',
+      acceptAll: 'Priimti visus slapukus',
+      doNotSell: 'Neparduoti mano informacijos'
+    }
+  },
+  settingsView: {
+    heading: 'Slapukų nustatymai',
+    description: 'Toliau tvarkykite savo slapukų nuostatas. Būtinieji slapukai reikalingi svetainės veikimui ir jų išjungti negalima.',
+    buttons: {
+      save: 'Išsaugoti nuostatas'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Būtinieji',
+    functional: 'Funkciniai',
+    preferences: 'Nuostatų',
+    analytics: 'Analitiniai',
+    marketing: 'Rinkodaros'
+  },
+  categories: {
+    necessary: 'Reikalingi saugumui ir pagrindinėms funkcijoms.',
+    functional: 'Įgalina papildomas funkcijas, pvz., tiesioginį pokalbį ir vaizdo įrašus.',
+    preferences: 'Įsimena jūsų nustatymus, pvz., kalbą ir temą.',
+    analytics: 'Padeda mums suprasti, kaip lankytojai naudojasi mūsų svetaine.',
+    marketing: 'Įgalina suasmenintas reklamas ir sekimą.'
+  },
+  toggle: {
+    on: 'Įjungta',
+    off: 'Išjungta',
+    required: 'Privaloma',
+    updated: 'Atnaujinta',
+    label: 'Įjungti arba išjungti {name} slapukus',
+    requiredLabel: '{name} slapukai (visada įjungti)',
+    deniedLabel: '{name} slapukai (išjungti jūsų naršyklės privatumo signalu)'
+  },
+  tcf: {
+    purposes: 'Tikslai',
+    specialFeatures: 'Specialiosios funkcijos',
+    vendors: 'Tiekėjai',
+    consent: 'Sutikimas',
+    legitimateInterest: 'Teisėtas interesas',
+    privacyPolicy: 'Privatumo politika'
+  },
+  vendors: {
+    heading: 'Tiekėjai',
+    privacyPolicy: 'Privatumo politika'
+  },
+  privacySignal: {
+    gpc: 'Atsižvelgta į GPC signalą. Jūsų naršyklė paprašė neparduoti ir nebendrinti jūsų asmeninės informacijos, todėl šie slapukai lieka išjungti.',
+    dnt: 'Atsižvelgta į „Do Not Track“ signalą. Jūsų naršyklė paprašė jūsų nesekti, todėl sekimo slapukai lieka išjungti.'
+  },
+  placeholder: {
+    blocked: 'Kategorijos „{category}“ turinys užblokuotas.',
+    changeSettings: 'Keisti nustatymus'
+  },
+  floatingButton: {
+    label: 'Slapukų nustatymai',
+    status: '{label}, šiuo metu priimta {active} iš {total} kategorijų'
+  },
+  announcements: {
+    acceptAll: 'Nuostatos išsaugotos. Priimti visi slapukai.',
+    rejectAll: 'Nuostatos išsaugotos. Nebūtini slapukai atmesti.',
+    save: 'Nuostatos išsaugotos.'
+  },
+  cookieTable: {
+    name: 'Pavadinimas',
+    provider: 'Teikėjas',
+    purpose: 'Paskirtis',
+    duration: 'Trukmė',
+    category: 'Kategorija',
+    empty: 'Ši svetainė nedeklaruoja jokių slapukų.'
+  }
+};
+
+export default lt;
@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Latvian translation of the default content
+ */
+const lv: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Sīkdatņu iestatījumi',
+    description: {
+      text: 'Mēs izmantojam sīkdatnes, lai uzlabotu pārlūkošanas pieredzi, rādītu personalizētu saturu un analizētu datplūsmu. Lai uzzinātu vairāk, izlasiet mūsu ',
+      linkText: 'sīkdatņu politiku',
+      suffix: '.'
+    },
+    buttons: {
+      customize: 'Pielāgot sīkdatņu iestatījumus',
+      rejectAll: 'Noraidīt visas sīkdatnes',
+      acceptAll: 'Pieņemt visas sīkdatnes',
+      doNotSell: 'Nepārdot manu informāciju'
+    }
+  },
+  settingsView: {
+    heading: 'Sīkdatņu iestatījumi',
+    description: 'Pārvaldiet savas sīkdatņu preferences zemāk. Nepieciešamās sīkdatnes ir vajadzīgas vietnes darbībai, un tās nevar atspējot.',
+    buttons: {
+      save: 'Saglabāt preferences'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Nepieciešamās',
+    functional: 'Funkcionālās',
+    preferences: 'Preferences',
+    analytics: 'Analītikas',
+    marketing: 'Mārketinga'
+  },
+  categories: {
+    necessary: 'Nepieciešamas drošībai un pamatfunkcijām.',
+    functional: 'Nodrošina papildu funkcijas, piemēram, tiešsaistes tērzēšanu un video.',
+    preferences: 'Atceras jūsu iestatījumus, piemēram, valodu un motīvu.',
+    analytics: 'Palīdz mums saprast, kā apmeklētāji izmanto mūsu vietni.',
+    marketing: 'Nodrošina personalizētas reklāmas un izsekošanu.'
+  },
+  toggle: {
+    on: 'Ieslēgts',
+    off: 'Izslēgts',
+    required: 'Obligāts',
+    updated: 'Atjaunināts',
+    label: 'Ieslēgt vai izslēgt {name} sīkdatnes',
+    requiredLabel: '{name} sīkdatnes (vienmēr ieslēgtas)',
+    deniedLabel: '{name} sīkdatnes (izslēgtas ar jūsu pārlūka privātuma signālu)'
+  },
+  tcf: {
+    purposes: 'Nolūki',
+    specialFeatures: 'Īpašās funkcijas',
+    vendors: 'Piegādātāji',
+    consent: 'Piekrišana',
+    legitimateInterest: 'Leģitīmās intereses',
+    privacyPolicy: 'Privātuma politika'
+  },
+  vendors: {
+    heading: 'Piegādātāji',
+    privacyPolicy: 'Privātuma politika'
+  },
+  privacySignal: {
+    gpc: 'GPC signāls ievērots. Jūsu pārlūks lūdza mūs nepārdot un nekopīgot jūsu personas datus, tāpēc šīs sīkdatnes paliek izslēgtas.',
+    dnt: 'Do Not Track signāls ievērots. Jūsu pārlūks lūdza jūs neizsekot, tāpēc izsekošanas sīkdatnes paliek izslēgtas.'
+  },
+  placeholder: {
+    blocked: 'Kategorijas {category} saturs ir bloķēts.',
+    changeSettings: 'Mainīt iestatījumus'
+  },
+  floatingButton: {
+    label: 'Sīkdatņu iestatījumi',
+    status: '{label}, pašlaik pieņemtas {active} no {total} kategorijām'
+  },
+  announcements: {
+    acceptAll: 'Preferences saglabātas. Visas sīkdatnes pieņemtas.',
+    rejectAll: 'Preferences saglabātas. Nebūtiskās sīkdatnes noraidītas.',
+    save: 'Preferences saglabātas.'
+  },
+  cookieTable: {
+    name: 'Nosaukums',
+    provider: 'Nodrošinātājs',
+    purpose: 'Nolūks',
+    duration: 'Ilgums',
+    category: 'Kategorija',
+    empty: 'Šī vietne nedeklarē nevienu sīkdatni.'
+  }
+};
+
+export default lv;
@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Maltese translation of the default content
+ */
+const mt: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Settings tal-cookies',
+    description: {
+      text: 'Nużaw il-cookies biex intejbu l-esperjenza tal-browsing tiegħek, nuru kontenut personalizzat u nanalizzaw it-traffiku tagħna. Aqra l-',
+      linkText: 'Politika tal-Cookies',
+      suffix: ' tagħna biex titgħallem aktar.'
+    },
+    buttons: {
+      customize: 'Ippersonalizza s-settings tal-cookies',
+      rejectAll: 'Irrifjuta l-cookies kollha',
+      acceptAll: 'Aċċetta l-cookies kollha',
+      doNotSell: 'Tbigħx l-informazzjoni tiegħi'
+    }
+  },
+  settingsView: {
+    heading: 'Settings tal-cookies',
+    description: 'Immaniġġja l-preferenzi tiegħek tal-cookies hawn taħt. Il-cookies meħtieġa huma essenzjali biex is-sit jaħdem u ma jistgħux jiġu diżattivati.',
+    buttons: {
+      save: 'Issejvja l-preferenzi'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Meħtieġa',
+    functional: 'Funzjonali',
+    preferences: 'Preferenzi',
+    analytics: 'Analitiċi',
+    marketing: 'Marketing'
+  },
+  categories: {
+    necessary: 'Meħtieġa għas-sigurtà u l-funzjonalità bażika.',
+    functional: 'Jippermettu funzjonijiet avvanzati bħal chat dirett u vidjows.',
+    preferences: 'Jiftakru s-settings tiegħek bħall-lingwa u t-tema.',
+    analytics: 'Jgħinuna nifhmu kif il-viżitaturi jużaw is-sit tagħna.',
+    marketing: 'Jippermettu reklami personalizzati u traċċar.'
+  },
+  toggle: {
+    on: 'Mixgħul',
+    off: 'Mitfi',
+    required: 'Meħtieġ',
+    updated: 'Aġġornat',
+    label: 'Ixgħel jew itfi l-cookies {name}',
+    requiredLabel: 'Cookies {name} (dejjem attivi)',
+    deniedLabel: 'Cookies {name} (diżattivati mis-sinjal tal-privatezza tal-browser tiegħek)'
+  },
+  tcf: {
+    purposes: 'Għanijiet',
+    specialFeatures: 'Karatteristiċi speċjali',
+    vendors: 'Bejjiegħa',
+    consent: 'Kunsens',
+    legitimateInterest: 'Interess leġittimu',
+    privacyPolicy: 'Politika tal-privatezza'
+  },
+  vendors: {
+    heading: 'Bejjiegħa',
+    privacyPolicy: 'Politika tal-privatezza'
+  },
+  privacySignal: {
+    gpc: 'Is-sinjal GPC ġie rispettat. Il-browser tiegħek talabna biex ma nbigħux jew naqsmu l-informazzjoni personali tiegħek, għalhekk dawk il-cookies jibqgħu mitfija.',
+    dnt: 'Is-sinjal Do Not Track ġie rispettat. Il-browser tiegħek talab li ma tiġix traċċat, għalhekk il-cookies tat-traċċar jibqgħu mitfija.'
+  },
+  placeholder: {
+    blocked: 'Il-kontenut {category} huwa mblukkat.',
+    changeSettings: 'Ibdel is-settings'
+  },
+  floatingButton: {
+    label: 'Settings tal-cookies',
+    status: '{label}, bħalissa aċċettati {active} minn {total} kategoriji'
+  },
+  announcements: {
+    acceptAll: 'Il-preferenzi ġew issejvjati. Il-cookies kollha ġew aċċettati.',
+    rejectAll: 'Il-preferenzi ġew issejvjati. Il-cookies mhux essenzjali ġew irrifjutati.',
+    save: 'Il-preferenzi ġew issejvjati.'
+  },
+  cookieTable: {
+    name: 'Isem',
+    provider: 'Fornitur',
+    purpose: 'Għan',
+    duration: 'Tul',
+    category: 'Kategorija',
+    empty: 'Dan is-sit ma jiddikjara l-ebda cookie.'
+  }
+};
+
+export default mt;
@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Dutch translation of the default content
+ */
+const nl: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Cookie-instellingen',
+    description: {
+      text: 'We gebruiken cookies om uw surfervaring te verbeteren, gepersonaliseerde content te tonen en ons verkeer te analyseren. Lees ons ',
+      linkText: 'cookiebeleid',
+      suffix: ' voor meer informatie.'
+    },
+    buttons: {
+      customize: 'Cookie-instellingen aanpassen',
+      rejectAll: 'Alle cookies weigeren',
+      acceptAll: 'Alle cookies accepteren',
+      doNotSell: 'Mijn gegevens niet verkopen'
+    }
+  },
+  settingsView: {
+    heading: 'Cookie-instellingen',
+    description: 'Beheer hieronder uw cookievoorkeuren. Noodzakelijke cookies zijn vereist om de website te laten werken en kunnen niet worden uitgeschakeld.',
+    buttons: {
+      save: 'Voorkeuren opslaan'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Noodzakelijk',
+    functional: 'Functioneel',
+    preferences: 'Voorkeuren',
+    analytics: 'Statistieken',
+    marketing: 'Marketing'
+  },
+  categories: {
+    necessary: 'Vereist voor beveiliging en basisfunctionaliteit.',
+    functional: 'Maakt extra functies mogelijk, zoals livechat en video’s.',
+    preferences: 'Onthoudt uw instellingen, zoals taal en thema.',
+    analytics: 'Helpt ons te begrijpen hoe bezoekers onze site gebruiken.',
+    marketing: 'Maakt gepersonaliseerde advertenties en tracking mogelijk.'
+  },
+  toggle: {
+    on: 'Aan',
+    off: 'Uit',
+    required: 'Vereist',
+    updated: 'Bijgewerkt',
+    label: '{name}-cookies in- of uitschakelen',
+    requiredLabel: '{name}-cookies (altijd ingeschakeld)',
+    deniedLabel: '{name}-cookies (uitgeschakeld door het privacysignaal van uw browser)'
+  },
+  tcf: {
+    purposes: 'Doeleinden',
+    specialFeatures: 'Speciale functies',
+    vendors: 'Leveranciers',
+    consent: 'Toestemming',
+    legitimateInterest: 'Gerechtvaardigd belang',
+    privacyPolicy: 'Privacybeleid'
+  },
+  vendors: {
+    heading: 'Leveranciers',
+    privacyPolicy: 'Privacybeleid'
+  },
+  privacySignal: {
+    gpc: 'GPC-signaal gerespecteerd. Uw browser heeft ons gevraagd uw persoonsgegevens niet te verkopen of te delen, dus die cookies blijven uit.',
+    dnt: 'Do Not Track-signaal gerespecteerd. Uw browser heeft gevraagd niet gevolgd te worden, dus trackingcookies blijven uit.'
+  },
+  placeholder: {
+    blocked: '{category}-content is geblokkeerd.',
+    changeSettings: 'Instellingen wijzigen'
+  },
+  floatingButton: {
+    label: 'Cookie-instellingen',
+    status: '{label}, momenteel {active} van {total} categorieën geaccepteerd'
+  },
+  announcements: {
+    acceptAll: 'Cookievoorkeuren opgeslagen. Alle cookies geaccepteerd.',
+    rejectAll: 'Cookievoorkeuren opgeslagen. Niet-noodzakelijke cookies geweigerd.',
+    save: 'Cookievoorkeuren opgeslagen.'
+  },
+  cookieTable: {
+    name: 'Naam',
+    provider: 'Aanbieder',
+    purpose: 'Doel',
+    duration: 'Bewaartermijn',
+    category: 'Categorie',
+    empty: 'Deze site declareert geen cookies.'
+  }
+};
+
+export default nl;
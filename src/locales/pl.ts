@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Polish translation of the default content
+ */
+const pl: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Ustawienia plików cookie',
+    description: {
+      text: 'Używamy plików cookie, aby ulepszyć przeglądanie, wyświetlać spersonalizowane treści i analizować ruch. Przeczytaj naszą ',
+      linkText: 'Politykę plików cookie',
+      suffix: ', aby dowiedzieć się więcej.'
+    },
+    buttons: {
+      customize: 'Dostosuj ustawienia plików cookie',
+      rejectAll: 'Odrzuć wszystkie pliki cookie',
+      acceptAll: 'Zaakceptuj wszystkie pliki cookie',
+      doNotSell: 'Nie sprzedawaj moich danych'
+    }
+  },
+  settingsView: {
+    heading: 'Ustawienia plików cookie',
+    description: 'Zarządzaj poniżej swoimi preferencjami dotyczącymi plików cookie. Niezbędne pliki cookie są wymagane do działania strony i nie można ich wyłączyć.',
+    buttons: {
+      save: 'Zapisz preferencje'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Niezbędne',
+    functional: 'Funkcjonalne',
+    preferences: 'Preferencje',
+    analytics: 'Analityczne',
+    marketing: 'Marketingowe'
+  },
+  categories: {
+    necessary: 'Wymagane dla bezpieczeństwa i podstawowych funkcji.',
+    functional: 'Umożliwiają dodatkowe funkcje, takie jak czat na żywo i filmy.',
+    preferences: 'Zapamiętują Twoje ustawienia, takie jak język i motyw.',
+    analytics: 'Pomagają nam zrozumieć, jak odwiedzający korzystają z naszej strony.',
+    marketing: 'Umożliwiają spersonalizowane reklamy i śledzenie.'
+  },
+  toggle: {
+    on: 'Wł.',
+    off: 'Wył.',
+    required: 'Wymagane',
+    updated: 'Zaktualizowano',
+    label: 'Przełącz pliki cookie: {name}',
+    requiredLabel: 'Pliki cookie: {name} (zawsze włączone)',
+    deniedLabel: 'Pliki cookie: {name} (wyłączone przez sygnał prywatności przeglądarki)'
+  },
+  tcf: {
+    purposes: 'Cele',
+    specialFeatures: 'Funkcje specjalne',
+    vendors: 'Dostawcy',
+    consent: 'Zgoda',
+    legitimateInterest: 'Prawnie uzasadniony interes',
+    privacyPolicy: 'Polityka prywatności'
+  },
+  vendors: {
+    heading: 'Dostawcy',
+    privacyPolicy: 'Polityka prywatności'
+  },
+  privacySignal: {
+    gpc: 'Uwzględniono sygnał GPC. Twoja przeglądarka poprosiła, abyśmy nie sprzedawali ani nie udostępniali Twoich danych osobowych, więc te pliki cookie pozostają wyłączone.',
+    dnt: 'Uwzględniono sygnał Do Not Track. Twoja przeglądarka poprosiła o brak śledzenia, więc śledzące pliki cookie pozostają wyłączone.'
+  },
+  placeholder: {
+    blocked: 'Treści z kategorii {category} są zablokowane.',
+    changeSettings: 'Zmień ustawienia'
+  },
+  floatingButton: {
+    label: 'Ustawienia plików cookie',
+    status: '{label}, zaakceptowane kategorie: {active} z {total}'
+  },
+  announcements: {
+    acceptAll: 'Zapisano preferencje. Zaakceptowano wszystkie pliki cookie.',
+    rejectAll: 'Zapisano preferencje. Odrzucono opcjonalne pliki cookie.',
+    save: 'Zapisano preferencje.'
+  },
+  cookieTable: {
+    name: 'Nazwa',
+    provider: 'Dostawca',
+    purpose: 'Cel',
+    duration: 'Okres przechowywania',
+    category: 'Kategoria',
+    empty: 'Ta strona nie deklaruje żadnych plików cookie.'
+  }
+};
+
+export default pl;
@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Portuguese translation of the default content
+ */
+const pt: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Definições de cookies',
+    description: {
+      text: 'Utilizamos cookies para melhorar a sua experiência de navegação, apresentar conteúdos personalizados e analisar o nosso tráfego. Leia a nossa ',
+      linkText: 'Política de Cookies',
+      suffix: ' para saber mais.'
+    },
+    buttons: {
+      customize: 'Personalizar cookies',
+      rejectAll: 'Rejeitar todos os cookies',
+      acceptAll: 'Aceitar todos os cookies',
+      doNotSell: 'Não vender as minhas informações'
+    }
+  },
+  settingsView: {
+    heading: 'Definições de cookies',
+    description: 'Gira as suas preferências de cookies abaixo. Os cookies necessários são essenciais para o funcionamento do site e não podem ser desativados.',
+    buttons: {
+      save: 'Guardar preferências'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Necessários',
+    functional: 'Funcionais',
+    preferences: 'Preferências',
+    analytics: 'Estatísticas',
+    marketing: 'Marketing'
+  },
+  categories: {
+    necessary: 'Necessários para a segurança e as funcionalidades básicas.',
+    functional: 'Permitem funcionalidades avançadas, como chat em direto e vídeos.',
+    preferences: 'Memorizam as suas definições, como o idioma e o tema.',
+    analytics: 'Ajudam-nos a perceber como os visitantes utilizam o nosso site.',
+    marketing: 'Permitem anúncios personalizados e rastreamento.'
+  },
+  toggle: {
+    on: 'Ativado',
+    off: 'Desativado',
+    required: 'Obrigatório',
+    updated: 'Atualizado',
+    label: 'Ativar ou desativar cookies de {name}',
+    requiredLabel: 'Cookies de {name} (sempre ativos)',
+    deniedLabel: 'Cookies de {name} (desativados pelo sinal de privacidade do seu navegador)'
+  },
+  tcf: {
+    purposes: 'Finalidades',
+    specialFeatures: 'Funcionalidades especiais',
+    vendors: 'Fornecedores',
+    consent: 'Consentimento',
+    legitimateInterest: 'Interesse legítimo',
+    privacyPolicy: 'Política de privacidade'
+  },
+  vendors: {
+    heading: 'Fornecedores',
+    privacyPolicy: 'Política de privacidade'
+  },
+  privacySignal: {
+    gpc: 'Sinal GPC respeitado. O seu navegador pediu-nos para não vender nem partilhar as suas informações pessoais, pelo que esses cookies permanecem desativados.',
+    dnt: 'Sinal Do Not Track respeitado. O seu navegador pediu para não ser rastreado, pelo que os cookies de rastreamento permanecem desativados.'
+  },
+  placeholder: {
+    blocked: 'O conteúdo de {category} está bloqueado.',
+    changeSettings: 'Alterar definições'
+  },
+  floatingButton: {
+    label: 'Definições de cookies',
+    status: '{label}, {active} de {total} categorias aceites atualmente'
+  },
+  announcements: {
+    acceptAll: 'Preferências guardadas. Todos os cookies aceites.',
+    rejectAll: 'Preferências guardadas. Cookies não essenciais rejeitados.',
+    save: 'Preferências guardadas.'
+  },
+  cookieTable: {
+    name: 'Nome',
+    provider: 'Fornecedor',
+    purpose: 'Finalidade',
+    duration: 'Duração',
+    category: 'Categoria',
+    empty: 'Este site não declara quaisquer cookies.'
+  }
+};
+
+export default pt;
@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Romanian translation of the default content
+ */
+const ro: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Setări cookie-uri',
+    description: {
+      text: 'Folosim cookie-uri pentru a vă îmbunătăți experiența de navigare, a afișa conținut personalizat și a analiza traficul. Citiți ',
+      linkText: 'Politica privind cookie-urile',
+      suffix: ' pentru a afla mai multe.'
+    },
+    buttons: {
+      customize: 'Personalizați setările cookie-urilor',
+      rejectAll: 'Respingeți toate cookie-urile',
+      acceptAll: 'Acceptați toate cookie-urile',
+      doNotSell: 'Nu vindeți informațiile mele'
+    }
+  },
+  settingsView: {
+    heading: 'Setări cookie-uri',
+    description: 'Gestionați mai jos preferințele privind cookie-urile. Cookie-urile necesare sunt indispensabile funcționării site-ului și nu pot fi dezactivate.',
+    buttons: {
+      save: 'Salvați preferințele'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Necesare',
+    functional: 'Funcționale',
+    preferences: 'Preferințe',
+    analytics: 'Analitice',
+    marketing: 'Marketing'
+  },
+  categories: {
+    necessary: 'Necesare pentru securitate și funcționalitățile de bază.',
+    functional: 'Permit funcții avansate, precum chatul live și videoclipurile.',
+    preferences: 'Rețin setările dvs., precum limba și tema.',
+    analytics: 'Ne ajută să înțelegem cum folosesc vizitatorii site-ul nostru.',
+    marketing: 'Permit reclame personalizate și urmărire.'
+  },
+  toggle: {
+    on: 'Activat',
+    off: 'Dezactivat',
+    required: 'Obligatoriu',
+    updated: 'Actualizat',
+    label: 'Activați sau dezactivați cookie-urile {name}',
+    requiredLabel: 'Cookie-uri {name} (întotdeauna active)',
+    deniedLabel: 'Cookie-uri {name} (dezactivate de semnalul de confidențialitate al browserului)'
+  },
+  tcf: {
+    purposes: 'Scopuri',
+    specialFeatures: 'Funcții speciale',
+    vendors: 'Furnizori',
+    consent: 'Consimțământ',
+    legitimateInterest: 'Interes legitim',
+    privacyPolicy: 'Politica de confidențialitate'
+  },
+  vendors: {
+    heading: 'Furnizori',
+    privacyPolicy: 'Politica de confidențialitate'
+  },
+  privacySignal: {
+    gpc: 'Semnal GPC respectat. Browserul dvs. ne-a cerut să nu vindem și să nu partajăm informațiile dvs. personale, așa că aceste cookie-uri rămân dezactivate.',
+    dnt: 'Semnal Do Not Track respectat. Browserul dvs. a cerut să nu fiți urmărit, așa că cookie-urile de urmărire rămân dezactivate.'
+  },
+  placeholder: {
+    blocked: 'Conținutul {category} este blocat.',
+    changeSettings: 'Modificați setările'
+  },
+  floatingButton: {
+    label: 'Setări cookie-uri',
+    status: '{label}, {active} din {total} categorii acceptate în prezent'
+  },
+  announcements: {
+    acceptAll: 'Preferințe salvate. Toate cookie-urile au fost acceptate.',
+    rejectAll: 'Preferințe salvate. Cookie-urile neesențiale au fost respinse.',
+    save: 'Preferințe salvate.'
+  },
+  cookieTable: {
+    name: 'Nume',
+    provider: 'Furnizor',
+    purpose: 'Scop',
+    duration: 'Durată',
+    category: 'Categorie',
+    empty: 'Acest site nu declară niciun cookie.'
+  }
+};
+
+export default ro;
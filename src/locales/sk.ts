@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Slovak translation of the default content
+ */
+const sk: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Nastavenia súborov cookie',
+    description: {
+      text: 'Súbory cookie používame na zlepšenie prehliadania, zobrazovanie prispôsobeného obsahu a analýzu návštevnosti. Prečítajte si naše ',
+      linkText: 'Zásady používania súborov cookie',
+      suffix: ' a dozviete sa viac.'
+    },
+    buttons: {
+      customize: 'Prispôsobiť nastavenia súborov cookie',
+      rejectAll: 'Odmietnuť všetky súbory cookie',
+      acceptAll: 'Prijať všetky súbory cookie',
+      doNotSell: 'Nepredávať moje údaje'
+    }
+  },
+  settingsView: {
+    heading: 'Nastavenia súborov cookie',
+    description: 'Nižšie môžete spravovať svoje predvoľby súborov cookie. Nevyhnutné súbory cookie sú potrebné na fungovanie webu a nemožno ich vypnúť.',
+    buttons: {
+      save: 'Uložiť predvoľby'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Nevyhnutné',
+    functional: 'Funkčné',
+    preferences: 'Predvoľby',
+    analytics: 'Analytické',
+    marketing: 'Marketingové'
+  },
+  categories: {
+    necessary: 'Potrebné na zabezpečenie a základné funkcie.',
+    functional: 'Umožňujú rozšírené funkcie, ako je živý chat a videá.',
+    preferences: 'Pamätajú si vaše nastavenia, napríklad jazyk a motív.',
+    analytics: 'Pomáhajú nám pochopiť, ako návštevníci používajú náš web.',
+    marketing: 'Umožňujú prispôsobenú reklamu a sledovanie.'
+  },
+  toggle: {
+    on: 'Zapnuté',
+    off: 'Vypnuté',
+    required: 'Povinné',
+    updated: 'Aktualizované',
+    label: 'Prepnúť súbory cookie {name}',
+    requiredLabel: 'Súbory cookie {name} (vždy zapnuté)',
+    deniedLabel: 'Súbory cookie {name} (vypnuté signálom ochrany súkromia vášho prehliadača)'
+  },
+  tcf: {
+    purposes: 'Účely',
+    specialFeatures: 'Osobitné funkcie',
+    vendors: 'Dodávatelia',
+    consent: 'Súhlas',
+    legitimateInterest: 'Oprávnený záujem',
+    privacyPolicy: 'Zásady ochrany osobných údajov'
+  },
+  vendors: {
+    heading: 'Dodávatelia',
+    privacyPolicy: 'Zásady ochrany osobných údajov'
+  },
+  privacySignal: {
+    gpc: 'Signál GPC rešpektovaný. Váš prehliadač nás požiadal, aby sme nepredávali ani nezdieľali vaše osobné údaje, preto tieto súbory cookie zostávajú vypnuté.',
+    dnt: 'Signál Do Not Track rešpektovaný. Váš prehliadač požiadal, aby nebol sledovaný, preto sledovacie súbory cookie zostávajú vypnuté.'
+  },
+  placeholder: {
+    blocked: 'Obsah kategórie {category} je zablokovaný.',
+    changeSettings: 'Zmeniť nastavenia'
+  },
+  floatingButton: {
+    label: 'Nastavenia súborov cookie',
+    status: '{label}, aktuálne prijatých {active} z {total} kategórií'
+  },
+  announcements: {
+    acceptAll: 'Predvoľby uložené. Všetky súbory cookie prijaté.',
+    rejectAll: 'Predvoľby uložené. Voliteľné súbory cookie odmietnuté.',
+    save: 'Predvoľby uložené.'
+  },
+  cookieTable: {
+    name: 'Názov',
+    provider: 'Poskytovateľ',
+    purpose: 'Účel',
+    duration: 'Doba uloženia',
+    category: 'Kategória',
+    empty: 'Tento web neuvádza žiadne súbory cookie.'
+  }
+};
+
+export default sk;
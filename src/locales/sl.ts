@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Slovenian translation of the default content
+ */
+const sl: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Nastavitve piškotkov',
+    description: {
+      text: 'Piškotke uporabljamo za izboljšanje brskanja, prikaz prilagojene vsebine in analizo prometa. Več o tem preberite v našem ',
+      linkText: 'pravilniku o piškotkih',
+      suffix: '.'
+    },
+    buttons: {
+      customize: 'Prilagodi nastavitve piškotkov',
+      rejectAll: 'Zavrni vse piškotke',
+      acceptAll: 'Sprejmi vse piškotke',
+      doNotSell: 'Ne prodajajte mojih podatkov'
+    }
+  },
+  settingsView: {
+    heading: 'Nastavitve piškotkov',
+    description: 'Spodaj upravljajte nastavitve piškotkov. Nujni piškotki so potrebni za delovanje spletnega mesta in jih ni mogoče izklopiti.',
+    buttons: {
+      save: 'Shrani nastavitve'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Nujni',
+    functional: 'Funkcionalni',
+    preferences: 'Nastavitve',
+    analytics: 'Analitični',
+    marketing: 'Trženjski'
+  },
+  categories: {
+    necessary: 'Potrebni za varnost in osnovno delovanje.',
+    functional: 'Omogočajo napredne funkcije, kot sta klepet v živo in videoposnetki.',
+    preferences: 'Zapomnijo si vaše nastavitve, kot sta jezik in tema.',
+    analytics: 'Pomagajo nam razumeti, kako obiskovalci uporabljajo naše spletno mesto.',
+    marketing: 'Omogočajo prilagojene oglase in sledenje.'
+  },
+  toggle: {
+    on: 'Vklopljeno',
+    off: 'Izklopljeno',
+    required: 'Obvezno',
+    updated: 'Posodobljeno',
+    label: 'Vklopi ali izklopi piškotke {name}',
+    requiredLabel: 'Piškotki {name} (vedno vklopljeni)',
+    deniedLabel: 'Piškotki {name} (izklopljeni zaradi signala zasebnosti vašega brskalnika)'
+  },
+  tcf: {
+    purposes: 'Nameni',
+    specialFeatures: 'Posebne funkcije',
+    vendors: 'Ponudniki',
+    consent: 'Privolitev',
+    legitimateInterest: 'Zakoniti interes',
+    privacyPolicy: 'Pravilnik o zasebnosti'
+  },
+  vendors: {
+    heading: 'Ponudniki',
+    privacyPolicy: 'Pravilnik o zasebnosti'
+  },
+  privacySignal: {
+    gpc: 'Signal GPC je upoštevan. Vaš brskalnik nas je prosil, naj vaših osebnih podatkov ne prodajamo ali delimo, zato ti piškotki ostanejo izklopljeni.',
+    dnt: 'Signal Do Not Track je upoštevan. Vaš brskalnik je prosil, naj vam ne sledimo, zato piškotki za sledenje ostanejo izklopljeni.'
+  },
+  placeholder: {
+    blocked: 'Vsebina kategorije {category} je blokirana.',
+    changeSettings: 'Spremeni nastavitve'
+  },
+  floatingButton: {
+    label: 'Nastavitve piškotkov',
+    status: '{label}, trenutno sprejetih {active} od {total} kategorij'
+  },
+  announcements: {
+    acceptAll: 'Nastavitve shranjene. Vsi piškotki sprejeti.',
+    rejectAll: 'Nastavitve shranjene. Nenujni piškotki zavrnjeni.',
+    save: 'Nastavitve shranjene.'
+  },
+  cookieTable: {
+    name: 'Ime',
+    provider: 'Ponudnik',
+    purpose: 'Namen',
+    duration: 'Trajanje',
+    category: 'Kategorija',
+    empty: 'To spletno mesto ne navaja piškotkov.'
+  }
+};
+
+export default sl;
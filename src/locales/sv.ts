@@ -0,0 +1,90 @@
+import type { ContentConfig, DeepPartial } from '../types';
+
+/**
+ * Swedish translation of the default content
+ */
+const sv: DeepPartial<ContentConfig> = {
+  initialView: {
+    heading: 'Cookieinställningar',
+    description: {
+      text: 'Vi använder cookies för att förbättra din upplevelse, visa anpassat innehåll och analysera vår trafik. Läs vår ',
+      linkText: 'cookiepolicy',
+      suffix: ' för att veta mer.'
+    },
+    buttons: {
+      customize: 'Anpassa cookieinställningar',
+      rejectAll: 'Avvisa alla cookies',
+      acceptAll: 'Godkänn alla cookies',
+      doNotSell: 'Sälj inte min information'
+    }
+  },
+  settingsView: {
+    heading: 'Cookieinställningar',
+    description: 'Hantera dina cookieinställningar nedan. Nödvändiga cookies krävs för att webbplatsen ska fungera och kan inte stängas av.',
+    buttons: {
+      save: 'Spara inställningar'
+    }
+  },
+  categoryLabels: {
+    necessary: 'Nödvändiga',
+    functional: 'Funktionella',
+    preferences: 'Preferenser',
+    analytics: 'Statistik',
+    marketing: 'Marknadsföring'
+  },
+  categories: {
+    necessary: 'Krävs för säkerhet och grundläggande funktioner.',
+    functional: 'Möjliggör utökade funktioner som livechatt och videor.',
+    preferences: 'Kommer ihåg dina inställningar som språk och tema.',
+    analytics: 'Hjälper oss att förstå hur besökare använder vår webbplats.',
+    marketing: 'Möjliggör anpassade annonser och spårning.'
+  },
+  toggle: {
+    on: 'På',
+    off: 'Av',
+    required: 'Krävs',
+    updated: 'Uppdaterad',
+    label: 'Slå på eller av {name}-cookies',
+    requiredLabel: '{name}-cookies (alltid aktiverade)',
+    deniedLabel: '{name}-cookies (avstängda av webbläsarens integritetssignal)'
+  },
+  tcf: {
+    purposes: 'Ändamål',
+    specialFeatures: 'Särskilda funktioner',
+    vendors: 'Leverantörer',
+    consent: 'Samtycke',
+    legitimateInterest: 'Berättigat intresse',
+    privacyPolicy: 'Integritetspolicy'
+  },
+  vendors: {
+    heading: 'Leverantörer',
+    privacyPolicy: 'Integritetspolicy'
+  },
+  privacySignal: {
+    gpc: 'GPC-signalen respekteras. Din webbläsare har bett oss att inte sälja eller dela dina personuppgifter, så de cookies förblir avstängda.',
+    dnt: 'Do Not Track-signalen respekteras. Din webbläsare har bett om att inte spåras, så spårningscookies förblir avstängda.'
+  },
+  placeholder: {
+    blocked: '{category}-innehåll är blockerat.',
+    changeSettings: 'Ändra inställningar'
+  },
+  floatingButton: {
+    label: 'Cookieinställningar',
+    status: '{label}, godkänner för närvarande {active} av {total} kategorier'
+  },
+  announcements: {
+    acceptAll: 'Cookieinställningar sparade. Alla cookies godkända.',
+    rejectAll: 'Cookieinställningar sparade. Icke nödvändiga cookies avvisade.',
+    save: 'Cookieinställningar sparade.'
+  },
+  cookieTable: {
+    name: 'Namn',
+    provider: 'Leverantör',
+    purpose: 'Ändamål',
+    duration: 'Lagringstid',
+    category: 'Kategori',
+    empty: 'Den här webbplatsen anger inga cookies.'
+  }
+};
+
+export default sv;
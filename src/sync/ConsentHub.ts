@@ -0,0 +1,128 @@
+import type { ConsentHubConfig, ConsentState } from '../types';
+import { HmacSigner } from '../core/HmacSigner';
+import { createMessage, isConsentState, isNewerConsent, readMessage } from './protocol';
+
+/**
+ * Shared consent store for a hidden hub page on the primary domain
+ *
+ * Sync clients on allowed origins read and write the consent through postMessage;
+ * changes written by another site's hub frame are forwarded to this frame's parent.
+ */
+export class ConsentHub {
+  private config: ConsentHubConfig;
+  private signer: HmacSigner | null;
+  private parentOrigin: string | null = null;
+
+  private messageHandler = (event: MessageEvent) => {
+    void this.handleMessage(event);
+  };
+
+  private storageHandler = (event: StorageEvent) => {
+    void this.handleStorage(event);
+  };
+
+  constructor(config: Partial<ConsentHubConfig> = {}) {
+    this.config = {
+      allowedOrigins: [],
+      storageKey: 'cc_shared_consent',
+      ...config
+    };
+    this.signer = this.config.secret ? new HmacSigner(this.config.secret) : null;
+  }
+
+  /**
+   * Start answering sync clients
+   */
+  listen(): void {
+    window.addEventListener('message', this.messageHandler);
+    window.addEventListener('storage', this.storageHandler);
+  }
+
+  /**
+   * Stop answering sync clients
+   */
+  stop(): void {
+    window.removeEventListener('message', this.messageHandler);
+    window.removeEventListener('storage', this.storageHandler);
+    this.parentOrigin = null;
+  }
+
+  /**
+   * Check if an origin may use the hub ('https://*.example.com' matches any subdomain)
+   */
+  isAllowedOrigin(origin: string): boolean {
+    return this.config.allowedOrigins.some((allowed) => {
+      const wildcard = allowed.indexOf('://*.');
+      if (wildcard === -1) return allowed === origin;
+
+      const scheme = allowed.slice(0, wildcard + 3);
+      const domain = allowed.slice(wildcard + 4);
+      if (!origin.startsWith(scheme) || !origin.endsWith(domain)) return false;
+
+      const subdomain = origin.slice(scheme.length, origin.length - domain.length);
+      return /^[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(subdomain);
+    });
+  }
+
+  /**
+   * Get the shared consent
+   */
+  getConsent(): ConsentState | null {
+    try {
+      const stored = localStorage.getItem(this.config.storageKey);
+      if (!stored) return null;
+
+      const consent = JSON.parse(stored);
+      return isConsentState(consent) ? consent : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Store a consent if it is newer than the shared one (null clears it)
+   */
+  private setConsent(consent: ConsentState | null): void {
+    try {
+      if (consent === null) {
+        localStorage.removeItem(this.config.storageKey);
+      } else if (isNewerConsent(consent, this.getConsent())) {
+        localStorage.setItem(this.config.storageKey, JSON.stringify(consent));
+      }
+    } catch {
+      // Storage unavailable (e.g. blocked third-party storage): clients keep their local consent
+    }
+  }
+
+  /**
+   * Answer a client request
+   */
+  private async handleMessage(event: MessageEvent): Promise<void> {
+    if (!this.isAllowedOrigin(event.origin)) return;
+
+    const message = await readMessage(event.data, this.signer);
+    if (!message || (message.type !== 'get' && message.type !== 'set')) return;
+
+    if (event.source === window.parent) {
+      this.parentOrigin = event.origin;
+    }
+
+    if (message.type === 'set') {
+      this.setConsent(message.consent);
+    }
+
+    // Reply with the shared consent, which stays newer than the client's when a set was ignored
+    const reply = await createMessage('result', message.id, this.getConsent(), this.signer);
+    (event.source as Window | null)?.postMessage(reply, event.origin);
+  }
+
+  /**
+   * Forward consent written by another hub frame to this frame's parent
+   */
+  private async handleStorage(event: StorageEvent): Promise<void> {
+    if (event.key !== this.config.storageKey || !this.parentOrigin) return;
+
+    const message = await createMessage('change', 0, this.getConsent(), this.signer);
+    window.parent.postMessage(message, this.parentOrigin);
+  }
+}
@@ -0,0 +1,162 @@
+import type { ConsentState, ConsentSyncConfig, ConsentSyncMessage } from '../types';
+import { HmacSigner } from '../core/HmacSigner';
+import { createMessage, readMessage } from './protocol';
+
+/**
+ * Resolve with a fallback value if a promise fails or takes too long
+ */
+function withTimeout<T>(promise: Promise<T>, ms: number, fallback: T): Promise<T> {
+  return new Promise((resolve) => {
+    const timeoutId = setTimeout(() => resolve(fallback), ms);
+    promise.then(
+      (value) => {
+        clearTimeout(timeoutId);
+        resolve(value);
+      },
+      () => {
+        clearTimeout(timeoutId);
+        resolve(fallback);
+      }
+    );
+  });
+}
+
+/**
+ * Shares one consent decision across domains through a ConsentHub page
+ * loaded in a hidden iframe
+ */
+export class ConsentSync {
+  private config: ConsentSyncConfig;
+  private hubOrigin: string;
+  private signer: HmacSigner | null;
+  private iframe: HTMLIFrameElement | null = null;
+  private loaded: Promise<boolean> | null = null;
+  private connected = false;
+  private pending = new Map<number, (consent: ConsentState | null | undefined) => void>();
+  private nextId = 1;
+
+  private messageHandler = (event: MessageEvent) => {
+    void this.handleMessage(event);
+  };
+
+  /** Called when the consent is changed (or cleared) on another site */
+  public onChange?: (consent: ConsentState | null) => void;
+
+  constructor(config: Partial<ConsentSyncConfig> & Pick<ConsentSyncConfig, 'hubUrl'>) {
+    this.config = {
+      timeout: 1000,
+      ...config
+    };
+    this.hubOrigin = new URL(this.config.hubUrl, window.location.href).origin;
+    this.signer = this.config.secret ? new HmacSigner(this.config.secret) : null;
+  }
+
+  /**
+   * Load the hub and get the shared consent (null if there is none or the hub doesn't answer in time)
+   */
+  async connect(): Promise<ConsentState | null> {
+    const consent = await this.request('get', null);
+    return consent ?? null;
+  }
+
+  /**
+   * Share a consent decision (null clears it); resolves with whether the hub accepted it
+   */
+  async publish(consent: ConsentState | null): Promise<boolean> {
+    const shared = await this.request('set', consent);
+    if (shared === undefined) return false;
+    return consent === null ? shared === null : shared?.timestamp === consent.timestamp;
+  }
+
+  /**
+   * Remove the hub iframe and stop listening for changes
+   */
+  disconnect(): void {
+    window.removeEventListener('message', this.messageHandler);
+    this.iframe?.remove();
+    this.iframe = null;
+    this.loaded = null;
+    this.connected = false;
+    this.pending.forEach((resolve) => resolve(undefined));
+    this.pending.clear();
+  }
+
+  /**
+   * Check if the hub iframe has loaded
+   */
+  isConnected(): boolean {
+    return this.connected;
+  }
+
+  /**
+   * Get the hub origin messages are exchanged with
+   */
+  getHubOrigin(): string {
+    return this.hubOrigin;
+  }
+
+  /**
+   * Create the hidden hub iframe (once)
+   */
+  private load(): Promise<boolean> {
+    if (this.loaded) return this.loaded;
+
+    window.addEventListener('message', this.messageHandler);
+
+    this.loaded = new Promise((resolve) => {
+      const iframe = document.createElement('iframe');
+      iframe.src = this.config.hubUrl;
+      iframe.title = 'Consent sync';
+      iframe.style.display = 'none';
+      iframe.setAttribute('aria-hidden', 'true');
+      iframe.setAttribute('tabindex', '-1');
+      iframe.addEventListener('load', () => {
+        this.connected = true;
+        resolve(true);
+      }, { once: true });
+      iframe.addEventListener('error', () => resolve(false), { once: true });
+
+      this.iframe = iframe;
+      (document.body || document.documentElement).appendChild(iframe);
+    });
+
+    return this.loaded;
+  }
+
+  /**
+   * Send a request to the hub (resolves undefined if the hub doesn't answer in time)
+   */
+  private async request(type: 'get' | 'set', consent: ConsentState | null): Promise<ConsentState | null | undefined> {
+    const send = async (): Promise<ConsentState | null | undefined> => {
+      if (!(await this.load()) || !this.iframe?.contentWindow) return undefined;
+
+      const id = this.nextId++;
+      const message = await createMessage(type, id, consent, this.signer);
+      const reply = new Promise<ConsentState | null | undefined>((resolve) => {
+        this.pending.set(id, resolve);
+      });
+
+      this.iframe.contentWindow.postMessage(message, this.hubOrigin);
+      return reply;
+    };
+
+    return withTimeout(send(), this.config.timeout, undefined);
+  }
+
+  /**
+   * Handle hub replies and change notifications
+   */
+  private async handleMessage(event: MessageEvent): Promise<void> {
+    if (event.origin !== this.hubOrigin || !this.iframe || event.source !== this.iframe.contentWindow) return;
+
+    const message: ConsentSyncMessage | null = await readMessage(event.data, this.signer);
+    if (!message) return;
+
+    if (message.type === 'result') {
+      this.pending.get(message.id)?.(message.consent);
+      this.pending.delete(message.id);
+    } else if (message.type === 'change') {
+      this.onChange?.(message.consent);
+    }
+  }
+}
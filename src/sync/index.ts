@@ -0,0 +1,6 @@
+/**
+ * Cross-domain consent sync (optional module)
+ */
+
+export { ConsentSync } from './ConsentSync';
+export { ConsentHub } from './ConsentHub';
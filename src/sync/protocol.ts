@@ -0,0 +1,63 @@
+import type { ConsentState, ConsentSyncMessage } from '../types';
+import type { HmacSigner } from '../core/HmacSigner';
+
+const MESSAGE_TYPES: ConsentSyncMessage['type'][] = ['get', 'set', 'result', 'change'];
+
+/**
+ * Check if a value looks like a stored consent
+ */
+export function isConsentState(value: unknown): value is ConsentState {
+  if (value === null || typeof value !== 'object') return false;
+  const consent = value as Record<string, unknown>;
+  return typeof consent.version === 'string' && typeof consent.timestamp === 'string';
+}
+
+/**
+ * Check if consent a was given after consent b
+ */
+export function isNewerConsent(a: ConsentState, b: ConsentState | null): boolean {
+  if (!b) return true;
+  return Date.parse(a.timestamp) > Date.parse(b.timestamp);
+}
+
+/**
+ * Data covered by a message signature
+ */
+function signedData(message: ConsentSyncMessage): string {
+  return JSON.stringify([message.type, message.id, message.consent]);
+}
+
+/**
+ * Build a message, signed when a signer is given
+ */
+export async function createMessage(
+  type: ConsentSyncMessage['type'],
+  id: number,
+  consent: ConsentState | null,
+  signer: HmacSigner | null
+): Promise<ConsentSyncMessage> {
+  const message: ConsentSyncMessage = { cconsent: 'sync', type, id, consent };
+  if (signer) {
+    message.signature = await signer.sign(signedData(message));
+  }
+  return message;
+}
+
+/**
+ * Validate received data as a message (returns null for other messages and bad signatures)
+ */
+export async function readMessage(data: unknown, signer: HmacSigner | null): Promise<ConsentSyncMessage | null> {
+  if (data === null || typeof data !== 'object') return null;
+
+  const message = data as ConsentSyncMessage;
+  if (message.cconsent !== 'sync' || !MESSAGE_TYPES.includes(message.type)) return null;
+  if (typeof message.id !== 'number') return null;
+  if (message.consent !== null && !isConsentState(message.consent)) return null;
+
+  if (signer) {
+    if (typeof message.signature !== 'string') return null;
+    if (!(await signer.verify(signedData(message), message.signature))) return null;
+  }
+
+  return message;
+}
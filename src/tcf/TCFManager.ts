@@ -0,0 +1,584 @@
+import type {
+  ConsentCategories,
+  CookieOptions,
+  GVLVendor,
+  TCData,
+  TCFApi,
+  TCFCallback,
+  TCFChoiceType,
+  TCFConfig,
+  TCFDisplayStatus,
+  TCFEventStatus,
+  TCFPingReturn,
+  TCFPurposeInfo,
+  TCFVendorInfo,
+  TCModel
+} from '../types';
+import { TCString } from './TCString';
+
+const API_VERSION = '2.2';
+const LOCATOR_NAME = '__tcfapiLocator';
+
+/**
+ * Purposes that can only be processed with consent under TCF v2.2
+ */
+const CONSENT_ONLY_PURPOSES = [1, 3, 4, 5, 6];
+
+/**
+ * Default mapping of the built-in categories to TCF purposes
+ */
+const DEFAULT_CATEGORY_PURPOSES: Record<string, number[]> = {
+  necessary: [],
+  functional: [],
+  preferences: [5, 6, 11],
+  analytics: [1, 8, 9, 10],
+  marketing: [1, 2, 3, 4, 7]
+};
+
+/**
+ * Answer __tcfapi calls made from child frames via postMessage
+ */
+function handleMessage(event: MessageEvent): void {
+  let data = event.data;
+  const isString = typeof data === 'string';
+
+  if (isString) {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      return;
+    }
+  }
+
+  const call = data?.__tcfapiCall;
+  if (!call || typeof window.__tcfapi !== 'function') return;
+
+  window.__tcfapi(
+    call.command,
+    call.version,
+    (returnValue, success) => {
+      const response = { __tcfapiReturn: { returnValue, success, callId: call.callId } };
+      (event.source as Window | null)?.postMessage(isString ? JSON.stringify(response) : response, '*');
+    },
+    call.parameter
+  );
+}
+
+/**
+ * Add the hidden frame child frames look for to find the CMP
+ */
+function addLocatorFrame(): void {
+  if (document.querySelector(`iframe[name="${LOCATOR_NAME}"]`)) return;
+
+  if (!document.body) {
+    document.addEventListener('DOMContentLoaded', addLocatorFrame, { once: true });
+    return;
+  }
+
+  const iframe = document.createElement('iframe');
+  iframe.name = LOCATOR_NAME;
+  iframe.style.display = 'none';
+  iframe.setAttribute('aria-hidden', 'true');
+  document.body.appendChild(iframe);
+}
+
+/**
+ * IAB TCF v2.2 consent state, TC string storage and __tcfapi handler
+ */
+export class TCFManager {
+  private config: TCFConfig;
+  private vendors: GVLVendor[];
+  private purposeConsents = new Set<number>();
+  private purposeLegitimateInterests = new Set<number>();
+  private vendorConsents = new Set<number>();
+  private vendorLegitimateInterests = new Set<number>();
+  private specialFeatureOptins = new Set<number>();
+  private model: TCModel | null = null;
+  private tcString = '';
+  private displayStatus: TCFDisplayStatus = 'hidden';
+  private eventStatus: TCFEventStatus = 'tcloaded';
+  private listeners = new Map<number, TCFCallback>();
+  private nextListenerId = 1;
+
+  constructor(config: Partial<TCFConfig> & Pick<TCFConfig, 'gvl' | 'cmpId'>) {
+    this.config = {
+      cmpVersion: 1,
+      consentLanguage: 'EN',
+      publisherCC: 'AA',
+      gdprApplies: true,
+      isServiceSpecific: true,
+      purposeOneTreatment: false,
+      cookieName: 'euconsent-v2',
+      ...config,
+      cookieOptions: {
+        sameSite: 'Lax',
+        secure: true,
+        path: '/',
+        expires: 390,
+        ...config.cookieOptions
+      },
+      categoryPurposes: { ...DEFAULT_CATEGORY_PURPOSES, ...config.categoryPurposes }
+    };
+    this.vendors = Object.values(this.config.gvl.vendors).filter((vendor) => !vendor.deletedDate);
+    this.resetChoices();
+  }
+
+  /**
+   * Install a queueing __tcfapi stub (call as early as possible, before ad scripts load)
+   */
+  static installStub(): void {
+    if (typeof window === 'undefined' || typeof window.__tcfapi === 'function') return;
+
+    const queue: unknown[][] = [];
+    let gdprApplies: boolean | undefined;
+
+    const stub = (...args: unknown[]): unknown => {
+      if (args.length === 0) return queue;
+
+      const [command, , callback, parameter] = args as Parameters<TCFApi>;
+      if (command === 'setGdprApplies') {
+        gdprApplies = Boolean(parameter);
+      } else if (command === 'ping' && typeof callback === 'function') {
+        callback({ gdprApplies, cmpLoaded: false, cmpStatus: 'stub', apiVersion: API_VERSION } as TCFPingReturn, true);
+      } else {
+        queue.push(args);
+      }
+      return undefined;
+    };
+
+    window.__tcfapi = stub as TCFApi;
+    window.addEventListener('message', handleMessage);
+    addLocatorFrame();
+  }
+
+  /**
+   * Replace the stub with the real __tcfapi handler and answer any queued calls
+   */
+  install(): void {
+    if (typeof window === 'undefined') return;
+
+    const existing = window.__tcfapi as unknown;
+    const queued = typeof existing === 'function' ? (existing as () => unknown)() : undefined;
+
+    window.__tcfapi = (command, version, callback, parameter) =>
+      this.handleCommand(command, version, callback, parameter);
+
+    // A stub already answers postMessage calls by forwarding them to window.__tcfapi
+    if (typeof existing !== 'function') {
+      window.addEventListener('message', handleMessage);
+    }
+    addLocatorFrame();
+
+    if (Array.isArray(queued)) {
+      queued.forEach((args) => window.__tcfapi?.(...(args as Parameters<TCFApi>)));
+    }
+  }
+
+  /**
+   * Handle a __tcfapi command
+   */
+  handleCommand(command: string, version: number, callback: TCFCallback, parameter?: unknown): void {
+    if (typeof callback !== 'function') return;
+
+    if (version !== undefined && version !== null && version !== 2) {
+      callback(null, false);
+      return;
+    }
+
+    switch (command) {
+      case 'ping':
+        callback(this.getPing(), true);
+        break;
+      case 'getTCData':
+        callback(this.getTCData(Array.isArray(parameter) ? parameter : undefined), true);
+        break;
+      case 'addEventListener': {
+        const listenerId = this.nextListenerId++;
+        this.listeners.set(listenerId, callback);
+        if (this.isReady()) {
+          callback(this.getTCData(undefined, listenerId), true);
+        }
+        break;
+      }
+      case 'removeEventListener': {
+        const removed = this.listeners.delete(Number(parameter));
+        callback(removed, removed);
+        break;
+      }
+      default:
+        callback(null, false);
+    }
+  }
+
+  /**
+   * Get the 'ping' response
+   */
+  getPing(): TCFPingReturn {
+    return {
+      gdprApplies: this.config.gdprApplies,
+      cmpLoaded: true,
+      cmpStatus: 'loaded',
+      displayStatus: this.displayStatus,
+      apiVersion: API_VERSION,
+      cmpVersion: this.config.cmpVersion,
+      cmpId: this.config.cmpId,
+      gvlVersion: this.config.gvl.vendorListVersion,
+      tcfPolicyVersion: this.config.gvl.tcfPolicyVersion
+    };
+  }
+
+  /**
+   * Get the TC data for the stored TC string (optionally limited to some vendors)
+   */
+  getTCData(vendorIds?: number[], listenerId?: number): TCData {
+    const model = this.model;
+    const toRecord = (ids: number[], granted: number[] = []): Record<number, boolean> =>
+      Object.fromEntries(ids.map((id) => [id, granted.includes(id)]));
+
+    const purposeIds = this.getPurposeIds();
+    const vendors = vendorIds ?? this.vendors.map((vendor) => vendor.id);
+
+    return {
+      tcString: this.tcString,
+      tcfPolicyVersion: this.config.gvl.tcfPolicyVersion,
+      cmpId: this.config.cmpId,
+      cmpVersion: this.config.cmpVersion,
+      gdprApplies: this.config.gdprApplies,
+      eventStatus: this.eventStatus,
+      cmpStatus: 'loaded',
+      listenerId,
+      isServiceSpecific: this.config.isServiceSpecific,
+      useNonStandardTexts: false,
+      publisherCC: this.config.publisherCC,
+      purposeOneTreatment: this.config.purposeOneTreatment,
+      purpose: {
+        consents: toRecord(purposeIds, model?.purposeConsents),
+        legitimateInterests: toRecord(purposeIds, model?.purposeLegitimateInterests)
+      },
+      vendor: {
+        consents: toRecord(vendors, model?.vendorConsents),
+        legitimateInterests: toRecord(vendors, model?.vendorLegitimateInterests)
+      },
+      specialFeatureOptins: toRecord(this.getSpecialFeatureIds(), model?.specialFeatureOptins),
+      publisher: {
+        consents: {},
+        legitimateInterests: {},
+        customPurpose: { consents: {}, legitimateInterests: {} },
+        restrictions: {}
+      }
+    };
+  }
+
+  /**
+   * Get the stored TC string ('' before the first decision)
+   */
+  getTCString(): string {
+    return this.tcString;
+  }
+
+  /**
+   * Set whether GDPR applies to this visitor (e.g. from geolocation)
+   */
+  setGdprApplies(gdprApplies: boolean): void {
+    this.config.gdprApplies = gdprApplies;
+  }
+
+  /**
+   * Report whether the consent UI is showing ('visible' notifies listeners with 'cmpuishown')
+   */
+  setDisplayStatus(status: TCFDisplayStatus): void {
+    this.displayStatus = status;
+    if (status === 'visible') {
+      this.eventStatus = 'cmpuishown';
+      this.notify();
+    }
+  }
+
+  /**
+   * Load the TC string from the cookie (returns false if there is none or it is invalid)
+   *
+   * Listeners already registered, e.g. queued on the stub, are notified with 'tcloaded'.
+   */
+  load(): boolean {
+    const stored = this.getCookie(this.config.cookieName);
+    const model = stored ? TCString.decode(stored) : null;
+    if (!model) return false;
+
+    this.model = model;
+    this.tcString = stored as string;
+    this.purposeConsents = new Set(model.purposeConsents);
+    this.purposeLegitimateInterests = new Set(model.purposeLegitimateInterests);
+    this.vendorConsents = new Set(model.vendorConsents);
+    this.vendorLegitimateInterests = new Set(model.vendorLegitimateInterests);
+    this.specialFeatureOptins = new Set(model.specialFeatureOptins);
+    this.eventStatus = 'tcloaded';
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Encode the current choices, store them in the cookie and notify listeners
+   */
+  save(): string {
+    const now = new Date();
+    const vendorIds = this.vendors.map((vendor) => vendor.id);
+
+    this.model = {
+      version: 2,
+      created: this.model?.created ?? now,
+      lastUpdated: now,
+      cmpId: this.config.cmpId,
+      cmpVersion: this.config.cmpVersion,
+      consentScreen: 1,
+      consentLanguage: this.config.consentLanguage,
+      vendorListVersion: this.config.gvl.vendorListVersion,
+      tcfPolicyVersion: this.config.gvl.tcfPolicyVersion,
+      isServiceSpecific: this.config.isServiceSpecific,
+      useNonStandardTexts: false,
+      specialFeatureOptins: [...this.specialFeatureOptins],
+      purposeConsents: [...this.purposeConsents],
+      purposeLegitimateInterests: [...this.purposeLegitimateInterests],
+      purposeOneTreatment: this.config.purposeOneTreatment,
+      publisherCC: this.config.publisherCC,
+      vendorConsents: [...this.vendorConsents],
+      vendorLegitimateInterests: [...this.vendorLegitimateInterests],
+      disclosedVendors: vendorIds
+    };
+
+    this.tcString = TCString.encode(this.model);
+    this.setCookie(this.config.cookieName, this.tcString);
+    this.eventStatus = 'useractioncomplete';
+    this.notify();
+
+    return this.tcString;
+  }
+
+  /**
+   * Delete the TC string and reset all choices
+   */
+  clear(): void {
+    this.deleteCookie(this.config.cookieName);
+    this.model = null;
+    this.tcString = '';
+    this.eventStatus = 'tcloaded';
+    this.resetChoices();
+  }
+
+  /**
+   * Set purpose and vendor consents from category states
+   *
+   * A purpose is consented if any category mapped to it is allowed, and a
+   * vendor if any of the purposes it asks consent for is.
+   */
+  applyCategories(categories: Partial<ConsentCategories>): void {
+    const granted = new Set<number>();
+    Object.entries(this.config.categoryPurposes).forEach(([category, purposes]) => {
+      if (categories[category]) purposes.forEach((id) => granted.add(id));
+    });
+
+    this.purposeConsents = new Set(this.getPurposeIds().filter((id) => granted.has(id)));
+    this.vendorConsents = new Set(
+      this.vendors
+        .filter((vendor) => vendor.purposes.some((id) => granted.has(id)))
+        .map((vendor) => vendor.id)
+    );
+  }
+
+  /**
+   * Grant or withdraw everything (consents, legitimate interests and special features)
+   */
+  setAll(allowed: boolean): void {
+    const ids = (values: number[]) => new Set(allowed ? values : []);
+
+    this.purposeConsents = ids(this.getPurposeIds());
+    this.purposeLegitimateInterests = ids(this.getLegitimateInterestPurposeIds());
+    this.vendorConsents = ids(this.vendors.filter((vendor) => vendor.purposes.length > 0).map((vendor) => vendor.id));
+    this.vendorLegitimateInterests = ids(this.getLegitimateInterestVendorIds());
+    this.specialFeatureOptins = ids(this.getSpecialFeatureIds());
+  }
+
+  /**
+   * Set a single consent, legitimate-interest or special feature choice
+   */
+  setChoice(type: TCFChoiceType, id: number, allowed: boolean): void {
+    const choices = this.getChoiceSet(type);
+    if (allowed) {
+      choices.add(id);
+    } else {
+      choices.delete(id);
+    }
+  }
+
+  /**
+   * Get a single consent, legitimate-interest or special feature choice
+   */
+  getChoice(type: TCFChoiceType, id: number): boolean {
+    return this.getChoiceSet(type).has(id);
+  }
+
+  /**
+   * Get the GVL purposes with their current state
+   */
+  getPurposes(): TCFPurposeInfo[] {
+    return Object.values(this.config.gvl.purposes).map((purpose) => ({
+      ...purpose,
+      consent: this.purposeConsents.has(purpose.id),
+      legitimateInterest: this.purposeLegitimateInterests.has(purpose.id),
+      legitimateInterestAllowed: !CONSENT_ONLY_PURPOSES.includes(purpose.id)
+    }));
+  }
+
+  /**
+   * Get the GVL special features with their current opt-in state
+   */
+  getSpecialFeatures(): TCFPurposeInfo[] {
+    return Object.values(this.config.gvl.specialFeatures ?? {}).map((feature) => ({
+      ...feature,
+      consent: this.specialFeatureOptins.has(feature.id),
+      legitimateInterest: false,
+      legitimateInterestAllowed: false
+    }));
+  }
+
+  /**
+   * Get the GVL vendors with their current state
+   */
+  getVendors(): TCFVendorInfo[] {
+    return this.vendors.map((vendor) => ({
+      id: vendor.id,
+      name: vendor.name,
+      policyUrl: vendor.policyUrl,
+      purposes: [...vendor.purposes],
+      legIntPurposes: [...vendor.legIntPurposes],
+      consent: this.vendorConsents.has(vendor.id),
+      legitimateInterest: this.vendorLegitimateInterests.has(vendor.id)
+    }));
+  }
+
+  /**
+   * Get the TCF purposes a category is mapped to
+   */
+  getCategoryPurposes(category: string): number[] {
+    return [...(this.config.categoryPurposes[category] ?? [])];
+  }
+
+  /**
+   * Listeners are called once there is something to report: a TC string, the
+   * UI being shown, or GDPR not applying
+   */
+  private isReady(): boolean {
+    return !this.config.gdprApplies || this.tcString !== '' || this.displayStatus === 'visible';
+  }
+
+  /**
+   * Call every registered listener with the current TC data (a throwing vendor
+   * listener doesn't stop the others, or the decision being saved)
+   */
+  private notify(): void {
+    this.listeners.forEach((callback, listenerId) => {
+      try {
+        callback(this.getTCData(undefined, listenerId), true);
+      } catch (e) {
+        console.error('Cookie consent: __tcfapi listener failed', e);
+      }
+    });
+  }
+
+  /**
+   * Start with no consents and no objections to legitimate interest
+   */
+  private resetChoices(): void {
+    this.purposeConsents = new Set();
+    this.purposeLegitimateInterests = new Set(this.getLegitimateInterestPurposeIds());
+    this.vendorConsents = new Set();
+    this.vendorLegitimateInterests = new Set(this.getLegitimateInterestVendorIds());
+    this.specialFeatureOptins = new Set();
+  }
+
+  /**
+   * Get the set that stores a choice type
+   */
+  private getChoiceSet(type: TCFChoiceType): Set<number> {
+    switch (type) {
+      case 'purpose':
+        return this.purposeConsents;
+      case 'purposeLegitimateInterest':
+        return this.purposeLegitimateInterests;
+      case 'vendor':
+        return this.vendorConsents;
+      case 'vendorLegitimateInterest':
+        return this.vendorLegitimateInterests;
+      case 'specialFeature':
+        return this.specialFeatureOptins;
+    }
+  }
+
+  /**
+   * Get the IDs of all GVL purposes
+   */
+  private getPurposeIds(): number[] {
+    return Object.values(this.config.gvl.purposes).map((purpose) => purpose.id);
+  }
+
+  /**
+   * Get the IDs of purposes that may rely on legitimate interest
+   */
+  private getLegitimateInterestPurposeIds(): number[] {
+    return this.getPurposeIds().filter((id) => !CONSENT_ONLY_PURPOSES.includes(id));
+  }
+
+  /**
+   * Get the IDs of vendors that declare legitimate-interest purposes
+   */
+  private getLegitimateInterestVendorIds(): number[] {
+    return this.vendors.filter((vendor) => vendor.legIntPurposes.length > 0).map((vendor) => vendor.id);
+  }
+
+  /**
+   * Get the IDs of all GVL special features
+   */
+  private getSpecialFeatureIds(): number[] {
+    return Object.values(this.config.gvl.specialFeatures ?? {}).map((feature) => feature.id);
+  }
+
+  /**
+   * Build the cookie attribute string
+   */
+  private cookieAttributes(expires: Date): string {
+    const opts: Partial<CookieOptions> = this.config.cookieOptions;
+    let attributes = `; expires=${expires.toUTCString()}`;
+
+    if (opts.path) attributes += `; path=${opts.path}`;
+    if (opts.domain) attributes += `; domain=${opts.domain}`;
+    if (opts.sameSite) attributes += `; SameSite=${opts.sameSite}`;
+    if (opts.secure) attributes += '; Secure';
+
+    return attributes;
+  }
+
+  /**
+   * Set the TC string cookie
+   */
+  private setCookie(name: string, value: string): void {
+    const expires = new Date(Date.now() + (this.config.cookieOptions.expires ?? 390) * 24 * 60 * 60 * 1000);
+    document.cookie = `${name}=${value}${this.cookieAttributes(expires)}`;
+  }
+
+  /**
+   * Get a cookie value
+   */
+  private getCookie(name: string): string | null {
+    for (const cookie of document.cookie.split(';')) {
+      const [cookieName, ...valueParts] = cookie.trim().split('=');
+      if (cookieName === name) return valueParts.join('=');
+    }
+    return null;
+  }
+
+  /**
+   * Delete a cookie by setting it with an expired date
+   */
+  private deleteCookie(name: string): void {
+    document.cookie = `${name}=${this.cookieAttributes(new Date(0))}`;
+  }
+}
@@ -0,0 +1,164 @@
+import type { TCModel } from '../types';
+import { BitReader, BitWriter } from '../core/BitString';
+
+const SEGMENT_DISCLOSED_VENDORS = 1;
+
+/**
+ * Collapse sorted IDs into [start, end] ranges
+ */
+function toRanges(ids: number[]): Array<[number, number]> {
+  const ranges: Array<[number, number]> = [];
+  [...new Set(ids)]
+    .sort((a, b) => a - b)
+    .forEach((id) => {
+      const last = ranges[ranges.length - 1];
+      if (last && id === last[1] + 1) {
+        last[1] = id;
+      } else {
+        ranges.push([id, id]);
+      }
+    });
+  return ranges;
+}
+
+/**
+ * Write a vendor section, using whichever of bit field or range encoding is shorter
+ */
+function writeVendorSection(writer: BitWriter, ids: number[]): void {
+  const maxVendorId = ids.length > 0 ? Math.max(...ids) : 0;
+  const ranges = toRanges(ids);
+  const rangeLength = ranges.reduce((total, [start, end]) => total + (start === end ? 17 : 33), 12);
+
+  writer.int(maxVendorId, 16);
+
+  if (rangeLength < maxVendorId) {
+    writer.bool(true);
+    writer.int(ranges.length, 12);
+    ranges.forEach(([start, end]) => {
+      writer.bool(start !== end);
+      writer.int(start, 16);
+      if (start !== end) writer.int(end, 16);
+    });
+  } else {
+    writer.bool(false);
+    writer.bitField(ids, maxVendorId);
+  }
+}
+
+/**
+ * Read the entries of a range section
+ */
+function readRanges(reader: BitReader): number[] {
+  const ids: number[] = [];
+  const numEntries = reader.int(12);
+
+  for (let i = 0; i < numEntries; i++) {
+    const isRange = reader.bool();
+    const start = reader.int(16);
+    const end = isRange ? reader.int(16) : start;
+    for (let id = start; id <= end; id++) ids.push(id);
+  }
+  return ids;
+}
+
+/**
+ * Read a vendor section
+ */
+function readVendorSection(reader: BitReader): number[] {
+  const maxVendorId = reader.int(16);
+  return reader.bool() ? readRanges(reader) : reader.bitField(maxVendorId);
+}
+
+/**
+ * Deciseconds since epoch, truncated to the day (TCF policy forbids finer timestamps)
+ */
+function toDeciseconds(date: Date): number {
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  return Math.round(day / 100);
+}
+
+/**
+ * IAB TCF v2 TC string encoder/decoder (core and disclosed vendors segments)
+ */
+export class TCString {
+  /**
+   * Encode a TC model into a TC string
+   */
+  static encode(model: TCModel): string {
+    const core = new BitWriter();
+
+    core.int(model.version, 6);
+    core.int(toDeciseconds(model.created), 36);
+    core.int(toDeciseconds(model.lastUpdated), 36);
+    core.int(model.cmpId, 12);
+    core.int(model.cmpVersion, 12);
+    core.int(model.consentScreen, 6);
+    core.letters(model.consentLanguage);
+    core.int(model.vendorListVersion, 12);
+    core.int(model.tcfPolicyVersion, 6);
+    core.bool(model.isServiceSpecific);
+    core.bool(model.useNonStandardTexts);
+    core.bitField(model.specialFeatureOptins, 12);
+    core.bitField(model.purposeConsents, 24);
+    core.bitField(model.purposeLegitimateInterests, 24);
+    core.bool(model.purposeOneTreatment);
+    core.letters(model.publisherCC);
+    writeVendorSection(core, model.vendorConsents);
+    writeVendorSection(core, model.vendorLegitimateInterests);
+    core.int(0, 12); // No publisher restrictions
+
+    const disclosed = new BitWriter();
+    disclosed.int(SEGMENT_DISCLOSED_VENDORS, 3);
+    writeVendorSection(disclosed, model.disclosedVendors);
+
+    return `${core.toBase64Url()}.${disclosed.toBase64Url()}`;
+  }
+
+  /**
+   * Decode a TC string (returns null if it is malformed or not version 2)
+   */
+  static decode(tcString: string): TCModel | null {
+    if (!tcString) return null;
+
+    try {
+      const [coreSegment, ...segments] = tcString.split('.');
+      const core = new BitReader(coreSegment);
+
+      const version = core.int(6);
+      if (version !== 2) return null;
+
+      const model: TCModel = {
+        version,
+        created: new Date(core.int(36) * 100),
+        lastUpdated: new Date(core.int(36) * 100),
+        cmpId: core.int(12),
+        cmpVersion: core.int(12),
+        consentScreen: core.int(6),
+        consentLanguage: core.letters(),
+        vendorListVersion: core.int(12),
+        tcfPolicyVersion: core.int(6),
+        isServiceSpecific: core.bool(),
+        useNonStandardTexts: core.bool(),
+        specialFeatureOptins: core.bitField(12),
+        purposeConsents: core.bitField(24),
+        purposeLegitimateInterests: core.bitField(24),
+        purposeOneTreatment: core.bool(),
+        publisherCC: core.letters(),
+        vendorConsents: readVendorSection(core),
+        vendorLegitimateInterests: readVendorSection(core),
+        disclosedVendors: []
+      };
+
+      segments.forEach((segment) => {
+        const reader = new BitReader(segment);
+        if (reader.int(3) === SEGMENT_DISCLOSED_VENDORS) {
+          model.disclosedVendors = readVendorSection(reader);
+        }
+      });
+
+      return model;
+    } catch {
+      return null;
+    }
+  }
+}
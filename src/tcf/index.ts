@@ -0,0 +1,6 @@
+/**
+ * Optional IAB TCF v2.2 module (__tcfapi and TC string)
+ */
+
+export { TCFManager } from './TCFManager';
+export { TCString } from './TCString';
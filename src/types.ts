@@ -1,5 +1,9 @@
+import type { TCFManager } from './tcf/TCFManager';
+import type { GPPManager } from './gpp/GPPManager';
+import type { ConsentSync } from './sync/ConsentSync';
+
 /**
- * Cookie consent category states (5-category model)
+ * Cookie consent category states (5 built-in categories plus any custom ones)
  */
 export interface ConsentCategories {
   necessary: boolean;
@@ -7,15 +11,132 @@ export interface ConsentCategories {
   preferences: boolean;
   analytics: boolean;
   marketing: boolean;
+  [category: string]: boolean;
+}
+
+/**
+ * Names of the built-in consent categories
+ */
+export type BuiltInCategory = 'necessary' | 'functional' | 'preferences' | 'analytics' | 'marketing';
+
+/**
+ * Consent category definition
+ */
+export interface CategoryDefinition {
+  label: string;
+  description?: string;
+  required: boolean;
+  default: boolean;
+  /** Cookies set by the category's scripts, deleted when the category is revoked */
+  cookies?: Array<NamePattern | CookieDeclaration>;
+  /** localStorage keys written by the category's scripts, deleted when the category is revoked */
+  storageKeys?: Array<NamePattern | CookieDeclaration>;
+  /** Vendors the user can allow or refuse one by one (matched by data-cookie-vendor) */
+  vendors?: VendorDefinition[];
+}
+
+/**
+ * A vendor within a category (e.g. Hotjar within analytics)
+ */
+export interface VendorDefinition {
+  /** Matched against data-cookie-vendor */
+  id: string;
+  name: string;
+  description?: string;
+  policyUrl?: string;
+}
+
+/**
+ * Cookie or storage key name ('*' matches any characters) or a regular expression
+ */
+export type NamePattern = string | RegExp;
+
+/**
+ * A cookie or storage key with the details shown in the cookie table
+ */
+export interface CookieDeclaration {
+  name: NamePattern;
+  /** Company or service that sets it (e.g. 'Google Analytics') */
+  provider?: string;
+  purpose?: string;
+  /** How long it is kept (e.g. '2 years', 'Session') */
+  duration?: string;
+}
+
+/**
+ * One row of the cookie table
+ */
+export interface CookieTableEntry {
+  type: 'cookie' | 'localStorage';
+  /** Declared name ('*' patterns kept as written, regular expressions as /source/) */
+  name: string;
+  provider: string | null;
+  purpose: string | null;
+  duration: string | null;
+  category: string;
+}
+
+/**
+ * The cookies and storage keys declared by one category
+ */
+export interface CookieTableGroup {
+  category: string;
+  label: string;
+  description: string | null;
+  required: boolean;
+  entries: CookieTableEntry[];
+}
+
+/**
+ * Where revoked categories' cookies are deleted
+ */
+export interface CookieCleanupConfig {
+  enabled: boolean;
+  /** Domains to delete cookies on, besides this host (default: each parent domain of this host) */
+  domains: string[] | null;
+  /** Paths to delete cookies on */
+  paths: string[];
+}
+
+/**
+ * A cookie or localStorage key deleted when its category was revoked
+ */
+export interface RemovedItem {
+  type: 'cookie' | 'localStorage';
+  name: string;
+  category: string;
 }
 
 /**
  * Stored consent state with metadata
  */
-export interface ConsentState extends ConsentCategories {
+export interface ConsentState extends Pick<ConsentCategories, BuiltInCategory> {
   version: string;
   timestamp: string;
   consentId?: string;
+  policyVersion?: string;
+  privacySignal?: PrivacySignal;
+  /** Signed-in user the consent is linked to (see identify()) */
+  userId?: string;
+  /** Per-vendor choices keyed by vendor ID (a vendor without one follows its category) */
+  vendors?: Record<string, boolean>;
+  /** Language the dialog was shown in */
+  language?: string;
+  [key: string]: unknown;
+}
+
+/**
+ * Browser privacy signal that drove a consent decision
+ * ('gpc' = Global Privacy Control, 'dnt' = Do Not Track)
+ */
+export type PrivacySignal = 'gpc' | 'dnt';
+
+/**
+ * Behavior when the stored consent was given for an older policy version
+ */
+export interface PolicyUpdateConfig {
+  reprompt: 'all' | 'changed';
+  changedCategories: string[];
 }
 
 /**
@@ -30,14 +151,66 @@ export interface CookieOptions {
   expires: number;
 }
 
+/**
+ * Built-in storage drivers ('remote' reads and writes through the remoteStorage fetcher)
+ */
+export type StorageMethod = 'localStorage' | 'sessionStorage' | 'cookie' | 'indexedDB' | 'memory' | 'remote';
+
+/**
+ * Backend for stored consent values
+ *
+ * Async drivers return promises; StorageAdapter then reads them through verify().
+ */
+export interface StorageDriver {
+  readonly name: string;
+  readonly async: boolean;
+  /** Check if the driver can be used here (e.g. cookies aren't blocked) */
+  isAvailable(): boolean;
+  get(key: string): string | null | Promise<string | null>;
+  set(key: string, value: string): void | Promise<void>;
+  remove(key: string): void | Promise<void>;
+}
+
+/**
+ * Request passed to a remote storage fetcher
+ */
+export interface RemoteStorageRequest {
+  action: 'get' | 'set' | 'remove';
+  key: string;
+  /** Encoded consent, for 'set' */
+  value?: string;
+}
+
+/**
+ * Reads and writes consent on a backend (resolves with the stored value for 'get')
+ */
+export type RemoteStorageFetcher = (request: RemoteStorageRequest) => Promise<string | null | void>;
+
+/**
+ * Storage driver, or drivers tried in order until one works
+ */
+export type StorageMethodConfig = StorageMethod | StorageDriver | Array<StorageMethod | StorageDriver>;
+
+/**
+ * Tamper-resistant consent storage ('hmac' signs the payload, 'aes-gcm' also encrypts it)
+ */
+export interface StorageEncryption {
+  method: 'hmac' | 'aes-gcm';
+  secret: string;
+  /** Load (and upgrade) plain JSON and Base64 values written before protection was enabled (default: false) */
+  acceptLegacy?: boolean;
+}
+
 /**
  * Floating button configuration
  */
 export interface FloatingButtonConfig {
   enabled: boolean;
+  /** Named for left-to-right layouts; mirrored when the dialog is right-to-left */
   position: 'bottom-left' | 'bottom-right';
   icon: 'cookie' | 'shield' | 'gear' | string;
-  label: string;
+  /** Defaults to content.floatingButton.label */
+  label: string | null;
   showIndicator: boolean;
   offset: { x: number; y: number };
 }
@@ -53,6 +226,7 @@ export interface GoogleConsentModeConfig {
     marketing: string[];
     functional: string[];
     preferences: string[];
+    [category: string]: string[];
   };
   adsDataRedaction: boolean;
   urlPassthrough: boolean;
@@ -93,6 +267,8 @@ export interface ContentConfig {
       customize: string;
       rejectAll: string;
       acceptAll: string;
+      /** Replaces rejectAll in opt-out (CCPA) regions */
+      doNotSell: string;
     };
   };
   settingsView: {
@@ -102,12 +278,72 @@ export interface ContentConfig {
       save: string;
     };
   };
+  /** Category labels (a label set on the category definition wins) */
+  categoryLabels: {
+    necessary: string;
+    functional: string;
+    preferences: string;
+    analytics: string;
+    marketing: string;
+    [category: string]: string;
+  };
   categories: {
     necessary: string;
     functional: string;
     preferences: string;
     analytics: string;
     marketing: string;
+    [category: string]: string;
+  };
+  /** Toggle status text and accessible names ({name} is the category label or vendor name) */
+  toggle: {
+    on: string;
+    off: string;
+    required: string;
+    updated: string;
+    label: string;
+    requiredLabel: string;
+    deniedLabel: string;
+  };
+  tcf: {
+    purposes: string;
+    specialFeatures: string;
+    vendors: string;
+    consent: string;
+    legitimateInterest: string;
+    privacyPolicy: string;
+  };
+  privacySignal: {
+    gpc: string;
+    dnt: string;
+  };
+  vendors: {
+    heading: string;
+    privacyPolicy: string;
+  };
+  /** Blocked-content placeholder ({category} is the category label) */
+  placeholder: {
+    blocked: string;
+    changeSettings: string;
+  };
+  /** Floating button name ({label}, {active} and {total} fill in the status) */
+  floatingButton: {
+    label: string;
+    status: string;
+  };
+  /** Screen reader announcements after a decision */
+  announcements: {
+    acceptAll: string;
+    rejectAll: string;
+    save: string;
+  };
+  cookieTable: {
+    name: string;
+    provider: string;
+    purpose: string;
+    duration: string;
+    category: string;
+    empty: string;
   };
 }
 
@@ -119,29 +355,604 @@ export type DeepPartial<T> = {
 };
 
 /**
- * Consent callback function type
+ * Consent callback function type (receives the new categories and what the decision changed)
+ */
+export type ConsentCallback = (categories: ConsentCategories, change: ConsentChange) => void | Promise<void>;
+
+/**
+ * User action that produced a consent decision ('api': setConsent())
+ */
+export type ConsentAction = 'accept_all' | 'reject_all' | 'save_preferences' | 'api';
+
+/**
+ * What changed consent ('external': another tab, a synced domain or the user's account;
+ * 'api': setConsent(), unless it was given another source)
+ */
+export type ConsentChangeSource = ConsentAction | 'external' | 'reset';
+
+/**
+ * Options for setConsent()
+ */
+export interface SetConsentOptions {
+  /** The change's source in callbacks and events: 'external' for a decision made elsewhere (default: 'api') */
+  source?: 'api' | 'external';
+}
+
+/**
+ * What a decision changed, compared with the decision in effect before it
+ */
+export interface ConsentChange {
+  source: ConsentChangeSource;
+  previous: ConsentCategories;
+  categories: ConsentCategories;
+  /** Categories whose state flipped (granted and revoked) */
+  changed: string[];
+  /** Categories allowed now that weren't before */
+  granted: string[];
+  /** Categories allowed before that aren't now: purge their data or call the vendors' opt-out APIs */
+  revoked: string[];
+  /** No decision was in effect before (first visit, or after expiry, a reset or a policy update asking again for everything) */
+  firstDecision: boolean;
+}
+
+/**
+ * Consent receipt sent to the receipt endpoint
+ */
+export interface ConsentReceipt {
+  consentId: string | null;
+  action: ConsentAction;
+  categories: ConsentCategories;
+  policyVersion: string | null;
+  privacySignal: PrivacySignal | null;
+  userId: string | null;
+  timestamp: string;
+  language: string;
+  userAgent: string;
+}
+
+/**
+ * Consent expiry callback function type (receives the expired consent)
+ */
+export type ExpireCallback = (consent: ConsentState) => void | Promise<void>;
+
+/**
+ * Request passed to an account consent fetcher
+ */
+export interface AccountConsentRequest {
+  action: 'get' | 'set';
+  userId: string;
+  /** Consent to store, for 'set' */
+  consent?: ConsentState;
+}
+
+/**
+ * Reads and writes a signed-in user's consent on your backend
+ * (resolves with the stored consent, or null, for 'get')
+ */
+export type AccountConsentFetcher = (request: AccountConsentRequest) => Promise<ConsentState | null | void>;
+
+/**
+ * Account and browser consent records with different choices
+ * ('resolution' is the newer one, which wins unless the callback picks the other)
+ */
+export interface ConsentConflict {
+  local: ConsentState;
+  remote: ConsentState;
+  resolution: 'local' | 'remote';
+}
+
+/**
+ * Consent conflict callback function type
+ */
+export type ConflictCallback = (
+  conflict: ConsentConflict
+) => 'local' | 'remote' | void | Promise<'local' | 'remote' | void>;
+
+/**
+ * Consent lifetime in days, either for every choice or per consent status
+ */
+export type ConsentMaxAge = number | Partial<Record<ConsentStatus, number>>;
+
+/**
+ * IAB TCF Global Vendor List entry for a purpose, special purpose, feature or special feature
+ */
+export interface GVLDeclaration {
+  id: number;
+  name: string;
+  description?: string;
+  illustrations?: string[];
+}
+
+/**
+ * IAB TCF Global Vendor List vendor
+ */
+export interface GVLVendor {
+  id: number;
+  name: string;
+  purposes: number[];
+  legIntPurposes: number[];
+  flexiblePurposes?: number[];
+  specialPurposes?: number[];
+  features?: number[];
+  specialFeatures?: number[];
+  policyUrl?: string;
+  deletedDate?: string;
+}
+
+/**
+ * IAB TCF Global Vendor List (vendor-list.json, v3 format)
+ */
+export interface GlobalVendorList {
+  gvlSpecificationVersion?: number;
+  vendorListVersion: number;
+  tcfPolicyVersion: number;
+  lastUpdated?: string;
+  purposes: Record<string, GVLDeclaration>;
+  specialPurposes?: Record<string, GVLDeclaration>;
+  features?: Record<string, GVLDeclaration>;
+  specialFeatures?: Record<string, GVLDeclaration>;
+  vendors: Record<string, GVLVendor>;
+}
+
+/**
+ * Decoded TC string (core segment plus disclosed vendors)
+ */
+export interface TCModel {
+  version: number;
+  created: Date;
+  lastUpdated: Date;
+  cmpId: number;
+  cmpVersion: number;
+  consentScreen: number;
+  consentLanguage: string;
+  vendorListVersion: number;
+  tcfPolicyVersion: number;
+  isServiceSpecific: boolean;
+  useNonStandardTexts: boolean;
+  specialFeatureOptins: number[];
+  purposeConsents: number[];
+  purposeLegitimateInterests: number[];
+  purposeOneTreatment: boolean;
+  publisherCC: string;
+  vendorConsents: number[];
+  vendorLegitimateInterests: number[];
+  disclosedVendors: number[];
+}
+
+/**
+ * TCF module configuration
+ */
+export interface TCFConfig {
+  gvl: GlobalVendorList;
+  cmpId: number;
+  cmpVersion: number;
+  consentLanguage: string;
+  publisherCC: string;
+  gdprApplies: boolean;
+  isServiceSpecific: boolean;
+  purposeOneTreatment: boolean;
+  cookieName: string;
+  cookieOptions: Partial<CookieOptions>;
+  /** TCF purpose IDs each consent category stands for */
+  categoryPurposes: Record<string, number[]>;
+}
+
+/**
+ * A consent or legitimate-interest choice the user can make in the TCF UI
+ */
+export type TCFChoiceType = 'purpose' | 'purposeLegitimateInterest' | 'vendor' | 'vendorLegitimateInterest' | 'specialFeature';
+
+/**
+ * TCF purpose or special feature with its current state (for rendering toggles)
  */
-export type ConsentCallback = (categories: ConsentCategories) => void | Promise<void>;
+export interface TCFPurposeInfo extends GVLDeclaration {
+  consent: boolean;
+  legitimateInterest: boolean;
+  legitimateInterestAllowed: boolean;
+}
+
+/**
+ * TCF vendor with its current state (for rendering toggles)
+ */
+export interface TCFVendorInfo {
+  id: number;
+  name: string;
+  policyUrl?: string;
+  purposes: number[];
+  legIntPurposes: number[];
+  consent: boolean;
+  legitimateInterest: boolean;
+}
+
+/**
+ * TCF CMP UI display status
+ */
+export type TCFDisplayStatus = 'visible' | 'hidden' | 'disabled';
+
+/**
+ * TCF event status reported to __tcfapi listeners
+ */
+export type TCFEventStatus = 'tcloaded' | 'cmpuishown' | 'useractioncomplete';
+
+/**
+ * Object returned by the __tcfapi 'getTCData' command and passed to listeners
+ */
+export interface TCData {
+  tcString: string;
+  tcfPolicyVersion: number;
+  cmpId: number;
+  cmpVersion: number;
+  gdprApplies: boolean;
+  eventStatus: TCFEventStatus;
+  cmpStatus: 'loaded';
+  listenerId?: number;
+  isServiceSpecific: boolean;
+  useNonStandardTexts: boolean;
+  publisherCC: string;
+  purposeOneTreatment: boolean;
+  purpose: {
+    consents: Record<number, boolean>;
+    legitimateInterests: Record<number, boolean>;
+  };
+  vendor: {
+    consents: Record<number, boolean>;
+    legitimateInterests: Record<number, boolean>;
+  };
+  specialFeatureOptins: Record<number, boolean>;
+  publisher: {
+    consents: Record<number, boolean>;
+    legitimateInterests: Record<number, boolean>;
+    customPurpose: {
+      consents: Record<number, boolean>;
+      legitimateInterests: Record<number, boolean>;
+    };
+    restrictions: Record<number, Record<number, number>>;
+  };
+}
+
+/**
+ * Object returned by the __tcfapi 'ping' command
+ */
+export interface TCFPingReturn {
+  gdprApplies: boolean;
+  cmpLoaded: boolean;
+  cmpStatus: 'stub' | 'loaded';
+  displayStatus: TCFDisplayStatus;
+  apiVersion: string;
+  cmpVersion: number;
+  cmpId: number;
+  gvlVersion: number;
+  tcfPolicyVersion: number;
+}
+
+/**
+ * Callback passed to __tcfapi
+ */
+export type TCFCallback = (result: TCData | TCFPingReturn | boolean | null, success: boolean) => void;
+
+/**
+ * The window.__tcfapi function
+ */
+export type TCFApi = (command: string, version: number, callback: TCFCallback, parameter?: unknown) => unknown;
+
+/**
+ * GPP sections cconsent can emit (7 = usnat, 8 = usca)
+ */
+export type GPPSectionName = 'usnat' | 'usca';
+
+/**
+ * GPP US National Privacy section (usnat v1)
+ *
+ * Field values follow the GPP spec: 0 = not applicable, 1 = yes / opted out,
+ * 2 = no / did not opt out.
+ */
+export interface UsNatSection {
+  Version: number;
+  SharingNotice: number;
+  SaleOptOutNotice: number;
+  SharingOptOutNotice: number;
+  TargetedAdvertisingOptOutNotice: number;
+  SensitiveDataProcessingOptOutNotice: number;
+  SensitiveDataLimitUseNotice: number;
+  SaleOptOut: number;
+  SharingOptOut: number;
+  TargetedAdvertisingOptOut: number;
+  SensitiveDataProcessing: number[];
+  KnownChildSensitiveDataConsents: number[];
+  PersonalDataConsents: number;
+  MspaCoveredTransaction: number;
+  MspaOptOutOptionMode: number;
+  MspaServiceProviderMode: number;
+  Gpc?: boolean;
+}
+
+/**
+ * GPP US California section (usca v1)
+ */
+export interface UsCaSection {
+  Version: number;
+  SaleOptOutNotice: number;
+  SharingOptOutNotice: number;
+  SensitiveDataLimitUseNotice: number;
+  SaleOptOut: number;
+  SharingOptOut: number;
+  SensitiveDataProcessing: number[];
+  KnownChildSensitiveDataConsents: number[];
+  PersonalDataConsents: number;
+  MspaCoveredTransaction: number;
+  MspaOptOutOptionMode: number;
+  MspaServiceProviderMode: number;
+  Gpc?: boolean;
+}
+
+/**
+ * Decoded GPP string sections
+ */
+export interface GPPSections {
+  usnat?: UsNatSection;
+  usca?: UsCaSection;
+}
+
+/**
+ * US opt-out choices a user can make ("Do Not Sell/Share")
+ */
+export type USOptOut = 'sale' | 'sharing' | 'targetedAdvertising';
+
+/**
+ * GPP module configuration
+ */
+export interface GPPConfig {
+  cmpId: number;
+  cmpVersion: number;
+  sections: GPPSectionName[];
+  /** Section IDs that apply to this visitor ([-1] = none) */
+  applicableSections: number[];
+  /** Covered by the IAB Multi-State Privacy Agreement (also sets the USP LSPA flag) */
+  mspaCovered: boolean;
+  /** Categories whose denial counts as opting out; the user is opted out when none is allowed */
+  mapping: Record<USOptOut, string[]>;
+}
+
+/**
+ * GPP CMP display status
+ */
+export type GPPDisplayStatus = 'visible' | 'hidden' | 'disabled';
+
+/**
+ * Object returned by the __gpp 'ping' command
+ */
+export interface GPPPingReturn {
+  gppVersion: string;
+  cmpStatus: 'stub' | 'loaded';
+  cmpDisplayStatus: GPPDisplayStatus;
+  signalStatus: 'ready' | 'not ready';
+  supportedAPIs: string[];
+  cmpId: number;
+  sectionList: number[];
+  applicableSections: number[];
+  gppString: string;
+  parsedSections: GPPSections;
+}
+
+/**
+ * Object passed to __gpp event listeners
+ */
+export interface GPPEventData {
+  eventName: 'listenerRegistered' | 'cmpDisplayStatus' | 'sectionChange' | 'signalStatus';
+  listenerId: number;
+  data: unknown;
+  pingData: GPPPingReturn;
+}
+
+/**
+ * Callback passed to __gpp
+ */
+export type GPPCallback = (data: unknown, success: boolean) => void;
+
+/**
+ * The window.__gpp function
+ */
+export type GPPApi = (command: string, callback: GPPCallback, parameter?: unknown, version?: string) => unknown;
+
+/**
+ * Object returned by the __uspapi 'getUSPData' command
+ */
+export interface USPData {
+  version: number;
+  uspString: string;
+}
+
+/**
+ * The window.__uspapi function
+ */
+export type USPApi = (command: string, version: number, callback: (data: USPData | null, success: boolean) => void) => unknown;
+
+/**
+ * Consent sync client configuration
+ */
+export interface ConsentSyncConfig {
+  /** URL of the hub page on the primary domain */
+  hubUrl: string;
+  /** Shared secret used to sign messages (must match the hub) */
+  secret?: string;
+  /** Milliseconds to wait for the hub before falling back to local consent */
+  timeout: number;
+}
+
+/**
+ * Consent sync hub configuration
+ */
+export interface ConsentHubConfig {
+  /** Origins allowed to read and write the shared consent ('https://*.example.com' matches subdomains) */
+  allowedOrigins: string[];
+  /** Shared secret used to sign messages (must match the clients) */
+  secret?: string;
+  /** localStorage key for the shared consent on the hub's domain */
+  storageKey: string;
+}
+
+/**
+ * Message exchanged between a sync client and the hub
+ * ('get' and 'set' are sent by clients; 'result' and 'change' by the hub)
+ */
+export interface ConsentSyncMessage {
+  cconsent: 'sync';
+  type: 'get' | 'set' | 'result' | 'change';
+  id: number;
+  consent: ConsentState | null;
+  signature?: string;
+}
+
+/**
+ * A known tracker the scanner recognizes
+ */
+export interface TrackerDefinition {
+  name: string;
+  /** Category suggested for the tracker's scripts, iframes, cookies and keys */
+  category: string;
+  /** Script and iframe hosts, optionally with a path prefix (e.g. 'googletagmanager.com/gtag/') */
+  hosts: string[];
+  cookies?: NamePattern[];
+  storageKeys?: NamePattern[];
+}
+
+/**
+ * Tracker scanner configuration
+ */
+export interface TrackerScannerConfig {
+  /** Milliseconds between cookie and localStorage checks */
+  interval: number;
+  /** Extra trackers, checked before the bundled ones */
+  trackers: TrackerDefinition[];
+}
+
+/**
+ * An untagged script or iframe, or a cookie or localStorage key, found by the scanner
+ */
+export interface TrackerReportItem {
+  type: 'script' | 'iframe' | 'cookie' | 'localStorage';
+  /** URL for scripts and iframes, name for cookies and keys */
+  name: string;
+  /** Name of the matching known tracker (null when unknown) */
+  tracker: string | null;
+  suggestedCategory: string | null;
+  firstSeen: string;
+}
+
+/**
+ * Auto-blocking configuration
+ */
+export interface AutoBlockConfig {
+  /** Extra script and iframe hosts (optionally with a path prefix) and the category each needs, checked before the built-in ones */
+  domains: Record<string, string>;
+}
+
+/**
+ * Built-in color scheme ('auto' follows prefers-color-scheme)
+ */
+export type ThemeMode = 'dark' | 'light' | 'auto';
+
+/**
+ * Theme: a color scheme plus CSS custom property values set on the dialog, overlay,
+ * floating button and blocked-content placeholders (surfacePrimary sets --cc-surface-primary)
+ */
+export interface ThemeConfig {
+  mode?: ThemeMode;
+  surfacePrimary?: string;
+  surfaceSecondary?: string;
+  textPrimary?: string;
+  textSecondary?: string;
+  textMuted?: string;
+  borderDefault?: string;
+  toggleOn?: string;
+  toggleOff?: string;
+  toggleDisabled?: string;
+  toggleOffBorder?: string;
+  toggleThumb?: string;
+  buttonPrimaryHover?: string;
+  hoverTint?: string;
+  overlay?: string;
+  statusAll?: string;
+  statusPartial?: string;
+  statusEssential?: string;
+  modalShadow?: string;
+  floatingShadow?: string;
+  floatingShadowHover?: string;
+  fontFamily?: string;
+  modalWidth?: string;
+  modalPadding?: string;
+  modalRadius?: string;
+  buttonRadius?: string;
+  cardRadius?: string;
+  positionMargin?: string;
+  /** Any other custom property, by its full name */
+  [property: `--cc-${string}`]: string | undefined;
+}
+
+/**
+ * Where the dialog is shown: an overlay modal (a bottom sheet on mobile), a bottom bar,
+ * a corner box, or a preferences panel inside a container element
+ */
+export type LayoutType = 'modal' | 'bar' | 'box' | 'inline';
+
+/**
+ * Layout configuration
+ */
+export interface LayoutConfig {
+  type: LayoutType;
+  /** Element or selector the inline panel is rendered into (a modal is shown when it is missing) */
+  container?: HTMLElement | string;
+}
 
 /**
  * Main configuration options
  */
 export interface CookieConsentConfig {
   storageKey?: string;
-  storageMethod?: 'localStorage' | 'cookie';
+  storageMethod?: StorageMethodConfig;
+  remoteStorage?: RemoteStorageFetcher;
   cookieOptions?: Partial<CookieOptions>;
-  encryption?: boolean;
+  cookieCleanup?: Partial<CookieCleanupConfig>;
+  scanner?: boolean | Partial<TrackerScannerConfig>;
+  autoBlock?: boolean | Partial<AutoBlockConfig>;
+  encryption?: boolean | StorageEncryption;
   generateConsentId?: boolean;
+  consentMaxAge?: ConsentMaxAge;
   policyUrl?: string;
+  policyVersion?: string;
+  policyUpdate?: Partial<PolicyUpdateConfig>;
+  receiptEndpoint?: string;
+  respectGPC?: boolean;
+  respectDoNotTrack?: boolean;
+  privacySignalCategories?: string[];
+  tcf?: TCFManager;
+  gpp?: GPPManager;
+  sync?: ConsentSync;
+  categories?: Record<string, Partial<CategoryDefinition>>;
   debug?: boolean;
   legacyMode?: boolean;
   floatingButton?: Partial<FloatingButtonConfig>;
   googleConsentMode?: Partial<GoogleConsentModeConfig>;
   geo?: Partial<GeoConfig>;
+  /** Language code, or 'auto' to use <html lang> and the browser's languages (default: 'auto') */
+  language?: string;
+  /** Content keyed by language code, e.g. { de } with de from 'cconsent/locales/de' (English is built in) */
+  translations?: Record<string, DeepPartial<ContentConfig>>;
+  /** Text direction of the dialog, or 'auto' to follow the language or the page (default: 'auto') */
+  direction?: 'auto' | 'ltr' | 'rtl';
+  /** Color scheme, or a scheme plus CSS custom property values (default: 'dark') */
+  theme?: ThemeMode | ThemeConfig;
+  /** Dialog layout (default: 'modal'); only the modal has an overlay, traps focus and locks scrolling */
+  layout?: LayoutType | LayoutConfig;
+  /** Render the dialog and floating button (false: headless, draw your own UI from getState()) */
+  ui?: boolean;
+  /** Overrides applied in every language */
   content?: DeepPartial<ContentConfig>;
   onAccept?: ConsentCallback;
   onReject?: ConsentCallback;
   onSave?: ConsentCallback;
+  onExpire?: ExpireCallback;
+  onConflict?: ConflictCallback;
 }
 
 /**
@@ -154,6 +965,114 @@ export type ConsentStatus = 'all' | 'partial' | 'essential';
  */
 export type ConsentMode = 'opt-in' | 'opt-out' | 'none';
 
+/**
+ * The view of the dialog being shown (null when hidden)
+ */
+export type ConsentView = 'banner' | 'preferences' | null;
+
+/**
+ * A vendor as shown in the preferences
+ */
+export interface ConsentUIVendor {
+  id: string;
+  name: string;
+  description: string | null;
+  policyUrl: string | null;
+  /** Whether the vendor's switch is on */
+  enabled: boolean;
+}
+
+/**
+ * A category as shown in the preferences, with its text in the current language
+ */
+export interface ConsentUICategory {
+  name: string;
+  label: string;
+  description: string;
+  /** Always on (its switch is disabled) */
+  required: boolean;
+  /** Kept off by a privacy signal (its switch is disabled) */
+  denied: boolean;
+  /** Added or changed since the stored policy version */
+  updated: boolean;
+  /** Whether the category's switch is on */
+  enabled: boolean;
+  vendors: ConsentUIVendor[];
+}
+
+/**
+ * Snapshot of the dialog and consent state, for custom (headless) UIs
+ */
+export interface ConsentUIState {
+  initialized: boolean;
+  /** No decision has been made yet, or one is needed again */
+  dialogNeeded: boolean;
+  view: ConsentView;
+  /** Current choices, including ones not saved yet */
+  categories: ConsentCategories;
+  vendors: Record<string, boolean>;
+  /** Categories in display order */
+  categoryList: ConsentUICategory[];
+  /** Status of the stored decision */
+  status: ConsentStatus;
+  consentMode: ConsentMode;
+  /** Detected country code (null without geo detection) */
+  region: string | null;
+  privacySignal: PrivacySignal | null;
+  language: string;
+  direction: 'ltr' | 'rtl';
+  policyUrl: string;
+  /** UI text in the current language */
+  content: ContentConfig;
+}
+
+/**
+ * Called with a new snapshot after each state change
+ */
+export type ConsentStateListener = (state: ConsentUIState) => void;
+
+/**
+ * A managed script or iframe, as passed to script and iframe events
+ */
+export interface ManagedElementDetail {
+  element: HTMLScriptElement | HTMLIFrameElement;
+  /** Original URL (null for inline scripts) */
+  src: string | null;
+  /** Value of data-cookie-category */
+  category: string;
+  vendor: string | null;
+}
+
+/**
+ * Lifecycle events and their details, for on(), off() and once()
+ *
+ * Each event is also dispatched on document as a cconsent:<event> CustomEvent.
+ */
+export interface ConsentEventMap {
+  /** init() finished */
+  init: { consent: ConsentState | null; dialogNeeded: boolean };
+  /** The dialog (or a custom UI, with ui: false) opened */
+  'dialog:show': { view: Exclude<ConsentView, null> };
+  /** The dialog closed; view is the one it showed */
+  'dialog:hide': { view: Exclude<ConsentView, null> };
+  'view:change': { view: ConsentView; previous: ConsentView };
+  /** A decision was made, applied from elsewhere or reset */
+  'consent:change': ConsentChange;
+  /** A category was switched in the preferences (not saved yet) */
+  'category:toggle': { category: string; allowed: boolean };
+  'script:allowed': ManagedElementDetail;
+  'script:blocked': ManagedElementDetail;
+  'iframe:unblocked': ManagedElementDetail;
+  /** region is the region type: 'gdpr', 'ccpa', 'lgpd' or 'default' */
+  'geo:detected': { country: string | null; region: string; consentMode: ConsentMode };
+  /** A stored decision outlived consentMaxAge and was cleared */
+  expired: { consent: ConsentState };
+}
+
+export type ConsentEventName = keyof ConsentEventMap;
+
+export type ConsentEventListener<K extends ConsentEventName> = (detail: ConsentEventMap[K]) => void;
+
 /**
  * Managed script info
  */
@@ -189,8 +1108,12 @@ export interface DebugExport {
   timestamp: string;
   storageKey: string;
   storageMethod: string;
-  encryption: boolean;
+  encryption: boolean | StorageEncryption['method'];
   consentId: string | null;
+  privacySignal: PrivacySignal | null;
+  removed: RemovedItem[];
+  /** Scanner findings (null when the scanner is off) */
+  trackerReport: TrackerReportItem[] | null;
   debugEnabled: boolean;
 }
 
@@ -203,6 +1126,7 @@ export interface CookieConsentAPI {
   hide: () => void;
   getConsent: () => ConsentState | null;
   isAllowed: (category: keyof ConsentCategories) => boolean;
+  getCategories: () => ConsentCategories;
   resetConsent: () => void;
   getStatus: () => ConsentStatus;
   scanScripts: () => void;
@@ -216,5 +1140,8 @@ declare global {
     CookieConsent?: CookieConsentAPI;
     dataLayer?: unknown[];
     gtag?: (...args: unknown[]) => void;
+    __tcfapi?: TCFApi;
+    __gpp?: GPPApi;
+    __uspapi?: USPApi;
   }
 }
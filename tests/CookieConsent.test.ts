@@ -0,0 +1,530 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+// @ts-expect-error The browser build has no type declarations
+import CookieConsent from '../js/cookie-consent.js';
+import de from '../src/locales/de';
+
+describe('CookieConsent', () => {
+  let consent: InstanceType<typeof CookieConsent>;
+
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    consent?.destroy();
+    localStorage.clear();
+  });
+
+  describe('setConsent', () => {
+    it('should apply the decision like the dialog and send an api receipt', async () => {
+      const fetch = vi.fn(async (_url: string, _init: RequestInit) => ({ ok: true }));
+      vi.stubGlobal('fetch', fetch);
+      const onSave = vi.fn();
+      consent = new CookieConsent({ ui: false, receiptEndpoint: 'https://example.com/receipts', onSave });
+      await consent.init();
+
+      await consent.setConsent({ analytics: true, unknown: true }, { source: 'external' });
+      vi.unstubAllGlobals();
+
+      expect(consent.isAllowed('analytics')).toBe(true);
+      expect(consent.isAllowed('marketing')).toBe(false);
+      expect(JSON.parse(fetch.mock.calls[0][1].body as string)).toMatchObject({ action: 'api' });
+      expect(onSave).toHaveBeenCalledWith(
+        expect.objectContaining({ analytics: true }),
+        expect.objectContaining({ source: 'external', granted: ['analytics'], firstDecision: true })
+      );
+    });
+  });
+
+  describe('consent expiry', () => {
+    it('should report onExpire errors and still ask again', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      consent = new CookieConsent({ ui: false });
+      await consent.init();
+      await consent.acceptAll();
+      consent.destroy();
+
+      const now = vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 31 * 24 * 60 * 60 * 1000);
+      consent = new CookieConsent({
+        consentMaxAge: 30,
+        onExpire: () => {
+          throw new Error('boom');
+        }
+      });
+      await consent.init();
+      now.mockRestore();
+
+      expect(consent.getConsent()).toBeNull();
+      expect(consent.getState().dialogNeeded).toBe(true);
+      expect(document.querySelector('.cc-modal')).not.toBeNull();
+      expect(error).toHaveBeenCalledWith('Cookie consent: onExpire callback failed', expect.any(Error));
+      error.mockRestore();
+    });
+  });
+
+  describe('events', () => {
+    it('should call listeners until they are removed, and once listeners a single time', async () => {
+      consent = new CookieConsent({ ui: false });
+      await consent.init();
+      const listener = vi.fn();
+      const onceListener = vi.fn();
+      const removed = vi.fn();
+
+      const off = consent.on('consent:change', listener);
+      consent.once('consent:change', onceListener);
+      consent.on('consent:change', removed);
+      consent.off('consent:change', removed);
+
+      await consent.acceptAll();
+      off();
+      await consent.rejectAll();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ source: 'accept_all', firstDecision: true }));
+      expect(onceListener).toHaveBeenCalledTimes(1);
+      expect(removed).not.toHaveBeenCalled();
+    });
+
+    it('should compare a first decision with the category defaults', async () => {
+      consent = new CookieConsent({ ui: false, categories: { functional: { default: true } } });
+      await consent.init();
+      const listener = vi.fn();
+      consent.on('consent:change', listener);
+
+      await consent.rejectAll();
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        firstDecision: true,
+        previous: expect.objectContaining({ functional: true }),
+        granted: [],
+        revoked: ['functional']
+      }));
+    });
+
+    it('should remove a once listener with off() before it fires', async () => {
+      consent = new CookieConsent({ ui: false });
+      await consent.init();
+      const listener = vi.fn();
+
+      consent.once('consent:change', listener);
+      consent.off('consent:change', listener);
+      await consent.acceptAll();
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should dispatch cconsent:* DOM events', async () => {
+      const onInit = vi.fn();
+      const onChange = vi.fn();
+      document.addEventListener('cconsent:init', onInit);
+      document.addEventListener('cconsent:consent:change', onChange);
+
+      consent = new CookieConsent({ ui: false });
+      await consent.init();
+      await consent.rejectAll();
+      document.removeEventListener('cconsent:init', onInit);
+      document.removeEventListener('cconsent:consent:change', onChange);
+
+      expect(onInit.mock.calls[0][0].detail).toMatchObject({ consent: null, dialogNeeded: true });
+      expect(onChange.mock.calls[0][0].detail).toMatchObject({ source: 'reject_all' });
+    });
+
+    it('should report listener errors and still dispatch the event', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const onChange = vi.fn();
+      document.addEventListener('cconsent:consent:change', onChange);
+      consent = new CookieConsent({ ui: false });
+      await consent.init();
+      consent.on('consent:change', () => {
+        throw new Error('boom');
+      });
+
+      await consent.acceptAll();
+      document.removeEventListener('cconsent:consent:change', onChange);
+
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(error).toHaveBeenCalledWith("Cookie consent: 'consent:change' listener failed", expect.any(Error));
+      error.mockRestore();
+    });
+  });
+
+  describe('headless state', () => {
+    it('should send state snapshots to subscribers until they unsubscribe', async () => {
+      consent = new CookieConsent({ ui: false });
+      const states: Array<Record<string, any>> = [];
+      const unsubscribe = consent.subscribe((state: Record<string, any>) => states.push(state));
+      await consent.init();
+
+      expect(states[states.length - 1]).toMatchObject({ initialized: true, dialogNeeded: true, status: 'essential' });
+      expect(document.querySelector('.cc-modal')).toBeNull();
+
+      consent.setCategoryChoice('analytics', true);
+      expect(states[states.length - 1].categories.analytics).toBe(true);
+      expect(states[states.length - 1].dialogNeeded).toBe(true);
+
+      await consent.acceptAll();
+      expect(states[states.length - 1]).toMatchObject({ dialogNeeded: false, status: 'all' });
+
+      const count = states.length;
+      unsubscribe();
+      await consent.rejectAll();
+      expect(states).toHaveLength(count);
+    });
+
+    it('should report state listener errors and keep notifying', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const listener = vi.fn();
+      consent = new CookieConsent({ ui: false });
+      consent.subscribe(() => {
+        throw new Error('boom');
+      });
+      consent.subscribe(listener);
+
+      await consent.init();
+
+      expect(listener).toHaveBeenCalled();
+      expect(error).toHaveBeenCalledWith('Cookie consent: State listener failed', expect.any(Error));
+      error.mockRestore();
+    });
+  });
+
+  describe('themes', () => {
+    it.each(['dark', 'light', 'auto'])('should apply the %s theme to the dialog and overlay', async (mode) => {
+      consent = new CookieConsent({ theme: mode });
+      await consent.init();
+
+      expect(document.querySelector('.cc-modal')?.classList.contains(`cc-theme-${mode}`)).toBe(true);
+      expect(document.querySelector('.cc-overlay')?.classList.contains(`cc-theme-${mode}`)).toBe(true);
+    });
+
+    it('should use the dark theme for an unknown mode', async () => {
+      consent = new CookieConsent({ theme: 'sepia' });
+      await consent.init();
+
+      expect(document.querySelector('.cc-modal')?.classList.contains('cc-theme-dark')).toBe(true);
+    });
+
+    it('should map theme values to --cc-* custom properties', async () => {
+      consent = new CookieConsent({ theme: { mode: 'light', surfacePrimary: '#fff', '--cc-radius': '4px', accent: null } });
+      await consent.init();
+      const modal = document.querySelector('.cc-modal') as HTMLElement;
+
+      expect(modal.classList.contains('cc-theme-light')).toBe(true);
+      expect(modal.style.getPropertyValue('--cc-surface-primary')).toBe('#fff');
+      expect(modal.style.getPropertyValue('--cc-radius')).toBe('4px');
+      expect(modal.style.getPropertyValue('--cc-accent')).toBe('');
+    });
+
+    it('should switch the theme of every element at runtime', async () => {
+      consent = new CookieConsent({ theme: { mode: 'light', surfacePrimary: '#fff' }, floatingButton: { enabled: true } });
+      await consent.init();
+      await consent.acceptAll();
+
+      consent.setTheme({ mode: 'auto', textPrimary: '#111' });
+
+      const elements = ['.cc-modal', '.cc-overlay', '.cc-floating-btn'].map(
+        (selector) => document.querySelector(selector) as HTMLElement
+      );
+      elements.forEach((element) => {
+        expect(element.classList.contains('cc-theme-auto')).toBe(true);
+        expect(element.classList.contains('cc-theme-light')).toBe(false);
+        expect(element.style.getPropertyValue('--cc-surface-primary')).toBe('');
+        expect(element.style.getPropertyValue('--cc-text-primary')).toBe('#111');
+      });
+    });
+  });
+
+  describe('text direction', () => {
+    const ar = { toggle: { on: 'تشغيل' } };
+
+    afterEach(() => {
+      document.documentElement.lang = '';
+      document.documentElement.dir = '';
+    });
+
+    it('should use an explicit direction whatever the language', async () => {
+      consent = new CookieConsent({ direction: 'rtl' });
+      await consent.init();
+      expect(document.querySelector('.cc-modal')?.getAttribute('dir')).toBe('rtl');
+      consent.destroy();
+
+      document.documentElement.dir = 'rtl';
+      consent = new CookieConsent({ ui: false, direction: 'ltr', language: 'ar', translations: { ar } });
+      expect(consent.getState().direction).toBe('ltr');
+    });
+
+    it('should follow the language, also when it changes', async () => {
+      consent = new CookieConsent({ language: 'ar', translations: { ar } });
+      await consent.init();
+      expect(document.querySelector('.cc-modal')?.getAttribute('dir')).toBe('rtl');
+
+      consent.setLanguage('en');
+      expect(document.querySelector('.cc-modal')?.getAttribute('dir')).toBe('ltr');
+      expect(consent.getState().direction).toBe('ltr');
+    });
+
+    it('should inherit the page direction while showing the page language', () => {
+      document.documentElement.dir = 'rtl';
+      expect(new CookieConsent({ ui: false }).getState().direction).toBe('rtl');
+
+      // Hebrew pages without a translation get English text, e.g. replaced through `content`
+      document.documentElement.dir = '';
+      document.documentElement.lang = 'he';
+      expect(new CookieConsent({ ui: false }).getState().direction).toBe('rtl');
+
+      // A translation that isn't the page's language keeps its own direction
+      expect(new CookieConsent({ ui: false, language: 'de', translations: { de } }).getState().direction).toBe('ltr');
+    });
+  });
+
+  describe('languages', () => {
+    afterEach(() => {
+      document.documentElement.lang = '';
+    });
+
+    it('should only offer English and the languages passed through translations', () => {
+      document.documentElement.lang = 'de-AT';
+
+      expect(new CookieConsent({ ui: false }).getLanguage()).toBe('en');
+
+      consent = new CookieConsent({ ui: false, translations: { de, 'de-AT': { toggle: { on: 'Ein' } } } });
+      expect(consent.getLanguages()).toEqual(['en', 'de', 'de-AT']);
+      expect(consent.getLanguage()).toBe('de-AT');
+      expect(consent.getState().content.initialView.heading).toBe(de.initialView?.heading);
+      expect(consent.getState().content.toggle.on).toBe('Ein');
+    });
+  });
+
+  describe('setLanguage', () => {
+    it('should keep unsaved toggles and bind window listeners once', async () => {
+      const addListener = vi.spyOn(window, 'addEventListener');
+      consent = new CookieConsent({
+        translations: { de },
+        categories: { analytics: { vendors: [{ id: 'hotjar', name: 'Hotjar' }] } }
+      });
+      await consent.init();
+      consent.showSettings();
+
+      const toggle = (selector: string) => {
+        const input = document.querySelector(selector) as HTMLInputElement;
+        input.checked = !input.checked;
+        input.dispatchEvent(new Event('change'));
+      };
+      toggle('.cc-toggle-input[data-category="marketing"]');
+      toggle('.cc-toggle-input[data-vendor="hotjar"]');
+      const resizeListeners = () => addListener.mock.calls.filter(([type]) => type === 'resize').length;
+      const bound = resizeListeners();
+
+      consent.setLanguage('de');
+      consent.setLanguage('en');
+
+      expect(document.querySelectorAll('.cc-modal')).toHaveLength(1);
+      expect((document.querySelector('.cc-toggle-input[data-category="marketing"]') as HTMLInputElement).checked).toBe(true);
+      expect((document.querySelector('.cc-toggle-input[data-vendor="hotjar"]') as HTMLInputElement).checked).toBe(false);
+      expect(consent.getState().vendors).toMatchObject({ hotjar: false });
+      expect(resizeListeners()).toBe(bound);
+      addListener.mockRestore();
+    });
+  });
+
+  describe('layouts', () => {
+    const press = (key: string) => {
+      const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+      document.querySelector('.cc-modal')?.dispatchEvent(event);
+      return event;
+    };
+    const focusLastButton = () => {
+      const buttons = document.querySelectorAll<HTMLElement>('.cc-modal .cc-active button, .cc-modal .cc-active [href]');
+      buttons[buttons.length - 1].focus();
+      return buttons[0];
+    };
+
+    afterEach(() => {
+      document.body.style.overflow = '';
+    });
+
+    it('should trap focus and lock scrolling behind an overlay in the modal layout', async () => {
+      consent = new CookieConsent({ layout: 'modal' });
+      await consent.init();
+      const modal = document.querySelector('.cc-modal') as HTMLElement;
+
+      expect(modal.classList.contains('cc-layout-modal')).toBe(true);
+      expect(modal.getAttribute('aria-modal')).toBe('true');
+      expect(document.querySelector('.cc-overlay')?.classList.contains('cc-visible')).toBe(true);
+      expect(document.body.style.overflow).toBe('hidden');
+
+      const first = focusLastButton();
+      expect(press('Tab').defaultPrevented).toBe(true);
+      expect(document.activeElement).toBe(first);
+
+      press('Escape');
+      await vi.waitFor(() => expect(consent.getConsent()).not.toBeNull());
+      expect(consent.isAllowed('analytics')).toBe(false);
+      expect(modal.classList.contains('cc-visible')).toBe(false);
+      expect(document.body.style.overflow).toBe('');
+    });
+
+    it.each(['bar', 'box'])('should leave the page usable in the %s layout', async (layout) => {
+      consent = new CookieConsent({ layout });
+      await consent.init();
+      const modal = document.querySelector('.cc-modal') as HTMLElement;
+
+      expect(modal.classList.contains(`cc-layout-${layout}`)).toBe(true);
+      expect(modal.getAttribute('role')).toBe('dialog');
+      expect(modal.getAttribute('aria-modal')).toBe('false');
+      expect(document.querySelector('.cc-overlay')).toBeNull();
+      expect(document.body.style.overflow).toBe('');
+
+      focusLastButton();
+      expect(press('Tab').defaultPrevented).toBe(false);
+
+      press('Escape');
+      await vi.waitFor(() => expect(consent.getConsent()).not.toBeNull());
+      expect(modal.classList.contains('cc-visible')).toBe(false);
+    });
+
+    it('should render the preferences into the inline container and keep them after a decision', async () => {
+      document.body.innerHTML = '<div id="privacy-settings"></div>';
+      consent = new CookieConsent({
+        layout: { type: 'inline', container: '#privacy-settings' },
+        floatingButton: { enabled: true }
+      });
+      await consent.init();
+      const modal = document.querySelector('#privacy-settings > .cc-modal') as HTMLElement;
+
+      expect(modal.classList.contains('cc-layout-inline')).toBe(true);
+      expect(modal.getAttribute('role')).toBe('region');
+      expect(modal.hasAttribute('aria-modal')).toBe(false);
+      expect(modal.querySelector('.cc-active .cc-toggle-input')).not.toBeNull();
+      expect(document.querySelector('.cc-overlay')).toBeNull();
+      expect(document.body.style.overflow).toBe('');
+
+      expect(press('Escape').defaultPrevented).toBe(false);
+      expect(consent.getConsent()).toBeNull();
+
+      await consent.acceptAll();
+      expect(modal.classList.contains('cc-visible')).toBe(true);
+      expect((modal.querySelector('.cc-toggle-input[data-category="marketing"]') as HTMLInputElement).checked).toBe(true);
+      expect(document.querySelector('.cc-floating-btn')).toBeNull();
+    });
+
+    it('should fall back to the modal layout when the inline container is missing', async () => {
+      consent = new CookieConsent({ layout: { type: 'inline', container: '#missing' } });
+      await consent.init();
+
+      expect(document.querySelector('.cc-modal')?.classList.contains('cc-layout-modal')).toBe(true);
+      expect(document.querySelector('.cc-overlay')).not.toBeNull();
+      expect(document.body.style.overflow).toBe('hidden');
+    });
+  });
+
+  describe('tab sync', () => {
+    it('should report callback errors for a decision made in another tab', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      consent = new CookieConsent({
+        ui: false,
+        onAccept: () => {
+          throw new Error('boom');
+        }
+      });
+      await consent.init();
+      const otherTab = new CookieConsent({ ui: false });
+      await otherTab.init();
+      await otherTab.acceptAll();
+      otherTab.destroy();
+
+      window.dispatchEvent(new StorageEvent('storage', { key: 'cookie_consent' }));
+
+      await vi.waitFor(() => expect(error).toHaveBeenCalledWith('Cookie consent: Consent callback failed', expect.any(Error)));
+      expect(consent.isAllowed('marketing')).toBe(true);
+      error.mockRestore();
+    });
+  });
+
+  describe('consent sync', () => {
+    it('should report callback errors for a decision made on another site', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const sync = {
+        onChange: null as ((consent: object | null) => void) | null,
+        connect: async () => null,
+        publish: async () => true
+      };
+      consent = new CookieConsent({
+        ui: false,
+        sync,
+        onAccept: () => {
+          throw new Error('boom');
+        }
+      });
+      await consent.init();
+
+      sync.onChange?.({
+        version: '2.0',
+        necessary: true,
+        functional: true,
+        preferences: true,
+        analytics: true,
+        marketing: true,
+        timestamp: new Date().toISOString()
+      });
+
+      await vi.waitFor(() => expect(error).toHaveBeenCalledWith('Cookie consent: Consent callback failed', expect.any(Error)));
+      expect(consent.isAllowed('marketing')).toBe(true);
+      error.mockRestore();
+    });
+  });
+
+  describe('account consent', () => {
+    const record = (hotjar: boolean, offset: number) => ({
+      version: '2.0',
+      necessary: true,
+      functional: false,
+      preferences: false,
+      analytics: true,
+      marketing: false,
+      vendors: { hotjar },
+      timestamp: new Date(Date.now() + offset).toISOString()
+    });
+
+    it('should report a conflict that only differs in vendor choices', async () => {
+      const local = record(false, -1000);
+      const remote = record(true, 0);
+      localStorage.setItem('cookie_consent', JSON.stringify(local));
+      const onConflict = vi.fn(() => 'local');
+      consent = new CookieConsent({
+        ui: false,
+        onConflict,
+        categories: { analytics: { vendors: [{ id: 'hotjar', name: 'Hotjar' }] } }
+      });
+      await consent.init();
+
+      await consent.identify('user-1', async ({ action }: { action: string }) => (action === 'get' ? remote : undefined));
+
+      expect(onConflict).toHaveBeenCalledWith(expect.objectContaining({ resolution: 'remote' }));
+      expect(consent.isVendorAllowed('hotjar')).toBe(false);
+    });
+  });
+
+  describe('auto-blocking', () => {
+    const append = Element.prototype.append;
+    const createElement = document.createElement;
+
+    it('should hold back trackers inserted with append and restore the DOM methods on destroy', async () => {
+      consent = new CookieConsent({ ui: false, autoBlock: true });
+      await consent.init();
+
+      const wrapper = document.createElement('div');
+      wrapper.innerHTML = '<iframe src="https://www.youtube.com/embed/x"></iframe>';
+      const iframe = wrapper.firstElementChild as HTMLIFrameElement;
+      document.body.append('text', iframe);
+
+      expect(iframe.hasAttribute('src')).toBe(false);
+      expect(iframe.getAttribute('data-cookie-category')).toBe('marketing');
+
+      consent.destroy();
+      expect(Element.prototype.append).toBe(append);
+      expect(document.createElement).toBe(createElement);
+    });
+  });
+});
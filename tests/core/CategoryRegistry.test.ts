@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { CategoryRegistry } from '../../src/core/CategoryRegistry';
+
+describe('CategoryRegistry', () => {
+  describe('built-in categories', () => {
+    it('should register the five built-in categories in order', () => {
+      const registry = new CategoryRegistry();
+
+      expect(registry.names()).toEqual([
+        'necessary',
+        'functional',
+        'preferences',
+        'analytics',
+        'marketing'
+      ]);
+      expect(registry.optional()).not.toContain('necessary');
+      expect(registry.isRequired('necessary')).toBe(true);
+    });
+
+    it('should allow overriding a built-in label', () => {
+      const registry = new CategoryRegistry({ analytics: { label: 'Statistics' } });
+
+      expect(registry.get('analytics')?.label).toBe('Statistics');
+      expect(registry.get('analytics')?.required).toBe(false);
+    });
+  });
+
+  describe('custom categories', () => {
+    it('should append custom categories after the built-ins', () => {
+      const registry = new CategoryRegistry({
+        personalization: { label: 'Personalization', description: 'Tailored content' },
+        social_media: {}
+      });
+
+      expect(registry.names().slice(-2)).toEqual(['personalization', 'social_media']);
+      expect(registry.get('personalization')?.description).toBe('Tailored content');
+      expect(registry.get('social_media')?.label).toBe('Social media');
+    });
+
+    it('should use the default state for initial values', () => {
+      const registry = new CategoryRegistry({
+        ab_testing: { default: true },
+        security: { required: true }
+      });
+
+      const defaults = registry.defaults();
+      expect(defaults.ab_testing).toBe(true);
+      expect(defaults.security).toBe(true);
+      expect(defaults.analytics).toBe(false);
+    });
+
+    it('should keep required categories on when rejecting all', () => {
+      const registry = new CategoryRegistry({ security: { required: true } });
+
+      const rejected = registry.all(false);
+      expect(rejected.necessary).toBe(true);
+      expect(rejected.security).toBe(true);
+      expect(rejected.marketing).toBe(false);
+    });
+  });
+
+  describe('from', () => {
+    it('should drop unknown keys and default missing ones to false', () => {
+      const registry = new CategoryRegistry({ personalization: {} });
+
+      const states = registry.from({ analytics: true, unknown: true, version: '2.0' });
+      expect(states.analytics).toBe(true);
+      expect(states.personalization).toBe(false);
+      expect('unknown' in states).toBe(false);
+      expect('version' in states).toBe(false);
+    });
+
+    it('should fall back to previous states for missing keys', () => {
+      const registry = new CategoryRegistry();
+      const previous = registry.all(true);
+
+      const states = registry.from({ marketing: false }, previous);
+      expect(states.marketing).toBe(false);
+      expect(states.analytics).toBe(true);
+    });
+  });
+});
@@ -76,7 +76,8 @@ describe('ConsentManager', () => {
           preferences: true,
           analytics: true,
           marketing: true
-        })
+        }),
+        expect.objectContaining({ source: 'accept_all', firstDecision: true })
       );
     });
 
@@ -141,6 +142,87 @@ describe('ConsentManager', () => {
 
       expect(onSave).toHaveBeenCalled();
     });
+
+    it('should pass the granted and revoked categories to callbacks', async () => {
+      const onSave = vi.fn();
+      const onReject = vi.fn();
+      const manager = new ConsentManager({ storage, onSave, onReject });
+
+      await manager.savePreferences({ analytics: true, functional: true });
+      expect(onSave.mock.calls[0][1]).toMatchObject({
+        source: 'save_preferences',
+        granted: ['functional', 'analytics'],
+        revoked: [],
+        firstDecision: true
+      });
+
+      await manager.savePreferences({ analytics: false, marketing: true });
+      expect(onSave.mock.calls[1][1]).toMatchObject({
+        granted: ['marketing'],
+        revoked: ['analytics'],
+        changed: ['analytics', 'marketing'],
+        firstDecision: false
+      });
+      expect(onSave.mock.calls[1][1].previous.analytics).toBe(true);
+
+      manager.reset();
+      await manager.rejectAll();
+      expect(onReject.mock.calls[0][1]).toMatchObject({ source: 'reject_all', granted: [], revoked: [], firstDecision: true });
+    });
+  });
+
+  describe('setConsent', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should keep other choices, ignore unknown categories and keep required ones', async () => {
+      const manager = new ConsentManager({ storage });
+      await manager.savePreferences({ functional: true });
+
+      await manager.setConsent({ analytics: true, necessary: false, unknown: true } as Record<string, boolean>);
+
+      expect(manager.getCategories()).toEqual({
+        necessary: true,
+        functional: true,
+        preferences: false,
+        analytics: true,
+        marketing: false
+      });
+      expect(storage.load()?.analytics).toBe(true);
+      expect(storage.load()).not.toHaveProperty('unknown');
+    });
+
+    it('should pass an api change to the callback for the resulting status', async () => {
+      const onSave = vi.fn();
+      const onAccept = vi.fn();
+      const manager = new ConsentManager({ storage, onSave, onAccept });
+
+      await manager.setConsent({ analytics: true });
+      expect(onSave.mock.calls[0][1]).toMatchObject({
+        source: 'api',
+        granted: ['analytics'],
+        revoked: [],
+        firstDecision: true
+      });
+
+      await manager.setConsent({ functional: true, preferences: true, analytics: false, marketing: true }, { source: 'external' });
+      expect(onSave.mock.calls[1][1]).toMatchObject({ source: 'external', revoked: ['analytics'], firstDecision: false });
+
+      await manager.updateCategory('analytics', true);
+      expect(onAccept.mock.calls[0][1]).toMatchObject({ source: 'api', granted: ['analytics'], changed: ['analytics'] });
+    });
+
+    it('should send an api receipt', async () => {
+      const fetchMock = vi.fn().mockResolvedValue({ ok: true });
+      vi.stubGlobal('fetch', fetchMock);
+      const manager = new ConsentManager({ storage, receiptEndpoint: 'https://example.com/receipts' });
+
+      await manager.setConsent({ marketing: true }, { source: 'external' });
+      await vi.waitFor(() => expect(fetchMock).toHaveBeenCalled());
+
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body).action).toBe('api');
+    });
   });
 
   describe('isAllowed', () => {
@@ -247,6 +329,675 @@ describe('ConsentManager', () => {
     });
   });
 
+  describe('custom categories', () => {
+    const categories = {
+      personalization: { label: 'Personalization' },
+      social_media: { label: 'Social media' }
+    };
+
+    it('should include custom categories in acceptAll and rejectAll', async () => {
+      const manager = new ConsentManager({ storage, categories });
+
+      await manager.acceptAll();
+      expect(manager.getCategories().personalization).toBe(true);
+      expect(manager.getCategories().social_media).toBe(true);
+
+      await manager.rejectAll();
+      expect(manager.getCategories().personalization).toBe(false);
+      expect(manager.getCategories().necessary).toBe(true);
+    });
+
+    it('should persist and reload custom categories', async () => {
+      const manager = new ConsentManager({ storage, categories });
+      await manager.savePreferences({ social_media: true });
+
+      expect(storage.load()?.social_media).toBe(true);
+
+      const reloaded = new ConsentManager({ storage, categories });
+      reloaded.load();
+      expect(reloaded.isAllowed('social_media')).toBe(true);
+      expect(reloaded.isAllowed('personalization')).toBe(false);
+    });
+
+    it('should count custom categories in status and active count', async () => {
+      const manager = new ConsentManager({ storage, categories });
+
+      await manager.savePreferences({
+        functional: true,
+        preferences: true,
+        analytics: true,
+        marketing: true
+      });
+      expect(manager.getStatus()).toBe('partial');
+      expect(manager.getActiveCategoryCount()).toBe(5);
+
+      await manager.acceptAll();
+      expect(manager.getStatus()).toBe('all');
+      expect(manager.getActiveCategoryCount()).toBe(7);
+    });
+  });
+
+  describe('consent expiry', () => {
+    const daysAgo = (days: number) =>
+      new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const saveConsent = (accepted: boolean, timestamp: string) => {
+      storage.save({
+        version: '2.0',
+        necessary: true,
+        functional: accepted,
+        preferences: accepted,
+        analytics: accepted,
+        marketing: accepted,
+        timestamp
+      });
+    };
+
+    it('should never expire consent without consentMaxAge', () => {
+      saveConsent(true, daysAgo(1000));
+      const manager = new ConsentManager({ storage });
+
+      expect(manager.load()).not.toBeNull();
+    });
+
+    it('should treat consent older than consentMaxAge as missing', () => {
+      saveConsent(true, daysAgo(31));
+      const onExpire = vi.fn();
+      const manager = new ConsentManager({ storage, consentMaxAge: 30, onExpire });
+
+      expect(manager.load()).toBeNull();
+      expect(manager.isAllowed('analytics')).toBe(false);
+      expect(storage.load()).toBeNull();
+      expect(onExpire).toHaveBeenCalledWith(expect.objectContaining({ analytics: true }));
+    });
+
+    it('should report onExpire errors without stopping load', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      saveConsent(true, daysAgo(31));
+      const throwing = new ConsentManager({ storage, consentMaxAge: 30, onExpire: () => { throw new Error('sync'); } });
+      expect(throwing.load()).toBeNull();
+
+      saveConsent(true, daysAgo(31));
+      const rejecting = new ConsentManager({ storage, consentMaxAge: 30, onExpire: () => Promise.reject(new Error('async')) });
+      expect(rejecting.load()).toBeNull();
+      await Promise.resolve();
+
+      expect(error).toHaveBeenCalledTimes(2);
+      error.mockRestore();
+    });
+
+    it('should keep consent within consentMaxAge', () => {
+      saveConsent(true, daysAgo(29));
+      const onExpire = vi.fn();
+      const manager = new ConsentManager({ storage, consentMaxAge: 30, onExpire });
+
+      expect(manager.load()).not.toBeNull();
+      expect(onExpire).not.toHaveBeenCalled();
+    });
+
+    it('should apply separate lifetimes per choice', () => {
+      const consentMaxAge = { all: 395, essential: 182 };
+
+      saveConsent(false, daysAgo(200));
+      expect(new ConsentManager({ storage, consentMaxAge }).load()).toBeNull();
+
+      saveConsent(true, daysAgo(200));
+      expect(new ConsentManager({ storage, consentMaxAge }).load()).not.toBeNull();
+    });
+  });
+
+  describe('policy version', () => {
+    const savePolicyConsent = (policyVersion?: string) => {
+      storage.save({
+        version: '2.0',
+        necessary: true,
+        functional: true,
+        preferences: true,
+        analytics: true,
+        marketing: true,
+        timestamp: new Date().toISOString(),
+        policyVersion
+      });
+    };
+
+    it('should store the policy version with the consent', async () => {
+      const manager = new ConsentManager({ storage, policyVersion: '2024-06' });
+
+      await manager.acceptAll();
+
+      expect(storage.load()?.policyVersion).toBe('2024-06');
+    });
+
+    it('should keep consent for the same policy version', () => {
+      savePolicyConsent('1');
+      const manager = new ConsentManager({ storage, policyVersion: '1' });
+
+      expect(manager.load()).not.toBeNull();
+      expect(manager.getRepromptCategories()).toEqual([]);
+    });
+
+    it('should ask again for every category when the policy version changes', () => {
+      savePolicyConsent('1');
+      const manager = new ConsentManager({ storage, policyVersion: '2' });
+
+      expect(manager.load()).toBeNull();
+      expect(manager.isAllowed('analytics')).toBe(false);
+      expect(manager.getRepromptCategories()).toEqual([
+        'functional',
+        'preferences',
+        'analytics',
+        'marketing'
+      ]);
+    });
+
+    it('should only ask again for added and changed categories in changed mode', () => {
+      savePolicyConsent('1');
+      const manager = new ConsentManager({
+        storage,
+        policyVersion: '2',
+        policyUpdate: { reprompt: 'changed', changedCategories: ['marketing'] },
+        categories: { personalization: {} }
+      });
+
+      expect(manager.load()).toBeNull();
+      expect(manager.getRepromptCategories()).toEqual(['marketing', 'personalization']);
+      // Unchanged choices are pre-filled
+      expect(manager.isAllowed('analytics')).toBe(true);
+      expect(manager.isAllowed('marketing')).toBe(false);
+    });
+
+    it('should record a new policy version that changes no stored choice', () => {
+      savePolicyConsent('1');
+      const timestamp = storage.load()?.timestamp;
+      const manager = new ConsentManager({
+        storage,
+        policyVersion: '2',
+        policyUpdate: { reprompt: 'changed', changedCategories: [] }
+      });
+
+      expect(manager.load()?.policyVersion).toBe('2');
+      expect(storage.load()).toMatchObject({ policyVersion: '2', timestamp, marketing: true });
+      expect(manager.isOutdated(storage.load()!)).toBe(false);
+    });
+
+    it('should treat consent without a policy version as outdated', () => {
+      savePolicyConsent();
+      const manager = new ConsentManager({ storage, policyVersion: '1' });
+
+      expect(manager.load()).toBeNull();
+    });
+  });
+
+  describe('consent receipts', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should send a receipt with the action and consent ID', async () => {
+      const fetchMock = vi.fn().mockResolvedValue({ ok: true });
+      vi.stubGlobal('fetch', fetchMock);
+      const manager = new ConsentManager({
+        storage,
+        policyVersion: '3',
+        receiptEndpoint: 'https://example.com/receipts'
+      });
+
+      await manager.rejectAll();
+      await vi.waitFor(() => expect(fetchMock).toHaveBeenCalled());
+
+      const receipt = JSON.parse(fetchMock.mock.calls[0][1].body);
+      expect(receipt.action).toBe('reject_all');
+      expect(receipt.consentId).toBe(manager.getConsentId());
+      expect(receipt.policyVersion).toBe('3');
+      expect(receipt.categories.analytics).toBe(false);
+      expect(receipt.timestamp).toBe(storage.load()?.timestamp);
+    });
+
+    it('should not send receipts without an endpoint', async () => {
+      const fetchMock = vi.fn();
+      vi.stubGlobal('fetch', fetchMock);
+      const manager = new ConsentManager({ storage });
+
+      await manager.acceptAll();
+
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('privacy signals', () => {
+    beforeEach(() => {
+      Object.defineProperty(navigator, 'globalPrivacyControl', { value: true, configurable: true });
+    });
+
+    afterEach(() => {
+      delete (navigator as { globalPrivacyControl?: boolean }).globalPrivacyControl;
+    });
+
+    it('should ignore GPC unless respectGPC is set', async () => {
+      const manager = new ConsentManager({ storage });
+
+      await manager.acceptAll();
+
+      expect(manager.getPrivacySignal()).toBeNull();
+      expect(manager.isAllowed('marketing')).toBe(true);
+      expect(storage.load()?.privacySignal).toBeUndefined();
+    });
+
+    it('should deny marketing on accept all and record the signal', async () => {
+      const manager = new ConsentManager({ storage, respectGPC: true });
+
+      await manager.acceptAll();
+
+      expect(manager.getPrivacySignal()).toBe('gpc');
+      expect(manager.isAllowed('analytics')).toBe(true);
+      expect(manager.isAllowed('marketing')).toBe(false);
+      expect(manager.getStatus()).toBe('partial');
+      expect(storage.load()?.privacySignal).toBe('gpc');
+    });
+
+    it('should override stored consent given before the signal', () => {
+      storage.save({
+        version: '2.0',
+        ...new ConsentManager({ storage }).getRegistry().all(true),
+        timestamp: new Date().toISOString()
+      });
+      const manager = new ConsentManager({ storage, respectGPC: true });
+
+      expect(manager.load()).not.toBeNull();
+      expect(manager.isAllowed('marketing')).toBe(false);
+      expect(manager.isAllowed('functional')).toBe(true);
+    });
+
+    it('should deny the configured categories but never required ones', async () => {
+      const manager = new ConsentManager({
+        storage,
+        respectGPC: true,
+        categories: { social: { label: 'Social' } },
+        privacySignalCategories: ['necessary', 'social']
+      });
+
+      await manager.savePreferences({ social: true, marketing: true });
+
+      expect(manager.isAllowed('necessary')).toBe(true);
+      expect(manager.isAllowed('social')).toBe(false);
+      expect(manager.isAllowed('marketing')).toBe(true);
+    });
+
+    it('should include the signal in consent receipts', async () => {
+      const fetchMock = vi.fn().mockResolvedValue({ ok: true });
+      vi.stubGlobal('fetch', fetchMock);
+      const manager = new ConsentManager({
+        storage,
+        respectGPC: true,
+        receiptEndpoint: 'https://example.com/receipts'
+      });
+
+      await manager.acceptAll();
+      await vi.waitFor(() => expect(fetchMock).toHaveBeenCalled());
+
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body).privacySignal).toBe('gpc');
+      vi.unstubAllGlobals();
+    });
+  });
+
+  describe('tab sync', () => {
+    const otherTabConsent = (marketing: boolean) => ({
+      version: '2.0',
+      necessary: true,
+      functional: true,
+      preferences: true,
+      analytics: true,
+      marketing,
+      timestamp: new Date(Date.now() + 1000).toISOString()
+    });
+
+    it('should reload consent saved in another tab and fire the matching callback', () => {
+      const onAccept = vi.fn();
+      const onSave = vi.fn();
+      const manager = new ConsentManager({ storage, onAccept, onSave });
+
+      storage.save(otherTabConsent(true));
+      window.dispatchEvent(new StorageEvent('storage', { key: storageKey }));
+
+      expect(manager.isAllowed('marketing')).toBe(true);
+      expect(onAccept).toHaveBeenCalledWith(
+        expect.objectContaining({ marketing: true }),
+        expect.objectContaining({ source: 'external', firstDecision: true })
+      );
+
+      storage.save({ ...otherTabConsent(false), timestamp: new Date(Date.now() + 2000).toISOString() });
+      window.dispatchEvent(new StorageEvent('storage', { key: storageKey }));
+
+      expect(manager.isAllowed('marketing')).toBe(false);
+      expect(onSave).toHaveBeenCalledTimes(1);
+      expect(onSave.mock.calls[0][1]).toMatchObject({ revoked: ['marketing'], firstDecision: false });
+      manager.destroy();
+    });
+
+    it('should report a failing callback for a decision made in another tab', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const manager = new ConsentManager({ storage, onAccept: () => Promise.reject(new Error('boom')) });
+
+      storage.save(otherTabConsent(true));
+      window.dispatchEvent(new StorageEvent('storage', { key: storageKey }));
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(manager.isAllowed('marketing')).toBe(true);
+      expect(error).toHaveBeenCalledWith('Cookie consent: Consent callback failed', expect.any(Error));
+      error.mockRestore();
+      manager.destroy();
+    });
+
+    it('should report a failed storage write without rejecting the decision', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(storage, 'save').mockRejectedValue(new Error('quota'));
+      const manager = new ConsentManager({ storage });
+
+      await expect(manager.acceptAll()).resolves.toBeUndefined();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(manager.isAllowed('analytics')).toBe(true);
+      expect(warn).toHaveBeenCalledWith('Cookie consent: Unable to save consent', expect.any(Error));
+      warn.mockRestore();
+      manager.destroy();
+    });
+
+    it('should reset when another tab clears consent', async () => {
+      const manager = new ConsentManager({ storage });
+      await manager.acceptAll();
+
+      storage.clear();
+      window.dispatchEvent(new StorageEvent('storage', { key: storageKey }));
+
+      expect(manager.isAllowed('analytics')).toBe(false);
+      expect(manager.getConsentId()).toBeNull();
+      manager.destroy();
+    });
+
+    it('should ignore events for its own decision and other keys', async () => {
+      const onAccept = vi.fn();
+      const manager = new ConsentManager({ storage, onAccept });
+      await manager.acceptAll();
+
+      window.dispatchEvent(new StorageEvent('storage', { key: storageKey }));
+      window.dispatchEvent(new StorageEvent('storage', { key: 'other_key' }));
+
+      expect(onAccept).toHaveBeenCalledTimes(1);
+      manager.destroy();
+    });
+
+    it('should stop listening when destroyed or disabled', () => {
+      const destroyed = new ConsentManager({ storage });
+      const disabled = new ConsentManager({ storage, syncTabs: false });
+      destroyed.destroy();
+
+      storage.save(otherTabConsent(true));
+      window.dispatchEvent(new StorageEvent('storage', { key: storageKey }));
+
+      expect(destroyed.isAllowed('analytics')).toBe(false);
+      expect(disabled.isAllowed('analytics')).toBe(false);
+    });
+
+    it('should verify protected consent saved in another tab', async () => {
+      const protectedStorage = () => new StorageAdapter(storageKey, 'localStorage', {}, { method: 'hmac', secret: 's' });
+      const otherTab = protectedStorage();
+      const manager = new ConsentManager({ storage: protectedStorage() });
+
+      await otherTab.save(otherTabConsent(false));
+      window.dispatchEvent(new StorageEvent('storage', { key: storageKey }));
+      await vi.waitFor(() => expect(manager.isAllowed('analytics')).toBe(true));
+
+      // An edited value is discarded, which resets consent
+      const [prefix, method, , signature] = localStorage.getItem(storageKey)!.split('.');
+      const forged = btoa(JSON.stringify({
+        ...otherTabConsent(true),
+        timestamp: new Date(Date.now() + 2000).toISOString()
+      }));
+      localStorage.setItem(storageKey, [prefix, method, forged, signature].join('.'));
+      window.dispatchEvent(new StorageEvent('storage', { key: storageKey }));
+
+      await vi.waitFor(() => expect(manager.isAllowed('analytics')).toBe(false));
+      expect(manager.isAllowed('marketing')).toBe(false);
+      manager.destroy();
+    });
+
+    it('should use a BroadcastChannel for cookie storage', async () => {
+      const cookieStorage = () => new StorageAdapter('tab_sync_test', 'cookie', { secure: false });
+      const tabA = new ConsentManager({ storage: cookieStorage() });
+      const tabB = new ConsentManager({ storage: cookieStorage() });
+
+      await tabA.acceptAll();
+      await vi.waitFor(() => expect(tabB.isAllowed('marketing')).toBe(true));
+
+      tabA.reset();
+      await vi.waitFor(() => expect(tabB.isAllowed('marketing')).toBe(false));
+
+      tabA.destroy();
+      tabB.destroy();
+    });
+  });
+
+  describe('account consent', () => {
+    const record = (marketing: boolean, offset: number) => ({
+      version: '2.0',
+      necessary: true,
+      functional: true,
+      preferences: true,
+      analytics: true,
+      marketing,
+      timestamp: new Date(Date.now() + offset).toISOString()
+    });
+
+    const accountFetcher = (initial: ReturnType<typeof record> | null) => {
+      const account = { consent: initial as unknown };
+      const fetcher = vi.fn(async ({ action, consent }: { action: string; consent?: unknown }) => {
+        if (action === 'get') return account.consent as ReturnType<typeof record> | null;
+        account.consent = consent;
+        return null;
+      });
+      return { account, fetcher };
+    };
+
+    it('should adopt a newer account record and fire the matching callback', async () => {
+      const onAccept = vi.fn();
+      storage.save(record(false, -1000));
+      const manager = new ConsentManager({ storage, onAccept, syncTabs: false });
+      manager.load();
+
+      const { fetcher } = accountFetcher(record(true, 0));
+      await manager.identify('user-1', fetcher);
+
+      expect(manager.isAllowed('marketing')).toBe(true);
+      expect(storage.load()?.marketing).toBe(true);
+      expect(onAccept).toHaveBeenCalledTimes(1);
+      expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it('should push a newer local record and later decisions', async () => {
+      storage.save(record(true, 0));
+      const manager = new ConsentManager({ storage, syncTabs: false });
+      manager.load();
+
+      const { account, fetcher } = accountFetcher(null);
+      await manager.identify('user-1', fetcher);
+      expect(account.consent).toMatchObject({ marketing: true, userId: 'user-1' });
+
+      await manager.rejectAll();
+      await vi.waitFor(() => expect(account.consent).toMatchObject({ marketing: false, userId: 'user-1' }));
+      expect(storage.load()?.userId).toBe('user-1');
+    });
+
+    it('should report conflicts and let the callback pick the older record', async () => {
+      const local = record(false, -1000);
+      const remote = record(true, 0);
+      const onConflict = vi.fn(() => 'local' as const);
+      storage.save(local);
+      const manager = new ConsentManager({ storage, onConflict, syncTabs: false });
+      manager.load();
+
+      const { account, fetcher } = accountFetcher(remote);
+      await manager.identify('user-1', fetcher);
+
+      expect(onConflict).toHaveBeenCalledWith({ local, remote, resolution: 'remote' });
+      expect(manager.isAllowed('marketing')).toBe(false);
+      // The picked record becomes the newest everywhere
+      const pushed = account.consent as ReturnType<typeof record>;
+      expect(pushed.marketing).toBe(false);
+      expect(Date.parse(pushed.timestamp)).toBeGreaterThan(Date.parse(remote.timestamp));
+      expect(storage.load()?.timestamp).toBe(pushed.timestamp);
+    });
+
+    it('should keep the default resolution when onConflict throws', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      storage.save(record(false, -1000));
+      const onConflict = vi.fn(() => Promise.reject(new Error('boom')));
+      const manager = new ConsentManager({ storage, onConflict, syncTabs: false });
+      manager.load();
+
+      const { fetcher } = accountFetcher(record(true, 0));
+      await expect(manager.identify('user-1', fetcher)).resolves.toBeUndefined();
+
+      expect(manager.isAllowed('marketing')).toBe(true);
+      expect(error).toHaveBeenCalledWith('Cookie consent: onConflict callback failed', expect.any(Error));
+      error.mockRestore();
+    });
+
+    it('should keep local consent when the account request fails', async () => {
+      storage.save(record(true, 0));
+      const manager = new ConsentManager({ storage, syncTabs: false });
+      manager.load();
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => undefined);
+
+      await manager.identify('user-1', async () => {
+        throw new Error('Network error');
+      });
+
+      expect(manager.isAllowed('marketing')).toBe(true);
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
+
+  describe('revocation cleanup', () => {
+    it('should delete the cookies and localStorage keys of revoked categories', async () => {
+      const manager = new ConsentManager({
+        storage,
+        categories: { analytics: { storageKeys: ['_hj*'] } }
+      });
+      await manager.acceptAll();
+
+      document.cookie = '_ga=GA1.1.1; path=/';
+      document.cookie = '_fbp=fb.1; path=/';
+      localStorage.setItem('_hjSession', '1');
+
+      await manager.savePreferences({ marketing: false });
+      expect(manager.getRemovedItems()).toEqual([{ type: 'cookie', name: '_fbp', category: 'marketing' }]);
+      expect(document.cookie).toBe('_ga=GA1.1.1');
+
+      await manager.rejectAll();
+      expect(manager.getRemovedItems().slice(1)).toEqual([
+        { type: 'cookie', name: '_ga', category: 'analytics' },
+        { type: 'localStorage', name: '_hjSession', category: 'analytics' }
+      ]);
+      expect(document.cookie).toBe('');
+      expect(localStorage.getItem(storageKey)).not.toBeNull();
+    });
+
+    it('should leave categories that were never allowed alone', async () => {
+      const manager = new ConsentManager({ storage });
+      document.cookie = '_ga=GA1.1.1; path=/';
+
+      await manager.rejectAll();
+
+      expect(manager.getRemovedItems()).toEqual([]);
+      expect(document.cookie).toBe('_ga=GA1.1.1');
+      document.cookie = `_ga=; expires=${new Date(0).toUTCString()}; path=/`;
+    });
+  });
+
+  describe('vendors', () => {
+    const categories = {
+      analytics: {
+        vendors: [
+          { id: 'google-analytics', name: 'Google Analytics' },
+          { id: 'hotjar', name: 'Hotjar' }
+        ]
+      }
+    };
+
+    it('should allow a vendor only if its category is allowed and the vendor is not refused', async () => {
+      const manager = new ConsentManager({ storage, categories });
+      expect(manager.isVendorAllowed('google-analytics')).toBe(false);
+
+      await manager.savePreferences({ analytics: true }, { hotjar: false, unknown: false });
+
+      expect(manager.isVendorAllowed('google-analytics')).toBe(true);
+      expect(manager.isVendorAllowed('hotjar')).toBe(false);
+      expect(manager.isVendorAllowed('undeclared')).toBe(true);
+      expect(manager.getVendors()).toEqual({ hotjar: false });
+      expect(storage.load()?.vendors).toEqual({ hotjar: false });
+
+      await manager.savePreferences({ analytics: false });
+      expect(manager.isVendorAllowed('google-analytics')).toBe(false);
+    });
+
+    it('should restore vendor choices and clear them on accept or reject all', async () => {
+      await new ConsentManager({ storage, categories }).savePreferences({ analytics: true }, { hotjar: false });
+
+      const manager = new ConsentManager({ storage, categories });
+      manager.load();
+      expect(manager.isVendorAllowed('hotjar')).toBe(false);
+
+      await manager.acceptAll();
+      expect(manager.isVendorAllowed('hotjar')).toBe(true);
+      expect(storage.load()?.vendors).toEqual({});
+    });
+
+    it('should not store vendors when none are declared', async () => {
+      const manager = new ConsentManager({ storage });
+      await manager.savePreferences({ analytics: true }, { hotjar: false });
+
+      expect(storage.load()).not.toHaveProperty('vendors');
+    });
+  });
+
+  describe('language', () => {
+    it('should record the page language with each decision by default', async () => {
+      document.documentElement.lang = 'de';
+      await new ConsentManager({ storage }).acceptAll();
+
+      expect(storage.load()?.language).toBe('de');
+      document.documentElement.lang = '';
+    });
+
+    it('should record the language set on the manager', async () => {
+      const manager = new ConsentManager({ storage, language: 'fr' });
+      await manager.rejectAll();
+      expect(storage.load()?.language).toBe('fr');
+
+      manager.setLanguage('pt-BR');
+      await manager.savePreferences({ analytics: true });
+      expect(manager.getLanguage()).toBe('pt-BR');
+      expect(storage.load()?.language).toBe('pt-BR');
+    });
+
+    it('should not need a DOM to pick the language', async () => {
+      const manager = new ConsentManager({ storage, language: 'fr' });
+      const fallback = new ConsentManager({ storage });
+      vi.stubGlobal('document', undefined);
+      vi.stubGlobal('navigator', undefined);
+
+      try {
+        await manager.acceptAll();
+        expect(storage.load()?.language).toBe('fr');
+        expect(fallback.getLanguage()).toBe('en');
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+  });
+
   describe('v1 to v2 migration', () => {
     it('should migrate v1 consent to v2 format', () => {
       // Save v1 format consent (no version field)
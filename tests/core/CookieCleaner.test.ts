@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { CookieCleaner } from '../../src/core/CookieCleaner';
+
+function clearCookies(): void {
+  document.cookie.split(';').forEach((cookie) => {
+    const name = cookie.trim().split('=')[0];
+    if (name) document.cookie = `${name}=; expires=${new Date(0).toUTCString()}; path=/`;
+  });
+}
+
+describe('CookieCleaner', () => {
+  beforeEach(() => {
+    clearCookies();
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    clearCookies();
+    localStorage.clear();
+  });
+
+  it('should match names against wildcards and regular expressions', () => {
+    expect(CookieCleaner.matches('_ga', ['_ga'])).toBe(true);
+    expect(CookieCleaner.matches('_ga_ABC123', ['_ga_*'])).toBe(true);
+    expect(CookieCleaner.matches('_gat_UA-1', ['_gat*'])).toBe(true);
+    expect(CookieCleaner.matches('_gab', ['_ga'])).toBe(false);
+    expect(CookieCleaner.matches('x_ga', ['_ga*'])).toBe(false);
+    expect(CookieCleaner.matches('a.b', ['a+b', 'a?b'])).toBe(false);
+    expect(CookieCleaner.matches('hj_session', [/^hj/])).toBe(true);
+  });
+
+  it('should delete matching cookies and localStorage keys', () => {
+    document.cookie = '_ga=GA1.1.123; path=/';
+    document.cookie = '_ga_ABC=GS1.1; path=/';
+    document.cookie = 'session=keep; path=/';
+    localStorage.setItem('amplitude_id', '1');
+    localStorage.setItem('theme', 'dark');
+
+    const removed = new CookieCleaner().clean('analytics', {
+      cookies: ['_ga', '_ga_*'],
+      storageKeys: ['amplitude_*']
+    });
+
+    expect(removed).toEqual([
+      { type: 'cookie', name: '_ga', category: 'analytics' },
+      { type: 'cookie', name: '_ga_ABC', category: 'analytics' },
+      { type: 'localStorage', name: 'amplitude_id', category: 'analytics' }
+    ]);
+    expect(document.cookie).toBe('session=keep');
+    expect(localStorage.getItem('amplitude_id')).toBeNull();
+    expect(localStorage.getItem('theme')).toBe('dark');
+  });
+
+  it('should skip decoding cookie names that are not valid URI encoding', () => {
+    document.cookie = '%E0bad=1; path=/';
+    document.cookie = '_ga=GA1.1.123; path=/';
+
+    expect(() => new CookieCleaner().clean('analytics', { cookies: ['_ga'] })).not.toThrow();
+    expect(document.cookie).toBe('%E0bad=1');
+  });
+
+  it('should keep protected names and do nothing when disabled', () => {
+    document.cookie = 'cookie_consent=1; path=/';
+    document.cookie = '_fbp=fb.1; path=/';
+
+    expect(new CookieCleaner().clean('marketing', { cookies: ['*'] }, ['cookie_consent'])).toHaveLength(1);
+    expect(document.cookie).toBe('cookie_consent=1');
+
+    document.cookie = '_fbp=fb.1; path=/';
+    expect(new CookieCleaner({ enabled: false }).clean('marketing', { cookies: ['_fbp'] })).toEqual([]);
+    expect(document.cookie).toContain('_fbp=fb.1');
+  });
+
+  it('should only report cookies that were actually deleted', () => {
+    history.replaceState(null, '', '/app/page');
+    document.cookie = '_gid=1; path=/app';
+
+    // Set on a path that isn't configured
+    expect(new CookieCleaner().clean('analytics', { cookies: ['_gid'] })).toEqual([]);
+    expect(document.cookie).toBe('_gid=1');
+
+    expect(new CookieCleaner({ paths: ['/', '/app'] }).clean('analytics', { cookies: ['_gid'] })).toHaveLength(1);
+    expect(document.cookie).toBe('');
+    history.replaceState(null, '', '/');
+  });
+
+  it('should list this host and its parent domains', () => {
+    expect(new CookieCleaner().getDomains()).toEqual(['']); // localhost
+    expect(new CookieCleaner({ domains: ['example.com'] }).getDomains()).toEqual(['', 'example.com']);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { CategoryRegistry } from '../../src/core/CategoryRegistry';
+import { CookieTable } from '../../src/core/CookieTable';
+
+describe('CookieTable', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should group declarations by category in display order', () => {
+    const registry = new CategoryRegistry({
+      analytics: {
+        cookies: [{ name: '_ga', provider: 'Google Analytics', purpose: 'Distinguishes visitors', duration: '2 years' }],
+        storageKeys: [/^amplitude_/]
+      },
+      social: { label: 'Social media', cookies: ['li_*'] }
+    });
+
+    const groups = new CookieTable(registry).toJSON();
+
+    expect(groups.map((group) => group.category)).toEqual([
+      'necessary', 'functional', 'preferences', 'analytics', 'marketing', 'social'
+    ]);
+    expect(groups[3].entries).toEqual([
+      { type: 'cookie', name: '_ga', provider: 'Google Analytics', purpose: 'Distinguishes visitors', duration: '2 years', category: 'analytics' },
+      { type: 'localStorage', name: '/^amplitude_/', provider: null, purpose: null, duration: null, category: 'analytics' }
+    ]);
+    expect(groups[5]).toEqual({
+      category: 'social',
+      label: 'Social media',
+      description: null,
+      required: false,
+      entries: [{ type: 'cookie', name: 'li_*', provider: null, purpose: null, duration: null, category: 'social' }]
+    });
+    expect(JSON.parse(JSON.stringify(groups))).toEqual(groups);
+  });
+
+  it('should declare the built-in cookies with their details', () => {
+    const marketing = new CookieTable(new CategoryRegistry()).toJSON().find((group) => group.category === 'marketing');
+
+    expect(marketing?.entries[0]).toMatchObject({ name: '_fbp', provider: 'Meta', duration: '3 months' });
+  });
+
+  it('should render a table body for each category that declares anything', () => {
+    const container = document.createElement('div');
+    container.innerHTML = '<p>Loading</p>';
+
+    new CookieTable(new CategoryRegistry(), { provider: 'Anbieter' }).render(container);
+
+    const bodies = container.querySelectorAll('tbody');
+    expect(Array.from(bodies).map((body) => body.getAttribute('data-category'))).toEqual(['analytics', 'marketing']);
+    expect(container.querySelector('p')).toBeNull();
+    expect(Array.from(container.querySelectorAll('thead th')).map((th) => th.textContent)).toEqual([
+      'Name', 'Anbieter', 'Purpose', 'Duration', 'Category'
+    ]);
+    expect(bodies[0].querySelector('.cc-cookie-table-group th')?.textContent).toBe('Analytics');
+    expect(Array.from(bodies[0].rows[1].cells).map((cell) => cell.textContent)).toEqual([
+      '_ga', 'Google Analytics', 'Distinguishes visitors', '2 years', 'Analytics'
+    ]);
+  });
+
+  it('should say so when nothing is declared', () => {
+    const container = document.createElement('div');
+    new CookieTable(new CategoryRegistry({ analytics: { cookies: [] }, marketing: { cookies: [] } })).render(container);
+
+    expect(container.querySelector('table')).toBeNull();
+    expect(container.textContent).toBe('This site does not declare any cookies.');
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { HmacSigner } from '../../src/core/HmacSigner';
+
+describe('HmacSigner', () => {
+  it('should produce RFC 4231 HMAC-SHA256 signatures', async () => {
+    // Test case 2: key "Jefe"
+    const signer = new HmacSigner('Jefe');
+
+    expect(await signer.sign('what do ya want for nothing?')).toBe(
+      '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843'
+    );
+  });
+
+  it('should verify its own signatures', async () => {
+    const signer = new HmacSigner('secret');
+    const signature = await signer.sign('data');
+
+    expect(await signer.verify('data', signature)).toBe(true);
+    expect(await signer.verify('other', signature)).toBe(false);
+    expect(await new HmacSigner('other').verify('data', signature)).toBe(false);
+  });
+
+  it('should reject malformed signatures', async () => {
+    const signer = new HmacSigner('secret');
+
+    expect(await signer.verify('data', '')).toBe(false);
+    expect(await signer.verify('data', 'xyz')).toBe(false);
+    expect(await signer.verify('data', 'abc')).toBe(false);
+  });
+
+  it('should detect Web Crypto support', () => {
+    expect(HmacSigner.isSupported()).toBe(true);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { PrivacySignals } from '../../src/core/PrivacySignals';
+
+function setSignal(name: 'globalPrivacyControl' | 'doNotTrack', value: unknown): void {
+  Object.defineProperty(navigator, name, { value, configurable: true });
+}
+
+describe('PrivacySignals', () => {
+  afterEach(() => {
+    delete (navigator as { globalPrivacyControl?: boolean }).globalPrivacyControl;
+    delete (navigator as { doNotTrack?: string }).doNotTrack;
+  });
+
+  it('should detect Global Privacy Control', () => {
+    expect(PrivacySignals.hasGPC()).toBe(false);
+
+    setSignal('globalPrivacyControl', true);
+
+    expect(PrivacySignals.hasGPC()).toBe(true);
+  });
+
+  it('should detect Do Not Track only when set to 1', () => {
+    setSignal('doNotTrack', '0');
+    expect(PrivacySignals.hasDoNotTrack()).toBe(false);
+
+    setSignal('doNotTrack', '1');
+    expect(PrivacySignals.hasDoNotTrack()).toBe(true);
+  });
+
+  it('should only report signals the site respects', () => {
+    setSignal('globalPrivacyControl', true);
+    setSignal('doNotTrack', '1');
+
+    expect(PrivacySignals.detect()).toBeNull();
+    expect(PrivacySignals.detect({ doNotTrack: true })).toBe('dnt');
+    expect(PrivacySignals.detect({ gpc: true, doNotTrack: true })).toBe('gpc');
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ReceiptLogger } from '../../src/core/ReceiptLogger';
+import type { ConsentReceipt } from '../../src/types';
+
+describe('ReceiptLogger', () => {
+  const endpoint = 'https://example.com/receipts';
+  const receipt: ConsentReceipt = {
+    consentId: '550e8400-e29b-41d4-a716-446655440000',
+    action: 'accept_all',
+    categories: {
+      necessary: true,
+      functional: true,
+      preferences: true,
+      analytics: true,
+      marketing: true
+    },
+    policyVersion: '1',
+    privacySignal: null,
+    userId: null,
+    timestamp: '2024-01-01T00:00:00.000Z',
+    language: 'en',
+    userAgent: 'test'
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    localStorage.clear();
+  });
+
+  it('should POST the receipt as JSON', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({ ok: true });
+    vi.stubGlobal('fetch', fetchMock);
+    const logger = new ReceiptLogger(endpoint);
+
+    const sent = await logger.send(receipt);
+
+    expect(sent).toBe(true);
+    expect(fetchMock).toHaveBeenCalledWith(
+      endpoint,
+      expect.objectContaining({ method: 'POST', body: JSON.stringify(receipt) })
+    );
+  });
+
+  it('should fall back to sendBeacon when the request fails', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new Error('offline')));
+    const sendBeacon = vi.fn().mockReturnValue(true);
+    vi.stubGlobal('navigator', { ...navigator, sendBeacon });
+    const logger = new ReceiptLogger(endpoint);
+
+    const sent = await logger.send(receipt);
+
+    expect(sent).toBe(true);
+    expect(sendBeacon).toHaveBeenCalledWith(endpoint, expect.any(Blob));
+    expect(logger.getQueueSize()).toBe(0);
+  });
+
+  it('should queue the receipt when both transports fail', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: false }));
+    vi.stubGlobal('navigator', { ...navigator, sendBeacon: vi.fn().mockReturnValue(false) });
+    const logger = new ReceiptLogger(endpoint);
+
+    const sent = await logger.send(receipt);
+
+    expect(sent).toBe(false);
+    expect(logger.getQueueSize()).toBe(1);
+  });
+
+  it('should retry queued receipts on flush', async () => {
+    localStorage.setItem('cc_receipt_queue', JSON.stringify([receipt, receipt]));
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce({ ok: true })
+      .mockResolvedValueOnce({ ok: false });
+    vi.stubGlobal('fetch', fetchMock);
+    const logger = new ReceiptLogger(endpoint);
+
+    await logger.flush();
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(logger.getQueueSize()).toBe(1);
+  });
+
+  it('should cap the retry queue', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: false }));
+    vi.stubGlobal('navigator', { ...navigator, sendBeacon: undefined });
+    const logger = new ReceiptLogger(endpoint, 'cc_receipt_queue', 2);
+
+    await logger.send(receipt);
+    await logger.send(receipt);
+    await logger.send(receipt);
+
+    expect(logger.getQueueSize()).toBe(2);
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { ScriptManager } from '../../src/core/ScriptManager';
 
 describe('ScriptManager', () => {
@@ -59,6 +59,15 @@ describe('ScriptManager', () => {
       // Only exclusions, none of which are allowed
       expect(manager.shouldAllow('!analytics !marketing')).toBe(true);
     });
+
+    it('should require both the category and the vendor to be allowed', () => {
+      allowedCategories.add('analytics');
+      const manager = new ScriptManager(isAllowed, (vendor) => vendor !== 'hotjar');
+
+      expect(manager.shouldAllow('analytics', 'google-analytics')).toBe(true);
+      expect(manager.shouldAllow('analytics', 'hotjar')).toBe(false);
+      expect(manager.shouldAllow('marketing', 'google-analytics')).toBe(false);
+    });
   });
 
   describe('script blocking', () => {
@@ -119,6 +128,28 @@ describe('ScriptManager', () => {
     });
   });
 
+  describe('vendor blocking', () => {
+    it('should keep a script blocked while its vendor is refused', () => {
+      const refused = new Set(['hotjar']);
+      const script = document.createElement('script');
+      script.setAttribute('data-cookie-category', 'analytics');
+      script.setAttribute('data-cookie-vendor', 'hotjar');
+      script.src = 'https://static.hotjar.com/c/hotjar.js';
+      container.appendChild(script);
+
+      allowedCategories.add('analytics');
+      const manager = new ScriptManager(isAllowed, (vendor) => !refused.has(vendor));
+      manager.scanScripts();
+      manager.evaluate();
+      expect(manager.getManagedScripts()[0].status).toBe('blocked');
+
+      refused.delete('hotjar');
+      manager.evaluate();
+      expect(manager.getManagedScripts()[0].status).toBe('allowed');
+      expect(container.querySelector('script')?.getAttribute('data-cookie-vendor')).toBe('hotjar');
+    });
+  });
+
   describe('iframe blocking', () => {
     it('should track iframes with data-cookie-category', () => {
       const iframe = document.createElement('iframe');
@@ -135,6 +166,157 @@ describe('ScriptManager', () => {
     });
   });
 
+  describe('untagged elements', () => {
+    it('should report scripts and iframes added without a category', async () => {
+      const manager = new ScriptManager(isAllowed);
+      const untagged: string[] = [];
+      manager.onUntagged = (element) => untagged.push(element.getAttribute('src') || '');
+      manager.initObserver();
+
+      const wrapper = document.createElement('div');
+      wrapper.innerHTML = '<iframe src="https://www.youtube.com/embed/x"></iframe>' +
+        '<iframe data-cookie-category="marketing" data-src="https://example.com/ad"></iframe>';
+      container.appendChild(wrapper);
+      const script = document.createElement('script');
+      script.setAttribute('src', 'https://connect.facebook.net/en_US/fbevents.js');
+      container.appendChild(script);
+      await Promise.resolve();
+
+      expect(untagged).toEqual(['https://www.youtube.com/embed/x', 'https://connect.facebook.net/en_US/fbevents.js']);
+      manager.destroy();
+    });
+  });
+
+  describe('auto-blocking', () => {
+    const append = Element.prototype.append;
+    const appendChild = Node.prototype.appendChild;
+    let manager: ScriptManager;
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+      manager = new ScriptManager(isAllowed);
+      manager.enableAutoBlock({ 'stats.example.org': 'analytics', 'connect.facebook.net': 'functional' });
+      manager.initObserver();
+    });
+
+    afterEach(() => {
+      manager.destroy();
+    });
+
+    it('should look up categories, checking extra domains first', () => {
+      expect(manager.getAutoBlockCategory('https://www.googletagmanager.com/gtm.js?id=GTM-1')).toBe('analytics');
+      expect(manager.getAutoBlockCategory('https://stats.example.org/s.js')).toBe('analytics');
+      expect(manager.getAutoBlockCategory('https://connect.facebook.net/en_US/fbevents.js')).toBe('functional');
+      expect(manager.getAutoBlockCategory('https://cdn.example.org/lib.js')).toBeNull();
+    });
+
+    it('should hold back scripts created by other scripts until their category is allowed', async () => {
+      const script = document.createElement('script');
+      script.async = true;
+      script.src = 'https://www.googletagmanager.com/gtag/js?id=G-1';
+      container.appendChild(script);
+
+      expect(script.getAttribute('type')).toBe('text/plain');
+      expect(script.getAttribute('data-cookie-category')).toBe('analytics');
+
+      await tick();
+      expect(manager.getManagedScripts()).toEqual([
+        { src: 'https://www.googletagmanager.com/gtag/js?id=G-1', category: 'analytics', status: 'blocked' }
+      ]);
+
+      allowedCategories.add('analytics');
+      manager.evaluate();
+      const loaded = container.querySelector('script[data-cconsent-loaded]') as HTMLScriptElement;
+      expect(loaded.src).toBe('https://www.googletagmanager.com/gtag/js?id=G-1');
+      expect(loaded.hasAttribute('type')).toBe(false);
+    });
+
+    it('should hold back iframes inserted with insertBefore', async () => {
+      const iframe = document.createElement('iframe');
+      iframe.setAttribute('src', 'https://www.youtube.com/embed/x');
+      container.insertBefore(iframe, null);
+
+      expect(iframe.hasAttribute('src')).toBe(false);
+      expect(iframe.getAttribute('data-src')).toBe('https://www.youtube.com/embed/x');
+
+      await tick();
+      expect(manager.getManagedIframes()).toEqual([
+        { src: 'https://www.youtube.com/embed/x', category: 'marketing', status: 'blocked' }
+      ]);
+    });
+
+    it('should hold back elements inserted with the other DOM insertion methods', () => {
+      const html = (src: string) => {
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = `<iframe src="${src}"></iframe>`;
+        return wrapper.firstElementChild as HTMLIFrameElement;
+      };
+      const anchor = document.createElement('span');
+      container.appendChild(anchor);
+
+      const fragment = document.createDocumentFragment();
+      fragment.appendChild(html('https://www.youtube.com/embed/fragment'));
+      const inserted = [
+        html('https://www.youtube.com/embed/append'),
+        html('https://www.youtube.com/embed/prepend'),
+        html('https://www.youtube.com/embed/before'),
+        html('https://www.youtube.com/embed/after'),
+        html('https://www.youtube.com/embed/adjacent'),
+        html('https://www.youtube.com/embed/replace')
+      ];
+      container.append('text', inserted[0], fragment);
+      container.prepend(inserted[1]);
+      anchor.before(inserted[2]);
+      anchor.after(inserted[3]);
+      anchor.insertAdjacentElement('beforebegin', inserted[4]);
+      anchor.replaceWith(inserted[5]);
+
+      const iframes = Array.from(container.querySelectorAll('iframe'));
+      expect(iframes).toHaveLength(7);
+      iframes.forEach((iframe) => {
+        expect(iframe.hasAttribute('src')).toBe(false);
+        expect(iframe.getAttribute('data-cookie-category')).toBe('marketing');
+      });
+    });
+
+    it('should only query inserted elements and fragments', () => {
+      const query = vi.spyOn(Element.prototype, 'querySelectorAll');
+
+      container.appendChild(document.createTextNode('text'));
+      container.append('text', document.createComment('comment'));
+      expect(query).not.toHaveBeenCalled();
+
+      query.mockRestore();
+    });
+
+    it('should let allowed and unknown scripts load untouched', () => {
+      allowedCategories.add('analytics');
+      const allowed = document.createElement('script');
+      allowed.src = 'https://www.google-analytics.com/analytics.js';
+      const unknown = document.createElement('script');
+      unknown.src = 'https://cdn.example.org/lib.js';
+      container.appendChild(allowed);
+      container.appendChild(unknown);
+
+      expect(allowed.hasAttribute('type')).toBe(false);
+      expect(allowed.hasAttribute('data-cconsent-loaded')).toBe(true);
+      expect(unknown.attributes.length).toBe(1);
+    });
+
+    it('should restore the patched DOM methods on destroy', () => {
+      manager.destroy();
+      expect(Element.prototype.append).toBe(append);
+      expect(Node.prototype.appendChild).toBe(appendChild);
+
+      const script = document.createElement('script');
+      script.src = 'https://connect.facebook.net/en_US/fbevents.js';
+      container.appendChild(script);
+
+      expect(script.hasAttribute('data-cookie-category')).toBe(false);
+      expect(Object.getOwnPropertyDescriptor(script, 'src')).toBeUndefined();
+    });
+  });
+
   describe('cleanup', () => {
     it('should disconnect observer on destroy', () => {
       const manager = new ScriptManager(isAllowed);
@@ -1,5 +1,6 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { StorageAdapter } from '../../src/core/StorageAdapter';
+import type { RemoteStorageRequest, StorageDriver } from '../../src/types';
 
 describe('StorageAdapter', () => {
   const storageKey = 'test_consent';
@@ -132,4 +133,186 @@ describe('StorageAdapter', () => {
       expect(loaded).toEqual(consent);
     });
   });
+
+  describe('tamper-resistant storage', () => {
+    const consent = {
+      version: '2.0',
+      necessary: true,
+      functional: true,
+      preferences: false,
+      analytics: true,
+      marketing: false,
+      timestamp: new Date().toISOString()
+    };
+
+    it.each(['hmac', 'aes-gcm'] as const)('should save and verify %s protected consent', async (method) => {
+      const adapter = new StorageAdapter(storageKey, 'localStorage', {}, { method, secret: 'secret' });
+
+      await adapter.save(consent);
+      expect(localStorage.getItem(storageKey)).toMatch(/^cc1\./);
+      expect(adapter.load()).toEqual(consent);
+
+      const reloaded = new StorageAdapter(storageKey, 'localStorage', {}, { method, secret: 'secret' });
+      expect(reloaded.load()).toBeNull(); // Not verified yet
+      expect(await reloaded.verify()).toEqual(consent);
+      expect(reloaded.load()).toEqual(consent);
+    });
+
+    it('should discard an edited value', async () => {
+      const adapter = new StorageAdapter(storageKey, 'localStorage', {}, { method: 'hmac', secret: 'secret' });
+      await adapter.save(consent);
+
+      const [prefix, method, , signature] = localStorage.getItem(storageKey)!.split('.');
+      const forged = btoa(JSON.stringify({ ...consent, marketing: true }));
+      localStorage.setItem(storageKey, [prefix, method, forged, signature].join('.'));
+
+      expect(await adapter.verify()).toBeNull();
+      expect(adapter.load()).toBeNull();
+      expect(localStorage.getItem(storageKey)).toBeNull();
+    });
+
+    it('should upgrade plain JSON and Base64 values when acceptLegacy is true', async () => {
+      const adapter = new StorageAdapter(storageKey, 'localStorage', {}, {
+        method: 'aes-gcm',
+        secret: 'secret',
+        acceptLegacy: true
+      });
+
+      for (const legacy of [JSON.stringify(consent), btoa(JSON.stringify(consent))]) {
+        localStorage.setItem(storageKey, legacy);
+
+        expect(await adapter.verify()).toEqual(consent);
+        expect(localStorage.getItem(storageKey)).toMatch(/^cc1\.aes\./);
+      }
+    });
+
+    it('should reject legacy values by default', async () => {
+      const adapter = new StorageAdapter(storageKey, 'localStorage', {}, { method: 'hmac', secret: 'secret' });
+      localStorage.setItem(storageKey, JSON.stringify({ ...consent, marketing: true }));
+
+      expect(await adapter.verify()).toBeNull();
+      expect(localStorage.getItem(storageKey)).toBeNull();
+    });
+
+    it('should warn when Web Crypto is unavailable', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.stubGlobal('crypto', {});
+
+      const adapter = new StorageAdapter(storageKey, 'localStorage', {}, { method: 'hmac', secret: 'secret' });
+      adapter.save(consent);
+
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Web Crypto is unavailable'));
+      expect(adapter.load()).toEqual(consent);
+      vi.unstubAllGlobals();
+      warn.mockRestore();
+    });
+
+    it('should not write a pending value after clear', async () => {
+      const adapter = new StorageAdapter(storageKey, 'cookie', { secure: false }, { method: 'hmac', secret: 'secret' });
+
+      const saved = adapter.save(consent);
+      adapter.clear();
+      await saved;
+
+      expect(adapter.load()).toBeNull();
+      expect(await adapter.verify()).toBeNull();
+    });
+  });
+
+  describe('storage drivers', () => {
+    const consent = {
+      version: '2.0',
+      necessary: true,
+      functional: false,
+      preferences: false,
+      analytics: true,
+      marketing: false,
+      timestamp: new Date().toISOString()
+    };
+
+    afterEach(() => {
+      sessionStorage.clear();
+      vi.restoreAllMocks();
+    });
+
+    it('should use sessionStorage and memory drivers', () => {
+      const session = new StorageAdapter(storageKey, 'sessionStorage');
+      session.save(consent);
+      expect(sessionStorage.getItem(storageKey)).not.toBeNull();
+      expect(session.load()).toEqual(consent);
+
+      const memory = new StorageAdapter(storageKey, 'memory');
+      memory.save(consent);
+      expect(memory.load()).toEqual(consent);
+      expect(new StorageAdapter(storageKey, 'memory').load()).toBeNull();
+    });
+
+    it('should fall back to the next driver when one is unavailable', () => {
+      vi.spyOn(navigator, 'cookieEnabled', 'get').mockReturnValue(false);
+      const adapter = new StorageAdapter(storageKey, ['cookie', 'localStorage']);
+
+      expect(adapter.getMethod()).toBe('localStorage');
+      adapter.save(consent);
+      expect(localStorage.getItem(storageKey)).not.toBeNull();
+    });
+
+    it('should fall back to the next driver when a write fails', () => {
+      const failing: StorageDriver = {
+        name: 'failing',
+        async: false,
+        isAvailable: () => true,
+        get: () => null,
+        set: () => {
+          throw new Error('Quota exceeded');
+        },
+        remove: () => undefined
+      };
+      vi.spyOn(console, 'warn').mockImplementation(() => undefined);
+      const adapter = new StorageAdapter(storageKey, [failing, 'localStorage']);
+
+      adapter.save(consent);
+      expect(adapter.load()).toEqual(consent);
+
+      adapter.clear();
+      expect(localStorage.getItem(storageKey)).toBeNull();
+    });
+
+    it('should fall back to memory when nothing is available', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => undefined);
+      const adapter = new StorageAdapter(storageKey, 'indexedDB'); // jsdom has no IndexedDB
+
+      expect(adapter.getMethod()).toBe('memory');
+      adapter.save(consent);
+      expect(adapter.load()).toEqual(consent);
+    });
+
+    it('should read async drivers through verify()', async () => {
+      const remote = new Map<string, string>();
+      const fetcher = async ({ action, key, value }: RemoteStorageRequest) => {
+        if (action === 'get') return remote.get(key) ?? null;
+        if (action === 'set') remote.set(key, value!);
+        else remote.delete(key);
+        return null;
+      };
+
+      const adapter = new StorageAdapter(storageKey, 'remote', {}, false, fetcher);
+      expect(adapter.isDeferred()).toBe(true);
+      await adapter.save(consent);
+      expect(remote.get(storageKey)).toBe(JSON.stringify(consent));
+
+      const reloaded = new StorageAdapter(storageKey, 'remote', {}, false, fetcher);
+      expect(reloaded.load()).toBeNull();
+      expect(await reloaded.verify()).toEqual(consent);
+      expect(reloaded.load()).toEqual(consent);
+
+      reloaded.clear();
+      expect(reloaded.load()).toBeNull();
+      expect(await reloaded.verify()).toBeNull();
+      expect(remote.size).toBe(0);
+    });
+
+    it('should require a fetcher for the remote driver', () => {
+      expect(() => new StorageAdapter(storageKey, 'remote')).toThrow('remoteStorage fetcher');
+    });
+  });
 });
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { StorageCipher } from '../../src/core/StorageCipher';
+
+describe('StorageCipher', () => {
+  const data = JSON.stringify({ version: '2.0', marketing: false, note: 'café' });
+
+  it('should sign values that open with the same secret', async () => {
+    const cipher = new StorageCipher({ method: 'hmac', secret: 'secret' });
+    const sealed = await cipher.seal(data);
+
+    expect(sealed).toMatch(/^cc1\.hmac\.[A-Za-z0-9+/=]+\.[0-9a-f]{64}$/);
+    expect(await cipher.open(sealed)).toBe(data);
+    expect(await new StorageCipher({ method: 'hmac', secret: 'other' }).open(sealed)).toBeNull();
+  });
+
+  it('should reject edited signed values', async () => {
+    const cipher = new StorageCipher({ method: 'hmac', secret: 'secret' });
+    const [prefix, method, , signature] = (await cipher.seal(data)).split('.');
+    const forged = btoa(data.replace('"marketing":false', '"marketing":true'));
+
+    expect(await cipher.open([prefix, method, forged, signature].join('.'))).toBeNull();
+  });
+
+  it('should encrypt values with AES-GCM', async () => {
+    const cipher = new StorageCipher({ method: 'aes-gcm', secret: 'secret' });
+    const sealed = await cipher.seal(data);
+
+    expect(sealed).toMatch(/^cc1\.aes\./);
+    expect(sealed).not.toContain(btoa('marketing').slice(0, 8));
+    expect(await cipher.open(sealed)).toBe(data);
+    expect(await cipher.seal(data)).not.toBe(sealed); // Random IV
+
+    const [prefix, method, iv, ciphertext] = sealed.split('.');
+    const flipped = ciphertext.startsWith('A') ? 'B' + ciphertext.slice(1) : 'A' + ciphertext.slice(1);
+    expect(await cipher.open([prefix, method, iv, flipped].join('.'))).toBeNull();
+    expect(await new StorageCipher({ method: 'aes-gcm', secret: 'other' }).open(sealed)).toBeNull();
+  });
+
+  it('should reject malformed values and other methods', async () => {
+    const hmac = new StorageCipher({ method: 'hmac', secret: 'secret' });
+    const aes = new StorageCipher({ method: 'aes-gcm', secret: 'secret' });
+
+    expect(await hmac.open(await aes.seal(data))).toBeNull();
+    expect(await aes.open(await hmac.seal(data))).toBeNull();
+    expect(await hmac.open('cc1.hmac.!!!.00')).toBeNull();
+    expect(await hmac.open('cc1.hmac')).toBeNull();
+    expect(await hmac.open(data)).toBeNull();
+  });
+
+  it('should recognize protected values', () => {
+    expect(StorageCipher.isProtected('cc1.hmac.e30=.00')).toBe(true);
+    expect(StorageCipher.isProtected(data)).toBe(false);
+    expect(StorageCipher.isProtected(btoa(data))).toBe(false);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TrackerScanner } from '../../src/core/TrackerScanner';
+
+describe('TrackerScanner', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    document.cookie = `_ga=; expires=${new Date(0).toUTCString()}; path=/`;
+    document.cookie = `session=; expires=${new Date(0).toUTCString()}; path=/`;
+    document.body.innerHTML = '';
+    localStorage.clear();
+    vi.useRealTimers();
+  });
+
+  it('should suggest categories for known script and iframe hosts', () => {
+    const scanner = new TrackerScanner();
+
+    expect(scanner.findTracker('script', 'https://www.googletagmanager.com/gtag/js?id=G-1')?.category).toBe('analytics');
+    expect(scanner.findTracker('script', 'https://www.googletagmanager.com/gtm.js?id=GTM-1')?.name).toBe('Google Tag Manager');
+    expect(scanner.findTracker('script', 'https://static.hotjar.com/c/hotjar-1.js')?.name).toBe('Hotjar');
+    expect(scanner.findTracker('iframe', 'https://www.youtube-nocookie.com/embed/x')?.category).toBe('functional');
+    expect(scanner.findTracker('script', 'https://notfacebook.net/x.js')).toBeNull();
+    expect(scanner.findTracker('cookie', '_gcl_au')?.name).toBe('Google Ads');
+    expect(scanner.findTracker('localStorage', 'AMP_abc')?.name).toBe('Amplitude');
+  });
+
+  it('should check custom trackers first', () => {
+    const scanner = new TrackerScanner({
+      trackers: [{ name: 'Own stats', category: 'analytics', hosts: ['stats.example.org'], cookies: ['_ga'] }]
+    });
+
+    expect(scanner.findTracker('script', 'https://stats.example.org/s.js')?.name).toBe('Own stats');
+    expect(scanner.findTracker('cookie', '_ga')?.name).toBe('Own stats');
+  });
+
+  it('should report untagged third-party scripts and iframes once', () => {
+    document.body.innerHTML = `
+      <script src="https://connect.facebook.net/en_US/fbevents.js"></script>
+      <script src="https://cdn.example.org/lib.js"></script>
+      <script src="/local.js"></script>
+      <script data-cookie-category="analytics" src="https://www.google-analytics.com/analytics.js"></script>
+      <iframe src="https://player.vimeo.com/video/1"></iframe>
+    `;
+    const scanner = new TrackerScanner();
+    scanner.scanDocument();
+    scanner.scanDocument();
+
+    expect(scanner.getReport().map(({ type, name, tracker, suggestedCategory }) => [type, name, tracker, suggestedCategory])).toEqual([
+      ['script', 'https://connect.facebook.net/en_US/fbevents.js', 'Meta Pixel', 'marketing'],
+      ['script', 'https://cdn.example.org/lib.js', null, null],
+      ['iframe', 'https://player.vimeo.com/video/1', 'Vimeo', 'functional']
+    ]);
+  });
+
+  it('should poll for new cookies and localStorage keys', () => {
+    vi.useFakeTimers();
+    const onFind = vi.fn();
+    document.cookie = 'session=1; path=/';
+    localStorage.setItem('cookie_consent', '{}');
+
+    const scanner = new TrackerScanner({ interval: 1000 }, ['cookie_consent']);
+    scanner.onFind = onFind;
+    scanner.start();
+    expect(scanner.getReport()).toMatchObject([{ type: 'cookie', name: 'session', tracker: null }]);
+
+    document.cookie = '_ga=GA1.1.1; path=/';
+    localStorage.setItem('_hjSessionUser_1', '{}');
+    vi.advanceTimersByTime(1000);
+    scanner.stop();
+
+    expect(scanner.getReport().slice(1)).toMatchObject([
+      { type: 'cookie', name: '_ga', tracker: 'Google Analytics', suggestedCategory: 'analytics' },
+      { type: 'localStorage', name: '_hjSessionUser_1', tracker: 'Hotjar', suggestedCategory: 'analytics' }
+    ]);
+    expect(onFind).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CookieDriver } from '../../../src/core/drivers/CookieDriver';
+
+describe('CookieDriver', () => {
+  // jsdom doesn't support secure cookies
+  const options = { secure: false, sameSite: 'Lax' as const };
+
+  beforeEach(() => {
+    document.cookie.split(';').forEach((c) => {
+      document.cookie = c.trim().split('=')[0] + '=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/';
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should set, read and remove cookies', () => {
+    const driver = new CookieDriver(options);
+
+    driver.set('test_key', '{"a":"b; c"}');
+    expect(driver.get('test_key')).toBe('{"a":"b; c"}');
+
+    driver.remove('test_key');
+    expect(driver.get('test_key')).toBeNull();
+  });
+
+  it('should throw when the browser drops the cookie', () => {
+    const driver = new CookieDriver(options);
+    vi.spyOn(document, 'cookie', 'set').mockImplementation(() => undefined);
+
+    expect(() => driver.set('test_key', 'value')).toThrow('was not stored');
+    expect(driver.isAvailable()).toBe(false);
+  });
+
+  it('should be unavailable when cookies are disabled', () => {
+    vi.spyOn(navigator, 'cookieEnabled', 'get').mockReturnValue(false);
+
+    expect(new CookieDriver(options).isAvailable()).toBe(false);
+  });
+});
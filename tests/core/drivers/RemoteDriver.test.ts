@@ -0,0 +1,30 @@
+import { describe, it, expect, vi } from 'vitest';
+import { RemoteDriver } from '../../../src/core/drivers/RemoteDriver';
+import type { RemoteStorageRequest } from '../../../src/types';
+
+describe('RemoteDriver', () => {
+  it('should pass reads and writes to the fetcher', async () => {
+    const values = new Map<string, string>();
+    const fetcher = vi.fn(async ({ action, key, value }: RemoteStorageRequest) => {
+      if (action === 'get') return values.get(key) ?? null;
+      if (action === 'set') values.set(key, value!);
+      else values.delete(key);
+      return null;
+    });
+    const driver = new RemoteDriver(fetcher);
+
+    await driver.set('key', 'value');
+    expect(await driver.get('key')).toBe('value');
+    await driver.remove('key');
+    expect(await driver.get('key')).toBeNull();
+
+    expect(fetcher).toHaveBeenCalledWith({ action: 'set', key: 'key', value: 'value' });
+    expect(fetcher).toHaveBeenCalledWith({ action: 'remove', key: 'key' });
+  });
+
+  it('should treat non-string responses as no value', async () => {
+    const driver = new RemoteDriver(async () => undefined);
+
+    expect(await driver.get('key')).toBeNull();
+  });
+});
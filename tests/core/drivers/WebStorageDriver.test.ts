@@ -0,0 +1,39 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { WebStorageDriver } from '../../../src/core/drivers/WebStorageDriver';
+
+describe('WebStorageDriver', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  it('should read and write the chosen storage', () => {
+    const session = new WebStorageDriver('sessionStorage');
+
+    session.set('key', 'value');
+    expect(sessionStorage.getItem('key')).toBe('value');
+    expect(localStorage.getItem('key')).toBeNull();
+    expect(session.get('key')).toBe('value');
+
+    session.remove('key');
+    expect(session.get('key')).toBeNull();
+  });
+
+  it('should default to localStorage', () => {
+    const driver = new WebStorageDriver();
+
+    driver.set('key', 'value');
+    expect(driver.name).toBe('localStorage');
+    expect(localStorage.getItem('key')).toBe('value');
+  });
+
+  it('should be unavailable when the storage throws', () => {
+    const setItem = vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new DOMException('Blocked', 'SecurityError');
+    });
+
+    expect(new WebStorageDriver('localStorage').isAvailable()).toBe(false);
+    setItem.mockRestore();
+    expect(new WebStorageDriver('localStorage').isAvailable()).toBe(true);
+  });
+});
@@ -14,6 +14,7 @@ describe('Package exports', () => {
     expect(module.StorageAdapter).toBeDefined();
     expect(module.ScriptManager).toBeDefined();
     expect(module.GeoDetector).toBeDefined();
+    expect(module.CategoryRegistry).toBeDefined();
   });
 
   it('should export types (via TypeScript compilation)', async () => {
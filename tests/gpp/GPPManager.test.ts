@@ -0,0 +1,260 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GPPManager } from '../../src/gpp/GPPManager';
+import { GPPString } from '../../src/gpp/GPPString';
+import type { GPPEventData, GPPPingReturn, UsNatSection } from '../../src/types';
+
+describe('GPPManager', () => {
+  beforeEach(() => {
+    delete window.__gpp;
+    delete window.__uspapi;
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    delete window.__gpp;
+    delete window.__uspapi;
+  });
+
+  describe('signals', () => {
+    it('should report no opt-out before a decision', () => {
+      const gpp = new GPPManager();
+
+      expect(gpp.getUSPString()).toBe('1YNN');
+      expect((gpp.getSection('usnat') as UsNatSection).SaleOptOut).toBe(2);
+    });
+
+    it('should opt out when marketing is denied', () => {
+      const gpp = new GPPManager();
+      gpp.applyCategories({ necessary: true, analytics: true, marketing: false });
+
+      const usnat = gpp.getSection('usnat') as UsNatSection;
+      expect(gpp.getUSPString()).toBe('1YYN');
+      expect(usnat.SaleOptOut).toBe(1);
+      expect(usnat.SharingOptOut).toBe(1);
+      expect(usnat.TargetedAdvertisingOptOut).toBe(1);
+    });
+
+    it('should not opt out when marketing is allowed', () => {
+      const gpp = new GPPManager();
+      gpp.applyCategories({ marketing: true });
+
+      expect(gpp.getOptOuts()).toEqual({ sale: false, sharing: false, targetedAdvertising: false });
+    });
+
+    it('should use a custom category mapping', () => {
+      const gpp = new GPPManager({ mapping: { sale: ['marketing'], sharing: ['marketing', 'analytics'], targetedAdvertising: ['marketing'] } });
+      gpp.applyCategories({ analytics: true, marketing: false });
+
+      expect(gpp.getOptOuts()).toEqual({ sale: true, sharing: false, targetedAdvertising: true });
+    });
+
+    it('should encode every configured section into the GPP string', () => {
+      const gpp = new GPPManager();
+      gpp.applyCategories({ marketing: false });
+
+      const decoded = GPPString.decode(gpp.getGPPString());
+      expect(decoded?.usnat?.SaleOptOut).toBe(1);
+      expect(decoded?.usca?.SaleOptOut).toBe(1);
+      expect(decoded?.usca?.SharingOptOut).toBe(1);
+    });
+
+    it('should only encode the configured sections', () => {
+      const gpp = new GPPManager({ sections: ['usca'] });
+
+      expect(Object.keys(GPPString.decode(gpp.getGPPString()) ?? {})).toEqual(['usca']);
+    });
+
+    it('should set the MSPA and LSPA flags', () => {
+      const gpp = new GPPManager({ mspaCovered: true });
+      const usnat = gpp.getSection('usnat') as UsNatSection;
+
+      expect(gpp.getUSPString()).toBe('1YNY');
+      expect(usnat.MspaCoveredTransaction).toBe(1);
+      expect(usnat.MspaOptOutOptionMode).toBe(1);
+      expect(usnat.MspaServiceProviderMode).toBe(2);
+    });
+
+    it('should report US Privacy as not applicable outside the US', () => {
+      const gpp = new GPPManager();
+      gpp.setApplicableSections([-1]);
+
+      expect(gpp.getUSPString()).toBe('1---');
+      expect(gpp.getPing().applicableSections).toEqual([-1]);
+    });
+
+    it('should include the browser GPC signal', () => {
+      vi.stubGlobal('navigator', { ...navigator, globalPrivacyControl: true });
+      const gpp = new GPPManager();
+
+      expect(gpp.getSection('usnat').Gpc).toBe(true);
+      vi.unstubAllGlobals();
+    });
+
+    it('should forget choices on clear', () => {
+      const gpp = new GPPManager();
+      gpp.applyCategories({ marketing: false });
+
+      gpp.clear();
+
+      expect(gpp.getUSPString()).toBe('1YNN');
+    });
+  });
+
+  describe('__gpp', () => {
+    it('should answer ping', () => {
+      new GPPManager({ cmpId: 42 }).install();
+      const callback = vi.fn();
+
+      window.__gpp?.('ping', callback);
+
+      const [ping, success] = callback.mock.calls[0] as [GPPPingReturn, boolean];
+      expect(success).toBe(true);
+      expect(ping).toMatchObject({
+        gppVersion: '1.1',
+        cmpStatus: 'loaded',
+        cmpDisplayStatus: 'hidden',
+        signalStatus: 'ready',
+        supportedAPIs: ['7:usnat', '8:usca'],
+        cmpId: 42,
+        sectionList: [7, 8],
+        applicableSections: [7]
+      });
+      expect(ping.gppString).toMatch(/^DBAB/);
+    });
+
+    it('should answer hasSection, getSection and getField', () => {
+      const gpp = new GPPManager({ sections: ['usnat'] });
+      gpp.applyCategories({ marketing: false });
+      gpp.install();
+      const callback = vi.fn();
+
+      window.__gpp?.('hasSection', callback, 'usnatv1');
+      window.__gpp?.('hasSection', callback, 'usca');
+      window.__gpp?.('getSection', callback, 'usnat');
+      window.__gpp?.('getField', callback, 'usnat.SaleOptOut');
+      window.__gpp?.('getField', callback, 'usnat.Unknown');
+
+      expect(callback.mock.calls.map(([data]) => data)).toEqual([
+        true,
+        false,
+        gpp.getSection('usnat'),
+        1,
+        null
+      ]);
+    });
+
+    it('should notify listeners of section and display changes', () => {
+      const gpp = new GPPManager({ sections: ['usnat'] });
+      gpp.install();
+      const callback = vi.fn();
+
+      window.__gpp?.('addEventListener', callback);
+      gpp.setDisplayStatus('visible');
+      gpp.applyCategories({ marketing: false });
+
+      const events = callback.mock.calls.map(([data]) => data as GPPEventData);
+      expect(events.map((event) => event.eventName)).toEqual([
+        'listenerRegistered',
+        'cmpDisplayStatus',
+        'sectionChange'
+      ]);
+      expect(events[1].data).toBe('visible');
+      expect(events[2].data).toBe('usnat');
+      expect(events[2].pingData.parsedSections.usnat?.SaleOptOut).toBe(1);
+    });
+
+    it('should keep notifying and applying choices when a listener throws', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const gpp = new GPPManager({ sections: ['usnat'] });
+      gpp.install();
+      const callback = vi.fn();
+
+      window.__gpp?.('addEventListener', (data) => {
+        if ((data as GPPEventData).eventName !== 'listenerRegistered') throw new Error('vendor bug');
+      });
+      window.__gpp?.('addEventListener', callback);
+
+      expect(() => gpp.applyCategories({ marketing: false })).not.toThrow();
+      expect(() => gpp.clear()).not.toThrow();
+      expect(callback.mock.calls.map(([data]) => (data as GPPEventData).eventName)).toContain('sectionChange');
+      expect(error).toHaveBeenCalledWith('Cookie consent: __gpp listener failed', expect.any(Error));
+      error.mockRestore();
+    });
+
+    it('should remove listeners', () => {
+      const gpp = new GPPManager();
+      gpp.install();
+      const listener = vi.fn();
+      const removed = vi.fn();
+
+      window.__gpp?.('addEventListener', listener);
+      window.__gpp?.('removeEventListener', removed, 1);
+      gpp.applyCategories({ marketing: false });
+
+      expect(removed).toHaveBeenCalledWith(true, true);
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject unknown commands', () => {
+      new GPPManager().install();
+      const callback = vi.fn();
+
+      window.__gpp?.('getGPPData', callback);
+
+      expect(callback).toHaveBeenCalledWith(null, false);
+    });
+  });
+
+  describe('__uspapi', () => {
+    it('should answer getUSPData', () => {
+      const gpp = new GPPManager();
+      gpp.applyCategories({ marketing: false });
+      gpp.install();
+      const callback = vi.fn();
+
+      window.__uspapi?.('getUSPData', 1, callback);
+
+      expect(callback).toHaveBeenCalledWith({ version: 1, uspString: '1YYN' }, true);
+    });
+
+    it('should reject unknown commands and versions', () => {
+      new GPPManager().install();
+      const callback = vi.fn();
+
+      window.__uspapi?.('getUSPData', 2, callback);
+      window.__uspapi?.('ping', 1, callback);
+
+      expect(callback).toHaveBeenNthCalledWith(1, null, false);
+      expect(callback).toHaveBeenNthCalledWith(2, null, false);
+    });
+  });
+
+  describe('stubs', () => {
+    it('should queue calls until the real handlers are installed', () => {
+      GPPManager.installStub();
+      const ping = vi.fn();
+      const section = vi.fn();
+      const usp = vi.fn();
+
+      window.__gpp?.('ping', ping);
+      window.__gpp?.('getField', section, 'usnat.SaleOptOut');
+      window.__uspapi?.('getUSPData', 1, usp);
+
+      expect((ping.mock.calls[0][0] as GPPPingReturn).cmpStatus).toBe('stub');
+      expect(section).not.toHaveBeenCalled();
+      expect(usp).not.toHaveBeenCalled();
+
+      new GPPManager().install();
+
+      expect(section).toHaveBeenCalledWith(2, true);
+      expect(usp).toHaveBeenCalledWith({ version: 1, uspString: '1YNN' }, true);
+    });
+
+    it('should add the locator frames', () => {
+      new GPPManager().install();
+
+      expect(document.querySelector('iframe[name="__gppLocator"]')).not.toBeNull();
+      expect(document.querySelector('iframe[name="__uspapiLocator"]')).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { GPPString } from '../../src/gpp/GPPString';
+import type { UsCaSection, UsNatSection } from '../../src/types';
+
+describe('GPPString', () => {
+  const usnat: UsNatSection = {
+    Version: 1,
+    SharingNotice: 1,
+    SaleOptOutNotice: 1,
+    SharingOptOutNotice: 1,
+    TargetedAdvertisingOptOutNotice: 1,
+    SensitiveDataProcessingOptOutNotice: 0,
+    SensitiveDataLimitUseNotice: 0,
+    SaleOptOut: 1,
+    SharingOptOut: 1,
+    TargetedAdvertisingOptOut: 1,
+    SensitiveDataProcessing: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    KnownChildSensitiveDataConsents: [0, 0],
+    PersonalDataConsents: 0,
+    MspaCoveredTransaction: 2,
+    MspaOptOutOptionMode: 0,
+    MspaServiceProviderMode: 0,
+    Gpc: false
+  };
+
+  const usca: UsCaSection = {
+    Version: 1,
+    SaleOptOutNotice: 1,
+    SharingOptOutNotice: 1,
+    SensitiveDataLimitUseNotice: 0,
+    SaleOptOut: 2,
+    SharingOptOut: 2,
+    SensitiveDataProcessing: [0, 0, 0, 0, 0, 0, 0, 0, 0],
+    KnownChildSensitiveDataConsents: [0, 0],
+    PersonalDataConsents: 0,
+    MspaCoveredTransaction: 2,
+    MspaOptOutOptionMode: 0,
+    MspaServiceProviderMode: 0,
+    Gpc: true
+  };
+
+  // Expected strings were produced by the IAB reference library (@iabgpp/cmpapi)
+  it('should encode usnat and usca like the reference implementation', () => {
+    expect(GPPString.encode({ usnat })).toBe('DBABLA~BVQVAAAAAgA.QA');
+    expect(GPPString.encode({ usca })).toBe('DBABBg~BUoAAACA.YA');
+    expect(GPPString.encode({ usnat, usca })).toBe('DBABrw~BVQVAAAAAgA.QA~BUoAAACA.YA');
+  });
+
+  it('should round-trip both sections', () => {
+    expect(GPPString.decode(GPPString.encode({ usnat, usca }))).toEqual({ usnat, usca });
+  });
+
+  it('should omit the GPC subsection when Gpc is not set', () => {
+    const { Gpc: _gpc, ...withoutGpc } = usnat;
+    const encoded = GPPString.encode({ usnat: withoutGpc });
+
+    expect(encoded).toBe('DBABLA~BVQVAAAAAgA');
+    expect(GPPString.decode(encoded)?.usnat).toEqual(withoutGpc);
+  });
+
+  it('should skip sections it does not support', () => {
+    // tcfeuv2 (2) and uspv1 (6)
+    const decoded = GPPString.decode('DBACNY~CPXxRfAPXxRfAAfKABENB-CgAAAAAAAAAAYgAAAAAAAA~1YNN');
+
+    expect(decoded).toEqual({});
+  });
+
+  it('should return null for malformed strings', () => {
+    expect(GPPString.decode('')).toBeNull();
+    expect(GPPString.decode('CPXxRfAPXxRfA')).toBeNull();
+    expect(GPPString.decode('DBABLA~B!')).toBeNull();
+  });
+});
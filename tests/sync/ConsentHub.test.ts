@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ConsentHub } from '../../src/sync/ConsentHub';
+import { createMessage } from '../../src/sync/protocol';
+import { HmacSigner } from '../../src/core/HmacSigner';
+import type { ConsentState, ConsentSyncMessage } from '../../src/types';
+
+const consent = (timestamp: string, marketing = false): ConsentState => ({
+  version: '2.0',
+  necessary: true,
+  functional: true,
+  preferences: false,
+  analytics: true,
+  marketing,
+  timestamp
+});
+
+describe('ConsentHub', () => {
+  const storageKey = 'cc_shared_consent';
+  let hub: ConsentHub;
+  let client: { postMessage: ReturnType<typeof vi.fn> };
+
+  /**
+   * Deliver a message to the hub as if posted by a client frame
+   */
+  async function send(message: unknown, origin = 'https://shop.example.com'): Promise<ConsentSyncMessage | undefined> {
+    client.postMessage.mockClear();
+    window.dispatchEvent(new MessageEvent('message', { data: message, origin, source: client as unknown as Window }));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return client.postMessage.mock.calls[0]?.[0];
+  }
+
+  beforeEach(() => {
+    localStorage.clear();
+    client = { postMessage: vi.fn() };
+    hub = new ConsentHub({
+      allowedOrigins: ['https://*.example.com', 'https://example.de']
+    });
+    hub.listen();
+  });
+
+  afterEach(() => {
+    hub.stop();
+    localStorage.clear();
+  });
+
+  it('should match allowed origins and subdomain wildcards', () => {
+    expect(hub.isAllowedOrigin('https://example.de')).toBe(true);
+    expect(hub.isAllowedOrigin('https://shop.example.com')).toBe(true);
+    expect(hub.isAllowedOrigin('https://a.b.example.com')).toBe(true);
+    expect(hub.isAllowedOrigin('https://example.com')).toBe(false);
+    expect(hub.isAllowedOrigin('http://shop.example.com')).toBe(false);
+    expect(hub.isAllowedOrigin('https://evilexample.com')).toBe(false);
+    expect(hub.isAllowedOrigin('https://shop.example.de')).toBe(false);
+  });
+
+  it('should answer get requests with the shared consent', async () => {
+    localStorage.setItem(storageKey, JSON.stringify(consent('2024-06-01T00:00:00.000Z')));
+
+    const reply = await send(await createMessage('get', 4, null, null));
+
+    expect(reply).toMatchObject({ cconsent: 'sync', type: 'result', id: 4 });
+    expect(reply?.consent?.timestamp).toBe('2024-06-01T00:00:00.000Z');
+    expect(client.postMessage.mock.calls[0][1]).toBe('https://shop.example.com');
+  });
+
+  it('should ignore origins that are not allowed', async () => {
+    const reply = await send(await createMessage('get', 1, null, null), 'https://evil.test');
+
+    expect(reply).toBeUndefined();
+  });
+
+  it('should store newer consent and keep the newest on conflicts', async () => {
+    await send(await createMessage('set', 1, consent('2024-06-02T00:00:00.000Z', true), null));
+    const reply = await send(await createMessage('set', 2, consent('2024-06-01T00:00:00.000Z'), null));
+
+    expect(hub.getConsent()?.marketing).toBe(true);
+    expect(reply?.consent?.timestamp).toBe('2024-06-02T00:00:00.000Z');
+  });
+
+  it('should clear the shared consent', async () => {
+    await send(await createMessage('set', 1, consent('2024-06-01T00:00:00.000Z'), null));
+    const reply = await send(await createMessage('set', 2, null, null));
+
+    expect(hub.getConsent()).toBeNull();
+    expect(reply?.consent).toBeNull();
+  });
+
+  it('should reject messages with a missing or wrong signature', async () => {
+    hub.stop();
+    hub = new ConsentHub({ allowedOrigins: ['https://example.de'], secret: 'shared' });
+    hub.listen();
+
+    const unsigned = await createMessage('set', 1, consent('2024-06-01T00:00:00.000Z'), null);
+    const forged = await createMessage('set', 2, consent('2024-06-01T00:00:00.000Z'), new HmacSigner('guess'));
+    expect(await send(unsigned, 'https://example.de')).toBeUndefined();
+    expect(await send(forged, 'https://example.de')).toBeUndefined();
+    expect(hub.getConsent()).toBeNull();
+
+    const signed = await createMessage('set', 3, consent('2024-06-01T00:00:00.000Z'), new HmacSigner('shared'));
+    const reply = await send(signed, 'https://example.de');
+    expect(hub.getConsent()).not.toBeNull();
+    expect(reply?.signature).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('should forward changes from other hub frames to its parent', async () => {
+    const postMessage = vi.spyOn(window, 'postMessage').mockImplementation(() => {});
+    hub.stop();
+    hub = new ConsentHub({ allowedOrigins: ['http://localhost:3000'] });
+    hub.listen();
+
+    // In tests the window is its own parent
+    window.dispatchEvent(new MessageEvent('message', {
+      data: await createMessage('get', 1, null, null),
+      origin: 'http://localhost:3000',
+      source: window
+    }));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    postMessage.mockClear();
+
+    localStorage.setItem(storageKey, JSON.stringify(consent('2024-06-03T00:00:00.000Z')));
+    window.dispatchEvent(new StorageEvent('storage', { key: storageKey }));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(postMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'change', consent: expect.objectContaining({ timestamp: '2024-06-03T00:00:00.000Z' }) }),
+      'http://localhost:3000'
+    );
+    postMessage.mockRestore();
+  });
+});
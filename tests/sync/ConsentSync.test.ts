@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ConsentSync } from '../../src/sync/ConsentSync';
+import { ConsentHub } from '../../src/sync/ConsentHub';
+import { createMessage } from '../../src/sync/protocol';
+import { HmacSigner } from '../../src/core/HmacSigner';
+import type { ConsentState } from '../../src/types';
+
+const HUB_URL = 'https://example.com/consent-hub.html';
+const HUB_ORIGIN = 'https://example.com';
+
+const consent = (timestamp: string, marketing = false): ConsentState => ({
+  version: '2.0',
+  necessary: true,
+  functional: false,
+  preferences: false,
+  analytics: true,
+  marketing,
+  timestamp
+});
+
+/**
+ * Relay messages between the client and a hub listening in this window
+ * (jsdom doesn't load the hub page, so the iframe only stands in for it)
+ */
+function relayToHub(): HTMLIFrameElement {
+  const iframe = document.querySelector<HTMLIFrameElement>('iframe[title="Consent sync"]')!;
+  const hubWindow = iframe.contentWindow!;
+  const clientWindow = {
+    postMessage: (data: unknown) => {
+      window.dispatchEvent(new MessageEvent('message', { data, origin: HUB_ORIGIN, source: hubWindow }));
+    }
+  };
+
+  vi.spyOn(hubWindow, 'postMessage').mockImplementation((data: unknown) => {
+    window.dispatchEvent(new MessageEvent('message', {
+      data,
+      origin: window.location.origin,
+      source: clientWindow as unknown as Window
+    }));
+  });
+  iframe.dispatchEvent(new Event('load'));
+  return iframe;
+}
+
+describe('ConsentSync', () => {
+  let hub: ConsentHub;
+  let sync: ConsentSync;
+
+  beforeEach(() => {
+    localStorage.clear();
+    hub = new ConsentHub({ allowedOrigins: [window.location.origin], secret: 'shared' });
+    hub.listen();
+    sync = new ConsentSync({ hubUrl: HUB_URL, secret: 'shared', timeout: 200 });
+  });
+
+  afterEach(() => {
+    sync.disconnect();
+    hub.stop();
+    localStorage.clear();
+  });
+
+  it('should load the hub in a hidden iframe', async () => {
+    const connecting = sync.connect();
+    const iframe = relayToHub();
+
+    expect(await connecting).toBeNull();
+    expect(iframe.src).toBe(HUB_URL);
+    expect(iframe.style.display).toBe('none');
+    expect(sync.isConnected()).toBe(true);
+    expect(sync.getHubOrigin()).toBe(HUB_ORIGIN);
+  });
+
+  it('should get the shared consent on connect', async () => {
+    localStorage.setItem('cc_shared_consent', JSON.stringify(consent('2024-06-01T00:00:00.000Z', true)));
+
+    const connecting = sync.connect();
+    relayToHub();
+
+    expect((await connecting)?.marketing).toBe(true);
+  });
+
+  it('should publish consent and report whether the hub kept it', async () => {
+    const connecting = sync.connect();
+    relayToHub();
+    await connecting;
+
+    expect(await sync.publish(consent('2024-06-02T00:00:00.000Z'))).toBe(true);
+    expect(await sync.publish(consent('2024-06-01T00:00:00.000Z'))).toBe(false);
+    expect(hub.getConsent()?.timestamp).toBe('2024-06-02T00:00:00.000Z');
+
+    expect(await sync.publish(null)).toBe(true);
+    expect(hub.getConsent()).toBeNull();
+  });
+
+  it('should fall back to null when the hub does not answer', async () => {
+    expect(await sync.connect()).toBeNull();
+    expect(sync.isConnected()).toBe(false);
+    expect(await sync.publish(consent('2024-06-01T00:00:00.000Z'))).toBe(false);
+  });
+
+  it('should not accept replies signed with another secret', async () => {
+    hub.stop();
+    hub = new ConsentHub({ allowedOrigins: [window.location.origin], secret: 'other' });
+    hub.listen();
+    localStorage.setItem('cc_shared_consent', JSON.stringify(consent('2024-06-01T00:00:00.000Z')));
+
+    const connecting = sync.connect();
+    relayToHub();
+
+    expect(await connecting).toBeNull();
+  });
+
+  it('should notify changes made on other sites', async () => {
+    const onChange = vi.fn();
+    sync.onChange = onChange;
+    const connecting = sync.connect();
+    const iframe = relayToHub();
+    await connecting;
+
+    const change = await createMessage('change', 0, consent('2024-06-03T00:00:00.000Z'), new HmacSigner('shared'));
+    window.dispatchEvent(new MessageEvent('message', { data: change, origin: 'https://evil.test', source: iframe.contentWindow }));
+    window.dispatchEvent(new MessageEvent('message', { data: change, origin: HUB_ORIGIN, source: iframe.contentWindow }));
+    await vi.waitFor(() => expect(onChange).toHaveBeenCalledTimes(1));
+
+    expect(onChange.mock.calls[0][0].timestamp).toBe('2024-06-03T00:00:00.000Z');
+  });
+
+  it('should remove the iframe on disconnect', async () => {
+    const connecting = sync.connect();
+    relayToHub();
+    await connecting;
+
+    sync.disconnect();
+
+    expect(document.querySelector('iframe[title="Consent sync"]')).toBeNull();
+    expect(sync.isConnected()).toBe(false);
+  });
+});
@@ -0,0 +1,345 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TCFManager } from '../../src/tcf/TCFManager';
+import { TCString } from '../../src/tcf/TCString';
+import type { GlobalVendorList, TCData, TCFPingReturn } from '../../src/types';
+
+const gvl: GlobalVendorList = {
+  vendorListVersion: 42,
+  tcfPolicyVersion: 4,
+  purposes: Object.fromEntries(
+    Array.from({ length: 11 }, (_, i) => [String(i + 1), { id: i + 1, name: `Purpose ${i + 1}` }])
+  ),
+  specialFeatures: {
+    '1': { id: 1, name: 'Use precise geolocation data' },
+    '2': { id: 2, name: 'Actively scan device characteristics for identification' }
+  },
+  vendors: {
+    '2': { id: 2, name: 'Ad Vendor', purposes: [1, 2, 3, 4], legIntPurposes: [7] },
+    '8': { id: 8, name: 'Analytics Vendor', purposes: [1, 8], legIntPurposes: [] },
+    '10': { id: 10, name: 'LI Vendor', purposes: [], legIntPurposes: [9, 10] },
+    '12': { id: 12, name: 'Removed Vendor', purposes: [1], legIntPurposes: [], deletedDate: '2023-01-01' }
+  }
+};
+
+function createManager(config = {}) {
+  return new TCFManager({ gvl, cmpId: 300, cookieOptions: { secure: false }, ...config });
+}
+
+function getCookie(name: string): string | null {
+  const match = document.cookie.split('; ').find((cookie) => cookie.startsWith(`${name}=`));
+  return match ? match.slice(name.length + 1) : null;
+}
+
+describe('TCFManager', () => {
+  beforeEach(() => {
+    document.cookie = 'euconsent-v2=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/';
+    delete window.__tcfapi;
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    delete window.__tcfapi;
+  });
+
+  describe('choices', () => {
+    it('should start with no consents and legitimate interest not objected to', () => {
+      const tcf = createManager();
+
+      expect(tcf.getPurposes().filter((p) => p.consent)).toEqual([]);
+      expect(tcf.getPurposes().filter((p) => p.legitimateInterest).map((p) => p.id)).toEqual([2, 7, 8, 9, 10, 11]);
+      expect(tcf.getVendors().filter((v) => v.legitimateInterest).map((v) => v.id)).toEqual([2, 10]);
+    });
+
+    it('should not allow legitimate interest for consent-only purposes', () => {
+      const tcf = createManager();
+      const allowed = tcf.getPurposes().filter((p) => p.legitimateInterestAllowed).map((p) => p.id);
+
+      expect(allowed).toEqual([2, 7, 8, 9, 10, 11]);
+    });
+
+    it('should skip deleted vendors', () => {
+      const tcf = createManager();
+
+      expect(tcf.getVendors().map((v) => v.id)).toEqual([2, 8, 10]);
+    });
+
+    it('should map categories to purposes and vendors', () => {
+      const tcf = createManager();
+      tcf.applyCategories({ necessary: true, analytics: true, marketing: false });
+
+      expect(tcf.getPurposes().filter((p) => p.consent).map((p) => p.id)).toEqual([1, 8, 9, 10]);
+      expect(tcf.getVendors().filter((v) => v.consent).map((v) => v.id)).toEqual([2, 8]);
+    });
+
+    it('should use a custom category mapping', () => {
+      const tcf = createManager({ categoryPurposes: { functional: [11] } });
+      tcf.applyCategories({ functional: true });
+
+      expect(tcf.getCategoryPurposes('functional')).toEqual([11]);
+      expect(tcf.getPurposes().filter((p) => p.consent).map((p) => p.id)).toEqual([11]);
+    });
+
+    it('should grant and withdraw everything', () => {
+      const tcf = createManager();
+
+      tcf.setAll(true);
+      expect(tcf.getPurposes().every((p) => p.consent)).toBe(true);
+      expect(tcf.getSpecialFeatures().every((f) => f.consent)).toBe(true);
+      expect(tcf.getVendors().filter((v) => v.consent).map((v) => v.id)).toEqual([2, 8]);
+
+      tcf.setAll(false);
+      expect(tcf.getPurposes().some((p) => p.consent || p.legitimateInterest)).toBe(false);
+      expect(tcf.getVendors().some((v) => v.consent || v.legitimateInterest)).toBe(false);
+    });
+
+    it('should set single choices', () => {
+      const tcf = createManager();
+
+      tcf.setChoice('vendor', 8, true);
+      tcf.setChoice('purposeLegitimateInterest', 7, false);
+      tcf.setChoice('specialFeature', 2, true);
+
+      expect(tcf.getChoice('vendor', 8)).toBe(true);
+      expect(tcf.getChoice('purposeLegitimateInterest', 7)).toBe(false);
+      expect(tcf.getChoice('specialFeature', 2)).toBe(true);
+    });
+  });
+
+  describe('storage', () => {
+    it('should save the TC string to the euconsent-v2 cookie', () => {
+      const tcf = createManager();
+      tcf.applyCategories({ marketing: true });
+
+      const tcString = tcf.save();
+
+      expect(getCookie('euconsent-v2')).toBe(tcString);
+      const decoded = TCString.decode(tcString);
+      expect(decoded?.cmpId).toBe(300);
+      expect(decoded?.vendorListVersion).toBe(42);
+      expect(decoded?.purposeConsents).toEqual([1, 2, 3, 4, 7]);
+      expect(decoded?.vendorConsents).toEqual([2, 8]);
+      expect(decoded?.disclosedVendors).toEqual([2, 8, 10]);
+    });
+
+    it('should load choices from the cookie', () => {
+      const first = createManager();
+      first.setChoice('vendor', 8, true);
+      first.setChoice('purpose', 8, true);
+      const tcString = first.save();
+
+      const second = createManager();
+      expect(second.load()).toBe(true);
+      expect(second.getTCString()).toBe(tcString);
+      expect(second.getChoice('vendor', 8)).toBe(true);
+      expect(second.getChoice('purpose', 8)).toBe(true);
+    });
+
+    it('should return false when there is no valid TC string', () => {
+      document.cookie = 'euconsent-v2=garbage; path=/';
+      const tcf = createManager();
+
+      expect(tcf.load()).toBe(false);
+      expect(tcf.getTCString()).toBe('');
+    });
+
+    it('should use a custom cookie name', () => {
+      const tcf = createManager({ cookieName: 'tc_string' });
+      tcf.save();
+
+      expect(getCookie('tc_string')).toBe(tcf.getTCString());
+      document.cookie = 'tc_string=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/';
+    });
+
+    it('should clear the cookie and reset choices', () => {
+      const tcf = createManager();
+      tcf.setAll(true);
+      tcf.save();
+
+      tcf.clear();
+
+      expect(getCookie('euconsent-v2')).toBeNull();
+      expect(tcf.getTCString()).toBe('');
+      expect(tcf.getChoice('purpose', 1)).toBe(false);
+      expect(tcf.getChoice('purposeLegitimateInterest', 7)).toBe(true);
+    });
+  });
+
+  describe('__tcfapi', () => {
+    it('should answer ping', () => {
+      const tcf = createManager();
+      tcf.install();
+      const callback = vi.fn();
+
+      window.__tcfapi?.('ping', 2, callback);
+
+      const [ping, success] = callback.mock.calls[0] as [TCFPingReturn, boolean];
+      expect(success).toBe(true);
+      expect(ping).toMatchObject({
+        gdprApplies: true,
+        cmpLoaded: true,
+        cmpStatus: 'loaded',
+        displayStatus: 'hidden',
+        apiVersion: '2.2',
+        cmpId: 300,
+        gvlVersion: 42,
+        tcfPolicyVersion: 4
+      });
+    });
+
+    it('should return TC data for the saved TC string only', () => {
+      const tcf = createManager();
+      tcf.install();
+      tcf.setAll(true);
+      const callback = vi.fn();
+
+      window.__tcfapi?.('getTCData', 2, callback);
+      let tcData = callback.mock.calls[0][0] as TCData;
+      expect(tcData.tcString).toBe('');
+      expect(tcData.purpose.consents[1]).toBe(false);
+
+      tcf.save();
+      window.__tcfapi?.('getTCData', 2, callback);
+      tcData = callback.mock.calls[1][0] as TCData;
+      expect(tcData.tcString).toBe(tcf.getTCString());
+      expect(tcData.purpose.consents[1]).toBe(true);
+      expect(tcData.vendor.consents).toEqual({ 2: true, 8: true, 10: false });
+      expect(tcData.specialFeatureOptins).toEqual({ 1: true, 2: true });
+    });
+
+    it('should limit TC data to the requested vendors', () => {
+      const tcf = createManager();
+      tcf.install();
+      const callback = vi.fn();
+
+      window.__tcfapi?.('getTCData', 2, callback, [8]);
+
+      expect(Object.keys((callback.mock.calls[0][0] as TCData).vendor.consents)).toEqual(['8']);
+    });
+
+    it('should notify listeners when the UI is shown and the user decides', () => {
+      const tcf = createManager();
+      tcf.install();
+      const callback = vi.fn();
+
+      window.__tcfapi?.('addEventListener', 2, callback);
+      expect(callback).not.toHaveBeenCalled();
+
+      tcf.setDisplayStatus('visible');
+      expect((callback.mock.calls[0][0] as TCData).eventStatus).toBe('cmpuishown');
+
+      tcf.setAll(false);
+      tcf.save();
+      const tcData = callback.mock.calls[1][0] as TCData;
+      expect(tcData.eventStatus).toBe('useractioncomplete');
+      expect(tcData.listenerId).toBe(1);
+      expect(tcData.tcString).not.toBe('');
+    });
+
+    it('should keep notifying and saving when a listener throws', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const tcf = createManager();
+      tcf.install();
+      const callback = vi.fn();
+
+      window.__tcfapi?.('addEventListener', 2, () => {
+        throw new Error('vendor bug');
+      });
+      window.__tcfapi?.('addEventListener', 2, callback);
+
+      tcf.setAll(true);
+      expect(() => tcf.save()).not.toThrow();
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(tcf.getTCString()).not.toBe('');
+      expect(error).toHaveBeenCalled();
+      error.mockRestore();
+    });
+
+    it('should call new listeners immediately with a loaded TC string', () => {
+      createManager().save();
+      const tcf = createManager();
+      tcf.load();
+      tcf.install();
+      const callback = vi.fn();
+
+      window.__tcfapi?.('addEventListener', 2, callback);
+
+      expect((callback.mock.calls[0][0] as TCData).eventStatus).toBe('tcloaded');
+    });
+
+    it('should call listeners immediately when GDPR does not apply', () => {
+      const tcf = createManager({ gdprApplies: false });
+      tcf.install();
+      const callback = vi.fn();
+
+      window.__tcfapi?.('addEventListener', 2, callback);
+
+      expect((callback.mock.calls[0][0] as TCData).gdprApplies).toBe(false);
+    });
+
+    it('should remove listeners', () => {
+      const tcf = createManager();
+      tcf.install();
+      const listener = vi.fn();
+      const removed = vi.fn();
+
+      window.__tcfapi?.('addEventListener', 2, listener);
+      window.__tcfapi?.('removeEventListener', 2, removed, 1);
+      tcf.save();
+
+      expect(removed).toHaveBeenCalledWith(true, true);
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown commands and versions', () => {
+      const tcf = createManager();
+      tcf.install();
+      const callback = vi.fn();
+
+      window.__tcfapi?.('getVendorList', 2, callback);
+      window.__tcfapi?.('ping', 1, callback);
+
+      expect(callback).toHaveBeenNthCalledWith(1, null, false);
+      expect(callback).toHaveBeenNthCalledWith(2, null, false);
+    });
+
+    it('should answer calls queued by the stub', () => {
+      TCFManager.installStub();
+      const ping = vi.fn();
+      const getTCData = vi.fn();
+
+      window.__tcfapi?.('ping', 2, ping);
+      window.__tcfapi?.('getTCData', 2, getTCData);
+
+      expect((ping.mock.calls[0][0] as TCFPingReturn).cmpStatus).toBe('stub');
+      expect(getTCData).not.toHaveBeenCalled();
+
+      createManager().install();
+
+      expect(getTCData).toHaveBeenCalledTimes(1);
+      expect((getTCData.mock.calls[0][0] as TCData).cmpId).toBe(300);
+    });
+
+    it('should notify listeners queued by the stub when a stored TC string loads', () => {
+      createManager().save();
+      TCFManager.installStub();
+      const callback = vi.fn();
+      window.__tcfapi?.('addEventListener', 2, callback);
+
+      const tcf = createManager();
+      tcf.install();
+      expect(callback).not.toHaveBeenCalled();
+      tcf.load();
+
+      const tcData = callback.mock.calls[0][0] as TCData;
+      expect(tcData.eventStatus).toBe('tcloaded');
+      expect(tcData.listenerId).toBe(1);
+      expect(tcData.tcString).toBe(tcf.getTCString());
+    });
+
+    it('should add the __tcfapiLocator frame', () => {
+      createManager().install();
+
+      expect(document.querySelector('iframe[name="__tcfapiLocator"]')).not.toBeNull();
+    });
+  });
+});
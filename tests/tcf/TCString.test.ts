@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { TCString } from '../../src/tcf/TCString';
+import type { TCModel } from '../../src/types';
+
+describe('TCString', () => {
+  const model: TCModel = {
+    version: 2,
+    created: new Date('2024-03-01T00:00:00.000Z'),
+    lastUpdated: new Date('2024-03-02T00:00:00.000Z'),
+    cmpId: 300,
+    cmpVersion: 2,
+    consentScreen: 1,
+    consentLanguage: 'EN',
+    vendorListVersion: 42,
+    tcfPolicyVersion: 4,
+    isServiceSpecific: true,
+    useNonStandardTexts: false,
+    specialFeatureOptins: [1],
+    purposeConsents: [1, 2, 3, 4, 7],
+    purposeLegitimateInterests: [2, 7, 8, 9, 10, 11],
+    purposeOneTreatment: false,
+    publisherCC: 'DE',
+    vendorConsents: [2, 8, 755],
+    vendorLegitimateInterests: [8],
+    disclosedVendors: [2, 8, 755, 756]
+  };
+
+  it('should encode a version 2 string with a disclosed vendors segment', () => {
+    const encoded = TCString.encode(model);
+    const segments = encoded.split('.');
+
+    // Version 2 is 000010, the base64url character 'C'
+    expect(encoded.startsWith('C')).toBe(true);
+    expect(segments).toHaveLength(2);
+    expect(encoded).toMatch(/^[A-Za-z0-9_.-]+$/);
+  });
+
+  it('should round-trip every field', () => {
+    const decoded = TCString.decode(TCString.encode(model));
+
+    expect(decoded).toEqual(model);
+  });
+
+  it('should round-trip range-encoded vendor sections', () => {
+    const sparse = {
+      ...model,
+      vendorConsents: [1, 2, 3, 4, 5, 1000],
+      disclosedVendors: [10, 2000]
+    };
+
+    const decoded = TCString.decode(TCString.encode(sparse));
+
+    expect(decoded?.vendorConsents).toEqual([1, 2, 3, 4, 5, 1000]);
+    expect(decoded?.disclosedVendors).toEqual([10, 2000]);
+  });
+
+  it('should pick the shorter vendor encoding', () => {
+    const dense = TCString.encode({ ...model, vendorConsents: [1, 3, 5, 7] });
+    const sparse = TCString.encode({ ...model, vendorConsents: [1, 4000] });
+
+    // A 4000-bit field would be ~670 characters; two range entries are a few bytes
+    expect(dense.length).toBeLessThan(100);
+    expect(sparse.length).toBeLessThan(100);
+  });
+
+  it('should truncate timestamps to the day', () => {
+    const decoded = TCString.decode(
+      TCString.encode({ ...model, created: new Date('2024-03-01T15:42:10.000Z') })
+    );
+
+    expect(decoded?.created.toISOString()).toBe('2024-03-01T00:00:00.000Z');
+  });
+
+  it('should handle empty vendor sections', () => {
+    const decoded = TCString.decode(
+      TCString.encode({ ...model, vendorConsents: [], vendorLegitimateInterests: [], disclosedVendors: [] })
+    );
+
+    expect(decoded?.vendorConsents).toEqual([]);
+    expect(decoded?.vendorLegitimateInterests).toEqual([]);
+    expect(decoded?.disclosedVendors).toEqual([]);
+  });
+
+  it('should decode strings encoded by other CMPs', () => {
+    // Encoded with the IAB reference library (@iabtcf/core) from the same core fields
+    const decoded = TCString.decode('CP6ywkAP62DgAEsACBENAqEoAPIAAEPgAAYgAAAAAAAA.YAAAAAAAAAAA');
+
+    expect(decoded).toMatchObject({
+      cmpId: 300,
+      cmpVersion: 2,
+      consentLanguage: 'EN',
+      publisherCC: 'DE',
+      vendorListVersion: 42,
+      tcfPolicyVersion: 4,
+      isServiceSpecific: true,
+      specialFeatureOptins: [1],
+      purposeConsents: [1, 2, 3, 4, 7],
+      purposeLegitimateInterests: [2, 7, 8, 9, 10, 11]
+    });
+  });
+
+  it('should return null for malformed strings', () => {
+    expect(TCString.decode('')).toBeNull();
+    expect(TCString.decode('not a tc string')).toBeNull();
+    expect(TCString.decode('CP')).toBeNull();
+  });
+
+  it('should return null for TCF v1 strings', () => {
+    // Version 1 is 000001, the base64url character 'B'
+    expect(TCString.decode('BOEFEAyOEFEAyAHABDENAI4AAAB9vABAASA')).toBeNull();
+  });
+});